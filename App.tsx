@@ -1,17 +1,32 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, {
+  useCallback,
+  useEffect,
+  useMemo,
+  useRef,
+  useState,
+} from "react";
+import type { SetStateAction } from "react";
 import {
   GardenBed,
   Vegetable,
   VeggieType,
   SunOrientation,
   BedLayout,
+  OptimizeMode,
+  PackerConfig,
+  RotationSeason,
+  SunSettings,
 } from "./shared/types";
 import ControlPanel from "./components/ControlPanel";
 import GardenBedView from "./components/GardenBedView";
 import ContextBar from "./components/ContextBar";
 import CatalogStatusBanner from "./components/CatalogStatusBanner";
 import VeggieLegend from "./components/VeggieLegend";
+import TimelineScrubber from "./components/TimelineScrubber";
+import { recordSeason } from "./shared/rotation";
+import { DEFAULT_LATITUDE } from "./shared/sunShade";
 import { generateGardenLayout } from "./services/geminiService";
+import type { OptimizationReport } from "./services/geminiService";
 import {
   GRID_PIXEL_SIZE,
   GRID_SIZE,
@@ -24,9 +39,12 @@ import { useSeedInit } from "./hooks/useSeedInit";
 import { useAIProviders } from "./hooks/useAIProviders";
 import { useCanvasNavigation } from "./hooks/useCanvasNavigation";
 import { useBedDrag } from "./hooks/useBedDrag";
+import { useUndoHistory } from "./hooks/useUndoHistory";
+import { usePlantEditing } from "./hooks/usePlantEditing";
 import { useAddBed } from "./hooks/useAddBed";
 import { useBedHandlers } from "./hooks/useBedHandlers";
 import { useSeedHandlers } from "./hooks/useSeedHandlers";
+import { useOptimizeProgress } from "./hooks/useOptimizeProgress";
 
 /**
  * App.tsx
@@ -66,7 +84,23 @@ const App: React.FC = () => {
   const [sunOrientation, setSunOrientation] = useState<SunOrientation>("East");
   const [sunAngle, setSunAngleState] = useState(90);
   const [sunEnabled, setSunEnabled] = useState(true);
+  // Where and when to simulate shade; the azimuth comes from sunAngle
+  const [sunSettings, setSunSettings] = useState<SunSettings>(() => ({
+    latitude: DEFAULT_LATITUDE,
+    date: new Date().toISOString().slice(0, 10),
+  }));
+  const [showSunMap, setShowSunMap] = useState(false);
+  // Nudge LLM layouts that overlap or leave the bed into valid spots
+  const [repairLayouts, setRepairLayouts] = useState(true);
+  // Local packer tuning from the advanced panel, and the seed it last used
+  const [packerConfig, setPackerConfig] = useState<PackerConfig>({});
+  const [lastPackerSeed, setLastPackerSeed] = useState<number | null>(null);
+  const [lastReport, setLastReport] = useState<OptimizationReport | null>(null);
   const [layouts, setLayouts] = useState<BedLayout[]>([]);
+  // Season day shown on the canvas for succession layouts; null shows every phase
+  const [timelineDay, setTimelineDay] = useState<number | null>(null);
+  // Families grown in each bed in past seasons, saved with the garden
+  const [rotationHistory, setRotationHistory] = useState<RotationSeason[]>([]);
   const [isGenerating, setIsGenerating] = useState(false);
   const [selectedBedId, setSelectedBedId] = useState<string | null>(null);
   const [backgroundTiles, setBackgroundTiles] = useState<
@@ -143,15 +177,25 @@ const App: React.FC = () => {
     handleLoadGarden,
     handleSavePlanting,
     handleLoadPlanting,
+    storageMode: gardenStorageMode,
+    syncStatus: gardenSyncStatus,
+    currentGarden,
+    revisions: gardenRevisions,
+    loadRevision,
+    handleRestoreRevision,
   } = useGardenStorage({
     beds,
     sunOrientation,
     seeds,
     layouts,
+    rotationHistory,
+    sunSettings,
     setBeds,
     setSunOrientation,
     setSeeds,
     setLayouts,
+    setRotationHistory,
+    setSunSettings,
   });
 
   const {
@@ -159,6 +203,7 @@ const App: React.FC = () => {
     aiModel,
     aiApiKey,
     aiProviders,
+    selectedProvider,
     setAiProvider,
     setAiModel,
     setAiApiKey,
@@ -233,6 +278,32 @@ const App: React.FC = () => {
     centerCanvas,
   } = useCanvasNavigation();
 
+  // Undo/redo across the garden; drags and optimize runs are one step each
+  const historyState = useMemo(
+    () => ({ beds, seeds, layouts, sunOrientation, sunAngle, sunSettings }),
+    [beds, seeds, layouts, sunOrientation, sunAngle, sunSettings],
+  );
+  const { undo, redo, beginGroup, endGroup, untracked, undoLabel, redoLabel } =
+    useUndoHistory({
+      state: historyState,
+      apply: (fields) => {
+        if (fields.beds) setBeds(fields.beds);
+        if (fields.seeds) setSeeds(fields.seeds);
+        if (fields.layouts) setLayouts(fields.layouts);
+        if (fields.sunOrientation) setSunOrientation(fields.sunOrientation);
+        if (fields.sunAngle !== undefined) setSunAngleState(fields.sunAngle);
+        if (fields.sunSettings) setSunSettings(fields.sunSettings);
+      },
+      labels: {
+        beds: "Edit beds",
+        seeds: "Edit seeds",
+        layouts: "Edit plants",
+        sunOrientation: "Change sun",
+        sunAngle: "Change sun",
+        sunSettings: "Change sun",
+      },
+    });
+
   const { onBedDragStart } = useBedDrag({
     beds,
     setBeds,
@@ -243,6 +314,8 @@ const App: React.FC = () => {
     isSpacePressed,
     setSelectedBedId,
     setIsPanning,
+    onDragStart: () => beginGroup("Move bed"),
+    onDragEnd: endGroup,
   });
 
   const getViewportBounds = () => {
@@ -284,7 +357,37 @@ const App: React.FC = () => {
     veggieTypes,
   } = usePlantCatalog();
 
-  useSeedInit({ seeds, setSeeds, veggieTypes });
+  // Filling in the catalog's seeds is not an undoable edit
+  const setInitialSeeds = useCallback(
+    (value: SetStateAction<Vegetable[]>) => untracked(() => setSeeds(value)),
+    [],
+  );
+  useSeedInit({ seeds, setSeeds: setInitialSeeds, veggieTypes });
+
+  // Dragging, adding and deleting single plants by hand
+  const {
+    selectedPlant,
+    setSelectedPlant,
+    plantToPlace,
+    setPlantToPlace,
+    draggedPlant,
+    preview: plantPreview,
+    onPlantMouseDown,
+    placeAt,
+  } = usePlantEditing({
+    beds,
+    layouts,
+    setLayouts,
+    seeds,
+    veggieMetadata: plantMetadata,
+    pan,
+    zoom,
+    canvasRef,
+    isSpacePressed,
+    minSpacing: packerConfig.min_spacing,
+    onEditStart: beginGroup,
+    onEditEnd: endGroup,
+  });
 
   const { handleAddBed } = useAddBed({
     setBeds,
@@ -298,6 +401,7 @@ const App: React.FC = () => {
     handleRemoveBed,
     handleUpdateBedName,
     handleUpdateBedShape,
+    handleApplyPolygonPreset,
     handleUpdateBedWidth,
     handleUpdateBedHeight,
   } = useBedHandlers({
@@ -307,12 +411,16 @@ const App: React.FC = () => {
     setSelectedBedId,
   });
 
-  const { handleUpdateSeed, handleUpdateVarieties } = useSeedHandlers({
-    setSeeds,
-  });
+  const { handleUpdateSeed, handleUpdateVarieties, handleUpdatePlantingDay } =
+    useSeedHandlers({
+      setSeeds,
+    });
 
   // Layout generation
-  const handleGenerate = async () => {
+  const { progress, startProgress, stopProgress } = useOptimizeProgress();
+  const generateAbortRef = useRef<AbortController | null>(null);
+
+  const handleGenerate = async (mode: OptimizeMode = "full") => {
     if (beds.length === 0) return;
     // Allow proceeding even if varieties aren't picked; service will use defaults
     const activeVegetables = seeds.filter((s) => s.priority > 0);
@@ -323,8 +431,31 @@ const App: React.FC = () => {
       return;
     }
 
+    // Locked plants survive re-optimization; the server builds around them
+    const fixedPlacements = layouts
+      .filter((layout) => beds.some((bed) => bed.id === layout.bedId))
+      .flatMap((layout) =>
+        layout.placements
+          .filter((plant) => plant.locked)
+          .map((plant) => ({ ...plant, bedId: layout.bedId })),
+      );
+
+    const controller = new AbortController();
+    generateAbortRef.current = controller;
     setIsGenerating(true);
+    setLastReport(null);
+    // Streamed beds and the final result undo together
+    beginGroup(mode === "fill" ? "Fill gaps" : "Optimize layout");
     try {
+      // Show each bed as soon as the server finishes it
+      const jobId = await startProgress(
+        beds.map((bed) => bed.id),
+        (layout) =>
+          setLayouts((prev) => [
+            ...prev.filter((l) => l.bedId !== layout.bedId),
+            layout,
+          ]),
+      );
       const result = await generateGardenLayout(
         beds,
         activeVegetables,
@@ -333,17 +464,76 @@ const App: React.FC = () => {
           provider: aiProvider,
           model: aiModel || undefined,
           auth: aiApiKey ? { apiKey: aiApiKey } : undefined,
+          fixedPlacements,
+          rotationHistory,
+          sun: { ...sunSettings, azimuth: sunAngle },
+          repair: repairLayouts && !selectedProvider?.seeded,
+          packerConfig: selectedProvider?.seeded ? packerConfig : undefined,
+          onSeed: setLastPackerSeed,
+          onReport: setLastReport,
+          jobId,
+          signal: controller.signal,
+          ...(mode === "fill"
+            ? {
+                mode,
+                existingLayouts: layouts.filter((layout) =>
+                  beds.some((bed) => bed.id === layout.bedId),
+                ),
+              }
+            : {}),
         },
       );
       setLayouts(result);
     } catch (err) {
+      if (controller.signal.aborted) return;
       console.error(err);
       alert("Something went wrong generating the layout.");
     } finally {
+      generateAbortRef.current = null;
+      stopProgress();
       setIsGenerating(false);
+      endGroup();
     }
   };
 
+  const handleCancelGenerate = () => generateAbortRef.current?.abort();
+
+  // Close out the current layout as a past season for crop rotation
+  const handleRecordSeason = (season: string) => {
+    const record = recordSeason(
+      season,
+      layouts.filter((layout) => beds.some((bed) => bed.id === layout.bedId)),
+      plantMetadata,
+    );
+    setRotationHistory((prev) => [
+      ...prev.filter((entry) => entry.season !== season),
+      record,
+    ]);
+  };
+
+  const handleRemoveSeason = (season: string) => {
+    setRotationHistory((prev) =>
+      prev.filter((entry) => entry.season !== season),
+    );
+  };
+
+  const handleTogglePlantLock = (bedId: string, plantId: string) => {
+    setLayouts((prev) =>
+      prev.map((layout) =>
+        layout.bedId !== bedId
+          ? layout
+          : {
+              ...layout,
+              placements: layout.placements.map((plant) =>
+                plant.id === plantId
+                  ? { ...plant, locked: !plant.locked }
+                  : plant,
+              ),
+            },
+      ),
+    );
+  };
+
   const handleSetSun = (orient: SunOrientation) => {
     setSunOrientation(orient);
     const angleMap: Record<SunOrientation, number> = {
@@ -355,6 +545,11 @@ const App: React.FC = () => {
     setSunAngleState(angleMap[orient]);
   };
 
+  // Loaded or regenerated layouts without phases always show every plant
+  const visibleTimelineDay = layouts.some((layout) => layout.phases?.length)
+    ? timelineDay
+    : null;
+
   const bedShadow = useMemo(() => {
     if (!sunEnabled) return "none" as const;
     const distance = GRID_SIZE * 1.2;
@@ -973,20 +1168,42 @@ const App: React.FC = () => {
         onRemoveBed={handleRemoveBed}
         onUpdateSeed={handleUpdateSeed}
         onUpdateVarieties={handleUpdateVarieties}
+        onUpdatePlantingDay={handleUpdatePlantingDay}
         onSetSun={handleSetSun}
         sunEnabled={sunEnabled}
         sunAngle={sunAngle}
         onSetSunAngle={setSunAngleState}
         onToggleSun={() => setSunEnabled((p) => !p)}
-        onGenerate={handleGenerate}
+        sunSettings={sunSettings}
+        onChangeSunSettings={setSunSettings}
+        showSunMap={showSunMap}
+        onToggleSunMap={() => setShowSunMap((p) => !p)}
+        onGenerate={() => handleGenerate("full")}
+        onFillGaps={() => handleGenerate("fill")}
+        canFillGaps={layouts.some((layout) => layout.placements.length > 0)}
         isGenerating={isGenerating}
+        onCancelGenerate={handleCancelGenerate}
+        progress={progress}
         onSaveGarden={handleSaveGarden}
         onLoadGarden={handleLoadGarden}
         onSavePlanting={handleSavePlanting}
         onLoadPlanting={handleLoadPlanting}
         savedGardens={savedGardens}
         savedPlantings={savedPlantings}
+        gardenSyncStatus={
+          gardenStorageMode === "server" ? gardenSyncStatus : null
+        }
+        currentGarden={currentGarden}
+        gardenRevisions={gardenRevisions}
+        onLoadRevision={loadRevision}
+        onRestoreRevision={handleRestoreRevision}
+        rotationHistory={rotationHistory}
+        onRecordSeason={handleRecordSeason}
+        onRemoveSeason={handleRemoveSeason}
+        canRecordSeason={layouts.some((layout) => layout.placements.length > 0)}
         onSelectBed={(id) => setSelectedBedId(id)}
+        plantToPlace={plantToPlace}
+        onPlacePlant={setPlantToPlace}
         backgroundTile={backgroundTile}
         backgroundOptions={backgroundTiles}
         onChangeBackgroundTile={(tile) => setBackgroundTileId(tile.id)}
@@ -997,6 +1214,12 @@ const App: React.FC = () => {
         onChangeAIProvider={setAiProvider}
         onChangeAIModel={setAiModel}
         onChangeAIApiKey={setAiApiKey}
+        repairLayouts={repairLayouts}
+        onToggleRepairLayouts={() => setRepairLayouts((p) => !p)}
+        packerConfig={packerConfig}
+        onChangePackerConfig={setPackerConfig}
+        lastPackerSeed={lastPackerSeed}
+        lastReport={lastReport}
         onTriggerOAuth={handleTriggerOAuth}
         oauthStatus={oauthStatus}
         oauthChecking={oauthChecking}
@@ -1009,9 +1232,14 @@ const App: React.FC = () => {
         />
         <ContextBar
           sunOrientation={sunOrientation}
+          undoLabel={undoLabel}
+          redoLabel={redoLabel}
+          onUndo={undo}
+          onRedo={redo}
           selectedBed={selectedBed}
           onUpdateBedName={handleUpdateBedName}
           onUpdateBedShape={handleUpdateBedShape}
+          onApplyPolygonPreset={handleApplyPolygonPreset}
           onUpdateBedWidth={handleUpdateBedWidth}
           onUpdateBedHeight={handleUpdateBedHeight}
         />
@@ -1059,7 +1287,10 @@ const App: React.FC = () => {
               e.preventDefault();
             }
           }}
-          onClick={() => setSelectedBedId(null)}
+          onClick={() => {
+            setSelectedBedId(null);
+            setSelectedPlant(null);
+          }}
         >
           <div
             className="absolute origin-top-left transition-transform duration-75 ease-out grid-boundary"
@@ -1133,10 +1364,29 @@ const App: React.FC = () => {
                 bed={bed}
                 layout={layouts.find((l) => l.bedId === bed.id)}
                 veggieMetadata={plantMetadata}
-                onDragStart={onBedDragStart}
+                onDragStart={(e, bedId) =>
+                  placeAt(e) || onBedDragStart(e, bedId)
+                }
                 isSelected={selectedBedId === bed.id}
                 onClick={() => setSelectedBedId(bed.id)}
+                onTogglePlantLock={(plantId) =>
+                  handleTogglePlantLock(bed.id, plantId)
+                }
                 bedShadow={bedShadow}
+                timelineDay={visibleTimelineDay}
+                sunMap={
+                  showSunMap ? { ...sunSettings, azimuth: sunAngle } : null
+                }
+                onPlantMouseDown={(e, plantId) =>
+                  onPlantMouseDown(e, bed.id, plantId)
+                }
+                selectedPlantId={
+                  selectedPlant?.bedId === bed.id ? selectedPlant.plantId : null
+                }
+                draggedPlantId={
+                  draggedPlant?.bedId === bed.id ? draggedPlant.plantId : null
+                }
+                preview={plantPreview?.bedId === bed.id ? plantPreview : null}
               />
             ))}
           </div>
@@ -1176,6 +1426,11 @@ const App: React.FC = () => {
               <i className="fas fa-hand"></i>
             </button>
           </div>
+          <TimelineScrubber
+            layouts={layouts}
+            day={visibleTimelineDay}
+            onChangeDay={setTimelineDay}
+          />
           <div className="absolute bottom-8 right-8 bg-white/95 backdrop-blur-sm rounded-2xl border border-slate-200 shadow-xl px-4 py-3 z-30">
             <div className="flex items-center gap-2 text-[10px] font-black uppercase tracking-widest text-slate-500">
               <i className="fas fa-ruler-combined text-emerald-600"></i> Scale
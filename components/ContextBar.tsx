@@ -1,20 +1,31 @@
 import React from "react";
 import { BedShape, GardenBed, SunOrientation } from "../shared/types";
+import type { PolygonPreset } from "../shared/bedGeometry";
 
 type ContextBarProps = {
   sunOrientation: SunOrientation;
+  undoLabel?: string | null; // next step to undo, null when there is none
+  redoLabel?: string | null;
+  onUndo?: () => void;
+  onRedo?: () => void;
   selectedBed: GardenBed | undefined;
   onUpdateBedName: (value: string) => void;
   onUpdateBedShape: (value: BedShape) => void;
+  onApplyPolygonPreset: (preset: PolygonPreset) => void;
   onUpdateBedWidth: (value: number) => void;
   onUpdateBedHeight: (value: number) => void;
 };
 
 const ContextBar: React.FC<ContextBarProps> = ({
   sunOrientation,
+  undoLabel = null,
+  redoLabel = null,
+  onUndo,
+  onRedo,
   selectedBed,
   onUpdateBedName,
   onUpdateBedShape,
+  onApplyPolygonPreset,
   onUpdateBedWidth,
   onUpdateBedHeight,
 }) => (
@@ -47,6 +58,35 @@ const ContextBar: React.FC<ContextBarProps> = ({
           </span>
         </div>
       </div>
+      {onUndo && onRedo && (
+        <>
+          <div className="h-8 w-[1px] bg-slate-200"></div>
+          <div className="flex items-center gap-1">
+            <button
+              onClick={onUndo}
+              disabled={!undoLabel}
+              className="p-2 rounded-lg text-slate-600 hover:bg-slate-100 disabled:text-slate-300 disabled:hover:bg-transparent"
+              title={
+                undoLabel ? `Undo ${undoLabel} (Ctrl+Z)` : "Nothing to undo"
+              }
+            >
+              <i className="fas fa-rotate-left text-sm"></i>
+            </button>
+            <button
+              onClick={onRedo}
+              disabled={!redoLabel}
+              className="p-2 rounded-lg text-slate-600 hover:bg-slate-100 disabled:text-slate-300 disabled:hover:bg-transparent"
+              title={
+                redoLabel
+                  ? `Redo ${redoLabel} (Ctrl+Shift+Z)`
+                  : "Nothing to redo"
+              }
+            >
+              <i className="fas fa-rotate-right text-sm"></i>
+            </button>
+          </div>
+        </>
+      )}
     </div>
 
     {selectedBed && (
@@ -76,9 +116,33 @@ const ContextBar: React.FC<ContextBarProps> = ({
             <option value="rectangle">Rectangle</option>
             <option value="pill">Pill</option>
             <option value="circle">Circle</option>
+            <option value="polygon">Polygon</option>
           </select>
         </div>
 
+        {selectedBed.shape === "polygon" && (
+          <div className="flex flex-col gap-1.5 pr-6 border-r border-slate-300">
+            <span className="text-[10px] font-black text-slate-900 uppercase tracking-widest">
+              Outline
+            </span>
+            <select
+              className="bg-slate-50 border-2 border-slate-300 rounded-lg px-3 py-1.5 text-sm font-black outline-none focus:ring-2 focus:ring-emerald-500 text-slate-900 cursor-pointer"
+              value=""
+              onChange={(e) =>
+                e.target.value &&
+                onApplyPolygonPreset(e.target.value as PolygonPreset)
+              }
+            >
+              <option value="">
+                {selectedBed.vertices?.length ?? 0} vertices
+              </option>
+              <option value="l-shape">L-Shape</option>
+              <option value="u-shape">U-Shape</option>
+              <option value="keyhole">Keyhole</option>
+            </select>
+          </div>
+        )}
+
         <div className="flex flex-col gap-1.5">
           <span className="text-[10px] font-black text-slate-900 uppercase tracking-widest">
             Size (inches)
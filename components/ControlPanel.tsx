@@ -7,8 +7,20 @@ import {
   SeedVariety,
   BedLayout,
   PlantMeta,
+  RotationSeason,
+  SunSettings,
+  GardenRevision,
+  GardenRevisionSummary,
+  PackerConfig,
+  AIProviderInfo,
 } from "../shared/types";
-import { withServerUrl } from "../services/serverUrl";
+import { serverFetch, withServerUrl } from "../services/serverUrl";
+import type { OptimizeProgress } from "../hooks/useOptimizeProgress";
+import type { OptimizationReport } from "../services/geminiService";
+import type { GardenSyncStatus } from "../hooks/useGardenStorage";
+import RevisionHistory from "./RevisionHistory";
+import OptimizeReport from "./OptimizeReport";
+import PackerSettings from "./PackerSettings";
 
 interface ControlPanelProps {
   beds: GardenBed[];
@@ -22,39 +34,77 @@ interface ControlPanelProps {
   onRemoveBed: (id: string) => void;
   onUpdateSeed: (type: VeggieType, priority: number) => void;
   onUpdateVarieties: (type: VeggieType, varieties: SeedVariety[]) => void;
+  onUpdatePlantingDay?: (
+    type: VeggieType,
+    plantingDay: number | undefined,
+  ) => void;
   onSetSun: (orient: SunOrientation) => void;
   sunEnabled: boolean;
   sunAngle: number;
   onSetSunAngle: (angle: number) => void;
   onToggleSun: () => void;
+  sunSettings?: SunSettings;
+  onChangeSunSettings?: (settings: SunSettings) => void;
+  showSunMap?: boolean;
+  onToggleSunMap?: () => void;
   onGenerate: () => void;
+  onFillGaps?: () => void;
+  canFillGaps?: boolean;
   isGenerating: boolean;
-  onSaveGarden: (name: string) => void;
+  onCancelGenerate?: () => void;
+  progress?: OptimizeProgress | null;
+  onSaveGarden: (name: string, note?: string) => void;
   onLoadGarden: (name: string) => void;
   onSavePlanting: (name: string) => void;
   onLoadPlanting: (name: string) => void;
   savedGardens: string[];
   savedPlantings: string[];
+  gardenSyncStatus?: GardenSyncStatus | null; // set when gardens live on the server
+  currentGarden?: string | null;
+  gardenRevisions?: GardenRevisionSummary[];
+  onLoadRevision?: (revision: number) => Promise<GardenRevision | undefined>;
+  onRestoreRevision?: (revision: number) => void;
+  rotationHistory?: RotationSeason[];
+  onRecordSeason?: (season: string) => void;
+  onRemoveSeason?: (season: string) => void;
+  canRecordSeason?: boolean;
   onSelectBed: (id: string) => void;
+  plantToPlace?: VeggieType | null; // type that clicks on a bed plant by hand
+  onPlacePlant?: (type: VeggieType | null) => void;
   backgroundTile: { id: string; name: string; url: string };
   backgroundOptions: { id: string; name: string; url: string }[];
   onChangeBackgroundTile: (tile: { id: string; name: string; url: string }) => void;
   aiProvider: string;
   aiModel: string;
   aiApiKey: string;
-  aiProviders: { id: string; name: string; supportsOAuth?: boolean }[];
+  aiProviders: AIProviderInfo[];
   onChangeAIProvider: (provider: string) => void;
   onChangeAIModel: (model: string) => void;
   onChangeAIApiKey: (key: string) => void;
+  repairLayouts?: boolean;
+  onToggleRepairLayouts?: () => void;
+  packerConfig?: PackerConfig; // seeded providers (the local packer) only
+  onChangePackerConfig?: (config: PackerConfig) => void;
+  lastPackerSeed?: number | null;
+  lastReport?: OptimizationReport | null; // how the last layout was made
   onTriggerOAuth: (provider: string) => void;
   oauthStatus?: { connected: boolean; expiresAt: number | null } | null;
   oauthChecking?: boolean;
 }
 
+const GARDEN_SYNC_ICONS: Record<GardenSyncStatus, string> = {
+  idle: "fa-cloud text-slate-300",
+  saving: "fa-sync fa-spin text-indigo-400",
+  saved: "fa-cloud text-green-500",
+  conflict: "fa-exclamation-triangle text-amber-500",
+  error: "fa-exclamation-circle text-red-500",
+};
+
 const ControlPanel: React.FC<ControlPanelProps> = ({
   beds,
   seeds,
   sunOrientation,
+  layouts,
   veggieMetadata,
   seedVarieties,
   veggieTypes,
@@ -62,20 +112,40 @@ const ControlPanel: React.FC<ControlPanelProps> = ({
   onRemoveBed,
   onUpdateSeed,
   onUpdateVarieties,
+  onUpdatePlantingDay,
   onSetSun,
   sunEnabled,
   sunAngle,
   onSetSunAngle,
   onToggleSun,
+  sunSettings,
+  onChangeSunSettings,
+  showSunMap = false,
+  onToggleSunMap,
   onGenerate,
+  onFillGaps,
+  canFillGaps = false,
   isGenerating,
+  onCancelGenerate,
+  progress,
   onSaveGarden,
   onLoadGarden,
   onSavePlanting,
   onLoadPlanting,
   savedGardens,
   savedPlantings,
+  gardenSyncStatus = null,
+  currentGarden = null,
+  gardenRevisions = [],
+  onLoadRevision,
+  onRestoreRevision,
+  rotationHistory = [],
+  onRecordSeason,
+  onRemoveSeason,
+  canRecordSeason = false,
   onSelectBed,
+  plantToPlace = null,
+  onPlacePlant,
   backgroundTile,
   backgroundOptions,
   onChangeBackgroundTile,
@@ -84,6 +154,12 @@ const ControlPanel: React.FC<ControlPanelProps> = ({
   aiProviders,
   onChangeAIProvider,
   onChangeAIModel,
+  repairLayouts = false,
+  onToggleRepairLayouts,
+  packerConfig = {},
+  onChangePackerConfig,
+  lastPackerSeed = null,
+  lastReport = null,
   onTriggerOAuth,
   oauthStatus,
   oauthChecking,
@@ -120,7 +196,7 @@ const ControlPanel: React.FC<ControlPanelProps> = ({
     if (!aiProvider) return;
     setDeviceStatus("starting");
     try {
-      const res = await fetch(withServerUrl(`/oauth/${aiProvider}/device/start`), {
+      const res = await serverFetch(withServerUrl(`/oauth/${aiProvider}/device/start`), {
         method: "POST",
         headers: { "Content-Type": "application/json" },
       });
@@ -151,7 +227,7 @@ const ControlPanel: React.FC<ControlPanelProps> = ({
       pollTimerRef.current = window.setInterval(async () => {
         if (!body.key) return;
         try {
-          const p = await fetch(
+          const p = await serverFetch(
             withServerUrl(
               `/oauth/${aiProvider}/device/poll?key=${encodeURIComponent(
                 body.key,
@@ -195,7 +271,7 @@ const ControlPanel: React.FC<ControlPanelProps> = ({
               // Optionally refresh server-side connected status shown elsewhere
               // fetch the connected endpoint to let server mark token present
               try {
-                await fetch(withServerUrl(`/oauth/${aiProvider}/connected`));
+                await serverFetch(withServerUrl(`/oauth/${aiProvider}/connected`));
               } catch (e) {
                 // ignore
               }
@@ -236,7 +312,7 @@ const ControlPanel: React.FC<ControlPanelProps> = ({
   const disconnectProvider = async () => {
     if (!aiProvider) return;
     try {
-      const res = await fetch(withServerUrl(`/oauth/${aiProvider}/disconnect`), {
+      const res = await serverFetch(withServerUrl(`/oauth/${aiProvider}/disconnect`), {
         method: "POST",
       });
       if (!res.ok) {
@@ -246,7 +322,7 @@ const ControlPanel: React.FC<ControlPanelProps> = ({
         setDeviceStatus("idle");
         // optionally notify server status was cleared
         try {
-          await fetch(withServerUrl(`/oauth/${aiProvider}/connected`));
+          await serverFetch(withServerUrl(`/oauth/${aiProvider}/connected`));
         } catch (e) {}
       }
     } catch (err) {
@@ -254,19 +330,11 @@ const ControlPanel: React.FC<ControlPanelProps> = ({
     }
   };
 
-  const providerOptions =
-    aiProviders.length > 0
-      ? aiProviders
-      : [
-          { id: "local", name: "Local Procedural", supportsOAuth: false },
-          { id: "gemini", name: "Google Gemini", supportsOAuth: true },
-          { id: "openai", name: "OpenAI", supportsOAuth: true },
-          { id: "anthropic", name: "Anthropic", supportsOAuth: true },
-        ];
-  const selectedProvider = providerOptions.find(
+  const selectedProvider = aiProviders.find(
     (provider) => provider.id === aiProvider,
   );
   const oauthEnabled = Boolean(selectedProvider?.supportsOAuth);
+  const providerModels = selectedProvider?.models ?? [];
 
   const toggleVariety = (vType: VeggieType, variety: SeedVariety) => {
     const seed = seeds.find((s) => s.type === vType);
@@ -284,8 +352,13 @@ const ControlPanel: React.FC<ControlPanelProps> = ({
   };
 
   const handlePromptSaveGarden = () => {
-    const name = prompt("Enter a name for this Garden Layout:");
-    if (name) onSaveGarden(name);
+    const name = prompt(
+      "Enter a name for this Garden Layout:",
+      currentGarden ?? undefined,
+    );
+    if (!name) return;
+    const note = prompt("Note for this revision (optional):");
+    onSaveGarden(name, note?.trim() ?? "");
   };
 
   const handlePromptSavePlanting = () => {
@@ -293,6 +366,14 @@ const ControlPanel: React.FC<ControlPanelProps> = ({
     if (name) onSavePlanting(name);
   };
 
+  const handlePromptRecordSeason = () => {
+    const season = prompt(
+      "Which season did this layout grow in?",
+      String(new Date().getFullYear()),
+    );
+    if (season?.trim()) onRecordSeason?.(season.trim());
+  };
+
   return (
     <div className="w-80 h-full bg-white border-r border-slate-200 flex flex-col shadow-lg overflow-y-auto z-10">
       <div className="p-6 border-b border-slate-100 bg-slate-50/50 flex justify-between items-center">
@@ -325,6 +406,12 @@ const ControlPanel: React.FC<ControlPanelProps> = ({
                 <div className="flex justify-between items-center mb-2">
                   <span className="text-[10px] font-black text-slate-400 uppercase tracking-widest">
                     Saved Garden Frameworks
+                    {gardenSyncStatus && (
+                      <i
+                        className={`fas ${GARDEN_SYNC_ICONS[gardenSyncStatus]} ml-2`}
+                        title={`Server sync: ${gardenSyncStatus}`}
+                      ></i>
+                    )}
                   </span>
                   <button
                     onClick={handlePromptSaveGarden}
@@ -352,6 +439,17 @@ const ControlPanel: React.FC<ControlPanelProps> = ({
                 </div>
               </div>
 
+              {currentGarden && onLoadRevision && onRestoreRevision && (
+                <RevisionHistory
+                  gardenName={currentGarden}
+                  revisions={gardenRevisions}
+                  beds={beds}
+                  layouts={layouts}
+                  onLoadRevision={onLoadRevision}
+                  onRestoreRevision={onRestoreRevision}
+                />
+              )}
+
               <div>
                 <div className="flex justify-between items-center mb-2">
                   <span className="text-[10px] font-black text-slate-400 uppercase tracking-widest">
@@ -382,6 +480,59 @@ const ControlPanel: React.FC<ControlPanelProps> = ({
                   ))}
                 </div>
               </div>
+
+              {onRecordSeason && (
+                <div>
+                  <div className="flex justify-between items-center mb-2">
+                    <span className="text-[10px] font-black text-slate-400 uppercase tracking-widest">
+                      Crop Rotation History
+                    </span>
+                    <button
+                      onClick={handlePromptRecordSeason}
+                      disabled={!canRecordSeason}
+                      className="text-[10px] text-indigo-600 font-bold hover:underline disabled:text-slate-300 disabled:no-underline"
+                      title="Record the current layout as a finished season"
+                    >
+                      Record Season
+                    </button>
+                  </div>
+                  <div className="max-h-40 overflow-y-auto space-y-1">
+                    {rotationHistory.length === 0 && (
+                      <p className="text-[10px] text-slate-400 italic">
+                        No seasons recorded. Saved with the garden framework.
+                      </p>
+                    )}
+                    {[...rotationHistory].reverse().map((entry) => (
+                      <div
+                        key={entry.season}
+                        className="p-2 text-xs bg-amber-50/50 rounded border border-amber-100 group"
+                      >
+                        <div className="flex justify-between items-center">
+                          <span className="font-bold text-slate-700">
+                            {entry.season}
+                          </span>
+                          <button
+                            onClick={() => onRemoveSeason?.(entry.season)}
+                            className="text-slate-300 hover:text-red-500 opacity-0 group-hover:opacity-100 transition-opacity"
+                            title="Remove season"
+                          >
+                            <i className="fas fa-trash text-[9px]"></i>
+                          </button>
+                        </div>
+                        {Object.entries(entry.beds).map(([bedId, families]) => (
+                          <p
+                            key={bedId}
+                            className="text-[9px] text-slate-500 leading-tight mt-0.5 truncate"
+                          >
+                            {beds.find((bed) => bed.id === bedId)?.name || bedId}
+                            : {families.join(", ") || "fallow"}
+                          </p>
+                        ))}
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
             </div>
             <div className="mt-4 pt-4 border-t border-slate-100 flex justify-center">
               <button
@@ -463,6 +614,25 @@ const ControlPanel: React.FC<ControlPanelProps> = ({
                           <span className="text-[11px] font-black text-slate-700">
                             {vType}
                           </span>
+                          {onPlacePlant && (
+                            <button
+                              onClick={() =>
+                                onPlacePlant(plantToPlace === vType ? null : vType)
+                              }
+                              className={`text-[10px] px-1 rounded transition-colors ${
+                                plantToPlace === vType
+                                  ? "bg-emerald-600 text-white"
+                                  : "text-slate-300 hover:text-emerald-600"
+                              }`}
+                              title={
+                                plantToPlace === vType
+                                  ? "Stop placing (Esc)"
+                                  : `Click a bed to plant ${vType}`
+                              }
+                            >
+                              <i className="fas fa-hand-pointer"></i>
+                            </button>
+                          )}
                         </div>
                         <button
                           onClick={() =>
@@ -495,6 +665,38 @@ const ControlPanel: React.FC<ControlPanelProps> = ({
                         </span>
                       </div>
 
+                      {onUpdatePlantingDay && priority > 0 && (
+                        <div className="flex items-center gap-2 mt-1.5">
+                          <i className="fas fa-calendar-day text-[9px] text-slate-400"></i>
+                          <label className="text-[9px] font-bold text-slate-400 uppercase">
+                            Plant on day
+                          </label>
+                          <input
+                            type="number"
+                            min="0"
+                            max="365"
+                            step="1"
+                            placeholder="all season"
+                            value={seed?.plantingDay ?? ""}
+                            onChange={(e) => {
+                              const day = parseInt(e.target.value, 10);
+                              onUpdatePlantingDay(
+                                vType,
+                                Number.isNaN(day)
+                                  ? undefined
+                                  : Math.min(365, Math.max(0, day)),
+                              );
+                            }}
+                            className="w-20 px-1.5 py-0.5 text-[10px] font-bold text-slate-700 border border-slate-200 rounded focus:outline-none focus:border-emerald-400"
+                          />
+                          {meta?.daysToMaturity && (
+                            <span className="text-[9px] text-slate-400">
+                              ~{meta.daysToMaturity}d to harvest
+                            </span>
+                          )}
+                        </div>
+                      )}
+
                       {isEditing && (
                         <div className="mt-2 pt-2 border-t border-slate-200 space-y-2 animate-in slide-in-from-top-2 duration-200">
                           <p className="text-[9px] font-bold text-slate-400 uppercase mb-1">
@@ -534,6 +736,11 @@ const ControlPanel: React.FC<ControlPanelProps> = ({
                                     <span className="text-[7px] bg-slate-100 px-1 rounded text-slate-500">
                                       Root: {variety.rootDepth}
                                     </span>
+                                    {variety.daysToMaturity && (
+                                      <span className="text-[7px] bg-slate-100 px-1 rounded text-slate-500">
+                                        Days: {variety.daysToMaturity}
+                                      </span>
+                                    )}
                                   </div>
                                 </button>
                               );
@@ -594,6 +801,63 @@ const ControlPanel: React.FC<ControlPanelProps> = ({
                   disabled={!sunEnabled}
                 />
               </div>
+              {sunSettings && onChangeSunSettings && (
+                <div className="mt-3 rounded-lg border border-slate-200 bg-white px-3 py-2">
+                  <div className="flex items-center justify-between text-[10px] font-black uppercase tracking-widest text-slate-400">
+                    <span>Shade Model</span>
+                    {onToggleSunMap && (
+                      <button
+                        onClick={onToggleSunMap}
+                        className={`px-2 py-0.5 rounded-full border ${
+                          showSunMap
+                            ? "bg-yellow-50 text-yellow-700 border-yellow-200"
+                            : "bg-slate-100 text-slate-400 border-slate-200"
+                        }`}
+                        title="Show hours of direct sun on each bed"
+                      >
+                        {showSunMap ? "Sun map on" : "Sun map off"}
+                      </button>
+                    )}
+                  </div>
+                  <div className="mt-2 grid grid-cols-2 gap-2">
+                    <label className="text-[10px] font-bold text-slate-500">
+                      Latitude
+                      <input
+                        type="number"
+                        min="-90"
+                        max="90"
+                        step="0.1"
+                        value={sunSettings.latitude ?? ""}
+                        onChange={(e) => {
+                          const latitude = parseFloat(e.target.value);
+                          if (Number.isFinite(latitude)) {
+                            onChangeSunSettings({
+                              ...sunSettings,
+                              latitude: Math.max(-90, Math.min(90, latitude)),
+                            });
+                          }
+                        }}
+                        className="mt-1 w-full rounded-md border border-slate-200 px-2 py-1 text-xs font-bold text-slate-700"
+                      />
+                    </label>
+                    <label className="text-[10px] font-bold text-slate-500">
+                      Date
+                      <input
+                        type="date"
+                        value={sunSettings.date ?? ""}
+                        onChange={(e) =>
+                          e.target.value &&
+                          onChangeSunSettings({
+                            ...sunSettings,
+                            date: e.target.value,
+                          })
+                        }
+                        className="mt-1 w-full rounded-md border border-slate-200 px-2 py-1 text-xs font-bold text-slate-700"
+                      />
+                    </label>
+                  </div>
+                </div>
+              )}
             </section><section>
               <h2 className="font-bold text-slate-800 text-sm mb-3 flex items-center gap-2">
                 <i className="fas fa-paint-brush text-emerald-500"></i> Canvas Vibe
@@ -657,6 +921,14 @@ const ControlPanel: React.FC<ControlPanelProps> = ({
                   <span className="text-[11px] font-bold text-slate-700">
                     {selectedProvider?.name || "Not set"}
                   </span>
+                  {selectedProvider?.streaming && (
+                    <span
+                      className="text-[10px] font-bold px-2 py-1 rounded-full border bg-indigo-50 text-indigo-600 border-indigo-200"
+                      title="Shows the model's output while it generates"
+                    >
+                      Streams
+                    </span>
+                  )}
                   <span
                     className={`text-[10px] font-bold px-2 py-1 rounded-full border ${
                       oauthChecking
@@ -685,7 +957,7 @@ const ControlPanel: React.FC<ControlPanelProps> = ({
                         onChange={(e) => onChangeAIProvider(e.target.value)}
                         className="w-full text-xs font-semibold bg-white border border-slate-200 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-indigo-400"
                       >
-                        {providerOptions.map((provider) => (
+                        {aiProviders.map((provider) => (
                           <option key={provider.id} value={provider.id}>
                             {provider.name}
                           </option>
@@ -701,11 +973,44 @@ const ControlPanel: React.FC<ControlPanelProps> = ({
                         type="text"
                         value={aiModel}
                         onChange={(e) => onChangeAIModel(e.target.value)}
-                        placeholder="Optional model override"
+                        list="ai-provider-models"
+                        placeholder={
+                          providerModels.length > 0
+                            ? `Default: ${providerModels[0]}`
+                            : "Optional model override"
+                        }
                         className="w-full text-xs font-semibold bg-white border border-slate-200 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-indigo-400"
                       />
+                      <datalist id="ai-provider-models">
+                        {providerModels.map((model) => (
+                          <option key={model} value={model} />
+                        ))}
+                      </datalist>
                     </div>
 
+                    {onToggleRepairLayouts && !selectedProvider?.seeded && (
+                      <label
+                        className="flex items-center gap-2 text-[11px] font-semibold text-slate-600"
+                        title="Nudge plants the model placed on top of each other or outside the bed into valid spots"
+                      >
+                        <input
+                          type="checkbox"
+                          checked={repairLayouts}
+                          onChange={onToggleRepairLayouts}
+                          className="accent-indigo-500"
+                        />
+                        Repair overlaps and out-of-bounds plants
+                      </label>
+                    )}
+
+                    {onChangePackerConfig && selectedProvider?.seeded && (
+                      <PackerSettings
+                        config={packerConfig}
+                        lastSeed={lastPackerSeed}
+                        onChange={onChangePackerConfig}
+                      />
+                    )}
+
                     <div className="grid grid-cols-2 gap-2">
                       <button
                         onClick={() => onTriggerOAuth(aiProvider)}
@@ -829,6 +1134,81 @@ const ControlPanel: React.FC<ControlPanelProps> = ({
               </>
             )}
           </button>
+          {isGenerating && onCancelGenerate && (
+            <button
+              onClick={onCancelGenerate}
+              className="w-full mt-2 py-2 rounded-xl text-xs font-bold transition-all flex items-center justify-center gap-2 border bg-white hover:bg-red-50 text-red-700 border-red-300"
+            >
+              <i className="fas fa-stop"></i>
+              <span>Cancel</span>
+            </button>
+          )}
+          {isGenerating && progress?.connectError && (
+            <div
+              className="mt-2 text-[10px] text-amber-700"
+              title={progress.connectError}
+            >
+              <i className="fas fa-exclamation-triangle mr-1"></i>
+              Live progress unavailable; the layout arrives when it is done.
+            </div>
+          )}
+          {isGenerating && progress && !progress.connectError && (
+            <div className="mt-2 space-y-1">
+              {beds.map((bed) => {
+                const bedProgress = progress.beds[bed.id];
+                if (!bedProgress) return null;
+                return (
+                  <div
+                    key={bed.id}
+                    className="flex items-center justify-between text-[10px] text-slate-500"
+                  >
+                    <span className="flex items-center gap-1.5 truncate">
+                      <i
+                        className={`fas ${
+                          bedProgress.status === "done"
+                            ? "fa-check text-green-600"
+                            : bedProgress.status === "running"
+                              ? "fa-spinner fa-spin text-green-700"
+                              : "fa-clock text-slate-300"
+                        }`}
+                      ></i>
+                      <span className="truncate">{bed.name || bed.id}</span>
+                    </span>
+                    {bedProgress.status === "running" &&
+                      bedProgress.iteration !== undefined && (
+                        <span className="font-mono text-slate-400">
+                          iter {bedProgress.iteration} · energy{" "}
+                          {bedProgress.energy?.toFixed(1)}
+                        </span>
+                      )}
+                  </div>
+                );
+              })}
+              {progress.tokens > 0 && (
+                <div className="text-[10px] text-slate-400 font-mono">
+                  {progress.tokens.toLocaleString()} characters received
+                </div>
+              )}
+            </div>
+          )}
+          {!isGenerating && lastReport && (
+            <OptimizeReport report={lastReport} />
+          )}
+          {onFillGaps && (
+            <button
+              onClick={onFillGaps}
+              disabled={isGenerating || !canFillGaps}
+              title="Keep the current plants and only add new ones into free space"
+              className={`w-full mt-2 py-2 rounded-xl text-xs font-bold transition-all flex items-center justify-center gap-2 border ${
+                isGenerating || !canFillGaps
+                  ? "bg-slate-50 cursor-not-allowed text-slate-300 border-slate-200"
+                  : "bg-white hover:bg-green-50 text-green-800 border-green-700"
+              }`}
+            >
+              <i className="fas fa-fill-drip"></i>
+              <span>Fill the Gaps</span>
+            </button>
+          )}
         </div>
       </div>
     </div>
@@ -1,11 +1,16 @@
-import React, { useState } from "react";
+import React, { useMemo, useState } from "react";
 import {
   GardenBed,
   BedLayout,
   PlantPlacement,
   PlantMeta,
+  SunSettings,
 } from "../shared/types";
 import { GRID_SIZE, INCHES_PER_GRID } from "../constants";
+import { hasPolygonOutline } from "../shared/bedGeometry";
+import { isInGroundOnDay } from "../shared/succession";
+import { computeSunGrid } from "../shared/sunShade";
+import type { PlantPreview } from "../hooks/usePlantEditing";
 
 interface GardenBedViewProps {
   bed: GardenBed;
@@ -14,9 +19,29 @@ interface GardenBedViewProps {
   onDragStart: (e: React.MouseEvent, id: string) => void;
   isSelected: boolean;
   onClick: () => void;
+  onTogglePlantLock?: (plantId: string) => void;
   bedShadow?: { dx: number; dy: number } | "none";
+  timelineDay?: number | null; // only plants in the ground on this season day are shown
+  sunMap?: SunSettings | null; // hours-of-sun heatmap; null hides it
+  onPlantMouseDown?: (e: React.MouseEvent, plantId: string) => void;
+  selectedPlantId?: string | null;
+  draggedPlantId?: string | null; // dimmed while it is dragged elsewhere
+  preview?: PlantPreview | null; // ghost of a plant being dropped in this bed
 }
 
+// What is wrong with a previewed spot, or null when it is clear
+const describePreview = ({ check }: PlantPreview) => {
+  if (check.bounds?.reason === "outside") return "Outside the bed";
+  if (check.bounds?.reason === "obstacle") {
+    return `On ${check.bounds.obstacle || "a keep-out zone"}`;
+  }
+  if (check.crowding.length > 0) {
+    const names = [...new Set(check.crowding.map((c) => c.veggieType))];
+    return `Too close to ${names.join(", ")}`;
+  }
+  return null;
+};
+
 const GardenBedView: React.FC<GardenBedViewProps> = ({
   bed,
   layout,
@@ -24,14 +49,47 @@ const GardenBedView: React.FC<GardenBedViewProps> = ({
   onDragStart,
   isSelected,
   onClick,
+  onTogglePlantLock,
   bedShadow,
+  timelineDay = null,
+  sunMap = null,
+  onPlantMouseDown,
+  selectedPlantId = null,
+  draggedPlantId = null,
+  preview = null,
 }) => {
   const [hoveredPlant, setHoveredPlant] = useState<PlantPlacement | null>(null);
+  const isEditingPlants = !!draggedPlantId || !!preview;
+  const crowdedIds = new Set(
+    preview?.check.crowding.map((conflict) => conflict.plantId),
+  );
+  const visiblePlacements = useMemo(
+    () =>
+      (layout?.placements || []).filter(
+        (plant) => timelineDay === null || isInGroundOnDay(plant, timelineDay),
+      ),
+    [layout, timelineDay],
+  );
+  const sunGrid = useMemo(
+    () =>
+      sunMap
+        ? computeSunGrid(bed, visiblePlacements, veggieMetadata, sunMap)
+        : null,
+    [bed, visiblePlacements, veggieMetadata, sunMap],
+  );
   const widthPx = (bed.width / INCHES_PER_GRID) * GRID_SIZE;
   const heightPx = (bed.height / INCHES_PER_GRID) * GRID_SIZE;
+  const isPolygon = hasPolygonOutline(bed);
+  const outlinePx = isPolygon
+    ? bed.vertices!.map((v) => [
+        (v.x / INCHES_PER_GRID) * GRID_SIZE,
+        (v.y / INCHES_PER_GRID) * GRID_SIZE,
+      ])
+    : [];
 
   const shadowForShape = () => {
-    if (!bedShadow || bedShadow === "none") return "none";
+    // Polygon beds rely on the shadow hull; a box shadow would trace the bounding box
+    if (!bedShadow || bedShadow === "none" || isPolygon) return "none";
     const { dx, dy } = bedShadow;
     const contactBlur =
       bed.shape === "circle" ? 4 : bed.shape === "pill" ? 3.5 : 3;
@@ -47,6 +105,9 @@ const GardenBedView: React.FC<GardenBedViewProps> = ({
     const h = heightPx;
 
     const basePoints = (() => {
+      if (isPolygon) {
+        return outlinePx.map((p) => [p[0], p[1]]);
+      }
       if (bed.shape === "circle") {
         const r = Math.min(w, h) / 2;
         const cx = w / 2;
@@ -160,6 +221,8 @@ const GardenBedView: React.FC<GardenBedViewProps> = ({
         return "50%";
       case "pill":
         return "9999px";
+      case "polygon":
+        return isPolygon ? "0" : "8px";
       default:
         return "8px";
     }
@@ -187,11 +250,17 @@ const GardenBedView: React.FC<GardenBedViewProps> = ({
         e.stopPropagation();
         onClick();
       }}
-      onMouseDown={(e) => !hoveredPlant && onDragStart(e, bed.id)}
-      className={`absolute cursor-move border-4 transition-all duration-300 bed-texture shadow-2xl flex items-center justify-center ${
+      onMouseDown={(e) =>
+        (!hoveredPlant || isEditingPlants) && onDragStart(e, bed.id)
+      }
+      className={`absolute cursor-move transition-all duration-300 flex items-center justify-center ${
+        isPolygon ? "" : "border-4 bed-texture shadow-2xl"
+      } ${
         isSelected
-          ? "border-emerald-500 ring-4 ring-emerald-500/20 z-40 scale-[1.005]"
-          : "border-[#4e342e]"
+          ? `${isPolygon ? "" : "border-emerald-500 ring-4 ring-emerald-500/20"} z-40 scale-[1.005]`
+          : isPolygon
+            ? ""
+            : "border-[#4e342e]"
       }`}
       style={{
         left: bed.x * GRID_SIZE,
@@ -245,6 +314,33 @@ const GardenBedView: React.FC<GardenBedViewProps> = ({
           </svg>
         </div>
       )}
+      {/* Polygon beds: soil clipped to the outline, border drawn as an SVG stroke */}
+      {isPolygon && (
+        <>
+          <div
+            className="absolute inset-0 bed-texture pointer-events-none"
+            style={{
+              clipPath: `polygon(${outlinePx
+                .map((p) => `${p[0]}px ${p[1]}px`)
+                .join(", ")})`,
+              zIndex: -1,
+            }}
+          />
+          <svg
+            className="absolute inset-0 pointer-events-none overflow-visible"
+            width={widthPx}
+            height={heightPx}
+          >
+            <polygon
+              points={outlinePx.map((p) => `${p[0]},${p[1]}`).join(" ")}
+              fill="none"
+              stroke={isSelected ? "#10b981" : "#4e342e"}
+              strokeWidth={4}
+              strokeLinejoin="round"
+            />
+          </svg>
+        </>
+      )}
       {/* Bed Label - Stays on top of soil but under tooltips */}
       <div className="absolute top-3 left-3 flex flex-col items-start gap-1 z-10 pointer-events-none">
         {bed.name && (
@@ -258,7 +354,7 @@ const GardenBedView: React.FC<GardenBedViewProps> = ({
       </div>
 
       {/* Floating Tooltip - Outside of the overflow container */}
-      {hoveredPlant && (
+      {hoveredPlant && !isEditingPlants && (
         <div
           className={`absolute pointer-events-none z-[100] animate-in fade-in zoom-in-95 duration-200 drop-shadow-2xl ${
             hoveredPlant.x > bed.width / 2
@@ -303,6 +399,19 @@ const GardenBedView: React.FC<GardenBedViewProps> = ({
                     {hoveredPlant.size || hoveredMeta?.spacing}"
                   </span>
                 </div>
+                {typeof hoveredPlant.harvestDay === "number" && (
+                  <div className="col-span-2 bg-white/5 p-2 rounded-lg border border-white/5">
+                    <span className="block text-[7px] text-white/40 font-black uppercase">
+                      Season
+                    </span>
+                    <span className="text-white font-black text-xs">
+                      Sow day {hoveredPlant.sowDay}
+                      {typeof hoveredPlant.transplantDay === "number" &&
+                        ` • Transplant ${hoveredPlant.transplantDay}`}
+                      {` • Harvest ${hoveredPlant.harvestDay}`}
+                    </span>
+                  </div>
+                )}
               </div>
 
               <div className="space-y-3">
@@ -337,7 +446,94 @@ const GardenBedView: React.FC<GardenBedViewProps> = ({
         className="relative w-full h-full"
         style={{ borderRadius: "inherit" }}
       >
-        {layout?.placements.map((plant) => {
+        {/* Sun map: hours of direct sun per cell, blue (shade) to yellow (full sun) */}
+        {sunGrid && sunGrid.daylightHours > 0 && (
+          <svg
+            className="absolute inset-0 pointer-events-none overflow-visible"
+            width="100%"
+            height="100%"
+          >
+            {sunGrid.hours.flatMap((row, rowIdx) =>
+              row.map((hours, colIdx) => {
+                if (hours === null) return null;
+                const cellPx = (sunGrid.cellSize / INCHES_PER_GRID) * GRID_SIZE;
+                const share = hours / sunGrid.daylightHours;
+                return (
+                  <rect
+                    key={`${rowIdx}-${colIdx}`}
+                    x={colIdx * cellPx}
+                    y={rowIdx * cellPx}
+                    width={Math.min(cellPx, widthPx - colIdx * cellPx)}
+                    height={Math.min(cellPx, heightPx - rowIdx * cellPx)}
+                    fill={`hsla(${Math.round(220 - 170 * share)}, 90%, 55%, 0.45)`}
+                  />
+                );
+              }),
+            )}
+          </svg>
+        )}
+
+        {/* Keep-out zones (paths, stones, risers, perennials) */}
+        {bed.obstacles && bed.obstacles.length > 0 && (
+          <svg
+            className="absolute inset-0 pointer-events-none overflow-visible z-10"
+            width="100%"
+            height="100%"
+          >
+            {bed.obstacles.map((obstacle, idx) => {
+              const toPx = (inches: number | undefined) =>
+                ((inches ?? 0) / INCHES_PER_GRID) * GRID_SIZE;
+              const common = {
+                fill: "rgba(120, 113, 108, 0.85)",
+                stroke: "rgba(41, 37, 36, 0.6)",
+                strokeWidth: 2,
+                strokeDasharray: "6 4",
+              };
+              const key = obstacle.id || `obstacle-${idx}`;
+              if (obstacle.kind === "circle") {
+                return (
+                  <circle
+                    key={key}
+                    cx={toPx(obstacle.x)}
+                    cy={toPx(obstacle.y)}
+                    r={toPx(obstacle.radius)}
+                    {...common}
+                  >
+                    <title>{obstacle.label || "Keep-out"}</title>
+                  </circle>
+                );
+              }
+              if (obstacle.kind === "rect") {
+                return (
+                  <rect
+                    key={key}
+                    x={toPx(obstacle.x)}
+                    y={toPx(obstacle.y)}
+                    width={toPx(obstacle.width)}
+                    height={toPx(obstacle.height)}
+                    rx={4}
+                    {...common}
+                  >
+                    <title>{obstacle.label || "Keep-out"}</title>
+                  </rect>
+                );
+              }
+              return (
+                <polygon
+                  key={key}
+                  points={(obstacle.vertices || [])
+                    .map((v) => `${toPx(v.x)},${toPx(v.y)}`)
+                    .join(" ")}
+                  {...common}
+                >
+                  <title>{obstacle.label || "Keep-out"}</title>
+                </polygon>
+              );
+            })}
+          </svg>
+        )}
+
+        {visiblePlacements.map((plant) => {
           // Resilient, case-tolerant metadata lookup for the plant type.
           const plantTypeKey = String(plant.veggieType || "").trim();
           const meta = (() => {
@@ -372,11 +568,18 @@ const GardenBedView: React.FC<GardenBedViewProps> = ({
           const pxX = (plant.x / INCHES_PER_GRID) * GRID_SIZE;
           const pxY = (plant.y / INCHES_PER_GRID) * GRID_SIZE;
 
-          const isThisHovered = hoveredPlant?.id === plant.id;
+          const isThisHovered =
+            hoveredPlant?.id === plant.id && !isEditingPlants;
 
           // Pure color logic for companions (case-insensitive comparison)
           let statusEffect = "";
-          if (hoveredPlant && !isThisHovered) {
+          if (draggedPlantId === plant.id) {
+            statusEffect = "opacity-30";
+          } else if (crowdedIds.has(plant.id)) {
+            statusEffect = "ring-4 ring-amber-400 z-30";
+          } else if (selectedPlantId === plant.id) {
+            statusEffect = "ring-4 ring-sky-400 z-30";
+          } else if (hoveredPlant && !isThisHovered && !isEditingPlants) {
             const plantNorm = plantTypeKey.toLowerCase();
             const hoveredCompanions = (hoveredMeta?.companions || []).map((c) =>
               String(c).toLowerCase(),
@@ -401,7 +604,21 @@ const GardenBedView: React.FC<GardenBedViewProps> = ({
               key={plant.id}
               onMouseEnter={(e) => handlePlantHover(e, plant)}
               onMouseLeave={() => setHoveredPlant(null)}
-              className={`absolute flex items-center justify-center rounded-full transition-all duration-500 cursor-crosshair ${
+              onMouseDown={(e) => onPlantMouseDown?.(e, plant.id)}
+              onDoubleClick={(e) => {
+                e.stopPropagation();
+                onTogglePlantLock?.(plant.id);
+              }}
+              title={
+                onTogglePlantLock
+                  ? plant.locked
+                    ? "Locked - double-click to unlock"
+                    : "Double-click to lock in place"
+                  : undefined
+              }
+              className={`absolute flex items-center justify-center rounded-full transition-all duration-500 ${
+                onPlantMouseDown ? "cursor-grab" : "cursor-crosshair"
+              } ${
                 isThisHovered
                   ? "z-[60] ring-4 ring-white shadow-[0_0_40px_rgba(255,255,255,0.4)] scale-125"
                   : "z-20"
@@ -414,7 +631,9 @@ const GardenBedView: React.FC<GardenBedViewProps> = ({
                 backgroundColor: isThisHovered ? meta.color : `${meta.color}BB`,
                 border: isThisHovered
                   ? `3px solid white`
-                  : `1.5px solid rgba(255,255,255,0.3)`,
+                  : plant.locked
+                    ? `2px dashed rgba(255,255,255,0.9)`
+                    : `1.5px solid rgba(255,255,255,0.3)`,
                 fontSize: `${Math.max(12, displaySizePx * 0.5)}px`,
               }}
             >
@@ -423,9 +642,55 @@ const GardenBedView: React.FC<GardenBedViewProps> = ({
               >
                 {meta.icon}
               </span>
+              {plant.locked && (
+                <span className="absolute -top-1 -right-1 bg-slate-900/90 text-white rounded-full w-4 h-4 flex items-center justify-center text-[8px] shadow">
+                  <i className="fas fa-lock"></i>
+                </span>
+              )}
             </div>
           );
         })}
+
+        {/* Where a dragged or new plant would land: green fits, amber is
+            crowded, red will not drop */}
+        {preview &&
+          (() => {
+            const { placement, check } = preview;
+            const sizePx = (placement.size / INCHES_PER_GRID) * GRID_SIZE;
+            const problem = describePreview(preview);
+            const color = check.bounds
+              ? "rgba(220, 38, 38, 0.9)"
+              : problem
+                ? "rgba(245, 158, 11, 0.9)"
+                : "rgba(16, 185, 129, 0.9)";
+            return (
+              <div
+                className="absolute pointer-events-none z-[70] flex items-center justify-center rounded-full"
+                style={{
+                  left:
+                    (placement.x / INCHES_PER_GRID) * GRID_SIZE - sizePx / 2,
+                  top: (placement.y / INCHES_PER_GRID) * GRID_SIZE - sizePx / 2,
+                  width: sizePx,
+                  height: sizePx,
+                  backgroundColor: `${veggieMetadata[placement.veggieType]?.color ?? "#999999"}99`,
+                  border: `3px dashed ${color}`,
+                  fontSize: `${Math.max(12, sizePx * 0.5)}px`,
+                }}
+              >
+                <span>
+                  {veggieMetadata[placement.veggieType]?.icon ?? "🌱"}
+                </span>
+                {problem && (
+                  <span
+                    className="absolute top-full mt-1 whitespace-nowrap text-[9px] font-black text-white px-1.5 py-0.5 rounded shadow"
+                    style={{ backgroundColor: color }}
+                  >
+                    {problem}
+                  </span>
+                )}
+              </div>
+            );
+          })()}
       </div>
     </div>
   );
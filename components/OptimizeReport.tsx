@@ -0,0 +1,103 @@
+import React from "react";
+import type { OptimizationReport } from "../services/geminiService";
+
+type OptimizeReportProps = {
+  report: OptimizationReport;
+};
+
+/**
+ * What the server did to the last generated layout beyond asking the
+ * provider: answers self-correction sent back, plants the repair pass moved
+ * or removed, and how a best-of-N ensemble ranked its runs.
+ */
+const OptimizeReport: React.FC<OptimizeReportProps> = ({ report }) => {
+  const repairs = report.repairs ?? [];
+  const moved = repairs.reduce((sum, repair) => sum + repair.moved.length, 0);
+  const removed = repairs.reduce(
+    (sum, repair) => sum + repair.removed.length,
+    0,
+  );
+  const repairedBeds = repairs.filter(
+    (repair) => repair.moved.length > 0 || repair.removed.length > 0,
+  ).length;
+
+  const ensemble = report.ensemble ?? [];
+  // Every answer but the last was sent back for another try
+  const attempts = report.attempts ?? [];
+  const retried = attempts.slice(0, -1);
+
+  if (repairedBeds === 0 && ensemble.length === 0 && retried.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="mt-2 space-y-1 text-[10px] text-slate-500">
+      {ensemble.length > 0 && (
+        <div>
+          <div className="font-black uppercase tracking-widest text-slate-400">
+            Best of {ensemble.length} runs
+          </div>
+          <ol className="mt-1 space-y-0.5">
+            {ensemble.map((run) => (
+              <li
+                key={run.rank}
+                className={`flex justify-between gap-2 ${
+                  run.rank === 1 ? "font-bold text-green-700" : ""
+                }`}
+              >
+                <span className="truncate">
+                  {run.rank}. {run.provider}
+                  {run.model ? ` ${run.model}` : ""}
+                  {run.randomSeed !== undefined
+                    ? ` (seed ${run.randomSeed})`
+                    : ""}
+                </span>
+                {run.error ? (
+                  <span className="truncate text-red-500" title={run.error}>
+                    failed
+                  </span>
+                ) : (
+                  <span className="font-mono">
+                    {run.score?.score.toFixed(1)}
+                  </span>
+                )}
+              </li>
+            ))}
+          </ol>
+        </div>
+      )}
+      {retried.length > 0 && (
+        <div
+          className="flex items-center gap-1.5"
+          title={retried
+            .map(
+              ({ attempt, outcome, errors }) =>
+                `Answer ${attempt} (${outcome}): ${errors.join("; ")}`,
+            )
+            .join("\n")}
+        >
+          <i className="fas fa-redo text-indigo-400"></i>
+          <span>
+            {attempts.length} answers needed: {retried.length} sent back for{" "}
+            {retried.map(({ outcome }) => outcome).join(", ")}
+          </span>
+        </div>
+      )}
+      {repairedBeds > 0 && (
+        <div
+          className="flex items-center gap-1.5"
+          title="Plants the provider put outside their bed or on top of each other"
+        >
+          <i className="fas fa-wrench text-amber-500"></i>
+          <span>
+            Repaired {repairedBeds} {repairedBeds === 1 ? "bed" : "beds"}: moved{" "}
+            {moved}, removed {removed}{" "}
+            {moved + removed === 1 ? "plant" : "plants"}
+          </span>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OptimizeReport;
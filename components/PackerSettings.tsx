@@ -0,0 +1,140 @@
+import React, { useState } from "react";
+import { PackerConfig } from "../shared/types";
+import {
+  MAX_PACKER_SEED,
+  PACKER_DEFAULTS,
+  PACKER_PARAMETERS,
+  PackerParameterKey,
+} from "../shared/packerConfig";
+
+type PackerSettingsProps = {
+  config: PackerConfig;
+  lastSeed: number | null; // seed the last local run used
+  onChange: (config: PackerConfig) => void;
+};
+
+const formatValue = (value: number) =>
+  Number.isInteger(value) ? String(value) : value.toFixed(value < 0.1 ? 3 : 2);
+
+/**
+ * Advanced tuning for the local packer. Only changed parameters are sent;
+ * leaving the seed empty picks a new one each run.
+ */
+const PackerSettings: React.FC<PackerSettingsProps> = ({
+  config,
+  lastSeed,
+  onChange,
+}) => {
+  const [open, setOpen] = useState(false);
+  const { random_seed, ...tuning } = config;
+  const changed = Object.keys(tuning).length;
+
+  const setParameter = (key: PackerParameterKey, value: number) => {
+    const next = { ...config };
+    if (value === PACKER_DEFAULTS[key]) delete next[key];
+    else next[key] = value;
+    onChange(next);
+  };
+
+  const setSeed = (seed: number | undefined) => {
+    const { random_seed: _seed, ...rest } = config;
+    onChange(seed === undefined ? rest : { ...rest, random_seed: seed });
+  };
+
+  return (
+    <div className="rounded-lg border border-slate-200 bg-white">
+      <button
+        onClick={() => setOpen((prev) => !prev)}
+        className="w-full flex items-center justify-between px-3 py-2 text-[10px] font-black text-slate-500 uppercase tracking-widest"
+      >
+        <span>
+          Advanced packer
+          {changed > 0 && (
+            <span className="ml-2 text-indigo-500 normal-case tracking-normal">
+              {changed} changed
+            </span>
+          )}
+        </span>
+        <i className={`fas fa-chevron-${open ? "up" : "down"} text-[9px]`}></i>
+      </button>
+
+      {open && (
+        <div className="px-3 pb-3 space-y-2">
+          {PACKER_PARAMETERS.map(({ key, label, min, max, step }) => {
+            const value = config[key] ?? PACKER_DEFAULTS[key];
+            return (
+              <div key={key}>
+                <div className="flex justify-between text-[10px]">
+                  <span className="font-semibold text-slate-600">{label}</span>
+                  <span
+                    className={`font-black ${
+                      config[key] !== undefined
+                        ? "text-indigo-600"
+                        : "text-slate-400"
+                    }`}
+                  >
+                    {formatValue(value)}
+                  </span>
+                </div>
+                <input
+                  type="range"
+                  min={min}
+                  max={max}
+                  step={step}
+                  value={value}
+                  onChange={(e) => setParameter(key, Number(e.target.value))}
+                  className="w-full h-1 bg-slate-200 rounded-lg appearance-none cursor-pointer accent-indigo-500"
+                />
+              </div>
+            );
+          })}
+
+          <div className="pt-2 border-t border-slate-100 space-y-1">
+            <label className="text-[10px] font-semibold text-slate-600">
+              Random seed
+            </label>
+            <div className="flex gap-2">
+              <input
+                type="number"
+                min={0}
+                max={MAX_PACKER_SEED}
+                step={1}
+                value={random_seed ?? ""}
+                placeholder="new each run"
+                onChange={(e) => {
+                  const seed = parseInt(e.target.value, 10);
+                  setSeed(
+                    Number.isNaN(seed)
+                      ? undefined
+                      : Math.min(MAX_PACKER_SEED, Math.max(0, seed)),
+                  );
+                }}
+                className="flex-1 min-w-0 text-xs font-semibold bg-white border border-slate-200 rounded-lg px-2 py-1 focus:outline-none focus:ring-2 focus:ring-indigo-400"
+              />
+              {lastSeed !== null && lastSeed !== random_seed && (
+                <button
+                  onClick={() => setSeed(lastSeed)}
+                  className="text-[10px] font-bold px-2 rounded-lg border border-slate-200 bg-slate-50 hover:bg-slate-100 text-slate-600"
+                  title="Pin the seed of the last run to reproduce it"
+                >
+                  Use {lastSeed}
+                </button>
+              )}
+            </div>
+          </div>
+
+          {(changed > 0 || random_seed !== undefined) && (
+            <button
+              onClick={() => onChange({})}
+              className="text-[10px] font-bold text-slate-400 hover:text-indigo-600"
+            >
+              <i className="fas fa-rotate-left mr-1"></i>Reset to defaults
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PackerSettings;
@@ -0,0 +1,152 @@
+import React, { useState } from "react";
+import {
+  BedLayout,
+  GardenBed,
+  GardenRevision,
+  GardenRevisionSummary,
+} from "../shared/types";
+import { countPlants, diffGardens, GardenDiff } from "../shared/gardenDiff";
+
+type RevisionHistoryProps = {
+  gardenName: string;
+  revisions: GardenRevisionSummary[];
+  beds: GardenBed[];
+  layouts: BedLayout[];
+  onLoadRevision: (revision: number) => Promise<GardenRevision | undefined>;
+  onRestoreRevision: (revision: number) => void;
+};
+
+const describeDiff = (diff: GardenDiff): string[] => [
+  ...diff.bedsAdded.map((bed) => `+ ${bed.name || bed.id} added`),
+  ...diff.bedsRemoved.map((bed) => `− ${bed.name || bed.id} removed`),
+  ...diff.bedsMoved.map(
+    ({ bedId, name, from, to }) =>
+      `${name || bedId} moved (${from.x}, ${from.y}) → (${to.x}, ${to.y})`,
+  ),
+  ...diff.bedsResized.map(
+    ({ bedId, name, from, to }) =>
+      `${name || bedId} resized ${from.width}×${from.height}" → ${to.width}×${to.height}"`,
+  ),
+  ...diff.plants.map(({ bedId, name, added, removed }) =>
+    [
+      `${name || bedId}:`,
+      added.length > 0 ? `+${countPlants(added)}` : "",
+      removed.length > 0 ? `−${countPlants(removed)}` : "",
+    ]
+      .filter(Boolean)
+      .join(" "),
+  ),
+];
+
+/**
+ * Saved revisions of the current garden with a diff against what is on
+ * screen and one-click restore
+ */
+const RevisionHistory: React.FC<RevisionHistoryProps> = ({
+  gardenName,
+  revisions,
+  beds,
+  layouts,
+  onLoadRevision,
+  onRestoreRevision,
+}) => {
+  const [compared, setCompared] = useState<{
+    revision: number;
+    lines: string[] | null; // null while loading
+  } | null>(null);
+
+  const handleCompare = async (revision: number) => {
+    if (compared?.revision === revision) {
+      setCompared(null);
+      return;
+    }
+    setCompared({ revision, lines: null });
+    const saved = await onLoadRevision(revision);
+    const lines = saved
+      ? describeDiff(diffGardens(saved.garden, { beds, layouts }))
+      : ["Revision could not be loaded."];
+    setCompared((current) =>
+      current?.revision === revision ? { revision, lines } : current,
+    );
+  };
+
+  const handleRestore = (revision: number) => {
+    if (confirm(`Restore revision ${revision} of "${gardenName}"?`)) {
+      setCompared(null);
+      onRestoreRevision(revision);
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-2">
+        <span className="text-[10px] font-black text-slate-400 uppercase tracking-widest truncate">
+          History · {gardenName}
+        </span>
+      </div>
+      <div className="max-h-48 overflow-y-auto space-y-1">
+        {revisions.length === 0 && (
+          <p className="text-[10px] text-slate-400 italic">
+            No revisions yet. Each save records one.
+          </p>
+        )}
+        {revisions.map((entry) => (
+          <div
+            key={entry.revision}
+            className="p-2 text-xs bg-slate-50 rounded border border-slate-100"
+          >
+            <div className="flex justify-between items-center gap-2">
+              <span className="font-bold text-slate-700">
+                #{entry.revision}
+              </span>
+              <span className="text-[9px] text-slate-400 flex-1 truncate">
+                {new Date(entry.savedAt).toLocaleString()}
+              </span>
+              <button
+                onClick={() => handleCompare(entry.revision)}
+                className="text-slate-400 hover:text-indigo-600"
+                title="Changes since this revision"
+              >
+                <i className="fas fa-code-compare text-[10px]"></i>
+              </button>
+              <button
+                onClick={() => handleRestore(entry.revision)}
+                className="text-slate-400 hover:text-indigo-600"
+                title="Restore this revision"
+              >
+                <i className="fas fa-undo text-[10px]"></i>
+              </button>
+            </div>
+            {entry.note && (
+              <p className="text-[10px] text-slate-500 mt-0.5 truncate">
+                {entry.note}
+              </p>
+            )}
+            {compared?.revision === entry.revision && (
+              <div className="mt-1 pt-1 border-t border-slate-200 space-y-0.5">
+                {compared.lines === null && (
+                  <p className="text-[9px] text-slate-400 italic">Loading…</p>
+                )}
+                {compared.lines?.length === 0 && (
+                  <p className="text-[9px] text-slate-400 italic">
+                    Same as the current garden.
+                  </p>
+                )}
+                {compared.lines?.map((line, i) => (
+                  <p
+                    key={i}
+                    className="text-[9px] text-slate-600 leading-tight"
+                  >
+                    {line}
+                  </p>
+                ))}
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default RevisionHistory;
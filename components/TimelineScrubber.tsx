@@ -0,0 +1,89 @@
+import React from "react";
+import { BedLayout, LayoutPhase } from "../shared/types";
+import { getSeasonEnd } from "../shared/succession";
+
+type TimelineScrubberProps = {
+  layouts: BedLayout[];
+  day: number | null;
+  onChangeDay: (day: number | null) => void;
+};
+
+const TimelineScrubber: React.FC<TimelineScrubberProps> = ({
+  layouts,
+  day,
+  onChangeDay,
+}) => {
+  // Same phase on several beds shows once
+  const phases = Array.from(
+    new Map<string, LayoutPhase>(
+      layouts
+        .flatMap((layout) => layout.phases || [])
+        .map((phase) => [`${phase.startDay}:${phase.label}`, phase]),
+    ).values(),
+  ).sort((a, b) => a.startDay - b.startDay);
+  if (phases.length === 0) return null;
+
+  const seasonEnd = getSeasonEnd(layouts);
+  const active =
+    day === null
+      ? []
+      : phases.filter((phase) => phase.startDay <= day && day < phase.endDay);
+
+  return (
+    <div
+      className="absolute bottom-8 left-8 w-80 bg-white/95 backdrop-blur-sm rounded-2xl border border-slate-200 shadow-xl px-4 py-3 z-30"
+      onClick={(e) => e.stopPropagation()}
+      onMouseDown={(e) => e.stopPropagation()}
+    >
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-2 text-[10px] font-black uppercase tracking-widest text-slate-500">
+          <i className="fas fa-seedling text-emerald-600"></i> Season
+        </div>
+        <button
+          onClick={() => onChangeDay(day === null ? 0 : null)}
+          className={`text-[10px] font-black uppercase tracking-widest px-2 py-0.5 rounded-full border ${
+            day === null
+              ? "bg-slate-100 text-slate-500 border-slate-200"
+              : "bg-emerald-50 text-emerald-700 border-emerald-200"
+          }`}
+          title={day === null ? "Scrub through the season" : "Show all phases"}
+        >
+          {day === null ? "All phases" : `Day ${day}`}
+        </button>
+      </div>
+
+      <div className="relative mt-3 h-3">
+        {phases.map((phase) => (
+          <div
+            key={`${phase.id}-${phase.startDay}`}
+            className="absolute top-0 h-3 rounded-full bg-emerald-200 border border-emerald-300"
+            style={{
+              left: `${(Math.max(0, phase.startDay) / seasonEnd) * 100}%`,
+              width: `${(Math.max(1, phase.endDay - Math.max(0, phase.startDay)) / seasonEnd) * 100}%`,
+              opacity: active.length === 0 || active.includes(phase) ? 1 : 0.35,
+            }}
+            title={`${phase.label}: day ${phase.startDay}-${phase.endDay}`}
+          />
+        ))}
+      </div>
+      <input
+        type="range"
+        min="0"
+        max={seasonEnd}
+        step="1"
+        value={day ?? 0}
+        onChange={(e) => onChangeDay(parseInt(e.target.value, 10))}
+        className="w-full mt-2 h-1 bg-slate-200 rounded-lg appearance-none cursor-pointer accent-emerald-600"
+      />
+      <div className="mt-1 text-[11px] font-bold text-slate-700 truncate">
+        {day === null
+          ? `${phases.length} phases over ${seasonEnd} days`
+          : active.length > 0
+            ? active.map((phase) => phase.label).join(" • ")
+            : "Bed resting"}
+      </div>
+    </div>
+  );
+};
+
+export default TimelineScrubber;
@@ -1,8 +1,42 @@
 import { useEffect, useState } from "react";
-import { AIProviderId } from "../shared/types";
-import { withServerUrl } from "../services/serverUrl";
+import { AIProviderId, AIProviderInfo } from "../shared/types";
+import { serverFetch, withServerUrl } from "../services/serverUrl";
 
-type ProviderEntry = { id: string; name: string; supportsOAuth?: boolean };
+// Built-ins listed until /api/providers answers
+const FALLBACK_PROVIDERS: AIProviderInfo[] = [
+  {
+    id: "local",
+    name: "Local Procedural",
+    supportsOAuth: false,
+    models: [],
+    streaming: false,
+    seeded: true,
+  },
+  {
+    id: "gemini",
+    name: "Google Gemini",
+    supportsOAuth: true,
+    models: [],
+    streaming: true,
+    seeded: false,
+  },
+  {
+    id: "openai",
+    name: "OpenAI",
+    supportsOAuth: true,
+    models: [],
+    streaming: true,
+    seeded: false,
+  },
+  {
+    id: "anthropic",
+    name: "Anthropic",
+    supportsOAuth: true,
+    models: [],
+    streaming: true,
+    seeded: false,
+  },
+];
 
 type OAuthStatus = {
   connected: boolean;
@@ -20,17 +54,18 @@ export const useAIProviders = () => {
   const [aiProvider, setAiProvider] = useState<AIProviderId>("local");
   const [aiModel, setAiModel] = useState("");
   const [aiApiKey, setAiApiKey] = useState("");
-  const [aiProviders, setAiProviders] = useState<ProviderEntry[]>([]);
+  const [aiProviders, setAiProviders] =
+    useState<AIProviderInfo[]>(FALLBACK_PROVIDERS);
   const [oauthStatus, setOauthStatus] = useState<OAuthStatus>(null);
   const [oauthChecking, setOauthChecking] = useState(false);
 
   useEffect(() => {
     const loadProviders = async () => {
       try {
-        const res = await fetch(withServerUrl("/api/providers"));
+        const res = await serverFetch(withServerUrl("/api/providers"));
         if (!res.ok) return;
         const data = await res.json();
-        if (Array.isArray(data?.providers)) {
+        if (Array.isArray(data?.providers) && data.providers.length > 0) {
           setAiProviders(data.providers);
         }
       } catch (err) {
@@ -47,7 +82,7 @@ export const useAIProviders = () => {
     const checkOAuth = async () => {
       setOauthChecking(true);
       try {
-        const res = await fetch(withServerUrl(`/oauth/${aiProvider}/connected`));
+        const res = await serverFetch(withServerUrl(`/oauth/${aiProvider}/connected`));
         if (!res.ok) {
           if (isActive) setOauthStatus(null);
           return;
@@ -73,6 +108,9 @@ export const useAIProviders = () => {
     };
   }, [aiProvider]);
 
+  const selectedProvider =
+    aiProviders.find((provider) => provider.id === aiProvider) ?? null;
+
   const handleTriggerOAuth = (provider: string) => {
     const redirect = encodeURIComponent(window.location.href);
     window.location.href = withServerUrl(
@@ -87,7 +125,7 @@ export const useAIProviders = () => {
   ): Promise<DeviceFlowStartResult> => {
     if (!provider) return null;
     try {
-      const res = await fetch(withServerUrl(`/oauth/${provider}/device/start`), {
+      const res = await serverFetch(withServerUrl(`/oauth/${provider}/device/start`), {
         method: "POST",
         headers: { "Content-Type": "application/json" },
       });
@@ -112,7 +150,7 @@ export const useAIProviders = () => {
   const handlePollDeviceFlow = async (provider: string, key: string) => {
     if (!provider || !key) return null;
     try {
-      const res = await fetch(
+      const res = await serverFetch(
         withServerUrl(
           `/oauth/${provider}/device/poll?key=${encodeURIComponent(key)}`,
         ),
@@ -134,7 +172,7 @@ export const useAIProviders = () => {
   const handleDisconnectProvider = async (provider: string) => {
     if (!provider) return false;
     try {
-      const res = await fetch(withServerUrl(`/oauth/${provider}/disconnect`), {
+      const res = await serverFetch(withServerUrl(`/oauth/${provider}/disconnect`), {
         method: "POST",
         headers: { "Content-Type": "application/json" },
       });
@@ -152,6 +190,7 @@ export const useAIProviders = () => {
     aiModel,
     aiApiKey,
     aiProviders,
+    selectedProvider,
     setAiProvider,
     setAiModel,
     setAiApiKey,
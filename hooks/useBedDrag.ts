@@ -15,6 +15,9 @@ type BedDragArgs = {
   isSpacePressed: boolean;
   setSelectedBedId: Dispatch<SetStateAction<string | null>>;
   setIsPanning: Dispatch<SetStateAction<boolean>>;
+  // Bracket a whole drag, e.g. so it undoes as one step
+  onDragStart?: () => void;
+  onDragEnd?: () => void;
 };
 
 export const useBedDrag = ({
@@ -27,6 +30,8 @@ export const useBedDrag = ({
   isSpacePressed,
   setSelectedBedId,
   setIsPanning,
+  onDragStart,
+  onDragEnd,
 }: BedDragArgs) => {
   const [isDraggingBed, setIsDraggingBed] = useState(false);
   const [draggedBedId, setDraggedBedId] = useState<string | null>(null);
@@ -39,6 +44,7 @@ export const useBedDrag = ({
     setIsDraggingBed(true);
     setDraggedBedId(id);
     setSelectedBedId(id);
+    onDragStart?.();
 
     const rect = (e.currentTarget as HTMLElement).getBoundingClientRect();
     dragOffset.current = {
@@ -87,10 +93,11 @@ export const useBedDrag = ({
   );
 
   const onMouseUp = useCallback(() => {
+    if (isDraggingBed) onDragEnd?.();
     setIsDraggingBed(false);
     setDraggedBedId(null);
     setIsPanning(false);
-  }, [setIsPanning]);
+  }, [isDraggingBed, onDragEnd, setIsPanning]);
 
   useEffect(() => {
     window.addEventListener("mousemove", onMouseMove);
@@ -1,5 +1,10 @@
 import type { Dispatch, SetStateAction } from "react";
 import { BedShape, GardenBed } from "../shared/types";
+import {
+  createPolygonPreset,
+  PolygonPreset,
+  scaleVertices,
+} from "../shared/bedGeometry";
 
 type UseBedHandlersArgs = {
   beds: GardenBed[];
@@ -35,19 +40,41 @@ export const useBedHandlers = ({
       ...bed,
       shape: value,
       height: value === "circle" ? bed.width : bed.height,
+      // Start polygon beds from an L-shape so there's something to plant in
+      vertices:
+        value === "polygon"
+          ? (bed.vertices ??
+            createPolygonPreset("l-shape", bed.width, bed.height))
+          : bed.vertices,
     }));
   };
 
-  const handleUpdateBedWidth = (value: number) => {
+  const handleApplyPolygonPreset = (preset: PolygonPreset) => {
     updateSelectedBed((bed) => ({
       ...bed,
-      width: value,
-      height: bed.shape === "circle" ? value : bed.height,
+      shape: "polygon",
+      vertices: createPolygonPreset(preset, bed.width, bed.height),
     }));
   };
 
+  // Polygon outlines live inside the bounding box, so they scale with it
+  const resizeBed = (bed: GardenBed, width: number, height: number) => ({
+    ...bed,
+    width,
+    height,
+    vertices: bed.vertices
+      ? scaleVertices(bed.vertices, bed.width, bed.height, width, height)
+      : bed.vertices,
+  });
+
+  const handleUpdateBedWidth = (value: number) => {
+    updateSelectedBed((bed) =>
+      resizeBed(bed, value, bed.shape === "circle" ? value : bed.height),
+    );
+  };
+
   const handleUpdateBedHeight = (value: number) => {
-    updateSelectedBed((bed) => ({ ...bed, height: value }));
+    updateSelectedBed((bed) => resizeBed(bed, bed.width, value));
   };
 
   const selectedBed = beds.find((b) => b.id === selectedBedId);
@@ -57,6 +84,7 @@ export const useBedHandlers = ({
     handleRemoveBed,
     handleUpdateBedName,
     handleUpdateBedShape,
+    handleApplyPolygonPreset,
     handleUpdateBedWidth,
     handleUpdateBedHeight,
   };
@@ -1,24 +1,54 @@
-import { useEffect, useState } from "react";
+import { useEffect, useRef, useState } from "react";
 import type { Dispatch, SetStateAction } from "react";
 import {
   BedLayout,
   BedShape,
   GardenBed,
+  GardenProject,
+  GardenProjectData,
+  GardenProjectSummary,
+  GardenRevision,
+  GardenRevisionSummary,
+  RotationSeason,
   SunOrientation,
+  SunSettings,
   Vegetable,
 } from "../shared/types";
+import {
+  createProject,
+  createRevision,
+  fetchProject,
+  fetchRevision,
+  getGardenStorageMode,
+  listProjects,
+  listRevisions,
+  restoreRevision,
+  saveProject,
+} from "../services/projectService";
 
 type GardenStorageArgs = {
   beds: GardenBed[];
   sunOrientation: SunOrientation;
   seeds: Vegetable[];
   layouts: BedLayout[];
+  rotationHistory: RotationSeason[];
+  sunSettings: SunSettings;
   setBeds: Dispatch<SetStateAction<GardenBed[]>>;
   setSunOrientation: Dispatch<SetStateAction<SunOrientation>>;
   setSeeds: Dispatch<SetStateAction<Vegetable[]>>;
   setLayouts: Dispatch<SetStateAction<BedLayout[]>>;
+  setRotationHistory: Dispatch<SetStateAction<RotationSeason[]>>;
+  setSunSettings: Dispatch<SetStateAction<SunSettings>>;
 };
 
+// State of the open server project: "conflict" means someone else saved it
+// since it was loaded, and auto-sync stops until it is loaded or saved again
+export type GardenSyncStatus =
+  "idle" | "saving" | "saved" | "conflict" | "error";
+
+// Quiet time after the last edit before the open project is pushed
+const SYNC_DEBOUNCE_MS = 1500;
+
 const safeParseJson = (raw: string | null) => {
   if (!raw) return null;
   try {
@@ -33,7 +63,10 @@ const isString = (value: unknown): value is string => typeof value === "string";
 const isNumber = (value: unknown): value is number =>
   typeof value === "number" && Number.isFinite(value);
 const isBedShape = (value: unknown): value is BedShape =>
-  value === "rectangle" || value === "pill" || value === "circle";
+  value === "rectangle" ||
+  value === "pill" ||
+  value === "circle" ||
+  value === "polygon";
 const isSunOrientation = (value: unknown): value is SunOrientation =>
   value === "North" ||
   value === "East" ||
@@ -49,7 +82,10 @@ const isGardenBed = (value: unknown): value is GardenBed => {
     isNumber(bed.height) &&
     isNumber(bed.x) &&
     isNumber(bed.y) &&
-    isBedShape(bed.shape)
+    isBedShape(bed.shape) &&
+    (bed.vertices === undefined ||
+      (Array.isArray(bed.vertices) &&
+        bed.vertices.every((v) => isNumber(v?.x) && isNumber(v?.y))))
   );
 };
 const isVegetable = (value: unknown): value is Vegetable => {
@@ -58,22 +94,209 @@ const isVegetable = (value: unknown): value is Vegetable => {
   return (
     isString(veg.type) &&
     isNumber(veg.priority) &&
-    Array.isArray(veg.selectedVarieties)
+    Array.isArray(veg.selectedVarieties) &&
+    (veg.plantingDay === undefined || isNumber(veg.plantingDay))
+  );
+};
+
+const isRotationSeason = (value: unknown): value is RotationSeason => {
+  if (!value || typeof value !== "object") return false;
+  const season = value as RotationSeason;
+  return (
+    isString(season.season) &&
+    !!season.beds &&
+    typeof season.beds === "object" &&
+    Object.values(season.beds).every(
+      (families) => Array.isArray(families) && families.every(isString),
+    )
   );
 };
 
+const isGardenRevision = (value: unknown): value is GardenRevision => {
+  if (!value || typeof value !== "object") return false;
+  const revision = value as GardenRevision;
+  return (
+    isNumber(revision.revision) &&
+    isNumber(revision.savedAt) &&
+    !!revision.garden &&
+    Array.isArray(revision.garden.beds)
+  );
+};
+
+// Local gardens keep their revisions next to the latest save, oldest first
+const localRevisionsKey = (name: string) => `garden_rev_v1_${name}`;
+
+// Every local revision is a full copy of the garden, so only the newest are kept
+const MAX_LOCAL_REVISIONS = 20;
+
+const isQuotaError = (err: unknown) =>
+  err instanceof DOMException &&
+  (err.name === "QuotaExceededError" ||
+    err.name === "NS_ERROR_DOM_QUOTA_REACHED");
+
+// Store the newest revisions that fit, dropping the oldest while storage is
+// full, and return what was stored
+const writeLocalRevisions = (name: string, revisions: GardenRevision[]) => {
+  let kept = revisions.slice(-MAX_LOCAL_REVISIONS);
+  while (kept.length > 0) {
+    try {
+      localStorage.setItem(localRevisionsKey(name), JSON.stringify(kept));
+      return kept;
+    } catch (err) {
+      if (!isQuotaError(err)) throw err;
+      kept = kept.slice(1);
+    }
+  }
+  console.warn(`No room in localStorage for revisions of "${name}"`);
+  localStorage.removeItem(localRevisionsKey(name));
+  return kept;
+};
+
+const readLocalRevisions = (name: string): GardenRevision[] => {
+  const data = safeParseJson(localStorage.getItem(localRevisionsKey(name)));
+  return Array.isArray(data) ? data.filter(isGardenRevision) : [];
+};
+
+const summarizeRevisions = (revisions: GardenRevision[]) =>
+  revisions
+    .map(({ garden: _garden, ...summary }): GardenRevisionSummary => summary)
+    .reverse();
+
+const upsertSummary = (
+  projects: GardenProjectSummary[],
+  { id, name, version, createdAt, updatedAt }: GardenProject,
+): GardenProjectSummary[] => [
+  { id, name, version, createdAt, updatedAt },
+  ...projects.filter((project) => project.id !== id),
+];
+
+/**
+ * Saved gardens and planting plans
+ *
+ * Gardens live in localStorage unless the storage mode is "server"
+ * (GARDENCRAFT_GARDEN_STORAGE / VITE_GARDEN_STORAGE): then a garden is a
+ * whole project in /api/projects, and edits to the open one are pushed back
+ * after a short pause. Planting plans always stay local.
+ *
+ * Every explicit garden save also records an immutable revision of the whole
+ * garden (with the user's note) that can be diffed and restored; restoring
+ * is itself recorded as a new revision.
+ */
 export const useGardenStorage = ({
   beds,
   sunOrientation,
   seeds,
   layouts,
+  rotationHistory,
+  sunSettings,
   setBeds,
   setSunOrientation,
   setSeeds,
   setLayouts,
+  setRotationHistory,
+  setSunSettings,
 }: GardenStorageArgs) => {
-  const [savedGardens, setSavedGardens] = useState<string[]>([]);
+  const [storageMode] = useState(getGardenStorageMode);
+  const [localGardens, setSavedGardens] = useState<string[]>([]);
   const [savedPlantings, setSavedPlantings] = useState<string[]>([]);
+  const [projects, setProjects] = useState<GardenProjectSummary[]>([]);
+  const [syncStatus, setSyncStatus] = useState<GardenSyncStatus>("idle");
+  // Last garden saved or loaded, whose history the vault shows
+  const [currentGarden, setCurrentGarden] = useState<string | null>(null);
+  const [revisions, setRevisions] = useState<GardenRevisionSummary[]>([]);
+
+  // The open server project and what was last sent or loaded for it
+  const activeProject = useRef<{ id: string; version: number } | null>(null);
+  const lastSynced = useRef<string | null>(null);
+  const conflicted = useRef(false);
+  // Loads and saves run one at a time so versions stay in order
+  const queue = useRef<Promise<void>>(Promise.resolve());
+
+  const enqueue = (task: () => Promise<void>) => {
+    queue.current = queue.current.then(task).catch((err) => {
+      console.warn("Garden project sync failed", err);
+      if ((err as { status?: number }).status === 409) {
+        conflicted.current = true;
+        setSyncStatus("conflict");
+      } else {
+        setSyncStatus("error");
+      }
+    });
+  };
+
+  const projectData = (name: string): GardenProjectData => ({
+    name,
+    beds,
+    seeds,
+    layouts,
+    sunOrientation,
+    sun: sunSettings,
+    rotationHistory,
+  });
+
+  // Put a saved garden on screen; returns what was applied
+  const applyGarden = (garden: GardenProjectData): GardenProjectData => {
+    const applied: GardenProjectData = {
+      name: garden.name,
+      beds: garden.beds.every(isGardenBed) ? garden.beds : beds,
+      seeds: (garden.seeds ?? []).every(isVegetable) ? garden.seeds : seeds,
+      layouts: garden.layouts ?? [],
+      sunOrientation: isSunOrientation(garden.sunOrientation)
+        ? garden.sunOrientation
+        : sunOrientation,
+      sun: garden.sun ?? sunSettings,
+      rotationHistory: (garden.rotationHistory ?? []).filter(isRotationSeason),
+    };
+    setBeds(applied.beds);
+    setSeeds(applied.seeds);
+    setLayouts(applied.layouts);
+    setSunOrientation(applied.sunOrientation);
+    setSunSettings(applied.sun ?? sunSettings);
+    setRotationHistory(applied.rotationHistory ?? []);
+    return applied;
+  };
+
+  const openProject = (project: GardenProject, data: GardenProjectData) => {
+    activeProject.current = { id: project.id, version: project.version };
+    lastSynced.current = JSON.stringify(data);
+    conflicted.current = false;
+    setProjects((prev) => upsertSummary(prev, project));
+  };
+
+  useEffect(() => {
+    if (storageMode !== "server") return;
+    listProjects()
+      .then(setProjects)
+      .catch((err) => {
+        console.warn("Failed to list garden projects", err);
+        setSyncStatus("error");
+      });
+  }, [storageMode]);
+
+  // Push edits to the open project once they settle
+  useEffect(() => {
+    const active = activeProject.current;
+    if (storageMode !== "server" || !active || conflicted.current) return;
+    const name = projects.find((project) => project.id === active.id)?.name;
+    if (!name) return;
+    const data = projectData(name);
+    const snapshot = JSON.stringify(data);
+    if (snapshot === lastSynced.current) return;
+
+    const timer = setTimeout(
+      () =>
+        enqueue(async () => {
+          const current = activeProject.current;
+          if (current?.id !== active.id || conflicted.current) return;
+          setSyncStatus("saving");
+          const saved = await saveProject(current.id, data, current.version);
+          if (activeProject.current?.id === saved.id) openProject(saved, data);
+          setSyncStatus("saved");
+        }),
+      SYNC_DEBOUNCE_MS,
+    );
+    return () => clearTimeout(timer);
+  }, [beds, seeds, layouts, sunOrientation, sunSettings, rotationHistory]);
 
   useEffect(() => {
     const gardenKeys = Object.keys(localStorage).filter((k) =>
@@ -86,30 +309,135 @@ export const useGardenStorage = ({
     setSavedPlantings(plantingKeys.map((k) => k.replace("planting_v1_", "")));
   }, []);
 
-  const handleSaveGarden = (name: string) => {
-    const data = { beds, sunOrientation };
-    localStorage.setItem(`garden_v1_${name}`, JSON.stringify(data));
+  // Latest save plus a new revision for a local garden
+  const saveLocalGarden = (garden: GardenProjectData, note: string) => {
+    const { name } = garden;
+    localStorage.setItem(
+      `garden_v1_${name}`,
+      JSON.stringify({
+        beds: garden.beds,
+        sunOrientation: garden.sunOrientation,
+        rotationHistory: garden.rotationHistory,
+      }),
+    );
+    const history = readLocalRevisions(name);
+    const next = writeLocalRevisions(name, [
+      ...history,
+      {
+        revision: (history.at(-1)?.revision ?? 0) + 1,
+        savedAt: Date.now(),
+        note,
+        garden,
+      },
+    ]);
     setSavedGardens((prev) => (prev.includes(name) ? prev : [...prev, name]));
+    setCurrentGarden(name);
+    setRevisions(summarizeRevisions(next));
+  };
+
+  const handleSaveGarden = (name: string, note = "") => {
+    if (storageMode === "server") {
+      const data = projectData(name);
+      const existing = projects.find((project) => project.name === name);
+      enqueue(async () => {
+        setSyncStatus("saving");
+        // Saving under a taken name replaces that project
+        const saved = existing
+          ? await saveProject(existing.id, data)
+          : await createProject(data);
+        openProject(saved, data);
+        await createRevision(saved.id, note);
+        setCurrentGarden(name);
+        setRevisions(await listRevisions(saved.id));
+        setSyncStatus("saved");
+      });
+      return;
+    }
+    saveLocalGarden(projectData(name), note);
   };
 
   const handleLoadGarden = (name: string) => {
+    if (storageMode === "server") {
+      const summary = projects.find((project) => project.name === name);
+      if (!summary) return;
+      enqueue(async () => {
+        const project = await fetchProject(summary.id);
+        // Matches what the next edit compares against, so loading never syncs
+        openProject(project, applyGarden(project));
+        setCurrentGarden(name);
+        setRevisions(await listRevisions(project.id));
+        setSyncStatus("saved");
+      });
+      return;
+    }
     const data = safeParseJson(localStorage.getItem(`garden_v1_${name}`));
     if (!data || typeof data !== "object") return;
-    const payload = data as { beds?: unknown; sunOrientation?: unknown };
+    setCurrentGarden(name);
+    setRevisions(summarizeRevisions(readLocalRevisions(name)));
+    const payload = data as {
+      beds?: unknown;
+      sunOrientation?: unknown;
+      rotationHistory?: unknown;
+    };
     if (Array.isArray(payload.beds) && payload.beds.every(isGardenBed)) {
       setBeds(payload.beds);
     }
     if (isSunOrientation(payload.sunOrientation)) {
       setSunOrientation(payload.sunOrientation);
     }
+    // Gardens saved before rotation tracking have no history
+    setRotationHistory(
+      Array.isArray(payload.rotationHistory) &&
+        payload.rotationHistory.every(isRotationSeason)
+        ? payload.rotationHistory
+        : [],
+    );
+  };
+
+  /**
+   * A revision of the current garden including its contents, for diffing
+   */
+  const loadRevision = async (
+    revision: number,
+  ): Promise<GardenRevision | undefined> => {
+    if (!currentGarden) return undefined;
+    if (storageMode === "server") {
+      const active = activeProject.current;
+      return active ? fetchRevision(active.id, revision) : undefined;
+    }
+    return readLocalRevisions(currentGarden).find(
+      (entry) => entry.revision === revision,
+    );
+  };
+
+  const handleRestoreRevision = (revision: number) => {
+    if (!currentGarden) return;
+    if (storageMode === "server") {
+      const active = activeProject.current;
+      if (!active) return;
+      enqueue(async () => {
+        setSyncStatus("saving");
+        const project = await restoreRevision(active.id, revision);
+        openProject(project, applyGarden(project));
+        setRevisions(await listRevisions(project.id));
+        setSyncStatus("saved");
+      });
+      return;
+    }
+    const entry = readLocalRevisions(currentGarden).find(
+      (candidate) => candidate.revision === revision,
+    );
+    if (!entry) return;
+    saveLocalGarden(
+      applyGarden({ ...entry.garden, name: currentGarden }),
+      `Restored revision ${revision}`,
+    );
   };
 
   const handleSavePlanting = (name: string) => {
     const data = { seeds, layouts };
     localStorage.setItem(`planting_v1_${name}`, JSON.stringify(data));
-    setSavedPlantings((prev) =>
-      prev.includes(name) ? prev : [...prev, name],
-    );
+    setSavedPlantings((prev) => (prev.includes(name) ? prev : [...prev, name]));
   };
 
   const handleLoadPlanting = (name: string) => {
@@ -125,10 +453,19 @@ export const useGardenStorage = ({
   };
 
   return {
-    savedGardens,
+    savedGardens:
+      storageMode === "server"
+        ? [...new Set(projects.map((project) => project.name))]
+        : localGardens,
     savedPlantings,
+    storageMode,
+    syncStatus,
+    currentGarden,
+    revisions,
+    loadRevision,
     handleSaveGarden,
     handleLoadGarden,
+    handleRestoreRevision,
     handleSavePlanting,
     handleLoadPlanting,
   };
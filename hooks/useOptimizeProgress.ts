@@ -0,0 +1,131 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { BedLayout } from "../shared/types";
+import { withServerUrl } from "../services/serverUrl";
+
+export type BedProgressStatus = "waiting" | "running" | "done";
+
+export type BedProgress = {
+  status: BedProgressStatus;
+  iteration?: number;
+  energy?: number;
+};
+
+export type OptimizeProgress = {
+  beds: Record<string, BedProgress>;
+  tokens: number; // characters streamed by an LLM provider so far
+  connectError?: string; // the stream didn't open; the run goes on without it
+};
+
+// Don't hold up an optimize request on a slow or missing SSE endpoint
+const CONNECT_TIMEOUT_MS = 2000;
+
+const createJobId = () =>
+  `job-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Follows one optimize job over `/mcp/sse?jobId=`: per-bed status, packer
+ * energy and streamed LLM output, handing finished bed layouts to
+ * `onBedLayout` as they land.
+ */
+export const useOptimizeProgress = () => {
+  const [progress, setProgress] = useState<OptimizeProgress | null>(null);
+  const sourceRef = useRef<EventSource | null>(null);
+
+  const stop = useCallback(() => {
+    sourceRef.current?.close();
+    sourceRef.current = null;
+    setProgress(null);
+  }, []);
+
+  useEffect(() => () => sourceRef.current?.close(), []);
+
+  /**
+   * Subscribe before the request is sent. Resolves with the job id to send
+   * to `/api/optimize`, or undefined when the stream couldn't be opened; that
+   * is reported in `progress.connectError`.
+   */
+  const start = useCallback(
+    (
+      bedIds: string[],
+      onBedLayout: (layout: BedLayout) => void,
+    ): Promise<string | undefined> => {
+      sourceRef.current?.close();
+      if (typeof EventSource === "undefined") return Promise.resolve(undefined);
+
+      const jobId = createJobId();
+      // Same session cookie as the job request, or the stream sees nothing
+      const source = new EventSource(
+        withServerUrl(`/mcp/sse?jobId=${encodeURIComponent(jobId)}`),
+        { withCredentials: true },
+      );
+      sourceRef.current = source;
+      setProgress({
+        beds: Object.fromEntries(
+          bedIds.map((id) => [id, { status: "waiting" as const }]),
+        ),
+        tokens: 0,
+      });
+
+      const updateBed = (bedId: string, update: BedProgress) =>
+        setProgress((prev) =>
+          prev ? { ...prev, beds: { ...prev.beds, [bedId]: update } } : prev,
+        );
+      const listen = (type: string, handler: (data: any) => void) =>
+        source.addEventListener(type, (event) => {
+          try {
+            handler(JSON.parse((event as MessageEvent).data));
+          } catch (err) {
+            console.warn(`Bad ${type} event`, err);
+          }
+        });
+
+      listen("optimize.bed.start", ({ bedId }) =>
+        updateBed(bedId, { status: "running" }),
+      );
+      listen("optimize.packer", ({ bedId, iteration, energy }) =>
+        updateBed(bedId, { status: "running", iteration, energy }),
+      );
+      listen("optimize.bed.finish", ({ bedId, layout }) => {
+        updateBed(bedId, { status: "done" });
+        if (layout) onBedLayout(layout);
+      });
+      listen("optimize.token", ({ text }) =>
+        setProgress((prev) =>
+          prev ? { ...prev, tokens: prev.tokens + String(text).length } : prev,
+        ),
+      );
+      const close = () => {
+        source.close();
+        if (sourceRef.current === source) sourceRef.current = null;
+      };
+      listen("optimize.done", close);
+      listen("optimize.error", close);
+
+      return new Promise((resolve) => {
+        const fail = (reason: string) => {
+          clearTimeout(timer);
+          close();
+          setProgress((prev) =>
+            prev ? { ...prev, connectError: reason } : prev,
+          );
+          resolve(undefined);
+        };
+        const timer = setTimeout(
+          () => fail(`no answer from /mcp/sse in ${CONNECT_TIMEOUT_MS} ms`),
+          CONNECT_TIMEOUT_MS,
+        );
+        source.addEventListener("mcp.connected", () => {
+          clearTimeout(timer);
+          resolve(jobId);
+        });
+        source.onerror = () => {
+          if (source.readyState !== EventSource.CLOSED) return;
+          fail("/mcp/sse refused the connection");
+        };
+      });
+    },
+    [],
+  );
+
+  return { progress, startProgress: start, stopProgress: stop };
+};
@@ -0,0 +1,371 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import type {
+  Dispatch,
+  MouseEvent as ReactMouseEvent,
+  RefObject,
+  SetStateAction,
+} from "react";
+import {
+  BedLayout,
+  GardenBed,
+  PlantMeta,
+  PlantPlacement,
+  Vegetable,
+  VeggieType,
+} from "../shared/types";
+import { GRID_SIZE, INCHES_PER_GRID } from "../constants";
+import { checkPlantPlacement, PlacementCheck } from "../shared/plantSpacing";
+import { isTextInput } from "./useUndoHistory";
+
+type Pan = { x: number; y: number };
+type Point = { x: number; y: number };
+
+export type PlantRef = { bedId: string; plantId: string };
+
+// Where a dragged or new plant would land and how it fits there
+export type PlantPreview = {
+  bedId: string;
+  placement: PlantPlacement;
+  check: PlacementCheck;
+};
+
+type PlantEditingArgs = {
+  beds: GardenBed[];
+  layouts: BedLayout[];
+  setLayouts: Dispatch<SetStateAction<BedLayout[]>>;
+  seeds: Vegetable[];
+  veggieMetadata: Record<string, PlantMeta>;
+  pan: Pan;
+  zoom: number;
+  canvasRef: RefObject<HTMLDivElement | null>;
+  isSpacePressed: boolean;
+  // The packer's min_spacing; defaults to the one the local provider packs with
+  minSpacing?: number;
+  // Bracket each edit, e.g. so it undoes as one labelled step
+  onEditStart?: (label: string) => void;
+  onEditEnd?: () => void;
+};
+
+// Hand-placed plants land on the nearest half inch
+const snap = (inches: number) => Math.round(inches * 2) / 2;
+
+// Succession phases share the bed over time, so only plants of the same
+// phase (or with none) can crowd each other
+const sharesSeason = (a: PlantPlacement, b: PlantPlacement) =>
+  !a.phaseId || !b.phaseId || a.phaseId === b.phaseId;
+
+/**
+ * Moving, adding and deleting individual plants on the canvas
+ *
+ * Plants drag within and between beds; a plant dropped outside every bed,
+ * outside its bed's outline or on a keep-out zone snaps back. Choosing a
+ * type with `setPlantToPlace` turns clicks on a bed into new plants of that
+ * type until Escape. Delete or Backspace removes the selected plant.
+ *
+ * While dragging or placing, `preview` holds the candidate spot checked with
+ * the packer's spacing rules, so the canvas can show whether it fits.
+ */
+export const usePlantEditing = ({
+  beds,
+  layouts,
+  setLayouts,
+  seeds,
+  veggieMetadata,
+  pan,
+  zoom,
+  canvasRef,
+  isSpacePressed,
+  minSpacing,
+  onEditStart,
+  onEditEnd,
+}: PlantEditingArgs) => {
+  const [selectedPlant, setSelectedPlant] = useState<PlantRef | null>(null);
+  const [plantToPlace, setPlantToPlace] = useState<VeggieType | null>(null);
+  const [draggedPlant, setDraggedPlant] = useState<PlantRef | null>(null);
+  const [preview, setPreview] = useState<PlantPreview | null>(null);
+  const drag = useRef<{
+    from: PlantRef;
+    plant: PlantPlacement;
+    offset: Point; // plant centre minus pointer, in garden inches
+  } | null>(null);
+
+  const edit = (label: string, update: SetStateAction<BedLayout[]>) => {
+    onEditStart?.(label);
+    setLayouts(update);
+    onEditEnd?.();
+  };
+
+  // Pointer position in inches from the garden's top-left corner
+  const toGarden = (clientX: number, clientY: number): Point | null => {
+    const rect = canvasRef.current?.getBoundingClientRect();
+    if (!rect) return null;
+    return {
+      x: ((clientX - rect.left - pan.x) / zoom / GRID_SIZE) * INCHES_PER_GRID,
+      y: ((clientY - rect.top - pan.y) / zoom / GRID_SIZE) * INCHES_PER_GRID,
+    };
+  };
+
+  // Topmost bed under a garden point, with the point in bed inches
+  const bedAt = (point: Point) => {
+    for (let i = beds.length - 1; i >= 0; i--) {
+      const bed = beds[i];
+      const x = point.x - bed.x * INCHES_PER_GRID;
+      const y = point.y - bed.y * INCHES_PER_GRID;
+      if (x >= 0 && x <= bed.width && y >= 0 && y <= bed.height) {
+        return { bed, x: snap(x), y: snap(y) };
+      }
+    }
+    return null;
+  };
+
+  const previewAt = (
+    point: Point,
+    plant: PlantPlacement,
+    from?: PlantRef,
+  ): PlantPreview | null => {
+    const target = bedAt(point);
+    if (!target) return null;
+    const placement = { ...plant, x: target.x, y: target.y };
+    const sameBed = from?.bedId === target.bed.id;
+    const others = (
+      layouts.find((layout) => layout.bedId === target.bed.id)?.placements ?? []
+    ).filter(
+      (other) =>
+        sharesSeason(other, placement) &&
+        !(sameBed && other.id === placement.id),
+    );
+    return {
+      bedId: target.bed.id,
+      placement,
+      check: checkPlantPlacement(target.bed, others, placement, minSpacing),
+    };
+  };
+
+  // Placement ids are numeric strings, unique across the garden
+  const nextPlantId = () =>
+    String(
+      layouts
+        .flatMap((layout) => layout.placements)
+        .reduce((max, plant) => Math.max(max, Number(plant.id) || 0), 0) + 1,
+    );
+
+  const newPlant = (type: VeggieType): PlantPlacement => {
+    const variety = seeds.find((seed) => seed.type === type)
+      ?.selectedVarieties[0];
+    return {
+      id: nextPlantId(),
+      veggieType: type,
+      varietyName: variety?.name ?? type,
+      x: 0,
+      y: 0,
+      size: variety?.spacing ?? veggieMetadata[type]?.spacing ?? 6,
+      placementReasoning: "Placed by hand.",
+      spacingAnalysis: "",
+      companionInsights: "",
+    };
+  };
+
+  const onPlantMouseDown = (
+    e: ReactMouseEvent,
+    bedId: string,
+    plantId: string,
+  ) => {
+    if (isSpacePressed || plantToPlace || e.button !== 0) return;
+    const bed = beds.find((b) => b.id === bedId);
+    const plant = layouts
+      .find((layout) => layout.bedId === bedId)
+      ?.placements.find((p) => p.id === plantId);
+    const pointer = toGarden(e.clientX, e.clientY);
+    if (!bed || !plant || !pointer) return;
+    e.stopPropagation();
+    setSelectedPlant({ bedId, plantId });
+    drag.current = {
+      from: { bedId, plantId },
+      plant,
+      offset: {
+        x: bed.x * INCHES_PER_GRID + plant.x - pointer.x,
+        y: bed.y * INCHES_PER_GRID + plant.y - pointer.y,
+      },
+    };
+  };
+
+  /**
+   * Plant the chosen type where a bed was clicked. Returns false when not
+   * placing, so the click can fall through to the bed.
+   */
+  const placeAt = (e: ReactMouseEvent) => {
+    if (!plantToPlace || isSpacePressed) return false;
+    e.stopPropagation();
+    const point = toGarden(e.clientX, e.clientY);
+    const spot = point && previewAt(point, newPlant(plantToPlace));
+    if (spot && !spot.check.bounds) {
+      edit("Add plant", (prev) =>
+        prev.some((layout) => layout.bedId === spot.bedId)
+          ? prev.map((layout) =>
+              layout.bedId === spot.bedId
+                ? {
+                    ...layout,
+                    placements: [...layout.placements, spot.placement],
+                  }
+                : layout,
+            )
+          : [...prev, { bedId: spot.bedId, placements: [spot.placement] }],
+      );
+      setSelectedPlant({ bedId: spot.bedId, plantId: spot.placement.id });
+    }
+    return true;
+  };
+
+  const movePlant = (from: PlantRef, to: PlantPreview) => {
+    const { x, y } = to.placement;
+    const { bedId, plantId } = from;
+    const targetPlacements =
+      layouts.find((layout) => layout.bedId === to.bedId)?.placements ?? [];
+    // Keep the id unless the other bed already uses it
+    const id =
+      to.bedId !== bedId && targetPlacements.some((p) => p.id === plantId)
+        ? nextPlantId()
+        : plantId;
+    const moved = { ...to.placement, id };
+    edit("Move plant", (prev) => {
+      const next = prev.map((layout) => {
+        if (layout.bedId === bedId && layout.bedId === to.bedId) {
+          return {
+            ...layout,
+            placements: layout.placements.map((p) =>
+              p.id === plantId ? { ...p, x, y } : p,
+            ),
+          };
+        }
+        if (layout.bedId === bedId) {
+          return {
+            ...layout,
+            placements: layout.placements.filter((p) => p.id !== plantId),
+          };
+        }
+        if (layout.bedId === to.bedId) {
+          return { ...layout, placements: [...layout.placements, moved] };
+        }
+        return layout;
+      });
+      return next.some((layout) => layout.bedId === to.bedId)
+        ? next
+        : [...next, { bedId: to.bedId, placements: [moved] }];
+    });
+    setSelectedPlant({ bedId: to.bedId, plantId: id });
+  };
+
+  const deletePlant = ({ bedId, plantId }: PlantRef) => {
+    edit("Delete plant", (prev) =>
+      prev.map((layout) =>
+        layout.bedId === bedId
+          ? {
+              ...layout,
+              placements: layout.placements.filter((p) => p.id !== plantId),
+            }
+          : layout,
+      ),
+    );
+    setSelectedPlant(null);
+  };
+
+  const onMouseMove = useCallback(
+    (e: MouseEvent) => {
+      const current = drag.current;
+      if (!current && !plantToPlace) return;
+      const pointer = toGarden(e.clientX, e.clientY);
+      if (!pointer) return;
+      if (current) {
+        setDraggedPlant(current.from);
+        setPreview(
+          previewAt(
+            {
+              x: pointer.x + current.offset.x,
+              y: pointer.y + current.offset.y,
+            },
+            current.plant,
+            current.from,
+          ),
+        );
+      } else if (plantToPlace) {
+        setPreview(previewAt(pointer, newPlant(plantToPlace)));
+      }
+    },
+    [beds, layouts, seeds, veggieMetadata, plantToPlace, pan, zoom, minSpacing],
+  );
+
+  const onMouseUp = useCallback(() => {
+    const current = drag.current;
+    if (!current) return;
+    drag.current = null;
+    if (draggedPlant && preview && !preview.check.bounds) {
+      movePlant(current.from, preview);
+    }
+    setDraggedPlant(null);
+    setPreview(null);
+  }, [draggedPlant, preview, layouts]);
+
+  useEffect(() => {
+    window.addEventListener("mousemove", onMouseMove);
+    window.addEventListener("mouseup", onMouseUp);
+    return () => {
+      window.removeEventListener("mousemove", onMouseMove);
+      window.removeEventListener("mouseup", onMouseUp);
+    };
+  }, [onMouseMove, onMouseUp]);
+
+  const deleteRef = useRef(deletePlant);
+  deleteRef.current = deletePlant;
+
+  useEffect(() => {
+    const handleKeyDown = (e: KeyboardEvent) => {
+      if (isTextInput(e.target)) return;
+      if (e.key === "Escape") {
+        drag.current = null;
+        setDraggedPlant(null);
+        setPlantToPlace(null);
+        setPreview(null);
+        setSelectedPlant(null);
+      } else if (
+        (e.key === "Delete" || e.key === "Backspace") &&
+        selectedPlant &&
+        !drag.current
+      ) {
+        e.preventDefault();
+        deleteRef.current(selectedPlant);
+      }
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [selectedPlant]);
+
+  // Leaving placement mode drops its ghost plant
+  useEffect(() => {
+    if (!plantToPlace) setPreview(null);
+  }, [plantToPlace]);
+
+  // Forget a selection whose plant is gone (undo, optimize, load)
+  useEffect(() => {
+    if (
+      selectedPlant &&
+      !layouts.some(
+        (layout) =>
+          layout.bedId === selectedPlant.bedId &&
+          layout.placements.some((p) => p.id === selectedPlant.plantId),
+      )
+    ) {
+      setSelectedPlant(null);
+    }
+  }, [layouts, selectedPlant]);
+
+  return {
+    selectedPlant,
+    setSelectedPlant,
+    plantToPlace,
+    setPlantToPlace,
+    draggedPlant,
+    preview,
+    onPlantMouseDown,
+    placeAt,
+  };
+};
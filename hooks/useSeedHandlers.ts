@@ -20,5 +20,19 @@ export const useSeedHandlers = ({ setSeeds }: UseSeedHandlersArgs) => {
     );
   };
 
-  return { handleUpdateSeed, handleUpdateVarieties };
+  // Undefined clears the planting day so the crop holds its space all season
+  const handleUpdatePlantingDay = (
+    type: VeggieType,
+    plantingDay: number | undefined,
+  ) => {
+    setSeeds((prev) =>
+      prev.map((s) => {
+        if (s.type !== type) return s;
+        const { plantingDay: _previous, ...rest } = s;
+        return plantingDay === undefined ? rest : { ...rest, plantingDay };
+      }),
+    );
+  };
+
+  return { handleUpdateSeed, handleUpdateVarieties, handleUpdatePlantingDay };
 };
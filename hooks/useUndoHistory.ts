@@ -0,0 +1,221 @@
+import { useEffect, useRef, useState } from "react";
+
+// Edits to the same fields this close together undo as one step
+// (typing a bed name, sliding the sun angle)
+const COALESCE_MS = 750;
+// Updates that render just after a group ends still belong to it
+const GROUP_FLUSH_MS = 300;
+const MAX_HISTORY = 100;
+
+type Snapshot = Record<string, unknown>;
+
+export type HistoryCommand<T extends Snapshot> = {
+  label: string;
+  keys: (keyof T)[];
+  before: Partial<T>; // the changed fields only
+  after: Partial<T>;
+  mergeUntil: number;
+  group: boolean;
+};
+
+type UndoHistoryArgs<T extends Snapshot> = {
+  state: T; // memoized: a new object only when a field changes
+  apply: (fields: Partial<T>) => void;
+  labels?: Partial<Record<keyof T, string>>;
+};
+
+const pick = <T extends Snapshot>(source: T, keys: (keyof T)[]) =>
+  Object.fromEntries(keys.map((key) => [key, source[key]])) as Partial<T>;
+
+const changedKeys = <T extends Snapshot>(before: T, after: T) =>
+  (Object.keys(after) as (keyof T)[]).filter(
+    (key) => before[key] !== after[key],
+  );
+
+const sameKeys = <T extends Snapshot>(a: (keyof T)[], b: (keyof T)[]) =>
+  a.length === b.length && a.every((key) => b.includes(key));
+
+export const isTextInput = (target: EventTarget | null) => {
+  const el = target as HTMLElement | null;
+  return (
+    !!el &&
+    (el.isContentEditable ||
+      el.tagName === "INPUT" ||
+      el.tagName === "TEXTAREA" ||
+      el.tagName === "SELECT")
+  );
+};
+
+/**
+ * Undo/redo over a set of state fields
+ *
+ * Every change to `state` becomes a command holding the changed fields'
+ * before and after values, so undo restores exactly what that step touched.
+ * Quick successive edits to the same fields merge into one command, and
+ * `beginGroup`/`endGroup` turn everything in between (a bed drag, an
+ * optimize run streaming in bed by bed) into a single labelled step.
+ * `untracked` applies an update without recording it.
+ *
+ * Ctrl/Cmd+Z undoes and Ctrl/Cmd+Shift+Z (or Ctrl+Y) redoes, except while
+ * typing in a field, which keeps its own text undo.
+ */
+export const useUndoHistory = <T extends Snapshot>({
+  state,
+  apply,
+  labels = {},
+}: UndoHistoryArgs<T>) => {
+  const past = useRef<HistoryCommand<T>[]>([]);
+  const future = useRef<HistoryCommand<T>[]>([]);
+  const baseline = useRef(state); // last state seen
+  const expected = useRef<Partial<T> | null>(null); // fields undo/redo set
+  const skipNext = useRef(false);
+  const group = useRef<{ label: string; before: T } | null>(null);
+  const lingering = useRef<{ label: string; until: number } | null>(null);
+  const [, setRevision] = useState(0);
+  const refresh = () => setRevision((n) => n + 1);
+
+  const labelFor = (keys: (keyof T)[]) => {
+    const names = new Set(keys.map((key) => labels[key] ?? String(key)));
+    return names.size === 1 ? [...names][0] : "Edit garden";
+  };
+
+  const push = (command: HistoryCommand<T>) => {
+    past.current = [...past.current, command].slice(-MAX_HISTORY);
+    future.current = [];
+    refresh();
+  };
+
+  useEffect(() => {
+    const before = baseline.current;
+    baseline.current = state;
+    const keys = changedKeys(before, state);
+    if (keys.length === 0) return;
+
+    const applied = expected.current;
+    expected.current = null;
+    if (
+      applied &&
+      (Object.keys(applied) as (keyof T)[]).every(
+        (key) => state[key] === applied[key],
+      )
+    ) {
+      return;
+    }
+    if (skipNext.current) {
+      skipNext.current = false;
+      return;
+    }
+    if (group.current) return; // recorded when the group ends
+
+    const now = Date.now();
+    const last = past.current.at(-1);
+    if (
+      last &&
+      future.current.length === 0 &&
+      now < last.mergeUntil &&
+      sameKeys(last.keys, keys)
+    ) {
+      last.after = pick(state, keys);
+      if (!last.group) last.mergeUntil = now + COALESCE_MS;
+      return;
+    }
+
+    // A group whose changes only rendered after it ended
+    const linger = lingering.current;
+    lingering.current = null;
+    const groupLabel = linger && now < linger.until ? linger.label : null;
+    push({
+      label: groupLabel ?? labelFor(keys),
+      keys,
+      before: pick(before, keys),
+      after: pick(state, keys),
+      mergeUntil: now + (groupLabel ? GROUP_FLUSH_MS : COALESCE_MS),
+      group: !!groupLabel,
+    });
+  }, [state]);
+
+  const beginGroup = (label: string) => {
+    if (group.current) return;
+    group.current = { label, before: baseline.current };
+  };
+
+  const endGroup = () => {
+    const open = group.current;
+    if (!open) return;
+    group.current = null;
+    const keys = changedKeys(open.before, baseline.current);
+    if (keys.length === 0) {
+      lingering.current = {
+        label: open.label,
+        until: Date.now() + GROUP_FLUSH_MS,
+      };
+      return;
+    }
+    push({
+      label: open.label,
+      keys,
+      before: pick(open.before, keys),
+      after: pick(baseline.current, keys),
+      mergeUntil: Date.now() + GROUP_FLUSH_MS,
+      group: true,
+    });
+  };
+
+  const untracked = (update: () => void) => {
+    skipNext.current = true;
+    update();
+  };
+
+  const undo = () => {
+    const command = past.current.at(-1);
+    if (!command || group.current) return;
+    past.current = past.current.slice(0, -1);
+    future.current = [...future.current, command];
+    expected.current = command.before;
+    apply(command.before);
+    refresh();
+  };
+
+  const redo = () => {
+    const command = future.current.at(-1);
+    if (!command || group.current) return;
+    future.current = future.current.slice(0, -1);
+    past.current = [...past.current, command];
+    expected.current = command.after;
+    apply(command.after);
+    refresh();
+  };
+
+  const undoRef = useRef(undo);
+  const redoRef = useRef(redo);
+  undoRef.current = undo;
+  redoRef.current = redo;
+
+  useEffect(() => {
+    const handleKeyDown = (e: KeyboardEvent) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey || isTextInput(e.target)) {
+        return;
+      }
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        undoRef.current();
+      } else if ((key === "z" && e.shiftKey) || (key === "y" && e.ctrlKey)) {
+        e.preventDefault();
+        redoRef.current();
+      }
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, []);
+
+  return {
+    undo,
+    redo,
+    beginGroup,
+    endGroup,
+    untracked,
+    undoLabel: past.current.at(-1)?.label ?? null,
+    redoLabel: future.current.at(-1)?.label ?? null,
+  };
+};
@@ -5,10 +5,17 @@ import { createHealthRoutes } from "./routes/health";
 import { createMcpRoutes } from "./routes/mcp";
 import { createOAuthRoutes } from "./routes/oauth";
 import { corsMiddleware } from "./middleware/cors";
+import { sessionMiddleware } from "./middleware/session";
+import { createProjectStore } from "./projectRepo";
+import { loadProviderModules } from "./providers/loader";
 
 // Load .env file if it exists
 config();
 
+// Providers from PROVIDER_DIRS / PROVIDER_MODULES join the built-ins before
+// the routes and MCP tools are built
+const loadedProviders = await loadProviderModules(process.env);
+
 const app = express();
 const port = Number(process.env.PORT || 8787);
 const baseUrl = process.env.BASE_URL || "";
@@ -18,6 +25,9 @@ const fallbackBaseUrl = baseUrl || `http://localhost:${port}`;
 app.use(express.json({ limit: "500kb" }));
 app.use(corsMiddleware);
 
+// Caller session (cookie or bearer) scoping OAuth tokens, jobs and projects
+app.use(sessionMiddleware);
+
 // OAuth routes + token store (shared with optimize handler)
 const { router: oauthRouter, tokenStore: oauthTokenStore } = createOAuthRoutes({
   env: process.env,
@@ -26,8 +36,11 @@ const { router: oauthRouter, tokenStore: oauthTokenStore } = createOAuthRoutes({
   postAuthRedirect: process.env.OAUTH_POST_AUTH_REDIRECT || "/",
 });
 
-// API routes
-const apiRouter = createApiRoutes({ oauthTokenStore });
+// API routes; saved garden projects per PROJECT_STORE
+const apiRouter = createApiRoutes({
+  oauthTokenStore,
+  projectStore: createProjectStore(process.env),
+});
 
 // MCP routes
 const enableMcpSse = process.env.ENABLE_MCP_SSE !== "false";
@@ -37,6 +50,7 @@ const mcpRouter = createMcpRoutes({
   fallbackBaseUrl,
   enableSse: enableMcpSse,
   allowDevPush,
+  oauthTokenStore,
 });
 
 // Health + root routes
@@ -56,4 +70,10 @@ app.listen(port, "0.0.0.0", () => {
     `Garden Craft AI server running on ${fallbackBaseUrl} (local port ${port})`,
   );
   console.log("MCP SSE enabled:", enableMcpSse ? "yes" : "no");
+  if (loadedProviders.length > 0) {
+    console.log(
+      "Loaded providers:",
+      loadedProviders.map((provider) => provider.id).join(", "),
+    );
+  }
 });
@@ -0,0 +1,73 @@
+/**
+ * In-process pub/sub for optimize job progress
+ *
+ * The optimize route publishes events under a job id; the MCP SSE router
+ * forwards them to every client watching that job (`GET /mcp/sse?jobId=`).
+ * Job ids are chosen by clients, so each session has its own ids: a stream
+ * only hears jobs started by the session that opened it.
+ */
+
+import type {
+  OptimizeProgressEvent,
+  ProgressListener,
+} from "../../shared/types";
+
+/**
+ * Key of a job within its session (session ids are colon-free)
+ */
+export function jobKey(sessionId: string | undefined, jobId: string): string {
+  return `${sessionId ?? ""}:${jobId}`;
+}
+
+// Listeners per job key. Not an EventEmitter: job ids are client-chosen, and
+// ids like "error" or "newListener" are special event names there.
+const listeners = new Map<string, Set<ProgressListener>>();
+
+export function publishJobEvent(
+  sessionId: string | undefined,
+  jobId: string,
+  event: OptimizeProgressEvent,
+): void {
+  for (const listener of [...(listeners.get(jobKey(sessionId, jobId)) ?? [])]) {
+    listener(event);
+  }
+}
+
+/**
+ * Listen to one of a session's jobs; returns the unsubscribe function
+ */
+export function subscribeJob(
+  sessionId: string | undefined,
+  jobId: string,
+  listener: ProgressListener,
+): () => void {
+  const key = jobKey(sessionId, jobId);
+  const jobListeners = listeners.get(key) ?? new Set<ProgressListener>();
+  listeners.set(key, jobListeners);
+  jobListeners.add(listener);
+  return () => {
+    jobListeners.delete(listener);
+    if (jobListeners.size === 0 && listeners.get(key) === jobListeners) {
+      listeners.delete(key);
+    }
+  };
+}
+
+/**
+ * Progress listener that publishes to a session's job, or undefined without
+ * a job id
+ */
+export function createJobReporter(
+  sessionId: string | undefined,
+  jobId: string | undefined,
+): ProgressListener | undefined {
+  if (!jobId) return undefined;
+  return (event) => publishJobEvent(sessionId, jobId, event);
+}
+
+export default {
+  jobKey,
+  publishJobEvent,
+  subscribeJob,
+  createJobReporter,
+};
@@ -1,15 +1,24 @@
+import { randomUUID } from "node:crypto";
 import express from "express";
+import { subscribeJob } from "./jobEvents";
 
 /**
  * Dev-safe SSE scaffold for MCP (Server-Sent Events)
  *
- * - GET  /mcp/sse    -> opens an SSE connection
+ * - GET  /mcp/sse    -> opens an SSE connection (`?jobId=` also streams that
+ *                        optimize job's progress as `optimize.<type>` events)
+ * - POST /mcp/messages?sessionId=<clientId>
+ *                     -> MCP JSON-RPC over SSE: when an `mcpServer` is given, each
+ *                        connection gets an `endpoint` event naming this URL and
+ *                        responses come back as `message` events on its stream;
+ *                        only the session (cookie or bearer) that opened the
+ *                        stream may post to it
  * - POST /mcp/push   -> (dev-only) broadcast a test event or send to specific client
  * - GET  /mcp/status -> (dev-only) show connected client count
  *
  * Usage:
  *   import { createMcpSseRouter } from "./mcp/sseRouter.js";
- *   app.use(createMcpSseRouter({ allowDevPush: true }));
+ *   app.use(createMcpSseRouter({ allowDevPush: true, mcpServer }));
  *
  * Security:
  * - This module is intended for local development and testing only.
@@ -17,12 +26,21 @@ import express from "express";
  * - Do NOT expose raw token material via SSE; treat SSE as a transport for structured events.
  */
 
-export function createMcpSseRouter({ allowDevPush = true } = {}) {
+/**
+ * @param {{
+ *   allowDevPush?: boolean,
+ *   mcpServer?: {
+ *     handleMessage(message: any, context?: { sessionId?: string }): Promise<any>,
+ *   },
+ * }} [options]
+ */
+export function createMcpSseRouter({ allowDevPush = true, mcpServer } = {}) {
   const router = express.Router();
 
   // Keep a mapping of clientId -> response object
   const clients = new Map();
-  let nextClientId = 1;
+  // clientId -> caller session that opened the stream
+  const clientSessions = new Map();
 
   /**
    * Helper: write an SSE event to a response
@@ -53,17 +71,27 @@ export function createMcpSseRouter({ allowDevPush = true } = {}) {
     res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
     res.setHeader("Cache-Control", "no-cache, no-transform");
     res.setHeader("Connection", "keep-alive");
-    // For local dev convenience; restrict in production
-    res.setHeader("Access-Control-Allow-Origin", "*");
+    // CORS comes from corsMiddleware, which lets the session cookie through
 
     // Send an initial comment to ensure the stream is open (helps some proxies)
     res.write(": connected\n\n");
 
-    const clientId = String(nextClientId++);
+    // Random, so stream ids can't be guessed from one another
+    const clientId = randomUUID();
     clients.set(clientId, res);
+    clientSessions.set(clientId, req.sessionId);
+    const jobId = typeof req.query.jobId === "string" ? req.query.jobId : null;
+
+    // MCP SSE transport: tell the client where to POST its JSON-RPC messages.
+    // The spec sends the URL as plain text, not JSON.
+    if (mcpServer) {
+      res.write(
+        `event: endpoint\ndata: /mcp/messages?sessionId=${clientId}\n\n`,
+      );
+    }
 
     // Send an initial connection event to the client with its id
-    sendEvent(res, "mcp.connected", { clientId });
+    sendEvent(res, "mcp.connected", { clientId, jobId });
 
     // Periodic keep-alive comment to prevent idle timeouts (15s)
     const keepAlive = setInterval(() => {
@@ -74,13 +102,50 @@ export function createMcpSseRouter({ allowDevPush = true } = {}) {
       }
     }, 15000);
 
+    // Forward optimize progress for the job this client is watching; job ids
+    // are per session, so only the caller's own jobs can be followed
+    const unsubscribe = jobId
+      ? subscribeJob(req.sessionId, jobId, (event) =>
+          sendEvent(res, `optimize.${event.type}`, { jobId, ...event }),
+        )
+      : null;
+
     // Clean up when the connection closes
     req.on("close", () => {
       clearInterval(keepAlive);
       clients.delete(clientId);
+      clientSessions.delete(clientId);
+      if (unsubscribe) unsubscribe();
     });
   });
 
+  /**
+   * POST /mcp/messages?sessionId=<clientId>
+   * One JSON-RPC message for the MCP server; accepted right away, answered
+   * on the session's SSE stream.
+   */
+  if (mcpServer) {
+    router.post("/mcp/messages", express.json(), (req, res) => {
+      const sessionId = String(req.query.sessionId || "");
+      const dest = clients.get(sessionId);
+      // Another session's stream looks the same as a missing one
+      if (!dest || clientSessions.get(sessionId) !== req.sessionId) {
+        res.status(404).json({ error: "Session not found" });
+        return;
+      }
+
+      res.status(202).end();
+      // Tools use the OAuth tokens of the caller's session (cookie or
+      // bearer), not of the SSE stream id above
+      mcpServer
+        .handleMessage(req.body, { sessionId: req.sessionId })
+        .then((response) => {
+          if (response) sendEvent(dest, "message", response);
+        })
+        .catch((err) => console.error("MCP message failed:", err));
+    });
+  }
+
   /**
    * Dev-only: POST /mcp/push
    * Body: { event?: string, data?: any, to?: clientId }
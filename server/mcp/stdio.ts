@@ -0,0 +1,69 @@
+/**
+ * MCP over stdio: newline-delimited JSON-RPC on stdin/stdout
+ *
+ * Run with `npm run mcp:stdio` and point an MCP client at that command.
+ * Provider API keys and the OAuth token store (OAUTH_TOKEN_STORE) come from
+ * the environment (.env) as for the HTTP server.
+ */
+
+import { config } from "dotenv";
+import { createInterface } from "node:readline";
+import type { Readable, Writable } from "node:stream";
+import { pathToFileURL } from "node:url";
+import { createTokenStore } from "../oauth/tokenStore";
+import { loadProviderModules } from "../providers/loader";
+import { createMcpServer, JSON_RPC_ERRORS } from "./toolServer";
+import type { McpServer } from "./toolServer";
+
+/**
+ * Answer every JSON-RPC line from `input` on `output`; resolves when input ends
+ */
+export async function serveStdio(
+  server: McpServer,
+  input: Readable = process.stdin,
+  output: Writable = process.stdout,
+): Promise<void> {
+  const send = (message: unknown) =>
+    output.write(`${JSON.stringify(message)}\n`);
+  const pending: Promise<void>[] = [];
+
+  for await (const line of createInterface({ input, crlfDelay: Infinity })) {
+    if (!line.trim()) continue;
+    let message: unknown;
+    try {
+      message = JSON.parse(line);
+    } catch {
+      send({
+        jsonrpc: "2.0",
+        id: null,
+        error: { code: JSON_RPC_ERRORS.parseError, message: "Parse error" },
+      });
+      continue;
+    }
+    // Requests run concurrently; responses carry their ids
+    pending.push(
+      server.handleMessage(message).then((response) => {
+        if (response) send(response);
+      }),
+    );
+  }
+
+  await Promise.all(pending);
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1] || "").href) {
+  // stdout carries protocol messages only; send all logging to stderr
+  console.log = console.error;
+  console.info = console.error;
+  config();
+  loadProviderModules(process.env)
+    .then(() =>
+      serveStdio(
+        createMcpServer({ tokenStore: createTokenStore(process.env) }),
+      ),
+    )
+    .catch((err) => {
+      console.error("MCP stdio server failed:", err);
+      process.exit(1);
+    });
+}
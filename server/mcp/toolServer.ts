@@ -0,0 +1,316 @@
+/**
+ * Model Context Protocol tool server (JSON-RPC 2.0)
+ *
+ * Transport-agnostic: `handleMessage` takes one parsed JSON-RPC message and
+ * returns the response to send back (null for notifications). The SSE router
+ * (`/mcp/sse` + `/mcp/messages`) and the stdio entry (`server/mcp/stdio.ts`)
+ * both wrap it. Over SSE, tools act for the caller's session (see
+ * middleware/session); stdio uses the shared token slot.
+ *
+ * Tools:
+ * - list_plants: plant types with spacing, height, sun needs and companions
+ * - get_catalog: the full plant catalog (plants + seed varieties)
+ * - optimize_bed: lay out one bed with any registered provider
+ * - score_layout: the /api/score metrics for existing layouts
+ */
+
+import { getPlantCatalog } from "../plantCatalogRepo";
+import { VEGGIE_METADATA } from "../veggieMetadata";
+import {
+  buildOptimizeRequestSchema,
+  formatValidationErrors,
+  scoreRequestSchema,
+  validateOptimizeRequest,
+  validateScoreRequest,
+} from "../middleware/validation";
+import { runOptimizeRequest } from "../routes/optimize";
+import { MemoryTokenStore, type TokenStore } from "../oauth/tokenStore";
+import { scoreLayouts } from "../../shared/layoutScore";
+
+export interface JsonRpcMessage {
+  jsonrpc: "2.0";
+  id?: string | number | null;
+  method?: string;
+  params?: any;
+  result?: any;
+  error?: { code: number; message: string; data?: any };
+}
+
+// Newest first; an unknown client version gets the newest
+export const SUPPORTED_PROTOCOL_VERSIONS = [
+  "2025-06-18",
+  "2025-03-26",
+  "2024-11-05",
+];
+
+export const JSON_RPC_ERRORS = {
+  parseError: -32700,
+  invalidRequest: -32600,
+  methodNotFound: -32601,
+  invalidParams: -32602,
+  internalError: -32603,
+};
+
+interface ToolResult {
+  content: { type: "text"; text: string }[];
+  isError?: boolean;
+}
+
+export interface McpContext {
+  sessionId?: string;
+}
+
+interface McpTool {
+  name: string;
+  description: string;
+  inputSchema: Record<string, any>;
+  call(args: Record<string, any>, context: McpContext): Promise<ToolResult>;
+}
+
+const pick = (source: Record<string, any>, keys: string[]) =>
+  Object.fromEntries(keys.map((key) => [key, source[key]]));
+
+const jsonResult = (value: unknown): ToolResult => ({
+  content: [{ type: "text", text: JSON.stringify(value, null, 2) }],
+});
+
+const errorResult = (message: string, details?: string[]): ToolResult => ({
+  content: [
+    {
+      type: "text",
+      text: details?.length ? `${message}\n${details.join("\n")}` : message,
+    },
+  ],
+  isError: true,
+});
+
+function createTools(tokenStore: TokenStore): McpTool[] {
+  const optimizeFields = buildOptimizeRequestSchema().properties as Record<
+    string,
+    any
+  >;
+
+  return [
+    {
+      name: "list_plants",
+      description:
+        "List the plant types the planner knows, with spacing and height in inches, hours of sun needed, botanical family, companions and antagonists.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          search: {
+            type: "string",
+            description: "Only plants whose name contains this text",
+          },
+        },
+        additionalProperties: false,
+      },
+      async call({ search }) {
+        const { plants } = await getPlantCatalog();
+        const needle = typeof search === "string" ? search.toLowerCase() : "";
+        return jsonResult(
+          Object.entries(plants)
+            .filter(([type]) => type.toLowerCase().includes(needle))
+            .map(([type, meta]) => ({
+              type,
+              spacing: meta.spacing,
+              height: meta.height,
+              sunHours: meta.sunHours,
+              daysToMaturity: meta.daysToMaturity,
+              family: meta.family,
+              companions: meta.companions,
+              antagonists: meta.antagonists,
+            })),
+        );
+      },
+    },
+    {
+      name: "get_catalog",
+      description:
+        "The full plant catalog: per-plant metadata keyed by type and every seed variety.",
+      inputSchema: { type: "object", properties: {} },
+      async call() {
+        return jsonResult(await getPlantCatalog());
+      },
+    },
+    {
+      name: "optimize_bed",
+      description:
+        "Lay out plants in one garden bed. Coordinates are inches from the bed's top-left corner. Uses the local packer unless another provider is named; returns the bed layout.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          bed: optimizeFields.beds.items,
+          ...pick(optimizeFields, [
+            "seeds",
+            "sunOrientation",
+            "provider",
+            "model",
+            "fixedPlacements",
+            "sun",
+            "repair",
+            "packerConfig",
+          ]),
+        },
+        required: ["bed", "seeds"],
+        additionalProperties: false,
+      },
+      async call({ bed, sunOrientation = "South", ...rest }, { sessionId }) {
+        const request = { ...rest, beds: [bed], sunOrientation };
+        if (!validateOptimizeRequest(request)) {
+          return errorResult(
+            "Invalid arguments",
+            formatValidationErrors(validateOptimizeRequest),
+          );
+        }
+        const { status, body } = await runOptimizeRequest(request, tokenStore, {
+          sessionId,
+        });
+        if (status >= 400) return errorResult(body.error);
+        return jsonResult({
+          provider: body.provider,
+          layout: body.layouts[0],
+          ...(body.repairs ? { repairs: body.repairs } : {}),
+          ...(body.seed !== undefined ? { seed: body.seed } : {}),
+        });
+      },
+    },
+    {
+      name: "score_layout",
+      description:
+        "Score bed layouts: density, overlap, bounds violations, companion and antagonist neighbours, priority-ratio error and shade conflicts, per bed and in total.",
+      inputSchema: scoreRequestSchema,
+      async call(args) {
+        if (!validateScoreRequest(args)) {
+          return errorResult(
+            "Invalid arguments",
+            formatValidationErrors(validateScoreRequest),
+          );
+        }
+        const { beds, layouts, seeds, sunOrientation, sun } = args;
+        return jsonResult(
+          scoreLayouts(beds, layouts, {
+            plants: VEGGIE_METADATA,
+            seeds,
+            sunOrientation,
+            sun,
+          }),
+        );
+      },
+    },
+  ];
+}
+
+export function createMcpServer({
+  tokenStore = new MemoryTokenStore(),
+}: { tokenStore?: TokenStore } = {}) {
+  const tools = createTools(tokenStore);
+
+  const reply = (id: JsonRpcMessage["id"], result: any): JsonRpcMessage => ({
+    jsonrpc: "2.0",
+    id: id ?? null,
+    result,
+  });
+  const fail = (
+    id: JsonRpcMessage["id"],
+    code: number,
+    message: string,
+  ): JsonRpcMessage => ({
+    jsonrpc: "2.0",
+    id: id ?? null,
+    error: { code, message },
+  });
+
+  /**
+   * Handle one JSON-RPC message; null means nothing to send back
+   */
+  async function handleMessage(
+    message: any,
+    context: McpContext = {},
+  ): Promise<JsonRpcMessage | null> {
+    if (
+      !message ||
+      message.jsonrpc !== "2.0" ||
+      typeof message.method !== "string"
+    ) {
+      // Responses to server requests (we send none) are ignored
+      if (message && ("result" in message || "error" in message)) return null;
+      return fail(
+        message?.id,
+        JSON_RPC_ERRORS.invalidRequest,
+        "Invalid Request",
+      );
+    }
+
+    const { id, method, params = {} } = message;
+    // Notifications (initialized, cancelled, ...) need no answer
+    if (id === undefined) return null;
+
+    try {
+      switch (method) {
+        case "initialize": {
+          const requested = params.protocolVersion;
+          return reply(id, {
+            protocolVersion: SUPPORTED_PROTOCOL_VERSIONS.includes(requested)
+              ? requested
+              : SUPPORTED_PROTOCOL_VERSIONS[0],
+            capabilities: { tools: { listChanged: false } },
+            serverInfo: { name: "garden-craft", version: "0.1.0" },
+            instructions:
+              "Garden planning tools. Use list_plants to see plant types, optimize_bed to lay out a bed and score_layout to compare layouts.",
+          });
+        }
+        case "ping":
+          return reply(id, {});
+        case "tools/list":
+          return reply(id, {
+            tools: tools.map(({ name, description, inputSchema }) => ({
+              name,
+              description,
+              inputSchema,
+            })),
+          });
+        case "tools/call": {
+          const tool = tools.find((t) => t.name === params.name);
+          if (!tool) {
+            return fail(
+              id,
+              JSON_RPC_ERRORS.invalidParams,
+              `Unknown tool: ${params.name}`,
+            );
+          }
+          try {
+            return reply(id, await tool.call(params.arguments || {}, context));
+          } catch (err) {
+            // Tool failures go back to the model, not the JSON-RPC layer
+            console.error(`MCP tool ${tool.name} failed:`, err);
+            return reply(
+              id,
+              errorResult(err instanceof Error ? err.message : "Tool failed."),
+            );
+          }
+        }
+        default:
+          return fail(
+            id,
+            JSON_RPC_ERRORS.methodNotFound,
+            `Method not found: ${method}`,
+          );
+      }
+    } catch (err) {
+      return fail(
+        id,
+        JSON_RPC_ERRORS.internalError,
+        err instanceof Error ? err.message : "Internal error",
+      );
+    }
+  }
+
+  return { handleMessage, tools };
+}
+
+export type McpServer = ReturnType<typeof createMcpServer>;
+
+export default {
+  createMcpServer,
+};
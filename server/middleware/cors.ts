@@ -1,7 +1,20 @@
 import type { Request, Response, NextFunction } from "express";
 
+/**
+ * A browser page served from another origin (VITE_AI_SERVER_URL) sends its
+ * `gc_session` cookie with `credentials: "include"`, which needs the origin
+ * echoed back rather than `*`. The cookie is SameSite=Lax, so only pages on
+ * the same site as the server ever send it.
+ */
 export function corsMiddleware(req: Request, res: Response, next: NextFunction) {
-  res.setHeader("Access-Control-Allow-Origin", "*");
+  const origin = req.headers.origin;
+  if (origin) {
+    res.setHeader("Access-Control-Allow-Origin", origin);
+    res.setHeader("Access-Control-Allow-Credentials", "true");
+    res.vary("Origin");
+  } else {
+    res.setHeader("Access-Control-Allow-Origin", "*");
+  }
   res.setHeader(
     "Access-Control-Allow-Methods",
     "GET,POST,PUT,PATCH,DELETE,OPTIONS",
@@ -0,0 +1,81 @@
+/**
+ * Caller sessions
+ *
+ * Scopes OAuth tokens and optimize jobs to whoever is calling. A session
+ * comes from `Authorization: Bearer <token>` (scripts, MCP clients, a team
+ * sharing one token) or else the `gc_session` cookie, which is issued on the
+ * first request without either.
+ *
+ * `req.sessionId` is a hash of the secret, so stored keys never contain the
+ * cookie or bearer value itself.
+ */
+
+import crypto from "node:crypto";
+import type { Request, Response, NextFunction } from "express";
+
+declare global {
+  namespace Express {
+    interface Request {
+      sessionId?: string;
+    }
+  }
+}
+
+export const SESSION_COOKIE = "gc_session";
+export const MIN_BEARER_LENGTH = 16;
+const SESSION_MAX_AGE_S = 180 * 24 * 60 * 60;
+
+function readCookie(req: Request, name: string): string | null {
+  for (const part of String(req.headers.cookie || "").split(";")) {
+    const [key, ...rest] = part.trim().split("=");
+    if (key === name) return decodeURIComponent(rest.join("="));
+  }
+  return null;
+}
+
+/**
+ * Stable, colon-free id for a session secret
+ */
+export function sessionIdFor(secret: string): string {
+  return crypto
+    .createHash("sha256")
+    .update(secret)
+    .digest("base64url")
+    .slice(0, 32);
+}
+
+export function sessionMiddleware(
+  req: Request,
+  res: Response,
+  next: NextFunction,
+) {
+  const header = String(req.headers.authorization || "");
+  const bearer = header.match(/^Bearer\s+(\S+)$/i)?.[1];
+  if (bearer) {
+    if (bearer.length < MIN_BEARER_LENGTH) {
+      res.status(401).json({
+        error: `Session token must be at least ${MIN_BEARER_LENGTH} characters.`,
+      });
+      return;
+    }
+    req.sessionId = sessionIdFor(`bearer:${bearer}`);
+    next();
+    return;
+  }
+
+  let secret = readCookie(req, SESSION_COOKIE);
+  if (!secret) {
+    secret = crypto.randomBytes(32).toString("base64url");
+    res.cookie(SESSION_COOKIE, secret, {
+      httpOnly: true,
+      sameSite: "lax",
+      secure: req.secure,
+      maxAge: SESSION_MAX_AGE_S * 1000,
+      path: "/",
+    });
+  }
+  req.sessionId = sessionIdFor(`cookie:${secret}`);
+  next();
+}
+
+export default sessionMiddleware;
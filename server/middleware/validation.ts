@@ -4,6 +4,8 @@
 
 import Ajv, { ValidateFunction } from "ajv";
 import { VEGGIE_TYPES } from "../veggieMetadata";
+import { MAX_PACKER_SEED, PACKER_PARAMETERS } from "../../shared/packerConfig";
+import { listProviders } from "../providers/index";
 import type { Request, Response, NextFunction } from "express";
 
 const ajv = new Ajv({
@@ -14,92 +16,508 @@ const ajv = new Ajv({
 });
 
 /**
- * Request schema for /api/optimize endpoint
+ * Polygon vertex list in inches from the bed origin
+ */
+const vertexListSchema = {
+  type: "array",
+  minItems: 3,
+  maxItems: 200,
+  items: {
+    type: "object",
+    properties: {
+      x: { type: "number", minimum: 0 },
+      y: { type: "number", minimum: 0 },
+    },
+    required: ["x", "y"],
+    additionalProperties: false,
+  },
+};
+
+/**
+ * Keep-out zone inside a bed; required fields depend on `kind`
+ */
+const obstacleSchema = {
+  type: "object",
+  properties: {
+    id: { type: "string" },
+    label: { type: "string" },
+    kind: { type: "string", enum: ["circle", "rect", "polygon"] },
+    x: { type: "number" },
+    y: { type: "number" },
+    radius: { type: "number", exclusiveMinimum: 0 },
+    width: { type: "number", exclusiveMinimum: 0 },
+    height: { type: "number", exclusiveMinimum: 0 },
+    vertices: vertexListSchema,
+  },
+  required: ["kind"],
+  allOf: [
+    {
+      if: { properties: { kind: { const: "circle" } } },
+      then: { required: ["x", "y", "radius"] },
+    },
+    {
+      if: { properties: { kind: { const: "rect" } } },
+      then: { required: ["x", "y", "width", "height"] },
+    },
+    {
+      if: { properties: { kind: { const: "polygon" } } },
+      then: { required: ["vertices"] },
+    },
+  ],
+  additionalProperties: false,
+};
+
+/**
+ * Garden bed; polygon beds must describe their outline
  */
-const optimizeRequestSchema = {
+const bedSchema = {
   type: "object",
   properties: {
-    provider: {
+    id: { type: "string" },
+    name: { type: "string" },
+    width: { type: "number", minimum: 1, maximum: 10000 },
+    height: { type: "number", minimum: 1, maximum: 10000 },
+    x: { type: "number", minimum: 0 },
+    y: { type: "number", minimum: 0 },
+    shape: {
       type: "string",
-      enum: ["openai", "anthropic", "gemini", "local"],
-      description: "AI provider to use for layout generation",
+      enum: ["rectangle", "pill", "circle", "polygon"],
     },
-    beds: {
+    vertices: {
+      ...vertexListSchema,
+      description: "Polygon outline in inches from the bed origin",
+    },
+    obstacles: {
       type: "array",
-      minItems: 1,
-      items: {
+      maxItems: 100,
+      items: obstacleSchema,
+      description: "Keep-out zones the layout must avoid",
+    },
+  },
+  required: ["id", "width", "height"],
+  if: { properties: { shape: { const: "polygon" } }, required: ["shape"] },
+  then: { required: ["vertices"] },
+  additionalProperties: true, // Allow extra bed properties
+};
+
+/**
+ * Plant already in a layout; reasoning and succession fields pass through
+ */
+const placementSchema = {
+  type: "object",
+  properties: {
+    id: { type: "string" },
+    veggieType: { type: "string" },
+    x: { type: "number" },
+    y: { type: "number" },
+    size: { type: "number", exclusiveMinimum: 0 },
+    height: { type: "number", minimum: 0 },
+  },
+  required: ["id", "veggieType", "x", "y", "size"],
+  additionalProperties: true,
+};
+
+const layoutSchema = {
+  type: "object",
+  properties: {
+    bedId: { type: "string" },
+    placements: {
+      type: "array",
+      items: placementSchema,
+    },
+  },
+  required: ["bedId", "placements"],
+  additionalProperties: true,
+};
+
+const seedSchema = {
+  type: "object",
+  properties: {
+    id: { type: "string" },
+    name: { type: "string" },
+    type: {
+      type: "string",
+      enum: VEGGIE_TYPES.length > 0 ? VEGGIE_TYPES : undefined,
+    },
+    veggieType: {
+      type: "string",
+      enum: VEGGIE_TYPES.length > 0 ? VEGGIE_TYPES : undefined,
+    },
+    quantity: { type: "integer", minimum: 1, maximum: 10000 },
+    count: { type: "integer", minimum: 1, maximum: 10000 },
+    plantingDay: {
+      type: "integer",
+      minimum: 0,
+      maximum: 365,
+      description: "Season day the crop goes into the bed (succession planting)",
+    },
+  },
+  required: [], // Seeds can have various formats
+  additionalProperties: true, // Allow variety, spacing, etc.
+};
+
+/**
+ * Latitude, date and garden rotation for the sun and shade model
+ */
+const sunSettingsSchema = {
+  type: "object",
+  properties: {
+    latitude: { type: "number", minimum: -90, maximum: 90 },
+    date: {
+      type: "string",
+      pattern: "^\\d{4}-\\d{2}-\\d{2}$",
+      description: "YYYY-MM-DD",
+    },
+    azimuth: {
+      type: "number",
+      minimum: 0,
+      maximum: 360,
+      description: "Canvas bearing of the midday sun, clockwise from the top edge",
+    },
+  },
+  additionalProperties: false,
+};
+
+/**
+ * Plant families grown in each bed in past seasons, oldest first
+ */
+const rotationHistorySchema = {
+  type: "array",
+  maxItems: 50,
+  items: {
+    type: "object",
+    properties: {
+      season: { type: "string", minLength: 1 },
+      recordedAt: { type: "number" },
+      beds: {
         type: "object",
-        properties: {
-          id: { type: "string" },
-          name: { type: "string" },
-          width: { type: "number", minimum: 1, maximum: 10000 },
-          height: { type: "number", minimum: 1, maximum: 10000 },
-          x: { type: "number", minimum: 0 },
-          y: { type: "number", minimum: 0 },
+        additionalProperties: {
+          type: "array",
+          items: { type: "string" },
         },
-        required: ["id", "width", "height"],
-        additionalProperties: true, // Allow extra bed properties
       },
     },
-    seeds: {
-      type: "array",
-      minItems: 1,
-      items: {
+    required: ["season", "beds"],
+    additionalProperties: false,
+  },
+};
+
+/**
+ * Local packer tuning, each parameter within its PACKER_PARAMETERS range
+ */
+const packerConfigSchema = {
+  type: "object",
+  properties: {
+    ...Object.fromEntries(
+      PACKER_PARAMETERS.map(({ key, min, max, integer }) => [
+        key,
+        { type: integer ? "integer" : "number", minimum: min, maximum: max },
+      ]),
+    ),
+    random_seed: { type: "integer", minimum: 0, maximum: MAX_PACKER_SEED },
+  },
+  additionalProperties: false,
+};
+
+const authSchema = {
+  type: "object",
+  properties: {
+    apiKey: { type: "string" },
+    oauthAccessToken: { type: "string" },
+  },
+  additionalProperties: false,
+};
+
+/**
+ * Most provider runs one ensemble request may start, summed over its
+ * entries; each run is a billed call (more with self-correction)
+ */
+export const MAX_ENSEMBLE_RUNS = 8;
+
+/**
+ * Request schema for /api/optimize endpoint
+ *
+ * @param providerIds - Accepted provider ids, by default every provider
+ * registered right now
+ */
+export function buildOptimizeRequestSchema(
+  providerIds: string[] = listProviders().map((provider) => provider.id),
+) {
+  return {
+    type: "object",
+    properties: {
+      provider: {
+        type: "string",
+        enum: providerIds,
+        description: "AI provider to use for layout generation",
+      },
+      beds: {
+        type: "array",
+        minItems: 1,
+        items: bedSchema,
+      },
+      seeds: {
+        type: "array",
+        minItems: 1,
+        items: seedSchema,
+      },
+      fixedPlacements: {
+        type: "array",
+        maxItems: 1000,
+        items: {
+          type: "object",
+          properties: {
+            bedId: { type: "string" },
+            id: { type: "string" },
+            veggieType: { type: "string" },
+            varietyName: { type: "string" },
+            x: { type: "number" },
+            y: { type: "number" },
+            size: { type: "number", exclusiveMinimum: 0 },
+          },
+          required: ["bedId", "veggieType", "x", "y", "size"],
+          additionalProperties: true, // Keep reasoning/insight text untouched
+        },
+        description: "Pinned plants returned untouched; layouts are built around them",
+      },
+      mode: {
+        type: "string",
+        enum: ["full", "fill"],
+        description: '"fill" keeps existingLayouts and only plants the gaps',
+      },
+      existingLayouts: {
+        type: "array",
+        items: layoutSchema,
+        description: "Current layouts to build on in fill mode",
+      },
+      rotationHistory: rotationHistorySchema,
+      sunOrientation: {
+        type: "string",
+        enum: ["North", "South", "East", "West"],
+        description: "Primary sun direction for the garden",
+      },
+      sun: {
+        ...sunSettingsSchema,
+        description: "Sun path used to keep sun-loving plants out of shade",
+      },
+      repair: {
+        type: "boolean",
+        description: "Nudge overlapping or out-of-bounds provider placements into valid spots and report the moves",
+      },
+      correction: {
         type: "object",
         properties: {
-          id: { type: "string" },
-          name: { type: "string" },
-          type: {
-            type: "string",
-            enum: VEGGIE_TYPES.length > 0 ? VEGGIE_TYPES : undefined,
-          },
-          veggieType: {
-            type: "string",
-            enum: VEGGIE_TYPES.length > 0 ? VEGGIE_TYPES : undefined,
+          maxRetries: { type: "integer", minimum: 0, maximum: 3 },
+          bounds: { type: "boolean" },
+        },
+        additionalProperties: false,
+        description:
+          "LLM self-correction: resend output failing the schema (or, unless bounds is false, placing plants outside their bed) with the errors, up to maxRetries times; the response lists each try as `attempts`",
+      },
+      packerConfig: {
+        ...packerConfigSchema,
+        description: "Local packer tuning; the response echoes the random_seed used as `seed`",
+      },
+      jobId: {
+        type: "string",
+        pattern: "^[A-Za-z0-9_-]{1,64}$",
+        description: "Publish progress to /mcp/sse?jobId=<jobId> subscribers",
+      },
+      style: {
+        type: "object",
+        additionalProperties: true,
+        description: "Visual styling preferences",
+      },
+      optimizationGoals: {
+        type: "array",
+        items: { type: "string" },
+        description: 'Goals like "maximize yield", "companion planting", etc.',
+      },
+      auth: authSchema,
+      model: {
+        type: "string",
+        description: "Specific model name to use with the provider",
+      },
+      ensemble: {
+        type: "array",
+        minItems: 1,
+        maxItems: MAX_ENSEMBLE_RUNS,
+        items: {
+          type: "object",
+          properties: {
+            provider: { type: "string", enum: providerIds },
+            model: { type: "string" },
+            auth: authSchema,
+            runs: { type: "integer", minimum: 1, maximum: MAX_ENSEMBLE_RUNS },
+            randomSeed: { type: "integer" },
           },
-          quantity: { type: "integer", minimum: 1, maximum: 10000 },
-          count: { type: "integer", minimum: 1, maximum: 10000 },
+          required: ["provider"],
+          additionalProperties: false,
         },
-        required: [], // Seeds can have various formats
-        additionalProperties: true, // Allow variety, spacing, etc.
+        description: "Best-of-N: run every entry in parallel, score the results and return the best plus the ranked alternatives",
       },
     },
+    required: ["beds", "seeds", "sunOrientation"],
+    // Fill mode needs something to fill around
+    if: { properties: { mode: { const: "fill" } }, required: ["mode"] },
+    then: { required: ["existingLayouts"] },
+    additionalProperties: false,
+  };
+}
+
+let optimizeValidator: { providers: string; validate: ValidateFunction } | null =
+  null;
+
+/**
+ * Validator for /api/optimize bodies. Providers can be registered after
+ * startup, so the schema is recompiled whenever the registry has changed;
+ * `errors` holds the last call's errors as on a compiled validator.
+ */
+export const validateOptimizeRequest = ((data: unknown) => {
+  const providerIds = listProviders().map((provider) => provider.id);
+  const providers = providerIds.join(",");
+  if (optimizeValidator?.providers !== providers) {
+    optimizeValidator = {
+      providers,
+      validate: ajv.compile(buildOptimizeRequestSchema(providerIds)),
+    };
+  }
+  const valid = optimizeValidator.validate(data);
+  validateOptimizeRequest.errors = optimizeValidator.validate.errors;
+  return valid;
+}) as ValidateFunction;
+
+/**
+ * Request schema for /api/sun endpoint
+ */
+const sunRequestSchema = {
+  type: "object",
+  properties: {
+    bed: bedSchema,
+    placements: {
+      type: "array",
+      maxItems: 1000,
+      items: placementSchema,
+    },
     sunOrientation: {
       type: "string",
       enum: ["North", "South", "East", "West"],
-      description: "Primary sun direction for the garden",
     },
-    style: {
-      type: "object",
-      additionalProperties: true,
-      description: "Visual styling preferences",
+    sun: sunSettingsSchema,
+    cellSize: {
+      type: "number",
+      minimum: 1,
+      maximum: 24,
+      description: "Heatmap cell size in inches",
+    },
+  },
+  required: ["bed", "placements"],
+  additionalProperties: false,
+};
+
+export const validateSunRequest: ValidateFunction =
+  ajv.compile(sunRequestSchema);
+
+/**
+ * Request schema for /api/score endpoint
+ */
+export const scoreRequestSchema = {
+  type: "object",
+  properties: {
+    beds: {
+      type: "array",
+      minItems: 1,
+      items: bedSchema,
+    },
+    layouts: {
+      type: "array",
+      items: layoutSchema,
     },
-    optimizationGoals: {
+    seeds: {
       type: "array",
-      items: { type: "string" },
-      description: 'Goals like "maximize yield", "companion planting", etc.',
+      items: seedSchema,
+      description: "Requested seeds; enables the priority-ratio error",
     },
-    auth: {
-      type: "object",
-      properties: {
-        apiKey: { type: "string" },
-        oauthAccessToken: { type: "string" },
-      },
-      additionalProperties: false,
+    sunOrientation: {
+      type: "string",
+      enum: ["North", "South", "East", "West"],
+    },
+    sun: sunSettingsSchema,
+  },
+  required: ["beds", "layouts"],
+  additionalProperties: false,
+};
+
+export const validateScoreRequest: ValidateFunction =
+  ajv.compile(scoreRequestSchema);
+
+/**
+ * Request schema for saving a garden project (/api/projects)
+ */
+export const projectSchema = {
+  type: "object",
+  properties: {
+    name: { type: "string", minLength: 1, maxLength: 120 },
+    beds: {
+      type: "array",
+      maxItems: 200,
+      items: bedSchema,
+    },
+    seeds: {
+      type: "array",
+      items: seedSchema,
+    },
+    layouts: {
+      type: "array",
+      items: layoutSchema,
     },
-    model: {
+    sunOrientation: {
       type: "string",
-      description: "Specific model name to use with the provider",
+      enum: ["North", "South", "East", "West"],
     },
+    sun: sunSettingsSchema,
+    rotationHistory: rotationHistorySchema,
+    version: {
+      type: "integer",
+      minimum: 1,
+      description: "Version the client last saw; a stale one is rejected with 409",
+    },
+  },
+  required: ["name", "beds"],
+  additionalProperties: false,
+};
+
+export const validateProjectRequest: ValidateFunction =
+  ajv.compile(projectSchema);
+
+/**
+ * Request schema for snapshotting a project (/api/projects/:id/revisions)
+ */
+const revisionRequestSchema = {
+  type: "object",
+  properties: {
+    note: { type: "string", maxLength: 500 },
   },
-  required: ["beds", "seeds", "sunOrientation"],
   additionalProperties: false,
 };
 
-export const validateOptimizeRequest: ValidateFunction = ajv.compile(
-  optimizeRequestSchema,
+export const validateRevisionRequest: ValidateFunction = ajv.compile(
+  revisionRequestSchema,
 );
 
+/**
+ * Readable "path: message" lines for a validator's last errors
+ */
+export function formatValidationErrors(validator: ValidateFunction): string[] {
+  // validator.errors can be null/undefined - guard before mapping
+  const rawErrors = validator.errors ?? [];
+  return (rawErrors as any[]).map((err) => {
+    const path = err?.instancePath || "body";
+    const message = err?.message || "validation failed";
+    return `${path}: ${message}`;
+  });
+}
+
 /**
  * Express middleware factory for validating request bodies against a schema
  *
@@ -111,17 +529,9 @@ export function createValidationMiddleware(validator: ValidateFunction) {
     const valid = validator(req.body);
 
     if (!valid) {
-      // validator.errors can be null/undefined - guard before mapping
-      const rawErrors = validator.errors ?? [];
-      const errors = (rawErrors as any[]).map((err) => {
-        const path = err?.instancePath || "body";
-        const message = err?.message || "validation failed";
-        return `${path}: ${message}`;
-      });
-
       return res.status(400).json({
         error: "Validation failed",
-        details: errors,
+        details: formatValidationErrors(validator),
       });
     }
 
@@ -136,8 +546,42 @@ export const validateOptimize = createValidationMiddleware(
   validateOptimizeRequest,
 );
 
+/**
+ * Pre-built middleware for /api/sun endpoint
+ */
+export const validateSun = createValidationMiddleware(validateSunRequest);
+
+/**
+ * Pre-built middleware for /api/score endpoint
+ */
+export const validateScore = createValidationMiddleware(validateScoreRequest);
+
+/**
+ * Pre-built middleware for /api/projects endpoints
+ */
+export const validateProject = createValidationMiddleware(
+  validateProjectRequest,
+);
+
+/**
+ * Pre-built middleware for /api/projects/:id/revisions
+ */
+export const validateRevision = createValidationMiddleware(
+  validateRevisionRequest,
+);
+
 export default {
+  buildOptimizeRequestSchema,
   createValidationMiddleware,
+  formatValidationErrors,
   validateOptimize,
   validateOptimizeRequest,
+  validateProject,
+  validateProjectRequest,
+  validateRevision,
+  validateRevisionRequest,
+  validateScore,
+  validateScoreRequest,
+  validateSun,
+  validateSunRequest,
 };
@@ -1,6 +1,12 @@
 import crypto from "crypto";
 import { URLSearchParams } from "url";
 import type { Request, Response } from "express";
+import {
+  isTokenExpired,
+  providerIdFromKey,
+  type TokenEntry,
+  type TokenStore,
+} from "./tokenStore";
 
 /**
  * Generic OAuth helper endpoints for AI providers.
@@ -21,6 +27,10 @@ import type { Request, Response } from "express";
  * - GET  /oauth/:provider/callback
  * - GET  /oauth/:provider/status
  *
+ * `createRefreshingTokenStore` wraps a token store so stored access tokens are
+ * renewed with their refresh token shortly before they expire, or on demand
+ * after a provider rejects one.
+ *
  * NOTE: For production, replace MemoryStore with a durable store.
  */
 
@@ -140,6 +150,42 @@ async function exchangeToken({
     ...extraTokenParams,
   });
 
+  const headers = withClientAuth(params, {
+    clientId,
+    clientSecret,
+    tokenAuthMethod,
+  });
+
+  const res = await fetchFn(tokenUrl, {
+    method: "POST",
+    headers,
+    body: params.toString(),
+  });
+
+  if (!res.ok) {
+    const text = await res.text();
+    throw new Error(`Token exchange failed: ${res.status} ${text}`);
+  }
+
+  return res.json();
+}
+
+/**
+ * Token endpoint headers, adding the client secret as Basic auth or as a
+ * form field depending on `tokenAuthMethod`
+ */
+function withClientAuth(
+  params: URLSearchParams,
+  {
+    clientId,
+    clientSecret,
+    tokenAuthMethod = "basic",
+  }: {
+    clientId: string;
+    clientSecret?: string;
+    tokenAuthMethod?: "basic" | "post";
+  },
+): Record<string, string> {
   const headers: Record<string, string> = {
     "Content-Type": "application/x-www-form-urlencoded",
   };
@@ -151,20 +197,89 @@ async function exchangeToken({
     params.set("client_secret", clientSecret);
   }
 
+  return headers;
+}
+
+interface RefreshTokenOptions {
+  tokenUrl: string;
+  refreshToken: string;
+  clientId: string;
+  clientSecret?: string;
+  tokenAuthMethod?: "basic" | "post";
+  extraTokenParams?: Record<string, string>;
+  fetchFn: typeof fetch;
+}
+
+/**
+ * `refresh_token` grant. Failures carry the HTTP `status` (absent for
+ * network errors) so callers can tell a revoked grant from a flaky endpoint.
+ */
+export async function refreshAccessToken({
+  tokenUrl,
+  refreshToken,
+  clientId,
+  clientSecret,
+  tokenAuthMethod = "basic",
+  extraTokenParams = {},
+  fetchFn,
+}: RefreshTokenOptions): Promise<any> {
+  const params = new URLSearchParams({
+    grant_type: "refresh_token",
+    refresh_token: refreshToken,
+    client_id: clientId,
+    ...extraTokenParams,
+  });
+
   const res = await fetchFn(tokenUrl, {
     method: "POST",
-    headers,
+    headers: withClientAuth(params, {
+      clientId,
+      clientSecret,
+      tokenAuthMethod,
+    }),
     body: params.toString(),
   });
 
   if (!res.ok) {
-    const text = await res.text();
-    throw new Error(`Token exchange failed: ${res.status} ${text}`);
+    const text = await res.text().catch(() => "");
+    throw Object.assign(
+      new Error(`Token refresh failed: ${res.status} ${text}`),
+      { status: res.status },
+    );
   }
 
   return res.json();
 }
 
+/**
+ * Token store entry from a token endpoint response. Refresh responses may
+ * leave out the refresh token or scope; those carry over from `previous`.
+ */
+export function tokenEntryFromResponse(
+  token: any,
+  previous?: TokenEntry,
+): TokenEntry {
+  const receivedAt = Date.now();
+  const expiresInMs =
+    typeof token?.expires_in === "number" ? token.expires_in * 1000 : null;
+  const refreshToken =
+    typeof token?.refresh_token === "string"
+      ? token.refresh_token
+      : (previous?.refreshToken ?? null);
+
+  return {
+    accessToken: token?.access_token || null,
+    tokenType: token?.token_type || previous?.tokenType || null,
+    scopes: token?.scope || previous?.scopes || null,
+    hasRefreshToken: Boolean(refreshToken),
+    refreshToken,
+    receivedAt,
+    expiresAt: expiresInMs ? receivedAt + expiresInMs : null,
+    refreshedAt: previous ? receivedAt : null,
+    refreshError: null,
+  };
+}
+
 export interface OAuthProvider {
   id: string;
   name: string;
@@ -195,6 +310,167 @@ function createProviderRegistry(
   return map;
 }
 
+export type TokenStatus =
+  | "connected"
+  | "expiring" // inside the refresh window
+  | "refreshing"
+  | "refresh_failed"
+  | "expired"
+  | "disconnected";
+
+export interface TokenStatusInfo {
+  status: TokenStatus;
+  expiresAt: number | null;
+  refreshedAt: number | null;
+  refreshError: string | null;
+}
+
+export interface RefreshingTokenStore extends TokenStore {
+  ensureFresh(key: string): Promise<TokenEntry | undefined>;
+  refresh(key: string): Promise<TokenEntry | undefined>;
+  status(key: string): TokenStatusInfo;
+}
+
+interface RefreshingTokenStoreOptions {
+  store: TokenStore;
+  providers: Map<string, OAuthProvider>;
+  fetchFn?: typeof fetch;
+  refreshWindowMs?: number; // refresh this long before expiresAt
+  retries?: number; // extra attempts after a network error, 429 or 5xx
+  retryDelayMs?: number; // doubled after every retry
+}
+
+export const DEFAULT_REFRESH_WINDOW_MS = 60 * 1000;
+
+const isTransientRefreshError = (err: any) =>
+  typeof err?.status !== "number" || err.status === 429 || err.status >= 500;
+
+// Still the entry a refresh started from, not a reconnect or a disconnect
+const isSameToken = (current: TokenEntry | undefined, entry: TokenEntry) =>
+  current?.accessToken === entry.accessToken &&
+  current.refreshToken === entry.refreshToken;
+
+/**
+ * Wrap a token store so entries with a refresh token are renewed against the
+ * provider `tokenUrl`. `ensureFresh` refreshes inside the window before
+ * `expiresAt`; `refresh` forces it (e.g. after a 401). Keys are store keys
+ * (see `tokenKey`); concurrent refreshes of one key share a request. A rejected grant clears the refresh
+ * token, so the entry dies at `expiresAt` and the provider must reconnect.
+ * An entry replaced or deleted while the token endpoint answers is left as
+ * it is.
+ */
+export function createRefreshingTokenStore({
+  store,
+  providers,
+  fetchFn = fetch,
+  refreshWindowMs = DEFAULT_REFRESH_WINDOW_MS,
+  retries = 2,
+  retryDelayMs = 500,
+}: RefreshingTokenStoreOptions): RefreshingTokenStore {
+  const inFlight = new Map<string, Promise<TokenEntry | undefined>>();
+
+  async function runRefresh(key: string): Promise<TokenEntry | undefined> {
+    const entry = store.get(key);
+    const provider = providers.get(providerIdFromKey(key));
+    if (!entry?.refreshToken || !provider?.tokenUrl) return undefined;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const token = await refreshAccessToken({
+          tokenUrl: provider.tokenUrl,
+          refreshToken: entry.refreshToken,
+          clientId: provider.clientId ?? "",
+          clientSecret: provider.clientSecret ?? undefined,
+          tokenAuthMethod: provider.tokenAuthMethod,
+          extraTokenParams: provider.extraTokenParams,
+          fetchFn,
+        });
+        const current = store.get(key);
+        if (!isSameToken(current, entry)) return current;
+        const next = tokenEntryFromResponse(token, entry);
+        store.set(key, next);
+        return next;
+      } catch (err: any) {
+        const transient = isTransientRefreshError(err);
+        if (transient && attempt < retries) {
+          await new Promise((resolve) =>
+            setTimeout(resolve, retryDelayMs * 2 ** attempt),
+          );
+          continue;
+        }
+
+        console.warn(`OAuth refresh for ${providerIdFromKey(key)} failed`);
+        const current = store.get(key);
+        if (!isSameToken(current, entry)) return current;
+        store.set(key, {
+          ...entry,
+          ...(transient ? {} : { refreshToken: null, hasRefreshToken: false }),
+          refreshError: err?.message || "Token refresh failed.",
+        });
+        return undefined;
+      }
+    }
+  }
+
+  function refresh(key: string): Promise<TokenEntry | undefined> {
+    const pending = inFlight.get(key);
+    if (pending) return pending;
+    const request = runRefresh(key).finally(() => inFlight.delete(key));
+    inFlight.set(key, request);
+    return request;
+  }
+
+  async function ensureFresh(key: string): Promise<TokenEntry | undefined> {
+    const entry = store.get(key);
+    if (!entry) return undefined;
+
+    const dueAt =
+      typeof entry.expiresAt === "number"
+        ? entry.expiresAt - refreshWindowMs
+        : Infinity;
+    if (entry.refreshToken && Date.now() >= dueAt) {
+      const refreshed = await refresh(key);
+      if (refreshed) return refreshed;
+    }
+    // Still usable until it actually expires, even if the refresh failed
+    return isTokenExpired(entry) ? undefined : entry;
+  }
+
+  function statusOf(key: string, entry?: TokenEntry): TokenStatus {
+    if (!entry) return "disconnected";
+    if (inFlight.has(key)) return "refreshing";
+    if (entry.refreshError) return "refresh_failed";
+    if (isTokenExpired(entry)) return "expired";
+    if (
+      typeof entry.expiresAt === "number" &&
+      entry.expiresAt - Date.now() <= refreshWindowMs
+    ) {
+      return "expiring";
+    }
+    return "connected";
+  }
+
+  function status(key: string): TokenStatusInfo {
+    const entry = store.get(key);
+    return {
+      status: statusOf(key, entry),
+      expiresAt: entry?.expiresAt ?? null,
+      refreshedAt: entry?.refreshedAt ?? null,
+      refreshError: entry?.refreshError ?? null,
+    };
+  }
+
+  return {
+    get: (key) => store.get(key),
+    set: (key, entry) => store.set(key, entry),
+    delete: (key) => store.delete(key),
+    has: (key) => store.has(key),
+    ensureFresh,
+    refresh,
+    status,
+  };
+}
+
 interface StateEntry {
   providerId: string;
   verifier: string;
@@ -222,6 +498,8 @@ interface CreateOAuthRouterOptions {
   fetchFn?: typeof fetch;
   onSuccess?: (req: Request, result: TokenResult) => void | Promise<void>;
   onError?: (req: Request, error: any) => void | Promise<void>;
+  // Adds the caller's stored token status to the status route
+  tokenStatus?: (req: Request, providerId: string) => TokenStatusInfo;
 }
 
 export interface OAuthRouter {
@@ -240,6 +518,7 @@ export function createOAuthRouter({
   fetchFn = fetch,
   onSuccess,
   onError,
+  tokenStatus,
 }: CreateOAuthRouterOptions = {}): OAuthRouter {
   const providerMap = createProviderRegistry(providers);
 
@@ -337,6 +616,7 @@ export function createOAuthRouter({
       tokenUrl: provider.tokenUrl,
       deviceUrl: provider.deviceUrl || null,
       scopes: provider.scopes,
+      ...tokenStatus?.(req, providerId),
     });
   }
 
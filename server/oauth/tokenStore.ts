@@ -0,0 +1,338 @@
+/**
+ * OAuth access token stores
+ *
+ * Connected-provider tokens are keyed by `tokenKey`: the lowercased provider
+ * id, prefixed with the caller's session id when there is one. Every store
+ * treats an entry whose `expiresAt` has passed as gone (and drops it), unless
+ * it still has a refresh token to renew it with.
+ *
+ * - MemoryTokenStore: process memory; every restart logs providers out
+ * - FileTokenStore: one JSON file, each entry sealed with AES-256-GCM
+ * - SqliteTokenStore: a `node:sqlite` table, entries sealed the same way
+ *
+ * The persistent stores derive their key from `OAUTH_TOKEN_KEY`; the provider
+ * id is bound in as associated data so a sealed entry can't be moved to
+ * another provider. `createTokenStore` picks one from the environment.
+ */
+
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import { writeJsonAtomic } from "../utils/atomicWrite";
+import { requireNodeSqlite } from "../utils/nodeSqlite";
+
+export interface TokenEntry {
+  accessToken: string;
+  tokenType?: string | null;
+  scopes?: string | null;
+  hasRefreshToken?: boolean;
+  refreshToken?: string | null;
+  receivedAt?: number;
+  expiresAt?: number | null;
+  refreshedAt?: number | null;
+  refreshError?: string | null; // last failed refresh, cleared on success
+}
+
+/**
+ * Map-shaped so a plain `Map<string, TokenEntry>` still fits. Stores that can
+ * renew tokens (see `createRefreshingTokenStore`) add `ensureFresh`/`refresh`.
+ */
+export interface TokenStore {
+  get(providerId: string): TokenEntry | undefined;
+  set(providerId: string, entry: TokenEntry): void;
+  delete(providerId: string): boolean;
+  has(providerId: string): boolean;
+  ensureFresh?(providerId: string): Promise<TokenEntry | undefined>;
+  refresh?(providerId: string): Promise<TokenEntry | undefined>;
+}
+
+export const DEFAULT_TOKEN_FILE = ".data/oauth-tokens.json";
+export const DEFAULT_TOKEN_DB = ".data/oauth-tokens.sqlite";
+
+const KEY_SALT = "garden-craft:oauth-token-store";
+const SEAL_VERSION = "v1";
+
+/**
+ * Store key for a session's provider token; without a session it is the
+ * shared slot (stdio MCP, tests)
+ */
+export function tokenKey(providerId: string, sessionId?: string): string {
+  const id = String(providerId).toLowerCase();
+  return sessionId ? `${sessionId}:${id}` : id;
+}
+
+export function providerIdFromKey(key: string): string {
+  return key.slice(key.lastIndexOf(":") + 1);
+}
+
+export function isTokenExpired(entry: TokenEntry, now = Date.now()): boolean {
+  return typeof entry.expiresAt === "number" && entry.expiresAt <= now;
+}
+
+/**
+ * Expired with nothing to renew it: safe to drop
+ */
+export function isTokenDead(entry: TokenEntry, now = Date.now()): boolean {
+  return isTokenExpired(entry, now) && !entry.refreshToken;
+}
+
+/**
+ * 32-byte AES key from the server secret
+ */
+export function deriveTokenKey(secret: string): Buffer {
+  return crypto.scryptSync(secret, KEY_SALT, 32);
+}
+
+/**
+ * Encrypt an entry as `v1.<iv>.<tag>.<ciphertext>` (base64url parts)
+ */
+export function sealTokenEntry(
+  key: Buffer,
+  providerId: string,
+  entry: TokenEntry,
+): string {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  cipher.setAAD(Buffer.from(providerId));
+  const data = Buffer.concat([
+    cipher.update(JSON.stringify(entry), "utf8"),
+    cipher.final(),
+  ]);
+  return [SEAL_VERSION, iv, cipher.getAuthTag(), data]
+    .map((part) =>
+      typeof part === "string" ? part : part.toString("base64url"),
+    )
+    .join(".");
+}
+
+/**
+ * Decrypt a sealed entry; throws on a wrong key or tampered data
+ */
+export function openTokenEntry(
+  key: Buffer,
+  providerId: string,
+  sealed: string,
+): TokenEntry {
+  const [version, iv, tag, data] = sealed.split(".");
+  if (version !== SEAL_VERSION || !iv || !tag || data === undefined) {
+    throw new Error("Unrecognised sealed token format.");
+  }
+  const decipher = crypto.createDecipheriv(
+    "aes-256-gcm",
+    key,
+    Buffer.from(iv, "base64url"),
+  );
+  decipher.setAAD(Buffer.from(providerId));
+  decipher.setAuthTag(Buffer.from(tag, "base64url"));
+  const json = Buffer.concat([
+    decipher.update(Buffer.from(data, "base64url")),
+    decipher.final(),
+  ]).toString("utf8");
+  return JSON.parse(json);
+}
+
+export class MemoryTokenStore implements TokenStore {
+  private _map = new Map<string, TokenEntry>();
+
+  get(providerId: string): TokenEntry | undefined {
+    const entry = this._map.get(providerId);
+    if (entry && isTokenDead(entry)) {
+      this._map.delete(providerId);
+      return undefined;
+    }
+    return entry;
+  }
+
+  set(providerId: string, entry: TokenEntry): void {
+    this._map.set(providerId, entry);
+  }
+
+  delete(providerId: string): boolean {
+    return this._map.delete(providerId);
+  }
+
+  has(providerId: string): boolean {
+    return this.get(providerId) !== undefined;
+  }
+}
+
+/**
+ * Shared get/set for stores that keep sealed strings somewhere durable
+ */
+abstract class EncryptedTokenStore implements TokenStore {
+  constructor(private readonly key: Buffer) {}
+
+  protected abstract load(providerId: string): string | undefined;
+  protected abstract save(
+    providerId: string,
+    sealed: string,
+    entry: TokenEntry,
+  ): void;
+  protected abstract remove(providerId: string): boolean;
+
+  get(providerId: string): TokenEntry | undefined {
+    const sealed = this.load(providerId);
+    if (!sealed) return undefined;
+
+    let entry: TokenEntry;
+    try {
+      entry = openTokenEntry(this.key, providerId, sealed);
+    } catch {
+      // Kept on disk: the key may just be misconfigured
+      console.warn(
+        `Stored OAuth token for ${providerId} could not be decrypted`,
+      );
+      return undefined;
+    }
+    if (isTokenDead(entry)) {
+      this.remove(providerId);
+      return undefined;
+    }
+    return entry;
+  }
+
+  set(providerId: string, entry: TokenEntry): void {
+    this.save(providerId, sealTokenEntry(this.key, providerId, entry), entry);
+  }
+
+  delete(providerId: string): boolean {
+    return this.remove(providerId);
+  }
+
+  has(providerId: string): boolean {
+    return this.get(providerId) !== undefined;
+  }
+}
+
+/**
+ * All entries in one JSON file (`{ [providerId]: sealed }`), rewritten
+ * atomically on every change
+ */
+export class FileTokenStore extends EncryptedTokenStore {
+  private readonly filePath: string;
+  private entries: Record<string, string>;
+
+  constructor(filePath: string, key: Buffer) {
+    super(key);
+    this.filePath = path.resolve(filePath);
+    this.entries = fs.existsSync(this.filePath)
+      ? JSON.parse(fs.readFileSync(this.filePath, "utf8"))
+      : {};
+  }
+
+  protected load(providerId: string): string | undefined {
+    return Object.hasOwn(this.entries, providerId)
+      ? this.entries[providerId]
+      : undefined;
+  }
+
+  protected save(providerId: string, sealed: string): void {
+    this.entries[providerId] = sealed;
+    writeJsonAtomic(this.filePath, this.entries);
+  }
+
+  protected remove(providerId: string): boolean {
+    if (!Object.hasOwn(this.entries, providerId)) return false;
+    delete this.entries[providerId];
+    writeJsonAtomic(this.filePath, this.entries);
+    return true;
+  }
+}
+
+/**
+ * One row per provider; `expires_at` is stored in the clear so dead rows can
+ * be purged without the key (null while a refresh token can renew the entry)
+ */
+export class SqliteTokenStore extends EncryptedTokenStore {
+  private readonly db: import("node:sqlite").DatabaseSync;
+
+  constructor(filePath: string, key: Buffer) {
+    super(key);
+    const { DatabaseSync } = requireNodeSqlite("OAUTH_TOKEN_STORE=sqlite");
+    if (filePath !== ":memory:") {
+      fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+    }
+    this.db = new DatabaseSync(filePath);
+    this.db.exec(`CREATE TABLE IF NOT EXISTS oauth_tokens (
+      provider_id TEXT PRIMARY KEY,
+      sealed TEXT NOT NULL,
+      expires_at INTEGER
+    )`);
+    this.db
+      .prepare("DELETE FROM oauth_tokens WHERE expires_at <= ?")
+      .run(Date.now());
+  }
+
+  protected load(providerId: string): string | undefined {
+    const row = this.db
+      .prepare("SELECT sealed FROM oauth_tokens WHERE provider_id = ?")
+      .get(providerId) as { sealed: string } | undefined;
+    return row?.sealed;
+  }
+
+  protected save(providerId: string, sealed: string, entry: TokenEntry): void {
+    this.db
+      .prepare(
+        `INSERT INTO oauth_tokens (provider_id, sealed, expires_at)
+         VALUES (?, ?, ?)
+         ON CONFLICT (provider_id)
+         DO UPDATE SET sealed = excluded.sealed, expires_at = excluded.expires_at`,
+      )
+      .run(
+        providerId,
+        sealed,
+        entry.refreshToken ? null : (entry.expiresAt ?? null),
+      );
+  }
+
+  protected remove(providerId: string): boolean {
+    const { changes } = this.db
+      .prepare("DELETE FROM oauth_tokens WHERE provider_id = ?")
+      .run(providerId);
+    return Number(changes) > 0;
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+/**
+ * Token store from the environment:
+ * - OAUTH_TOKEN_STORE: memory | file | sqlite (file when a key is set)
+ * - OAUTH_TOKEN_KEY: server secret the encryption key is derived from
+ * - OAUTH_TOKEN_STORE_PATH: file or database path
+ */
+export function createTokenStore(
+  env: NodeJS.ProcessEnv = process.env,
+): TokenStore {
+  const secret = env.OAUTH_TOKEN_KEY;
+  const kind = (env.OAUTH_TOKEN_STORE || (secret ? "file" : "memory"))
+    .trim()
+    .toLowerCase();
+
+  if (kind === "memory") return new MemoryTokenStore();
+  if (kind !== "file" && kind !== "sqlite") {
+    throw new Error(
+      `Unknown OAUTH_TOKEN_STORE "${kind}" (expected memory, file or sqlite).`,
+    );
+  }
+  if (!secret) {
+    console.warn(
+      `OAUTH_TOKEN_STORE=${kind} needs OAUTH_TOKEN_KEY; keeping OAuth tokens in memory`,
+    );
+    return new MemoryTokenStore();
+  }
+
+  const key = deriveTokenKey(secret);
+  return kind === "sqlite"
+    ? new SqliteTokenStore(env.OAUTH_TOKEN_STORE_PATH || DEFAULT_TOKEN_DB, key)
+    : new FileTokenStore(env.OAUTH_TOKEN_STORE_PATH || DEFAULT_TOKEN_FILE, key);
+}
+
+export default {
+  createTokenStore,
+  MemoryTokenStore,
+  FileTokenStore,
+  SqliteTokenStore,
+};
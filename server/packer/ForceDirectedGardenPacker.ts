@@ -1,7 +1,16 @@
 import { HierarchicalCirclePacker } from "./HierarchicalCirclePacker";
 import type { HierarchicalOptions } from "./HierarchicalCirclePacker";
 import { VEGGIE_METADATA } from "../veggieMetadata";
-import type { GardenBed, VeggieType } from "../../shared/types";
+import { getSunHours, getSunPath } from "../../shared/sunShade";
+import type { ShadeCaster, SunSample } from "../../shared/sunShade";
+import type {
+  FixedPlacement,
+  GardenBed,
+  LayoutRepair,
+  PlantPlacement,
+  SunSettings,
+  VeggieType,
+} from "../../shared/types";
 
 type ForceDirectedConfig = HierarchicalOptions;
 
@@ -50,11 +59,18 @@ type PackResult = {
   failedPlants: any[];
 };
 
+type RepairResult = Omit<LayoutRepair, "bedId"> & {
+  placements: PlantPlacement[];
+  stats: Record<string, any>;
+  violations: Record<string, any>;
+};
+
 export class ForceDirectedGardenPacker {
   bed: GardenBed;
   width: number;
   height: number;
   sunOrientation: string;
+  sunPath: SunSample[];
   allowRootOverlap: boolean;
   config: ForceDirectedConfig;
   packer: HierarchicalCirclePacker;
@@ -65,7 +81,9 @@ export class ForceDirectedGardenPacker {
     options: Partial<
       ForceDirectedConfig & {
         sunOrientation?: string;
+        sun?: SunSettings;
         allowRootOverlap?: boolean;
+        fixedPlacements?: Omit<FixedPlacement, "bedId">[];
       }
     > = {},
   ) {
@@ -75,12 +93,27 @@ export class ForceDirectedGardenPacker {
 
     // Garden-specific options
     this.sunOrientation = (options as any).sunOrientation || "South";
+    this.sunPath = getSunPath(options.sun, this.sunOrientation);
     this.allowRootOverlap = (options as any).allowRootOverlap !== false;
 
+    // Pinned plants become static circles the packer builds around
+    const fixedPlacements = options.fixedPlacements || [];
+    const fixedCircles = fixedPlacements.map((p, index) => ({
+      id: p.id !== undefined ? String(p.id) : `fixed_${index}`,
+      x: p.x,
+      y: p.y,
+      radius: (p.size || 0) / 2,
+      height: p.height ?? (VEGGIE_METADATA as any)[p.veggieType]?.height ?? 0,
+      veggieType: p.veggieType,
+      varietyName: p.varietyName,
+    }));
+
     // Force-directed packing configuration
     this.config = {
-      shape:
-        ((bed as any).shape as "rectangle" | "pill" | "circle") || "rectangle", // Pass bed shape to packer
+      shape: bed.shape || "rectangle", // Pass bed shape to packer
+      vertices: bed.vertices, // Polygon outline (only used when shape is "polygon")
+      obstacles: bed.obstacles, // Keep-out zones (paths, risers, perennials)
+      fixedCircles,
       intra_group_attraction: options.intra_group_attraction ?? 0.3,
       inter_group_repulsion: options.inter_group_repulsion ?? 0.2,
       collision_strength: options.collision_strength ?? 0.8,
@@ -91,6 +124,10 @@ export class ForceDirectedGardenPacker {
       convergence_threshold: options.convergence_threshold ?? 0.01,
       damping: options.damping ?? 0.9,
       random_seed: options.random_seed ?? null,
+      sun_path: this.sunPath, // Sun-loving plants avoid taller plants' shade
+      sun_strength: options.sun_strength ?? 1,
+      shade_penalty: options.shade_penalty ?? 12,
+      on_progress: options.on_progress, // Per-iteration energy for live progress
     } as ForceDirectedConfig;
 
     // Create hierarchical packer instance
@@ -100,8 +137,12 @@ export class ForceDirectedGardenPacker {
       this.config,
     );
 
-    // Track metadata for analysis
-    this.nextId = 1;
+    // Track metadata for analysis (new ids start after any numeric pinned ids)
+    this.nextId =
+      fixedCircles.reduce(
+        (max, c) => Math.max(max, parseInt(c.id, 10) || 0),
+        0,
+      ) + 1;
   }
 
   /**
@@ -132,6 +173,89 @@ export class ForceDirectedGardenPacker {
     };
   }
 
+  /**
+   * Add plants into the free space around the bed's pinned plants only
+   * Each spec acts as a template; the packer adds as many as fit.
+   */
+  fillPlants(plantList: PlantSpec[]): PackResult {
+    console.log(
+      `[ForceDirectedGardenPacker] Filling gaps with ${plantList.length} plant types in ${this.bed.name || "bed"}`,
+    );
+
+    const plantGroups = this.groupPlantsByType(plantList);
+    const result = this.packer.fill(plantGroups);
+
+    return {
+      placements: this.enrichPlacements((result as any).placements || []),
+      stats: (result as any).stats ?? {},
+      violations: (result as any).violations ?? {},
+      clusters: (result as any).clusters ?? [],
+      failedPlants: (result as any).failedPlants ?? [],
+    };
+  }
+
+  /**
+   * Nudge already-placed plants (e.g. an LLM's layout) clear of each other,
+   * the bed edge, keep-out zones and pinned plants, keeping each as close to
+   * where it was as possible. Only `x`/`y` change; plants that stayed put
+   * keep their exact coordinates.
+   */
+  repairPlacements(placements: PlantPlacement[]): RepairResult {
+    console.log(
+      `[ForceDirectedGardenPacker] Repairing ${placements.length} placements in ${this.bed.name || "bed"}`,
+    );
+
+    // Index ids keep duplicate or missing provider ids apart
+    const result = this.packer.repair(
+      placements.map((placement, index) => ({
+        id: String(index),
+        veggieType: placement.veggieType,
+        varietyName: placement.varietyName,
+        x: placement.x,
+        y: placement.y,
+        radius: (placement.size || 0) / 2,
+        originalSpacing: placement.size,
+      })),
+    );
+    const repaired = new Map<string, any>(
+      result.placements.map((p: any) => [p.id, p]),
+    );
+
+    const kept: PlantPlacement[] = [];
+    const moved: LayoutRepair["moved"] = [];
+    const removed: LayoutRepair["removed"] = [];
+    placements.forEach((placement, index) => {
+      const { id, veggieType, x, y } = placement;
+      const next = repaired.get(String(index));
+      if (!next) {
+        removed.push({ id, veggieType, x, y });
+        return;
+      }
+      const distance = Math.hypot(next.x - x, next.y - y);
+      // The packer rounds to 0.1", so anything closer didn't really move
+      if (distance < 0.1) {
+        kept.push(placement);
+        return;
+      }
+      kept.push({ ...placement, x: next.x, y: next.y });
+      moved.push({
+        id,
+        veggieType,
+        from: { x, y },
+        to: { x: next.x, y: next.y },
+        distance: Math.round(distance * 10) / 10,
+      });
+    });
+
+    return {
+      placements: kept,
+      moved,
+      removed,
+      stats: result.stats,
+      violations: result.violations,
+    };
+  }
+
   /**
    * Group plants by type for hierarchical clustering
    */
@@ -163,6 +287,7 @@ export class ForceDirectedGardenPacker {
           meta: {
             spacing: meta.spacing,
             height: meta.height,
+            sunHours: meta.sunHours,
             habit: meta.habit,
             root: meta.root,
             color: meta.color,
@@ -181,13 +306,38 @@ export class ForceDirectedGardenPacker {
    * Enrich placements with horticultural analysis and metadata
    */
   enrichPlacements(placements: any[]): Placement[] {
+    // Pinned plants cast shade on new plants too
+    const casters: ShadeCaster[] = [
+      ...placements.map((p: any) => ({
+        x: p.x,
+        y: p.y,
+        radius: (p.size ?? 0) / 2,
+        height: (VEGGIE_METADATA as any)[p.veggieType]?.height ?? 0,
+      })),
+      ...(this.config.fixedCircles || []).map((c) => ({
+        ...c,
+        height: c.height ?? 0,
+      })),
+    ];
+
     return placements.map((placement: any) => {
       const meta = (VEGGIE_METADATA as any)[placement.veggieType] || {};
+      const sunHours = getSunHours(
+        placement.x,
+        placement.y,
+        casters,
+        this.sunPath,
+        meta.height ?? 0,
+      );
 
       const enriched: Placement = {
         ...placement,
         spacingAnalysis: this.generateSpacingAnalysis(placement, placements),
-        placementReasoning: this.generatePlacementReasoning(placement, meta),
+        placementReasoning: this.generatePlacementReasoning(
+          placement,
+          meta,
+          sunHours,
+        ),
         companionInsights: this.generateCompanionInsights(
           placement,
           placements,
@@ -231,31 +381,32 @@ export class ForceDirectedGardenPacker {
   }
 
   /**
-   * Generate placement reasoning based on sun orientation and plant characteristics
+   * Generate placement reasoning based on simulated sun hours and plant characteristics
    */
-  generatePlacementReasoning(placement: any, meta: any): string {
+  generatePlacementReasoning(
+    placement: any,
+    meta: any,
+    sunHours: number,
+  ): string {
     const reasons: string[] = [];
     const heightValue = meta?.height ?? 18;
-    const tallEdge = this.getTallPlantEdge();
+    const needed = meta?.sunHours ?? 0;
 
     const isTall = heightValue >= 48;
     const isShort = heightValue <= 12;
 
     if (isTall) {
-      const isNearEdge = this.isNearEdge(placement, tallEdge);
-      if (isNearEdge) {
-        reasons.push(
-          `Tall plant placed on ${tallEdge} edge to avoid shading shorter plants`,
-        );
-      } else {
-        reasons.push(
-          `Tall plant positioned with sun orientation in mind (${this.sunOrientation} exposure)`,
-        );
-      }
+      reasons.push(`Tall plant kept from shading sun-loving neighbors`);
     } else if (isShort) {
       reasons.push(`Low-growing plant suitable for intercropping`);
     }
 
+    if (needed > 0 && sunHours >= needed) {
+      reasons.push(`${sunHours}h of direct sun (needs ${needed}h)`);
+    } else if (needed > 0) {
+      reasons.push(`only ${sunHours}h of direct sun, needs ${needed}h`);
+    }
+
     if (meta?.root === "shallow") {
       reasons.push(`shallow roots allow underplanting`);
     } else if (meta?.root === "deep") {
@@ -327,42 +478,6 @@ export class ForceDirectedGardenPacker {
     return insights.join(". ") + ".";
   }
 
-  /**
-   * Determine which edge tall plants should go on based on sun orientation
-   */
-  getTallPlantEdge(): string {
-    const edgeMap: Record<string, string> = {
-      North: "south",
-      South: "north",
-      East: "west",
-      West: "east",
-    };
-    return edgeMap[this.sunOrientation] || "north";
-  }
-
-  /**
-   * Check if a placement is near a specific edge
-   */
-  isNearEdge(placement: any, edge: string): boolean {
-    const margin = Math.max(
-      placement.size ?? placement.radius ?? 0,
-      this.height * 0.25,
-    );
-
-    switch (edge) {
-      case "north":
-        return placement.y < margin;
-      case "south":
-        return placement.y > this.height - margin;
-      case "east":
-        return placement.x > this.width - margin;
-      case "west":
-        return placement.x < margin;
-      default:
-        return false;
-    }
-  }
-
   /**
    * Get packing statistics
    */
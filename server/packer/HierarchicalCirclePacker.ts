@@ -10,6 +10,7 @@
  * - Intra-group attraction (keep same types together)
  * - Inter-group repulsion (separate different types)
  * - Boundary forces (containment within garden bed)
+ * - Sun forces (sun-loving clusters move out of taller clusters' shade)
  * - Optional Lloyd relaxation for refinement
  *
  * Based on research:
@@ -22,8 +23,26 @@
  * @version 2.0.0
  */
 
+import {
+  circleOverlapsObstacle,
+  closestPointOnObstacle,
+  closestPointOnPolygon,
+  getObstacleArea,
+  isCircleInsidePolygon,
+  isPointInPolygon,
+  polygonArea,
+  polygonCentroid,
+} from "../../shared/bedGeometry";
+import { SPACING_TOLERANCE } from "../../shared/plantSpacing";
+import { getDaylightHours, getSunHours, isShaded } from "../../shared/sunShade";
+import type { ShadeCaster, SunSample } from "../../shared/sunShade";
+import type { BedObstacle, BedVertex } from "../../shared/types";
+
 export interface HierarchicalOptions {
-  shape?: "rectangle" | "circle" | "pill";
+  shape?: "rectangle" | "circle" | "pill" | "polygon";
+  vertices?: BedVertex[];
+  obstacles?: BedObstacle[];
+  fixedCircles?: FixedCircle[];
   intra_group_attraction?: number;
   inter_group_repulsion?: number;
   collision_strength?: number;
@@ -34,10 +53,30 @@ export interface HierarchicalOptions {
   convergence_threshold?: number;
   damping?: number;
   random_seed?: number | null;
+  sun_path?: SunSample[];
+  sun_strength?: number;
+  shade_penalty?: number;
+  on_progress?: (progress: { iteration: number; energy: number }) => void;
 }
 
+// Cluster iterations between progress reports
+const PROGRESS_INTERVAL = 25;
+
 export type VeggieType = string;
 
+/**
+ * Pinned plant that other plants pack around; never moved or removed
+ */
+export interface FixedCircle {
+  id: string;
+  x: number;
+  y: number;
+  radius: number;
+  height?: number;
+  veggieType?: VeggieType;
+  varietyName?: string;
+}
+
 export interface Plant {
   id?: string;
   veggieType?: VeggieType;
@@ -102,6 +141,10 @@ export class HierarchicalCirclePacker {
   width: number;
   height: number;
   shape: string;
+  vertices: BedVertex[] | null;
+  obstacles: BedObstacle[];
+  fixedCircles: FixedCircle[];
+  staticColliders: BedObstacle[];
 
   intra_group_attraction: number;
   inter_group_repulsion: number;
@@ -112,6 +155,10 @@ export class HierarchicalCirclePacker {
   max_iterations: number;
   convergence_threshold: number;
   damping: number;
+  sun_path: SunSample[];
+  sun_strength: number;
+  shade_penalty: number;
+  on_progress: HierarchicalOptions["on_progress"];
 
   random_seed: number | null;
   _random_state: number;
@@ -133,6 +180,15 @@ export class HierarchicalCirclePacker {
     this.height = height;
     this.shape = options.shape || "rectangle";
 
+    // Polygon beds need a usable outline; fall back to the bounding rectangle otherwise
+    this.vertices =
+      Array.isArray(options.vertices) && options.vertices.length >= 3
+        ? options.vertices.map((v) => ({ x: v.x, y: v.y }))
+        : null;
+    if (this.shape === "polygon" && !this.vertices) {
+      this.shape = "rectangle";
+    }
+
     // Tunable force parameters
     this.intra_group_attraction = options.intra_group_attraction ?? 0.3;
     this.inter_group_repulsion = options.inter_group_repulsion ?? 0.2;
@@ -144,6 +200,37 @@ export class HierarchicalCirclePacker {
     this.convergence_threshold = options.convergence_threshold ?? 0.01;
     this.damping = options.damping ?? 0.85;
 
+    // Sun path for shade checks; without one, shade is ignored
+    this.sun_path = options.sun_path ?? [];
+    this.sun_strength = options.sun_strength ?? 1;
+    this.shade_penalty = options.shade_penalty ?? 12; // inches of search distance per missing sun hour
+
+    // Optional listener for cluster packing energy (streamed to the UI)
+    this.on_progress = options.on_progress;
+
+    // Keep-out zones behave as immovable colliders
+    this.obstacles = Array.isArray(options.obstacles)
+      ? options.obstacles.filter(Boolean)
+      : [];
+
+    // Pinned plants are static circles padded by the usual spacing
+    this.fixedCircles = Array.isArray(options.fixedCircles)
+      ? options.fixedCircles.filter((c) => c && c.radius > 0)
+      : [];
+    this.staticColliders = [
+      ...this.obstacles,
+      ...this.fixedCircles.map(
+        (c): BedObstacle => ({
+          id: c.id,
+          label: `${c.veggieType || "plant"} (locked)`,
+          kind: "circle",
+          x: c.x,
+          y: c.y,
+          radius: c.radius + this.min_spacing,
+        }),
+      ),
+    ];
+
     // Random seed for determinism
     this.random_seed = options.random_seed ?? null;
     this._random_state = this.random_seed ?? Math.random() * 1000000;
@@ -255,6 +342,93 @@ export class HierarchicalCirclePacker {
     return this.buildResult();
   }
 
+  /**
+   * Fill the gaps around an existing layout without moving it
+   *
+   * Existing plants are passed as `fixedCircles`; only free space is used.
+   * Skips the force simulation and runs the space-filling phase directly,
+   * anchoring each type's search at its existing plants when it has any.
+   *
+   * @param {PlantGroup[]} plantGroups - Plant types (and templates) that may be added
+   * @returns {PackResult} Newly added plants only
+   */
+  fill(plantGroups: PlantGroup[]): PackResult {
+    console.log(
+      `[HierarchicalPacker] Filling gaps around ${this.fixedCircles.length} existing plants with ${plantGroups.length} plant groups`,
+    );
+
+    this.requestedCounts = {};
+    plantGroups.forEach((group) => {
+      this.requestedCounts[group.type] = group.plants.length;
+    });
+    this.plantGroups = plantGroups.filter((group) => group.plants.length > 0);
+    this.circles = [];
+
+    // Search anchors: existing plants of the same type, otherwise a spot in the bed
+    this.createClusters(this.plantGroups);
+    for (const cluster of this.clusters) {
+      const sameType = this.fixedCircles.filter(
+        (c) => c.veggieType === cluster.type,
+      );
+      if (sameType.length > 0) {
+        cluster.x = sameType.reduce((sum, c) => sum + c.x, 0) / sameType.length;
+        cluster.y = sameType.reduce((sum, c) => sum + c.y, 0) / sameType.length;
+      }
+    }
+
+    if (this.plantGroups.length > 0) {
+      this.aggressiveSpaceFilling(this.computeTargetRatios(this.plantGroups));
+    }
+
+    this.finalBoundsCleanup();
+
+    return this.buildResult();
+  }
+
+  /**
+   * Nudge an existing layout (e.g. from an LLM) into a valid one
+   *
+   * Plants start where they were placed: anything outside the bed is pulled
+   * back in, then the final collision and bounds passes settle overlaps, so
+   * plants move as little as possible. Plants that can't be fitted are dropped.
+   *
+   * @param {Plant[]} plants - Plants with their current `x`/`y` centers
+   * @returns {PackResult} Surviving plants at their repaired positions
+   */
+  repair(plants: (Plant & { x: number; y: number })[]): PackResult {
+    console.log(
+      `[HierarchicalPacker] Repairing ${plants.length} placed plants around ${this.fixedCircles.length} fixed plants`,
+    );
+
+    this.requestedCounts = {};
+    plants.forEach((plant) => {
+      const type = plant.veggieType || "";
+      this.requestedCounts[type] = (this.requestedCounts[type] || 0) + 1;
+    });
+    this.plantGroups = null;
+    this.clusters = [];
+    this.circles = plants.map((plant, index) => ({
+      ...plant,
+      id: plant.id ?? String(index),
+      vx: 0,
+      vy: 0,
+      fx: 0,
+      fy: 0,
+    }));
+
+    for (const circle of this.circles) {
+      if (this.isWithinBounds(circle.x, circle.y, circle.radius)) continue;
+      const clamped = this.clampPositionToBed(circle.x, circle.y, circle.radius);
+      circle.x = clamped.x;
+      circle.y = clamped.y;
+    }
+
+    this.finalCollisionResolution();
+    this.finalBoundsCleanup();
+
+    return this.buildResult();
+  }
+
   /**
    * Level 1: Create cluster meta-circles for each plant type
    * Cluster radius is calculated from total area of member circles
@@ -285,6 +459,20 @@ export class HierarchicalCirclePacker {
         const r = Math.sqrt(this.random()) * maxRadius;
         x = centerX + r * Math.cos(angle);
         y = centerY + r * Math.sin(angle);
+      } else if (this.shape === "polygon") {
+        // Rejection-sample inside the outline, fall back to the centroid
+        const centroid = polygonCentroid(this.vertices!);
+        x = centroid.x;
+        y = centroid.y;
+        for (let attempt = 0; attempt < 50; attempt++) {
+          const px = this.random() * this.width;
+          const py = this.random() * this.height;
+          if (isPointInPolygon(px, py, this.vertices!)) {
+            x = px;
+            y = py;
+            break;
+          }
+        }
       } else {
         // Rectangle and rounded shapes - place clusters anywhere in bed
         // Add small margin to encourage central placement
@@ -329,12 +517,16 @@ export class HierarchicalCirclePacker {
       this.applyClusterCollisionForces();
       this.applyClusterCompanionForces();
       this.applyClusterBoundaryForces();
+      this.applyClusterSunForces();
 
       // Update positions using velocity Verlet integration
       this.updateClusterPositions();
 
       // Calculate system energy
       const energy = this.calculateClusterEnergy();
+      if (this.on_progress && iteration % PROGRESS_INTERVAL === 0) {
+        this.on_progress({ iteration, energy });
+      }
 
       // Check convergence
       if (Math.abs(energy - prevEnergy) < this.convergence_threshold) {
@@ -442,6 +634,131 @@ export class HierarchicalCirclePacker {
     }
   }
 
+  /**
+   * Move sun-loving clusters out of the shade of taller clusters
+   * The shaded cluster is pushed toward the sun and the caster away from it,
+   * in proportion to the hours of sun lost.
+   */
+  applyClusterSunForces(): void {
+    if (this.sun_path.length === 0) return;
+
+    const fixedCasters = this.fixedCircles.map((c) => ({
+      ...c,
+      height: c.height ?? 0,
+    }));
+
+    for (const receiver of this.clusters) {
+      if (this.getClusterSunNeed(receiver) === 0) continue;
+      const height = this.getClusterHeight(receiver);
+
+      const casters: (Cluster | ShadeCaster)[] = [
+        ...this.clusters.filter((c) => c !== receiver),
+        ...fixedCasters,
+      ];
+      for (const caster of casters) {
+        const casterHeight =
+          "plants" in caster ? this.getClusterHeight(caster) : caster.height;
+        if (casterHeight <= height) continue;
+
+        const shaded = this.sun_path.filter((sample) =>
+          isShaded(
+            receiver.x,
+            receiver.y,
+            [
+              {
+                x: caster.x,
+                y: caster.y,
+                radius: caster.radius,
+                height: casterHeight,
+              },
+            ],
+            sample,
+            height,
+          ),
+        );
+        if (shaded.length === 0) continue;
+
+        // Average direction toward the sun while it is blocked
+        let dx = shaded.reduce((sum, sample) => sum + sample.dx, 0);
+        let dy = shaded.reduce((sum, sample) => sum + sample.dy, 0);
+        let length = Math.sqrt(dx * dx + dy * dy);
+        if (length < 0.01) continue;
+        dx /= length;
+        dy /= length;
+
+        // Slide sideways past the caster rather than pushing straight into it
+        let sx = receiver.x - caster.x;
+        let sy = receiver.y - caster.y;
+        const along = sx * dx + sy * dy;
+        sx -= along * dx;
+        sy -= along * dy;
+        const side = Math.sqrt(sx * sx + sy * sy);
+        if (side < 0.01) {
+          sx = -dy;
+          sy = dx;
+        } else {
+          sx /= side;
+          sy /= side;
+        }
+        dx += sx * 0.5;
+        dy += sy * 0.5;
+        length = Math.sqrt(dx * dx + dy * dy);
+
+        const force =
+          (shaded.length / this.sun_path.length) *
+          receiver.radius *
+          this.sun_strength;
+        receiver.fx += (dx / length) * force;
+        receiver.fy += (dy / length) * force;
+        if ("plants" in caster) {
+          caster.fx -= (dx / length) * force;
+          caster.fy -= (dy / length) * force;
+        }
+      }
+    }
+  }
+
+  /**
+   * Tallest plant height in a cluster (inches)
+   */
+  getClusterHeight(cluster: Cluster): number {
+    return Math.max(0, ...cluster.plants.map((p) => p.meta?.height ?? 0));
+  }
+
+  /**
+   * Hours of direct sun a cluster's plants need (0 = shade tolerant)
+   */
+  getClusterSunNeed(cluster: Cluster): number {
+    return Math.max(0, ...cluster.plants.map((p) => p.meta?.sunHours ?? 0));
+  }
+
+  /**
+   * Hours of sun a plant at (x, y) would miss out of what it needs, given
+   * the plants already placed
+   */
+  getSunDeficit(x: number, y: number, plant: Circle): number {
+    const needed = plant.meta?.sunHours ?? 0;
+    if (this.sun_path.length === 0 || needed === 0) return 0;
+
+    const height = plant.meta?.height ?? 0;
+    const casters: ShadeCaster[] = [
+      ...this.circles.map((c) => ({
+        x: c.x,
+        y: c.y,
+        radius: c.radius,
+        height: c.meta?.height ?? 0,
+      })),
+      ...this.fixedCircles.map((c) => ({ ...c, height: c.height ?? 0 })),
+    ].filter((c) => c.height > height);
+    if (casters.length === 0) return 0;
+
+    const target = Math.min(needed, getDaylightHours(this.sun_path));
+    return Math.max(
+      0,
+      target - getSunHours(x, y, casters, this.sun_path, height),
+    );
+  }
+
   /**
    * Apply gentle boundary containment forces to keep clusters reasonably centered
    * Clusters may overflow, but gentle forces improve initial packing quality
@@ -469,6 +786,26 @@ export class HierarchicalCirclePacker {
           cluster.fx -= nx * force;
           cluster.fy -= ny * force;
         }
+      } else if (this.shape === "polygon") {
+        // Pull clusters back inside the outline and away from nearby edges
+        const edge = closestPointOnPolygon(cluster.x, cluster.y, this.vertices!);
+        const inside = isPointInPolygon(cluster.x, cluster.y, this.vertices!);
+        if (edge.distance < 0.01) continue;
+
+        const dx = edge.x - cluster.x;
+        const dy = edge.y - cluster.y;
+        const nx = dx / edge.distance;
+        const ny = dy / edge.distance;
+
+        if (!inside) {
+          const force = (edge.distance + softMargin) * gentleForce;
+          cluster.fx += nx * force;
+          cluster.fy += ny * force;
+        } else if (edge.distance < softMargin) {
+          const force = (softMargin - edge.distance) * gentleForce;
+          cluster.fx -= nx * force;
+          cluster.fy -= ny * force;
+        }
       } else {
         // Gentle forces near edges
         if (cluster.x < softMargin) {
@@ -596,6 +933,7 @@ export class HierarchicalCirclePacker {
       this.applyPlantCollisionForces(plantCircles);
       this.applyClusterAttractionForce(cluster, plantCircles);
       this.applyClusterBoundaryForces_Plants(cluster, plantCircles);
+      this.applyObstacleForces(plantCircles);
 
       // Update positions
       this.updatePlantPositions(plantCircles);
@@ -739,11 +1077,85 @@ export class HierarchicalCirclePacker {
     }
   }
 
+  /**
+   * Push plants out of keep-out zones
+   * Obstacles never move, so the plant takes the full correction
+   */
+  applyObstacleForces(plantCircles: Circle[]): void {
+    if (this.staticColliders.length === 0) return;
+
+    for (const plant of plantCircles) {
+      for (const obstacle of this.staticColliders) {
+        const nearest = closestPointOnObstacle(obstacle, plant.x, plant.y);
+        if (!nearest) continue;
+        if (!nearest.inside && nearest.distance >= plant.radius + this.min_spacing) {
+          continue;
+        }
+
+        const penetration = nearest.inside
+          ? nearest.distance + plant.radius + this.min_spacing
+          : plant.radius + this.min_spacing - nearest.distance;
+        const force = penetration * this.collision_strength * 2.0;
+
+        const dx = nearest.inside ? nearest.x - plant.x : plant.x - nearest.x;
+        const dy = nearest.inside ? nearest.y - plant.y : plant.y - nearest.y;
+        const length = Math.sqrt(dx * dx + dy * dy);
+        if (length < 0.01) continue;
+
+        plant.fx += (dx / length) * force;
+        plant.fy += (dy / length) * force;
+      }
+    }
+  }
+
+  /**
+   * Check if a circle overlaps any keep-out zone
+   */
+  overlapsObstacle(x: number, y: number, radius: number): boolean {
+    return this.staticColliders.some((obstacle) =>
+      circleOverlapsObstacle(obstacle, x, y, radius),
+    );
+  }
+
+  /**
+   * Move a circle just clear of any obstacles it overlaps
+   */
+  pushOutOfObstacles(
+    x: number,
+    y: number,
+    radius: number,
+  ): { x: number; y: number } {
+    let px = x;
+    let py = y;
+
+    for (const obstacle of this.staticColliders) {
+      const nearest = closestPointOnObstacle(obstacle, px, py);
+      if (!nearest || (!nearest.inside && nearest.distance >= radius)) continue;
+
+      let dx = nearest.inside ? nearest.x - px : px - nearest.x;
+      let dy = nearest.inside ? nearest.y - py : py - nearest.y;
+      let length = Math.sqrt(dx * dx + dy * dy);
+      if (length < 0.01) {
+        // Center sits on the obstacle edge - step away from the bed center
+        dx = px - this.width / 2 || 1;
+        dy = py - this.height / 2;
+        length = Math.sqrt(dx * dx + dy * dy);
+      }
+
+      px = nearest.x + (dx / length) * (radius + 0.01);
+      py = nearest.y + (dy / length) * (radius + 0.01);
+    }
+
+    return { x: px, y: py };
+  }
+
   /**
    * Check if a circle (plant) is fully inside the bed shape
    */
   isCircleInsideBed(x: number, y: number, radius: number): boolean {
-    if (this.shape === "circle") {
+    if (this.shape === "polygon") {
+      return isCircleInsidePolygon(x, y, radius, this.vertices!);
+    } else if (this.shape === "circle") {
       const centerX = this.width / 2;
       const centerY = this.height / 2;
       const bedRadius = Math.min(this.width, this.height) / 2;
@@ -817,14 +1229,50 @@ export class HierarchicalCirclePacker {
   }
 
   /**
-   * Clamp a circle position to be inside the bed shape
+   * Clamp a circle position to be inside the bed shape and clear of obstacles
    */
   clampPositionToBed(
     x: number,
     y: number,
     radius: number,
   ): { x: number; y: number } {
-    if (this.shape === "circle") {
+    let position = this.clampPositionToShape(x, y, radius);
+    if (this.staticColliders.length === 0) return position;
+
+    // Pushing out of one obstacle can land in another or outside the bed
+    for (let pass = 0; pass < 4; pass++) {
+      if (!this.overlapsObstacle(position.x, position.y, radius)) {
+        return position;
+      }
+      const pushed = this.pushOutOfObstacles(position.x, position.y, radius);
+      position = this.clampPositionToShape(pushed.x, pushed.y, radius);
+    }
+    if (!this.overlapsObstacle(position.x, position.y, radius)) return position;
+
+    // Wedged between an obstacle and the bed edge - search outward in rings
+    const maxRing = Math.max(this.width, this.height);
+    for (let ring = radius; ring <= maxRing; ring += Math.max(1, radius / 2)) {
+      for (let step = 0; step < 16; step++) {
+        const angle = (step / 16) * Math.PI * 2;
+        const cx = x + Math.cos(angle) * ring;
+        const cy = y + Math.sin(angle) * ring;
+        if (this.isWithinBounds(cx, cy, radius)) return { x: cx, y: cy };
+      }
+    }
+    return position;
+  }
+
+  /**
+   * Clamp a circle position to be inside the bed shape (ignores obstacles)
+   */
+  clampPositionToShape(
+    x: number,
+    y: number,
+    radius: number,
+  ): { x: number; y: number } {
+    if (this.shape === "polygon") {
+      return this.clampPositionToPolygon(x, y, radius);
+    } else if (this.shape === "circle") {
       const centerX = this.width / 2;
       const centerY = this.height / 2;
       const maxRadius = Math.min(this.width, this.height) / 2 - radius;
@@ -945,6 +1393,54 @@ export class HierarchicalCirclePacker {
     }
   }
 
+  /**
+   * Clamp a circle position inside a polygon outline
+   * Pushes inward from the nearest edge until the circle clears every edge;
+   * concave corners can take several passes, so fall back toward the centroid
+   */
+  clampPositionToPolygon(
+    x: number,
+    y: number,
+    radius: number,
+  ): { x: number; y: number } {
+    const vertices = this.vertices!;
+    let px = x;
+    let py = y;
+
+    for (let pass = 0; pass < 8; pass++) {
+      if (isCircleInsidePolygon(px, py, radius, vertices)) {
+        return { x: px, y: py };
+      }
+
+      const edge = closestPointOnPolygon(px, py, vertices);
+      const inside = isPointInPolygon(px, py, vertices);
+      if (edge.distance < 0.01) break;
+
+      // Inward normal points away from the edge when inside, toward it when outside
+      const sign = inside ? -1 : 1;
+      const nx = ((edge.x - px) / edge.distance) * sign;
+      const ny = ((edge.y - py) / edge.distance) * sign;
+      px = edge.x + nx * (radius + 0.01);
+      py = edge.y + ny * (radius + 0.01);
+    }
+
+    if (isCircleInsidePolygon(px, py, radius, vertices)) {
+      return { x: px, y: py };
+    }
+
+    // Walk toward the centroid until the circle fits
+    const centroid = polygonCentroid(vertices);
+    for (let step = 1; step <= 20; step++) {
+      const t = step / 20;
+      const cx = x + (centroid.x - x) * t;
+      const cy = y + (centroid.y - y) * t;
+      if (isCircleInsidePolygon(cx, cy, radius, vertices)) {
+        return { x: cx, y: cy };
+      }
+    }
+    return centroid;
+  }
+
   /**
    * Update plant positions with velocity damping
    */
@@ -1169,10 +1665,10 @@ export class HierarchicalCirclePacker {
     const failed: Circle[] = [];
 
     for (const circle of sortedCircles) {
-      // Try to place near its cluster centroid first
+      // Try to place near its cluster centroid first (or where it was, when repairing)
       const cluster = this.clusters.find((c) => c.id === circle.clusterId);
-      const targetX = cluster ? cluster.x : this.width / 2;
-      const targetY = cluster ? cluster.y : this.height / 2;
+      const targetX = cluster ? cluster.x : circle.x;
+      const targetY = cluster ? cluster.y : circle.y;
 
       let bestPosition: { x: number; y: number } | null = null;
       let bestDistance = Infinity;
@@ -1328,17 +1824,7 @@ export class HierarchicalCirclePacker {
 
     const initialCount = this.circles.length;
 
-    // Calculate target ratios based on priority weights
-    const totalPriority = this.plantGroups.reduce(
-      (sum, g) => sum + (g.plants[0]?.priority || 1),
-      0,
-    );
-    const targetRatios = new Map<string, number>();
-
-    this.plantGroups.forEach((group) => {
-      const priority = group.plants[0]?.priority || 1;
-      targetRatios.set(group.type, priority / totalPriority);
-    });
+    const targetRatios = this.computeTargetRatios(this.plantGroups);
 
     console.log("[HierarchicalPacker] Target ratios:");
     targetRatios.forEach((ratio, type) => {
@@ -1385,6 +1871,24 @@ export class HierarchicalCirclePacker {
     });
   }
 
+  /**
+   * Target share of each plant type, from priority weights
+   */
+  computeTargetRatios(plantGroups: PlantGroup[]): Map<string, number> {
+    const totalPriority = plantGroups.reduce(
+      (sum, g) => sum + (g.plants[0]?.priority || 1),
+      0,
+    );
+    const targetRatios = new Map<string, number>();
+
+    plantGroups.forEach((group) => {
+      const priority = group.plants[0]?.priority || 1;
+      targetRatios.set(group.type, priority / totalPriority);
+    });
+
+    return targetRatios;
+  }
+
   /**
    * Aggressively fill available space with all plant types
    */
@@ -1580,8 +2084,14 @@ export class HierarchicalCirclePacker {
     const cluster = this.clusters.find((c) => c.type === group.type);
     if (!cluster) return false;
 
+    // Pinned plants keep their ids, so new ids must not collide with them
     let nextPlantId =
-      Math.max(...this.circles.map((c) => parseInt(c.id || "0") || 0), 0) + 1;
+      Math.max(
+        ...[...this.circles, ...this.fixedCircles].map(
+          (c) => parseInt(c.id || "0") || 0,
+        ),
+        0,
+      ) + 1;
 
     const candidatePlant: Circle = {
       id: String(nextPlantId),
@@ -1614,7 +2124,7 @@ export class HierarchicalCirclePacker {
 
       // Final verification that plant is within bounds
       if (
-        !this.isCircleInsideBed(
+        !this.isWithinBounds(
           candidatePlant.x,
           candidatePlant.y,
           candidatePlant.radius,
@@ -1718,14 +2228,16 @@ export class HierarchicalCirclePacker {
       }
 
       if (!hasCollision) {
-        const distFromTarget = Math.sqrt(
-          (x - targetX) ** 2 + (y - targetY) ** 2,
-        );
+        // Shaded spots count as further away for plants that need sun
+        const shadePenalty =
+          this.getSunDeficit(x, y, plant) * this.shade_penalty;
+        const distFromTarget =
+          Math.sqrt((x - targetX) ** 2 + (y - targetY) ** 2) + shadePenalty;
         if (distFromTarget < bestDistance) {
           bestPosition = { x, y };
           bestDistance = distFromTarget;
 
-          // If we found a spot close to cluster center, use it immediately
+          // If we found a sunny spot close to cluster center, use it immediately
           if (distFromTarget < plant.radius * 3) {
             return bestPosition;
           }
@@ -1748,8 +2260,8 @@ export class HierarchicalCirclePacker {
     for (let i = this.circles.length - 1; i >= 0; i--) {
       const plant = this.circles[i];
 
-      // Check if plant is outside bounds
-      if (!this.isCircleInsideBed(plant.x, plant.y, plant.radius)) {
+      // Check if plant is outside bounds or on a keep-out zone
+      if (!this.isWithinBounds(plant.x, plant.y, plant.radius)) {
         // Try to clamp it to valid position
         const clampedPos = this.clampPositionToBed(
           plant.x,
@@ -1758,7 +2270,11 @@ export class HierarchicalCirclePacker {
         );
 
         // Verify clamped position doesn't cause collisions
-        let hasCollision = false;
+        let hasCollision = !this.isWithinBounds(
+          clampedPos.x,
+          clampedPos.y,
+          plant.radius,
+        );
         for (let j = 0; j < this.circles.length; j++) {
           if (i === j) continue;
 
@@ -1805,9 +2321,13 @@ export class HierarchicalCirclePacker {
 
   /**
    * Check if a circle at (x, y) with radius r is within bed bounds
+   * and clear of every keep-out zone
    */
   isWithinBounds(x: number, y: number, radius: number): boolean {
-    return this.isCircleInsideBed(x, y, radius);
+    return (
+      this.isCircleInsideBed(x, y, radius) &&
+      !this.overlapsObstacle(x, y, radius)
+    );
   }
 
   /**
@@ -1849,10 +2369,22 @@ export class HierarchicalCirclePacker {
     );
 
     // Calculate statistics
-    const totalArea = this.width * this.height;
-    const packedArea = this.circles.reduce((sum, c) => {
-      return sum + Math.PI * c.radius * c.radius;
-    }, 0);
+    const bedArea =
+      this.shape === "polygon"
+        ? polygonArea(this.vertices!)
+        : this.width * this.height;
+    const totalArea = Math.max(
+      1,
+      bedArea -
+        this.obstacles.reduce((sum, o) => sum + getObstacleArea(o), 0),
+    );
+    // Pinned plants occupy the bed too, so they count toward density
+    const packedArea = [...this.circles, ...this.fixedCircles].reduce(
+      (sum, c) => {
+        return sum + Math.PI * c.radius * c.radius;
+      },
+      0,
+    );
 
     const totalRequested = Object.values(this.requestedCounts || {}).reduce(
       (sum, count) => sum + count,
@@ -1872,6 +2404,10 @@ export class HierarchicalCirclePacker {
       packingDensity: ((packedArea / totalArea) * 100).toFixed(1) + "%",
       totalArea: totalArea.toFixed(1),
       packedArea: packedArea.toFixed(1),
+      fixed: this.fixedCircles.length,
+      shadeConflicts: this.circles.filter(
+        (c) => this.getSunDeficit(c.x, c.y, c) > 0,
+      ).length,
       plantTypeCounts,
     };
 
@@ -1899,11 +2435,13 @@ export class HierarchicalCirclePacker {
   validatePlacements(): {
     bounds: any[];
     collisions: any[];
+    obstacles: any[];
     clusterOverflow: any[];
   } {
     const violations = {
       bounds: [] as any[],
       collisions: [] as any[],
+      obstacles: [] as any[],
       clusterOverflow: [] as any[],
     };
 
@@ -1918,7 +2456,9 @@ export class HierarchicalCirclePacker {
         leftEdge < 0 ||
         rightEdge > this.width ||
         topEdge < 0 ||
-        bottomEdge > this.height
+        bottomEdge > this.height ||
+        (this.shape === "polygon" &&
+          !this.isCircleInsideBed(circle.x, circle.y, circle.radius))
       ) {
         violations.bounds.push({
           id: circle.id,
@@ -1929,6 +2469,22 @@ export class HierarchicalCirclePacker {
       }
     }
 
+    // Check keep-out zones
+    for (const circle of this.circles) {
+      const obstacle = this.staticColliders.find((o) =>
+        circleOverlapsObstacle(o, circle.x, circle.y, circle.radius - 0.1),
+      );
+      if (obstacle) {
+        violations.obstacles.push({
+          id: circle.id,
+          veggieType: circle.veggieType,
+          position: { x: circle.x, y: circle.y },
+          radius: circle.radius,
+          obstacle: obstacle.id || obstacle.label || obstacle.kind,
+        });
+      }
+    }
+
     // Check collisions
     for (let i = 0; i < this.circles.length; i++) {
       for (let j = i + 1; j < this.circles.length; j++) {
@@ -1940,8 +2496,7 @@ export class HierarchicalCirclePacker {
         const distance = Math.sqrt(dx * dx + dy * dy);
         const minDistance = c1.radius + c2.radius + this.min_spacing;
 
-        if (distance < minDistance - 0.1) {
-          // 0.1" tolerance
+        if (distance < minDistance - SPACING_TOLERANCE) {
           violations.collisions.push({
             pair: [c1.id, c2.id],
             distance: distance.toFixed(2),
@@ -0,0 +1,294 @@
+/**
+ * Saved garden projects
+ *
+ * Each project holds a whole garden (beds, seeds, layouts, sun settings and
+ * rotation history) and belongs to one caller session; an empty session id
+ * is the shared slot. Projects keep their newest MAX_PROJECT_REVISIONS
+ * revisions (immutable snapshots, oldest first) until they are deleted.
+ * Versioning and validation live in routes/projects.
+ *
+ * - MemoryProjectStore: process memory
+ * - FileProjectStore: JSON files, one per project and one for its revisions
+ * - SqliteProjectStore: `node:sqlite` tables
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import type { GardenProject, GardenRevision } from "../shared/types";
+import { writeJsonAtomic } from "./utils/atomicWrite";
+import { requireNodeSqlite } from "./utils/nodeSqlite";
+
+export interface ProjectStore {
+  list(sessionId: string): GardenProject[];
+  get(sessionId: string, id: string): GardenProject | undefined;
+  put(sessionId: string, project: GardenProject): void;
+  delete(sessionId: string, id: string): boolean;
+  listRevisions(sessionId: string, id: string): GardenRevision[];
+  addRevision(sessionId: string, id: string, revision: GardenRevision): void;
+}
+
+export const DEFAULT_PROJECT_DIR = ".data/projects";
+export const DEFAULT_PROJECT_DB = ".data/projects.sqlite";
+
+// Older revisions are dropped, as the app does for local gardens
+export const MAX_PROJECT_REVISIONS = 20;
+
+export class MemoryProjectStore implements ProjectStore {
+  private _sessions = new Map<string, Map<string, GardenProject>>();
+  private _revisions = new Map<string, GardenRevision[]>(); // "session/id"
+
+  private session(sessionId: string) {
+    let projects = this._sessions.get(sessionId);
+    if (!projects) {
+      projects = new Map();
+      this._sessions.set(sessionId, projects);
+    }
+    return projects;
+  }
+
+  list(sessionId: string): GardenProject[] {
+    return [...(this._sessions.get(sessionId)?.values() ?? [])];
+  }
+
+  get(sessionId: string, id: string): GardenProject | undefined {
+    return this._sessions.get(sessionId)?.get(id);
+  }
+
+  put(sessionId: string, project: GardenProject): void {
+    this.session(sessionId).set(project.id, project);
+  }
+
+  delete(sessionId: string, id: string): boolean {
+    this._revisions.delete(`${sessionId}/${id}`);
+    return this._sessions.get(sessionId)?.delete(id) ?? false;
+  }
+
+  listRevisions(sessionId: string, id: string): GardenRevision[] {
+    return [...(this._revisions.get(`${sessionId}/${id}`) ?? [])];
+  }
+
+  addRevision(sessionId: string, id: string, revision: GardenRevision): void {
+    const key = `${sessionId}/${id}`;
+    this._revisions.set(
+      key,
+      [...(this._revisions.get(key) ?? []), revision].slice(
+        -MAX_PROJECT_REVISIONS,
+      ),
+    );
+  }
+}
+
+const REVISIONS_SUFFIX = ".revisions.json";
+
+const readJson = <T>(filePath: string): T | undefined => {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (err: any) {
+    if (err?.code === "ENOENT") return undefined;
+    throw err;
+  }
+};
+
+/**
+ * A directory per session holding `<id>.json` and `<id>.revisions.json` for
+ * each project, so a save rewrites (atomically) only the project it changes
+ */
+export class FileProjectStore implements ProjectStore {
+  private readonly dir: string;
+
+  constructor(dir: string) {
+    this.dir = path.resolve(dir);
+  }
+
+  // Session ids are hashes; the empty shared slot gets a name of its own
+  private sessionDir(sessionId: string) {
+    return path.join(this.dir, encodeURIComponent(sessionId) || "_shared");
+  }
+
+  private projectFile(sessionId: string, id: string, suffix = ".json") {
+    return path.join(
+      this.sessionDir(sessionId),
+      `${encodeURIComponent(id)}${suffix}`,
+    );
+  }
+
+  list(sessionId: string): GardenProject[] {
+    let files: string[];
+    try {
+      files = fs.readdirSync(this.sessionDir(sessionId));
+    } catch (err: any) {
+      if (err?.code === "ENOENT") return [];
+      throw err;
+    }
+    return files
+      .filter((file) => file.endsWith(".json"))
+      .filter((file) => !file.endsWith(REVISIONS_SUFFIX))
+      .map((file) =>
+        readJson<GardenProject>(path.join(this.sessionDir(sessionId), file)),
+      )
+      .filter((project): project is GardenProject => !!project);
+  }
+
+  get(sessionId: string, id: string): GardenProject | undefined {
+    return readJson(this.projectFile(sessionId, id));
+  }
+
+  put(sessionId: string, project: GardenProject): void {
+    writeJsonAtomic(this.projectFile(sessionId, project.id), project);
+  }
+
+  delete(sessionId: string, id: string): boolean {
+    if (!this.get(sessionId, id)) return false;
+    fs.rmSync(this.projectFile(sessionId, id, REVISIONS_SUFFIX), {
+      force: true,
+    });
+    fs.rmSync(this.projectFile(sessionId, id));
+    return true;
+  }
+
+  listRevisions(sessionId: string, id: string): GardenRevision[] {
+    return (
+      readJson<GardenRevision[]>(
+        this.projectFile(sessionId, id, REVISIONS_SUFFIX),
+      ) ?? []
+    );
+  }
+
+  addRevision(sessionId: string, id: string, revision: GardenRevision): void {
+    writeJsonAtomic(
+      this.projectFile(sessionId, id, REVISIONS_SUFFIX),
+      [...this.listRevisions(sessionId, id), revision].slice(
+        -MAX_PROJECT_REVISIONS,
+      ),
+    );
+  }
+}
+
+/**
+ * One row per project and per revision, stored as JSON
+ */
+export class SqliteProjectStore implements ProjectStore {
+  private readonly db: import("node:sqlite").DatabaseSync;
+
+  constructor(filePath: string) {
+    const { DatabaseSync } = requireNodeSqlite("PROJECT_STORE=sqlite");
+    if (filePath !== ":memory:") {
+      fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+    }
+    this.db = new DatabaseSync(filePath);
+    this.db.exec(`CREATE TABLE IF NOT EXISTS projects (
+      session_id TEXT NOT NULL,
+      id TEXT NOT NULL,
+      data TEXT NOT NULL,
+      updated_at INTEGER NOT NULL,
+      PRIMARY KEY (session_id, id)
+    )`);
+    this.db.exec(`CREATE TABLE IF NOT EXISTS project_revisions (
+      session_id TEXT NOT NULL,
+      project_id TEXT NOT NULL,
+      revision INTEGER NOT NULL,
+      data TEXT NOT NULL,
+      PRIMARY KEY (session_id, project_id, revision)
+    )`);
+  }
+
+  list(sessionId: string): GardenProject[] {
+    const rows = this.db
+      .prepare("SELECT data FROM projects WHERE session_id = ?")
+      .all(sessionId) as { data: string }[];
+    return rows.map((row) => JSON.parse(row.data));
+  }
+
+  get(sessionId: string, id: string): GardenProject | undefined {
+    const row = this.db
+      .prepare("SELECT data FROM projects WHERE session_id = ? AND id = ?")
+      .get(sessionId, id) as { data: string } | undefined;
+    return row ? JSON.parse(row.data) : undefined;
+  }
+
+  put(sessionId: string, project: GardenProject): void {
+    this.db
+      .prepare(
+        `INSERT INTO projects (session_id, id, data, updated_at)
+         VALUES (?, ?, ?, ?)
+         ON CONFLICT (session_id, id)
+         DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at`,
+      )
+      .run(sessionId, project.id, JSON.stringify(project), project.updatedAt);
+  }
+
+  delete(sessionId: string, id: string): boolean {
+    this.db
+      .prepare(
+        "DELETE FROM project_revisions WHERE session_id = ? AND project_id = ?",
+      )
+      .run(sessionId, id);
+    const { changes } = this.db
+      .prepare("DELETE FROM projects WHERE session_id = ? AND id = ?")
+      .run(sessionId, id);
+    return Number(changes) > 0;
+  }
+
+  listRevisions(sessionId: string, id: string): GardenRevision[] {
+    const rows = this.db
+      .prepare(
+        `SELECT data FROM project_revisions
+         WHERE session_id = ? AND project_id = ? ORDER BY revision`,
+      )
+      .all(sessionId, id) as { data: string }[];
+    return rows.map((row) => JSON.parse(row.data));
+  }
+
+  addRevision(sessionId: string, id: string, revision: GardenRevision): void {
+    this.db
+      .prepare(
+        `INSERT INTO project_revisions (session_id, project_id, revision, data)
+         VALUES (?, ?, ?, ?)`,
+      )
+      .run(sessionId, id, revision.revision, JSON.stringify(revision));
+    this.db
+      .prepare(
+        `DELETE FROM project_revisions
+         WHERE session_id = ? AND project_id = ? AND revision <= ?`,
+      )
+      .run(sessionId, id, revision.revision - MAX_PROJECT_REVISIONS);
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+/**
+ * Project store from the environment:
+ * - PROJECT_STORE: memory | file | sqlite (default file)
+ * - PROJECT_STORE_PATH: directory (file) or database path (sqlite)
+ */
+export function createProjectStore(
+  env: NodeJS.ProcessEnv = process.env,
+): ProjectStore {
+  const kind = (env.PROJECT_STORE || "file").trim().toLowerCase();
+  switch (kind) {
+    case "memory":
+      return new MemoryProjectStore();
+    case "file":
+      return new FileProjectStore(
+        env.PROJECT_STORE_PATH || DEFAULT_PROJECT_DIR,
+      );
+    case "sqlite":
+      return new SqliteProjectStore(
+        env.PROJECT_STORE_PATH || DEFAULT_PROJECT_DB,
+      );
+    default:
+      throw new Error(
+        `Unknown PROJECT_STORE "${kind}" (expected memory, file or sqlite).`,
+      );
+  }
+}
+
+export default {
+  createProjectStore,
+  MemoryProjectStore,
+  FileProjectStore,
+  SqliteProjectStore,
+};
@@ -1,8 +1,19 @@
 import Anthropic from "@anthropic-ai/sdk";
 import { buildGardenPrompt } from "./prompt";
-import { buildAnthropicSchema } from "./bedSchema";
-import { runProviderRequest } from "./providerUtils";
-import type { GardenBed, Vegetable } from "../../shared/types";
+import { buildAnthropicSchema, type SchemaOptions } from "./bedSchema";
+import { runProviderRequest, selfCorrectionOptions } from "./providerUtils";
+import type {
+  CorrectionSettings,
+  FixedPlacement,
+  GardenBed,
+  OptimizeMode,
+  ProgressListener,
+  ProviderAttempt,
+  RotationSeason,
+  SunSettings,
+  Vegetable,
+} from "../../shared/types";
+import { hasSuccession } from "../../shared/succession";
 
 const DEFAULT_MODEL =
   process.env.ANTHROPIC_MODEL || "claude-sonnet-4-5-20250929";
@@ -41,8 +52,10 @@ export let createClient = (auth: AuthConfig = {}): Anthropic => {
  * This uses buildAnthropicSchema which provides a more flexible array-root schema
  * compatible with Anthropic's structured output capabilities.
  */
-export function buildAnthropicJsonSchema(): Record<string, any> {
-  return buildAnthropicSchema();
+export function buildAnthropicJsonSchema(
+  options: SchemaOptions = {},
+): Record<string, any> {
+  return buildAnthropicSchema(options);
 }
 
 // Alias for test compatibility
@@ -137,17 +150,36 @@ interface GenerateLayoutOptions {
   optimizationGoals?: string[];
   auth?: AuthConfig;
   model?: string;
+  fixedPlacements?: FixedPlacement[];
+  mode?: OptimizeMode;
+  rotationHistory?: RotationSeason[];
+  sun?: SunSettings;
   customPrompt?: {
     system: string;
     prompt: string;
     schema?: Record<string, any>;
   };
+  onProgress?: ProgressListener;
+  signal?: AbortSignal;
+  correction?: CorrectionSettings;
+  onAttempt?: (attempt: ProviderAttempt) => void;
 }
 
 export const anthropicProvider = {
   id: "anthropic",
   name: "Anthropic",
   supportsOAuth: true,
+  capabilities: {
+    models: [
+      ...new Set([
+        DEFAULT_MODEL,
+        "claude-sonnet-4-5-20250929",
+        "claude-opus-4-1-20250805",
+        "claude-3-5-haiku-20241022",
+      ]),
+    ],
+    streaming: true,
+  },
   createClient: undefined as typeof createClient | undefined,
   async generateLayout({
     beds,
@@ -157,7 +189,15 @@ export const anthropicProvider = {
     optimizationGoals,
     auth,
     model,
+    fixedPlacements,
+    mode,
+    rotationHistory,
+    sun,
     customPrompt,
+    onProgress,
+    signal,
+    correction,
+    onAttempt,
   }: GenerateLayoutOptions): Promise<any> {
     // Prefer runtime override on provider for tests, otherwise use module-level factory.
     const clientFactory =
@@ -177,6 +217,10 @@ export const anthropicProvider = {
       sunOrientation,
       style,
       optimizationGoals,
+      fixedPlacements,
+      mode,
+      rotationHistory,
+      sun,
     });
 
     const buildBaseOptions = () => ({
@@ -187,15 +231,26 @@ export const anthropicProvider = {
     });
 
     // Use Anthropic's array-root schema (more natural for this use case)
-    const schema = customSchema || buildAnthropicJsonSchema();
+    const schema =
+      customSchema ||
+      buildAnthropicJsonSchema({ succession: hasSuccession(seeds) });
 
     // Anthropic returns array format directly, so disable normalization
     return runProviderRequest({
       createClient: clientFactory,
       auth,
       buildBaseOptions,
-      invoke: (aiClient: Anthropic, opts: Record<string, any>) =>
-        aiClient.messages.create(opts as any),
+      invoke: (aiClient: Anthropic, opts: Record<string, any>, abort) =>
+        aiClient.messages.create(opts as any, { signal: abort }),
+      invokeStream: (aiClient: Anthropic, opts, onText, abort) => {
+        const stream = aiClient.messages.stream(opts as any, { signal: abort });
+        stream.on("text", onText);
+        return stream.finalMessage();
+      },
+      onText: onProgress
+        ? (text) => onProgress({ type: "token", provider: "anthropic", text })
+        : undefined,
+      signal,
       extractResponseText: extractAnthropicText,
       schema,
       schemaInserter: anthropicSchemaInserter,
@@ -203,6 +258,8 @@ export const anthropicProvider = {
       useSchema: process.env.ANTHROPIC_USE_SCHEMA !== "false",
       normalizeResponse: false, // Anthropic returns array directly
       clientInstance: client,
+      record: { provider: "anthropic", system, prompt },
+      ...selfCorrectionOptions({ correction, beds, onAttempt }),
     });
   },
 };
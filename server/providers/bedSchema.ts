@@ -34,6 +34,37 @@ interface JsonSchema {
   additionalProperties?: boolean;
 }
 
+export interface SchemaOptions {
+  /** Ask for succession fields (phaseId and sow/transplant/harvest days) on each placement */
+  succession?: boolean;
+}
+
+const SUCCESSION_FIELDS = ["phaseId", "sowDay", "transplantDay", "harvestDay"];
+
+function successionProperties(
+  nullable: boolean,
+): Record<string, JsonSchemaProperty> {
+  const field = (type: string, description: string): JsonSchemaProperty =>
+    nullable
+      ? { anyOf: [{ type }, { type: "null" }], description }
+      : { type, description };
+  return {
+    phaseId: field("string", "Succession phase this plant belongs to"),
+    sowDay: field(
+      "number",
+      "Season day the seed is sown (negative when started indoors early)",
+    ),
+    transplantDay: field(
+      "number",
+      "Season day the seedling goes into the bed; null when direct sown",
+    ),
+    harvestDay: field(
+      "number",
+      "Season day the plant is harvested and its space is free",
+    ),
+  };
+}
+
 /**
  * Build OpenAI-compatible JSON Schema with strict requirements.
  *
@@ -45,7 +76,9 @@ interface JsonSchema {
  *
  * Returns an object-root schema: { layouts: [...] }
  */
-export function buildOpenAISchema(): JsonSchema {
+export function buildOpenAISchema({
+  succession = false,
+}: SchemaOptions = {}): JsonSchema {
   const placementItem = {
     type: "object",
     properties: {
@@ -84,6 +117,7 @@ export function buildOpenAISchema(): JsonSchema {
         anyOf: [{ type: "string" }, { type: "null" }],
         description: "Specific companion planting benefit achieved here",
       },
+      ...(succession ? successionProperties(true) : {}),
     },
     required: [
       "id",
@@ -95,6 +129,7 @@ export function buildOpenAISchema(): JsonSchema {
       "placementReasoning",
       "spacingAnalysis",
       "companionInsights",
+      ...(succession ? SUCCESSION_FIELDS : []),
     ],
     additionalProperties: false, // OpenAI requirement
   };
@@ -145,7 +180,9 @@ export function buildOpenAISchema(): JsonSchema {
  *
  * Returns an array-root schema for direct compatibility: [...]
  */
-export function buildAnthropicSchema(): JsonSchema {
+export function buildAnthropicSchema({
+  succession = false,
+}: SchemaOptions = {}): JsonSchema {
   const placementItem = {
     type: "object",
     properties: {
@@ -193,6 +230,7 @@ export function buildAnthropicSchema(): JsonSchema {
         type: "string",
         description: "Specific companion planting benefit achieved here",
       },
+      ...(succession ? successionProperties(false) : {}),
     },
     required: ["id", "veggieType", "varietyName", "x", "y", "size"],
     // additionalProperties omitted - Anthropic doesn't require it
@@ -238,24 +276,28 @@ export function buildBedJsonSchema(): JsonSchema {
  * Get the appropriate schema for a given provider.
  *
  * @param {string} providerId - Provider identifier ('openai', 'anthropic', 'gemini', 'local')
+ * @param {SchemaOptions} options - Passed on to the schema builder
  * @returns {object} JSON Schema appropriate for the provider
  */
-export function getSchemaForProvider(providerId?: string): JsonSchema {
+export function getSchemaForProvider(
+  providerId?: string,
+  options: SchemaOptions = {},
+): JsonSchema {
   switch (providerId?.toLowerCase()) {
     case "openai":
-      return buildOpenAISchema();
+      return buildOpenAISchema(options);
     case "anthropic":
-      return buildAnthropicSchema();
+      return buildAnthropicSchema(options);
     case "gemini":
       // Gemini uses its own Type system via buildGeminiSchema() in geminiProvider.js
       // Return OpenAI schema as fallback for validation purposes
-      return buildOpenAISchema();
+      return buildOpenAISchema(options);
     case "local":
       // Local provider returns array format directly
-      return buildAnthropicSchema();
+      return buildAnthropicSchema(options);
     default:
       // Default to OpenAI's strict schema for unknown providers
-      return buildOpenAISchema();
+      return buildOpenAISchema(options);
   }
 }
 
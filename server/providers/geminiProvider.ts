@@ -1,9 +1,21 @@
 import { GoogleGenAI, type Type } from "@google/genai";
 import { buildGardenPrompt } from "./prompt";
 import { VEGGIE_TYPES } from "../veggieMetadata";
-import { buildOpenAISchema } from "./bedSchema";
-import { runProviderRequest } from "./providerUtils";
-import type { GardenBed, Vegetable } from "../../shared/types";
+import { buildOpenAISchema, type SchemaOptions } from "./bedSchema";
+import { runProviderRequest, selfCorrectionOptions } from "./providerUtils";
+import type {
+  CorrectionSettings,
+  FixedPlacement,
+  GardenBed,
+  OptimizeMode,
+  ProgressListener,
+  ProviderAttempt,
+  RotationSeason,
+  SunSettings,
+  Vegetable,
+} from "../../shared/types";
+import { hasSuccession } from "../../shared/succession";
+import type { ProviderCapabilities } from "./index";
 
 const DEFAULT_MODEL = process.env.GEMINI_MODEL || "gemini-2.0-flash-001";
 
@@ -41,7 +53,7 @@ export let createClient = (auth: AuthConfig = {}): GoogleGenAI => {
  * Keep the original buildGeminiSchema for compatibility with tests that expect
  * the provider to expose the provider-specific schema shape (Type.*).
  */
-function buildGeminiSchema(): any {
+function buildGeminiSchema({ succession = false }: SchemaOptions = {}): any {
   // Using any here because @google/genai Type is a const enum
   const Type = {
     OBJECT: "object",
@@ -73,6 +85,14 @@ function buildGeminiSchema(): any {
                   placementReasoning: { type: Type.STRING },
                   spacingAnalysis: { type: Type.STRING },
                   companionInsights: { type: Type.STRING },
+                  ...(succession
+                    ? {
+                        phaseId: { type: Type.STRING },
+                        sowDay: { type: Type.NUMBER },
+                        transplantDay: { type: Type.NUMBER, nullable: true },
+                        harvestDay: { type: Type.NUMBER },
+                      }
+                    : {}),
                 },
                 required: [
                   "id",
@@ -84,6 +104,7 @@ function buildGeminiSchema(): any {
                   "placementReasoning",
                   "spacingAnalysis",
                   "companionInsights",
+                  ...(succession ? ["phaseId", "sowDay", "harvestDay"] : []),
                 ],
               },
             },
@@ -110,17 +131,26 @@ interface GenerateLayoutOptions {
   optimizationGoals?: string[];
   auth?: AuthConfig;
   model?: string;
+  fixedPlacements?: FixedPlacement[];
+  mode?: OptimizeMode;
+  rotationHistory?: RotationSeason[];
+  sun?: SunSettings;
   customPrompt?: {
     system: string;
     prompt: string;
     schema?: Record<string, any>;
   };
+  onProgress?: ProgressListener;
+  signal?: AbortSignal;
+  correction?: CorrectionSettings;
+  onAttempt?: (attempt: ProviderAttempt) => void;
 }
 
 export interface GeminiProvider {
   id: string;
   name: string;
   supportsOAuth: boolean;
+  capabilities?: ProviderCapabilities;
   createClient?: (auth: AuthConfig) => GoogleGenAI;
   generateLayout(options: GenerateLayoutOptions): Promise<any>;
 }
@@ -129,6 +159,17 @@ export const geminiProvider: GeminiProvider = {
   id: "gemini",
   name: "Google Gemini",
   supportsOAuth: true,
+  capabilities: {
+    models: [
+      ...new Set([
+        DEFAULT_MODEL,
+        "gemini-2.0-flash-001",
+        "gemini-2.5-flash",
+        "gemini-2.5-pro",
+      ]),
+    ],
+    streaming: true,
+  },
   /**
    * Optional: tests or higher-level initialization code can set `geminiProvider.createClient`
    * to a custom factory function (auth) => client. If not present, the module-level createClient is used.
@@ -141,7 +182,15 @@ export const geminiProvider: GeminiProvider = {
     optimizationGoals,
     auth,
     model,
+    fixedPlacements,
+    mode,
+    rotationHistory,
+    sun,
     customPrompt,
+    onProgress,
+    signal,
+    correction,
+    onAttempt,
   }) {
     // Prefer runtime override on provider for tests, otherwise use module-level factory.
     const clientFactory =
@@ -160,11 +209,16 @@ export const geminiProvider: GeminiProvider = {
       sunOrientation,
       style,
       optimizationGoals,
+      fixedPlacements,
+      mode,
+      rotationHistory,
+      sun,
     });
 
     // Use OpenAI schema for local validation (object root with layouts array).
     // Gemini will receive its own Type-based schema via the inserter.
-    const schema = customSchema || buildOpenAISchema();
+    const succession = hasSuccession(seeds);
+    const schema = customSchema || buildOpenAISchema({ succession });
 
     // buildBaseOptions produces the SDK-specific base options the invoke function expects.
     const buildBaseOptions = () => ({
@@ -182,15 +236,37 @@ export const geminiProvider: GeminiProvider = {
         config: providedSchema
           ? {
               responseMimeType: "application/json",
-              responseSchema: buildGeminiSchema(),
+              responseSchema: buildGeminiSchema({ succession }),
             }
           : { responseMimeType: "application/json" },
       };
     };
 
+    // The SDK takes its abort signal inside the request config
+    const withAbort = (opts: any, abort?: AbortSignal) =>
+      abort ? { ...opts, config: { ...opts.config, abortSignal: abort } } : opts;
+
     // invoke maps to the actual SDK call
-    const invoke = (aiClient: GoogleGenAI, opts: any) =>
-      aiClient.models.generateContent(opts);
+    const invoke = (aiClient: GoogleGenAI, opts: any, abort?: AbortSignal) =>
+      aiClient.models.generateContent(withAbort(opts, abort));
+
+    // Streaming variant: collect chunk text and hand back the same `text` shape
+    const invokeStream = async (
+      aiClient: GoogleGenAI,
+      opts: any,
+      onText: (text: string) => void,
+      abort?: AbortSignal,
+    ) => {
+      let text = "";
+      for await (const chunk of await aiClient.models.generateContentStream(
+        withAbort(opts, abort),
+      )) {
+        if (!chunk.text) continue;
+        text += chunk.text;
+        onText(chunk.text);
+      }
+      return { text };
+    };
 
     // response extractor for Gemini is simply `text`
     const extractResponseText = (resp: any) => resp?.text ?? "";
@@ -201,11 +277,19 @@ export const geminiProvider: GeminiProvider = {
       auth,
       buildBaseOptions,
       invoke,
+      invokeStream,
+      onText: onProgress
+        ? (text: string) =>
+            onProgress({ type: "token", provider: "gemini", text })
+        : undefined,
+      signal,
       extractResponseText,
       schema,
       schemaInserter,
       useSchema: true,
       clientInstance: client,
+      record: { provider: "gemini", system, prompt },
+      ...selfCorrectionOptions({ correction, beds, onAttempt }),
     });
   },
 };
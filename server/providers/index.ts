@@ -2,7 +2,19 @@ import geminiProvider from "./geminiProvider";
 import openaiProvider from "./openaiProvider";
 import anthropicProvider from "./anthropicProvider";
 import localProvider from "./localProvider";
-import type { GardenBed, Vegetable } from "../../shared/types";
+import openaiCompatibleProvider from "./openaiCompatibleProvider";
+import type {
+  AIProviderInfo,
+  CorrectionSettings,
+  FixedPlacement,
+  GardenBed,
+  OptimizeMode,
+  ProgressListener,
+  ProviderAttempt,
+  RotationSeason,
+  SunSettings,
+  Vegetable,
+} from "../../shared/types";
 
 export interface ProviderAuth {
   apiKey?: string;
@@ -17,26 +29,49 @@ export interface GenerateLayoutOptions {
   optimizationGoals?: string[];
   auth?: ProviderAuth;
   model?: string;
+  fixedPlacements?: FixedPlacement[];
+  mode?: OptimizeMode;
+  rotationHistory?: RotationSeason[];
+  sun?: SunSettings;
   customPrompt?: {
     system: string;
     prompt: string;
     schema?: Record<string, any>;
   };
   config?: Record<string, any>;
+  onProgress?: ProgressListener;
+  signal?: AbortSignal;
+  correction?: CorrectionSettings; // self-correction, LLM providers only
+  onAttempt?: (attempt: ProviderAttempt) => void; // each LLM answer's outcome
+}
+
+/**
+ * What a provider can do, listed by /api/providers so the UI can adapt
+ */
+export interface ProviderCapabilities {
+  models?: string[]; // suggested model names, default first
+  streaming?: boolean; // reports "token" progress while generating
+  seeded?: boolean; // takes config.random_seed and packs reproducibly
 }
 
 export interface Provider {
   id: string;
   name: string;
   supportsOAuth: boolean;
+  capabilities?: ProviderCapabilities;
   generateLayout(options: GenerateLayoutOptions): Promise<any>;
   createClient?: (auth: ProviderAuth) => any;
 }
 
-export interface ProviderInfo {
-  id: string;
-  name: string;
-  supportsOAuth: boolean;
+export type ProviderInfo = AIProviderInfo;
+
+/**
+ * Lowercase a provider's id in place when it is registered, so the registry,
+ * /api/providers, request validation and responses all use the same id
+ */
+function normalizeProviderId(provider: Provider): Provider {
+  provider.id = String(provider.id).toLowerCase();
+  return provider;
 }
 
 const initialProviders: Provider[] = [
@@ -44,16 +79,16 @@ const initialProviders: Provider[] = [
   openaiProvider,
   anthropicProvider,
   localProvider,
+  openaiCompatibleProvider,
 ].map((p) => {
   // some module systems expose the actual default export on `.default`
   const provider = (p as any)?.default ?? p;
-  return provider as Provider;
+  return normalizeProviderId(provider as Provider);
 });
 
 const providers = new Map<string, Provider>(
   initialProviders.map(
-    (provider) =>
-      [String(provider.id).toLowerCase(), provider] as [string, Provider],
+    (provider) => [provider.id, provider] as [string, Provider],
   ),
 );
 
@@ -67,14 +102,24 @@ export function listProviders(): ProviderInfo[] {
     id: provider.id,
     name: provider.name,
     supportsOAuth: Boolean(provider.supportsOAuth),
+    models: provider.capabilities?.models ?? [],
+    streaming: Boolean(provider.capabilities?.streaming),
+    seeded: Boolean(provider.capabilities?.seeded),
   }));
 }
 
+/**
+ * Add a provider, replacing any registered under the same id
+ */
 export function registerProvider(provider: Provider): void {
   if (!provider || !provider.id) {
     throw new Error("Provider must include an id.");
   }
-  providers.set(String(provider.id).toLowerCase(), provider);
+  if (typeof provider.generateLayout !== "function") {
+    throw new Error(`Provider ${provider.id} must implement generateLayout.`);
+  }
+  normalizeProviderId(provider);
+  providers.set(provider.id, provider);
 }
 
 export const providerRegistry = providers;
@@ -0,0 +1,124 @@
+/**
+ * Provider modules loaded at startup
+ *
+ * Configured from the environment (both comma-separated):
+ * - PROVIDER_DIRS: directories whose .js/.mjs/.cjs/.ts/.mts files are each
+ *   loaded as a provider module
+ * - PROVIDER_MODULES: npm package names or paths to provider modules
+ *
+ * PROVIDER_REPLAY_DIR additionally registers the `replay` pseudo-provider,
+ * answering from responses recorded there (see replayProvider.ts).
+ *
+ * Relative paths are resolved from the working directory. A module
+ * default-exports a provider or a list of them, or exports `provider` or
+ * `providers`. Each one is added to the registry, replacing a built-in with
+ * the same id, so /api/providers and request validation pick it up.
+ */
+
+import { readdir } from "node:fs/promises";
+import { extname, isAbsolute, join, resolve } from "node:path";
+import { pathToFileURL } from "node:url";
+import { registerProvider, type Provider } from "./index";
+import { createReplayProvider } from "./replayProvider";
+
+const MODULE_EXTENSIONS = new Set([".js", ".mjs", ".cjs", ".ts", ".mts"]);
+
+const splitList = (value: string | undefined) =>
+  (value ?? "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+
+const isPath = (specifier: string) =>
+  isAbsolute(specifier) || specifier.startsWith(".");
+
+/**
+ * Module files in a provider directory, in name order
+ */
+async function listModuleFiles(dir: string): Promise<string[]> {
+  const entries = await readdir(dir, { withFileTypes: true });
+  return entries
+    .filter(
+      (entry) =>
+        entry.isFile() &&
+        MODULE_EXTENSIONS.has(extname(entry.name)) &&
+        !entry.name.endsWith(".d.ts"),
+    )
+    .map((entry) => join(dir, entry.name))
+    .sort();
+}
+
+/**
+ * Providers exported by a loaded module
+ */
+function exportedProviders(mod: any): Provider[] {
+  // CommonJS modules arrive wrapped in one more `default`
+  const exported =
+    mod?.providers ?? mod?.provider ?? mod?.default?.default ?? mod?.default;
+  return [exported].flat().filter(Boolean);
+}
+
+/**
+ * Import one provider module and register what it exports
+ *
+ * @param specifier - Package name, or a path (absolute or relative to `cwd`)
+ * @returns The providers it registered
+ */
+export async function loadProviderModule(
+  specifier: string,
+  cwd: string = process.cwd(),
+): Promise<Provider[]> {
+  const target = isPath(specifier)
+    ? pathToFileURL(resolve(cwd, specifier)).href
+    : specifier;
+
+  let providers: Provider[];
+  try {
+    providers = exportedProviders(await import(target));
+    if (providers.length === 0) {
+      throw new Error("no provider exported");
+    }
+    providers.forEach(registerProvider);
+  } catch (err: any) {
+    throw new Error(
+      `Failed to load provider module ${specifier}: ${err?.message || err}`,
+    );
+  }
+  return providers;
+}
+
+/**
+ * Register the providers from PROVIDER_DIRS and PROVIDER_MODULES, and the
+ * replay provider when PROVIDER_REPLAY_DIR is set
+ *
+ * Throws on the first module that fails to load, so a misconfigured
+ * provider stops startup instead of silently disappearing.
+ *
+ * @returns Every provider registered, in load order
+ */
+export async function loadProviderModules(
+  env: NodeJS.ProcessEnv = process.env,
+  cwd: string = process.cwd(),
+): Promise<Provider[]> {
+  const files: string[] = [];
+  for (const dir of splitList(env.PROVIDER_DIRS)) {
+    files.push(...(await listModuleFiles(resolve(cwd, dir))));
+  }
+
+  const loaded: Provider[] = [];
+  for (const specifier of [...files, ...splitList(env.PROVIDER_MODULES)]) {
+    loaded.push(...(await loadProviderModule(specifier, cwd)));
+  }
+
+  if (env.PROVIDER_REPLAY_DIR) {
+    const replay = createReplayProvider(resolve(cwd, env.PROVIDER_REPLAY_DIR));
+    registerProvider(replay);
+    loaded.push(replay);
+  }
+  return loaded;
+}
+
+export default {
+  loadProviderModule,
+  loadProviderModules,
+};
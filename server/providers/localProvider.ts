@@ -16,7 +16,28 @@
 
 import { ForceDirectedGardenPacker } from "../packer/ForceDirectedGardenPacker";
 import { VEGGIE_METADATA } from "../veggieMetadata";
-import type { GardenBed, Vegetable, VeggieType } from "../../shared/types";
+import { getPlantableArea } from "../../shared/bedGeometry";
+import {
+  getBedOccupancy,
+  getPlantingWindow,
+  hasSuccession,
+  planSuccession,
+  withPhases,
+} from "../../shared/succession";
+import { getRotationWeight } from "../../shared/rotation";
+import { PACKER_DEFAULTS } from "../../shared/packerConfig";
+import type {
+  BedLayout,
+  FixedPlacement,
+  GardenBed,
+  OptimizeMode,
+  PackerConfig,
+  ProgressListener,
+  RotationSeason,
+  SunSettings,
+  Vegetable,
+  VeggieType,
+} from "../../shared/types";
 
 interface PlantRequest {
   veggieType: VeggieType;
@@ -53,24 +74,25 @@ interface PackerInput {
   strategy: string;
 }
 
-interface PackerConfig {
-  intra_group_attraction?: number;
-  inter_group_repulsion?: number;
-  collision_strength?: number;
-  boundary_force?: number;
-  cluster_padding?: number;
-  min_spacing?: number;
-  max_iterations?: number;
-  convergence_threshold?: number;
-  damping?: number;
-  random_seed?: number;
+interface PackBedResult {
+  placements: any[];
+  stats: any;
+  clusters: any;
+  violations: any;
+  failedPlants?: any[];
 }
 
 interface GenerateLayoutOptions {
   beds: GardenBed[];
   seeds: Vegetable[];
   sunOrientation: string;
+  fixedPlacements?: FixedPlacement[];
+  mode?: OptimizeMode;
+  rotationHistory?: RotationSeason[];
+  sun?: SunSettings;
   config?: PackerConfig;
+  onProgress?: ProgressListener;
+  signal?: AbortSignal;
 }
 
 /**
@@ -81,6 +103,8 @@ function generateLocalSemanticPlan({
   beds,
   seeds,
   sunOrientation,
+  fixedPlacements = [],
+  rotationHistory = [],
 }: GenerateLayoutOptions): SemanticPlan {
   const plan: SemanticPlan = {
     beds: [],
@@ -89,25 +113,37 @@ function generateLocalSemanticPlan({
   };
 
   for (const bed of beds) {
-    const bedSqFt = (bed.width * bed.height) / 144;
+    // Shape-aware plantable area (polygon outline, minus keep-out zones and pinned plants)
+    const pinnedArea = fixedPlacements
+      .filter((p) => p.bedId === bed.id)
+      .reduce((sum, p) => sum + Math.PI * (p.size / 2) ** 2, 0);
+    const bedArea = Math.max(0, getPlantableArea(bed) - pinnedArea);
+    const bedSqFt = bedArea / 144;
 
     // Calculate available space and estimate max plants based on realistic packing
     // Use average spacing to estimate capacity - packer will determine actual fit
+    // Crop rotation: families grown here in recent seasons count for less
     const seedsWithMeta = (seeds || []).map((seed) => ({
       ...seed,
       meta: VEGGIE_METADATA[seed.type] || {},
+      rotationWeight: getRotationWeight(
+        seed.type,
+        bed.id,
+        rotationHistory,
+        VEGGIE_METADATA,
+      ),
     }));
 
     const avgSpacing =
       seedsWithMeta.reduce((sum, s) => sum + (s.meta.spacing || 12), 0) /
       seedsWithMeta.length;
     const estimatedCapacity = Math.floor(
-      (bed.width * bed.height) / (avgSpacing * avgSpacing * 0.5),
+      bedArea / (avgSpacing * avgSpacing * 0.5),
     ); // 50% packing efficiency
 
     // Calculate total priority weight
     const totalPriorityWeight = seedsWithMeta.reduce(
-      (sum, seed) => sum + (seed.priority || 1),
+      (sum, seed) => sum + (seed.priority || 1) * seed.rotationWeight,
       0,
     );
 
@@ -116,7 +152,7 @@ function generateLocalSemanticPlan({
     // Allocate plants proportionally by priority weight
     // Start with generous counts - packer will determine what actually fits
     for (const seed of seedsWithMeta) {
-      const priority = seed.priority || 1;
+      const priority = (seed.priority || 1) * seed.rotationWeight;
       const spacing = seed.meta.spacing || 12;
 
       // Priority determines the proportion of total plants
@@ -138,7 +174,7 @@ function generateLocalSemanticPlan({
       // Apply maximum based on physical spacing constraints
       // This prevents requesting impossibly many large plants
       const maxBySpacing = Math.floor(
-        (bed.width * bed.height) / (spacing * spacing * 0.4),
+        bedArea / (spacing * spacing * 0.4),
       ); // 40% packing for safety
       count = Math.min(count, maxBySpacing);
 
@@ -150,9 +186,9 @@ function generateLocalSemanticPlan({
         veggieType: seed.type,
         varietyName,
         count,
-        priority: seed.priority || 1,
+        priority,
         priorityWeight: priorityRatio,
-        reasoning: `Priority ${priority} (${(priorityRatio * 100).toFixed(1)}% weight) - requesting ${count} for packer to optimize`,
+        reasoning: `Priority ${seed.priority || 1} (${(priorityRatio * 100).toFixed(1)}% weight${seed.rotationWeight < 1 ? `, ×${seed.rotationWeight.toFixed(2)} for ${seed.meta.family} rotation` : ""}) - requesting ${count} for packer to optimize`,
       });
     }
 
@@ -201,6 +237,235 @@ function convertPlanToPackerFormat(semanticPlan: SemanticPlan): PackerInput[] {
   return packerInput;
 }
 
+/**
+ * Pack one bed's planned plants around its fixed placements
+ */
+function packBed(
+  bed: GardenBed,
+  bedPlan: BedPlan,
+  {
+    sunOrientation,
+    sun,
+    fixedPlacements,
+    mode,
+    config,
+    onProgress,
+  }: {
+    sunOrientation: string;
+    sun?: SunSettings;
+    fixedPlacements: Omit<FixedPlacement, "bedId">[];
+    mode: OptimizeMode;
+    config: PackerConfig;
+    onProgress?: ProgressListener;
+  },
+): PackBedResult {
+  // Configure force-directed packer with stronger collision settings
+  const packerConfig: PackerConfig = {
+    intra_group_attraction:
+      config.intra_group_attraction ?? PACKER_DEFAULTS.intra_group_attraction,
+    inter_group_repulsion:
+      config.inter_group_repulsion ?? PACKER_DEFAULTS.inter_group_repulsion,
+    collision_strength:
+      config.collision_strength ?? PACKER_DEFAULTS.collision_strength,
+    boundary_force: config.boundary_force ?? PACKER_DEFAULTS.boundary_force,
+    cluster_padding: config.cluster_padding ?? PACKER_DEFAULTS.cluster_padding,
+    min_spacing: config.min_spacing ?? PACKER_DEFAULTS.min_spacing,
+    max_iterations: config.max_iterations ?? PACKER_DEFAULTS.max_iterations,
+    convergence_threshold:
+      config.convergence_threshold ?? PACKER_DEFAULTS.convergence_threshold,
+    damping: config.damping ?? PACKER_DEFAULTS.damping,
+    random_seed: config.random_seed ?? Date.now(), // Deterministic with seed
+    sun_strength: config.sun_strength ?? PACKER_DEFAULTS.sun_strength,
+    shade_penalty: config.shade_penalty ?? PACKER_DEFAULTS.shade_penalty,
+  };
+
+  const packer = new ForceDirectedGardenPacker(bed, {
+    sunOrientation: sunOrientation || "South",
+    sun,
+    fixedPlacements,
+    ...packerConfig,
+    on_progress: onProgress
+      ? ({ iteration, energy }) =>
+          onProgress({ type: "packer", bedId: bed.id, iteration, energy })
+      : undefined,
+  });
+
+  // Convert semantic plan to packer format (overallReasoning is only needed for typing)
+  const packerInput = convertPlanToPackerFormat({
+    beds: [bedPlan],
+    overallReasoning: bedPlan.strategy,
+  });
+
+  // Pack plants using hierarchical force-directed algorithm; in fill mode the
+  // pinned plants are the existing layout and only the gaps are planted
+  const result = (
+    mode === "fill"
+      ? packer.fillPlants(packerInput[0].plants)
+      : packer.packPlants(packerInput[0].plants)
+  ) as PackBedResult;
+
+  console.log(
+    `[LocalProvider] Placed ${result.stats.placed}/${result.stats.requested} plants (${result.stats.fillRate} fill rate, ${result.stats.converged ? "converged" : "max iterations"})`,
+  );
+  console.log(
+    `[LocalProvider] Packing density: ${result.stats.packingDensity}, clusters: ${result.stats.clusters}`,
+  );
+
+  // Log priority-based distribution results
+  if (
+    result.stats.plantTypeCounts &&
+    result.stats.plantTypeCounts.length > 0
+  ) {
+    console.log("[LocalProvider] Priority-weighted distribution:");
+    result.stats.plantTypeCounts.forEach(
+      ({ type, requested, actual, ratio }: any) => {
+        const percentage = (ratio * 100).toFixed(1);
+        const status = ratio >= 0.8 ? "✓" : ratio >= 0.5 ? "~" : "⚠";
+        console.log(
+          `[LocalProvider]   ${status} ${type}: ${actual}/${requested} (${percentage}%)`,
+        );
+      },
+    );
+  }
+
+  if (result.violations.bounds.length > 0) {
+    console.warn(
+      `[LocalProvider] ${result.violations.bounds.length} bounds violations detected`,
+    );
+  }
+
+  if (result.violations.obstacles?.length > 0) {
+    console.warn(
+      `[LocalProvider] ${result.violations.obstacles.length} plants overlap keep-out zones`,
+    );
+  }
+
+  if (result.violations.collisions.length > 0) {
+    console.warn(
+      `[LocalProvider] ${result.violations.collisions.length} minor collisions detected (${((result.violations.collisions.length / result.stats.placed) * 100).toFixed(1)}%)`,
+    );
+  }
+
+  return result;
+}
+
+/**
+ * Pinned plants are returned as sent, ahead of the packed ones
+ */
+function getLockedPlacements(fixedPlacements: FixedPlacement[], bedId: string) {
+  return fixedPlacements
+    .filter((p) => p.bedId === bedId)
+    .map(({ bedId: _bedId, ...placement }) => ({
+      ...placement,
+      locked: true,
+    }));
+}
+
+/**
+ * Let queued I/O (progress events on SSE sockets, job cancellation) through
+ * between beds
+ */
+function yieldToEventLoop(): Promise<void> {
+  return new Promise((resolve) => setImmediate(resolve));
+}
+
+/**
+ * Succession layout: pack each phase in planting-day order. A phase treats
+ * everything still in the ground on its start day as fixed, so later crops
+ * reuse the space freed by earlier harvests.
+ */
+async function generateSuccessionLayout({
+  beds,
+  seeds,
+  sunOrientation,
+  fixedPlacements = [],
+  mode = "full",
+  rotationHistory = [],
+  sun,
+  config = {},
+  onProgress,
+  signal,
+}: GenerateLayoutOptions): Promise<any[]> {
+  const groups = planSuccession(seeds, VEGGIE_METADATA);
+  console.log(
+    `[LocalProvider] Succession plan: ${groups.map(({ phase }) => `${phase.label} (day ${phase.startDay}-${phase.endDay})`).join(" → ")}`,
+  );
+
+  const layouts: any[] = [];
+
+  for (const bed of beds) {
+    signal?.throwIfAborted();
+    onProgress?.({ type: "bed.start", bedId: bed.id });
+    const lockedPlacements = getLockedPlacements(fixedPlacements, bed.id);
+    const planted: any[] = [];
+    const strategies: string[] = [];
+
+    for (const { phase, seeds: phaseSeeds } of groups) {
+      const inGround = [...lockedPlacements, ...planted].filter(
+        (p) => getBedOccupancy(p).end > phase.startDay,
+      );
+      const [bedPlan] = generateLocalSemanticPlan({
+        beds: [bed],
+        seeds: phaseSeeds,
+        sunOrientation,
+        fixedPlacements: inGround.map((p) => ({ ...p, bedId: bed.id })),
+        rotationHistory,
+      }).beds;
+      if (bedPlan.plants.length === 0) continue;
+
+      console.log(
+        `[LocalProvider] Packing ${phase.label} into bed ${bed.name || bed.id} from day ${phase.startDay} around ${inGround.length} plant(s) still in the ground...`,
+      );
+
+      const result = packBed(bed, bedPlan, {
+        sunOrientation,
+        sun,
+        fixedPlacements: inGround,
+        mode,
+        config,
+        onProgress,
+      });
+
+      // The packer only avoids ids still in the ground; keep ids unique across
+      // harvested phases too
+      let nextId =
+        [...lockedPlacements, ...planted].reduce(
+          (max, p) => Math.max(max, Number(p.id) || 0),
+          0,
+        ) + 1;
+      for (const placement of result.placements) {
+        const seed = phaseSeeds.find((s) => s.type === placement.veggieType);
+        planted.push({
+          ...placement,
+          id: String(nextId++),
+          phaseId: phase.id,
+          ...(typeof seed?.plantingDay === "number"
+            ? getPlantingWindow(
+                seed.plantingDay,
+                VEGGIE_METADATA[seed.type],
+                seed.selectedVarieties?.[0],
+              )
+            : {}),
+        });
+      }
+      strategies.push(
+        `${phase.label} (day ${phase.startDay}): ${bedPlan.strategy}`,
+      );
+    }
+
+    const layout = withPhases({
+      bedId: bed.id,
+      placements: [...lockedPlacements, ...planted],
+      strategy: strategies.join("; ") || "Empty bed",
+    });
+    layouts.push(layout);
+    onProgress?.({ type: "bed.finish", bedId: bed.id, layout });
+    await yieldToEventLoop();
+  }
+
+  return layouts;
+}
+
 /**
  * Generate garden layout using hierarchical force-directed packer
  */
@@ -208,17 +473,40 @@ async function generateProceduralLayout({
   beds,
   seeds,
   sunOrientation,
+  fixedPlacements = [],
+  mode = "full",
+  rotationHistory = [],
+  sun,
   config = {},
+  onProgress,
+  signal,
 }: GenerateLayoutOptions): Promise<any[]> {
   console.log(
     "[LocalProvider] Generating procedural layout with hierarchical packer...",
   );
 
+  if (hasSuccession(seeds)) {
+    return generateSuccessionLayout({
+      beds,
+      seeds,
+      sunOrientation,
+      fixedPlacements,
+      mode,
+      rotationHistory,
+      sun,
+      config,
+      onProgress,
+      signal,
+    });
+  }
+
   // Phase 1: Generate semantic plan (locally, no LLM)
   const semanticPlan = generateLocalSemanticPlan({
     beds,
     seeds,
     sunOrientation,
+    fixedPlacements,
+    rotationHistory,
     config,
   });
 
@@ -241,11 +529,21 @@ async function generateProceduralLayout({
       continue;
     }
 
+    signal?.throwIfAborted();
+    onProgress?.({ type: "bed.start", bedId: bed.id });
+    const lockedPlacements = getLockedPlacements(fixedPlacements, bed.id);
+
     if (bedPlan.plants.length === 0) {
-      layouts.push({
+      const layout = {
         bedId: bed.id,
-        placements: [],
+        placements: lockedPlacements,
         strategy: bedPlan.strategy,
+      };
+      layouts.push(layout);
+      onProgress?.({
+        type: "bed.finish",
+        bedId: bed.id,
+        layout: layout as BedLayout,
       });
       continue;
     }
@@ -254,84 +552,30 @@ async function generateProceduralLayout({
       `[LocalProvider] Packing ${bedPlan.plants.length} plant types into bed ${bed.name || bed.id}...`,
     );
 
-    // Configure force-directed packer with stronger collision settings
-    const packerConfig: PackerConfig = {
-      intra_group_attraction: config.intra_group_attraction ?? 0.3,
-      inter_group_repulsion: config.inter_group_repulsion ?? 0.2,
-      collision_strength: config.collision_strength ?? 0.95, // Increased from 0.8
-      boundary_force: config.boundary_force ?? 0.6, // Increased from 0.5
-      cluster_padding: config.cluster_padding ?? 2.5, // Increased from 2
-      min_spacing: config.min_spacing ?? 1.0, // Increased from 0.5
-      max_iterations: config.max_iterations ?? 600, // Increased from 500
-      convergence_threshold: config.convergence_threshold ?? 0.01,
-      damping: config.damping ?? 0.85, // Decreased from 0.9 for better collision response
-      random_seed: config.random_seed ?? Date.now(), // Deterministic with seed
-    };
-
-    const packer = new ForceDirectedGardenPacker(bed, {
-      sunOrientation: sunOrientation || "South",
-      ...packerConfig,
+    const result = packBed(bed, bedPlan, {
+      sunOrientation,
+      sun,
+      fixedPlacements: lockedPlacements,
+      mode,
+      config,
+      onProgress,
     });
 
-    // Convert semantic plan to packer format (include overallReasoning for typing)
-    const packerInput = convertPlanToPackerFormat({
-      beds: [bedPlan],
-      overallReasoning: semanticPlan.overallReasoning,
-    });
-
-    // Pack plants using hierarchical force-directed algorithm
-    const result = packer.packPlants(packerInput[0].plants) as {
-      placements: any[];
-      stats: any;
-      clusters: any;
-      violations: any;
-      failedPlants?: any[];
-    };
-
-    console.log(
-      `[LocalProvider] Placed ${result.stats.placed}/${result.stats.requested} plants (${result.stats.fillRate} fill rate, ${result.stats.converged ? "converged" : "max iterations"})`,
-    );
-    console.log(
-      `[LocalProvider] Packing density: ${result.stats.packingDensity}, clusters: ${result.stats.clusters}`,
-    );
-
-    // Log priority-based distribution results
-    if (
-      result.stats.plantTypeCounts &&
-      result.stats.plantTypeCounts.length > 0
-    ) {
-      console.log("[LocalProvider] Priority-weighted distribution:");
-      result.stats.plantTypeCounts.forEach(
-        ({ type, requested, actual, ratio }: any) => {
-          const percentage = (ratio * 100).toFixed(1);
-          const status = ratio >= 0.8 ? "✓" : ratio >= 0.5 ? "~" : "⚠";
-          console.log(
-            `[LocalProvider]   ${status} ${type}: ${actual}/${requested} (${percentage}%)`,
-          );
-        },
-      );
-    }
-
-    if (result.violations.bounds.length > 0) {
-      console.warn(
-        `[LocalProvider] ${result.violations.bounds.length} bounds violations detected`,
-      );
-    }
-
-    if (result.violations.collisions.length > 0) {
-      console.warn(
-        `[LocalProvider] ${result.violations.collisions.length} minor collisions detected (${((result.violations.collisions.length / result.stats.placed) * 100).toFixed(1)}%)`,
-      );
-    }
-
-    layouts.push({
+    const layout = {
       bedId: bed.id,
-      placements: result.placements,
+      placements: [...lockedPlacements, ...result.placements],
       strategy: bedPlan.strategy,
       stats: result.stats,
       clusters: result.clusters,
       violations: result.violations,
+    };
+    layouts.push(layout);
+    onProgress?.({
+      type: "bed.finish",
+      bedId: bed.id,
+      layout: { bedId: bed.id, placements: layout.placements },
     });
+    await yieldToEventLoop();
   }
 
   return layouts;
@@ -344,6 +588,7 @@ export const localProvider = {
   id: "local",
   name: "Local Procedural (Hierarchical Packer)",
   supportsOAuth: false,
+  capabilities: { seeded: true },
 
   /**
    * Generate layout using hierarchical force-directed circle packing
@@ -355,9 +600,26 @@ export const localProvider = {
     beds,
     seeds,
     sunOrientation,
+    fixedPlacements,
+    mode,
+    rotationHistory,
+    sun,
     config,
+    onProgress,
+    signal,
   }: GenerateLayoutOptions): Promise<any[]> {
-    return generateProceduralLayout({ beds, seeds, sunOrientation, config });
+    return generateProceduralLayout({
+      beds,
+      seeds,
+      sunOrientation,
+      fixedPlacements,
+      mode,
+      rotationHistory,
+      sun,
+      config,
+      onProgress,
+      signal,
+    });
   },
 };
 
@@ -0,0 +1,176 @@
+import OpenAI from "openai";
+import { buildGardenPrompt } from "./prompt";
+import { buildOpenAISchema } from "./bedSchema";
+import {
+  createProviderAdapter,
+  defaultResponseExtractor,
+  detectOpenAIRefusalOrIncomplete,
+  selfCorrectionOptions,
+} from "./providerUtils";
+import { streamChatCompletion } from "./openaiProvider";
+import type { GenerateLayoutOptions, ProviderCapabilities } from "./index";
+import { hasSuccession } from "../../shared/succession";
+
+/**
+ * Self-hosted models behind an OpenAI-compatible chat completions API, such
+ * as Ollama (`ollama serve`) or the llama.cpp server. No cloud keys needed.
+ *
+ * Environment:
+ * - OPENAI_COMPATIBLE_BASE_URL: API root including `/v1`
+ *   (default Ollama's http://localhost:11434/v1)
+ * - OPENAI_COMPATIBLE_MODEL: model to run (default llama3.1)
+ * - OPENAI_COMPATIBLE_API_KEY: only for servers started with a key
+ * - OPENAI_COMPATIBLE_STRUCTURED_OUTPUTS=false: skip straight to JSON mode
+ */
+
+const DEFAULT_BASE_URL = "http://localhost:11434/v1";
+const DEFAULT_MODEL = "llama3.1";
+
+/**
+ * Strict structured outputs are tried first; servers that reject them get
+ * JSON mode instead, and the response is still validated locally.
+ */
+const USE_STRUCTURED_OUTPUTS =
+  process.env.OPENAI_COMPATIBLE_STRUCTURED_OUTPUTS !== "false";
+
+interface AuthOptions {
+  apiKey?: string;
+  oauthAccessToken?: string;
+}
+
+/**
+ * Base URL read per request, so the endpoint can change without a restart
+ */
+export function resolveBaseUrl(): string {
+  return (process.env.OPENAI_COMPATIBLE_BASE_URL || DEFAULT_BASE_URL).replace(
+    /\/+$/,
+    "",
+  );
+}
+
+/**
+ * Model read per request too, like the base URL
+ */
+export function resolveModel(): string {
+  return process.env.OPENAI_COMPATIBLE_MODEL || DEFAULT_MODEL;
+}
+
+export function createClient(auth: AuthOptions = {}): OpenAI {
+  return new OpenAI({
+    baseURL: resolveBaseUrl(),
+    // The SDK insists on a key; keyless servers ignore it
+    apiKey:
+      auth.apiKey || process.env.OPENAI_COMPATIBLE_API_KEY || "not-needed",
+  });
+}
+
+/**
+ * Ask for the schema with strict structured outputs whatever the model, and
+ * for plain JSON mode without one
+ */
+export function openaiCompatibleSchemaInserter(
+  baseOpts: Record<string, any> = {},
+  schema: Record<string, any> | null = null,
+): Record<string, any> {
+  return {
+    ...baseOpts,
+    response_format: schema
+      ? {
+          type: "json_schema",
+          json_schema: { name: "garden_layout_schema", strict: true, schema },
+        }
+      : { type: "json_object" },
+  };
+}
+
+const requestLayouts = createProviderAdapter<AuthOptions, OpenAI>({
+  createClient: (auth) =>
+    (openaiCompatibleProvider.createClient ?? createClient)(auth),
+  invoke: (client, opts, signal) =>
+    client.chat.completions.create(opts as any, { signal }),
+  invokeStream: streamChatCompletion,
+  extractResponseText: defaultResponseExtractor,
+  schemaInserter: openaiCompatibleSchemaInserter,
+  useSchema: USE_STRUCTURED_OUTPUTS,
+  detectRefusalOrIncomplete: detectOpenAIRefusalOrIncomplete,
+});
+
+export const openaiCompatibleProvider: {
+  id: string;
+  name: string;
+  supportsOAuth: boolean;
+  capabilities: ProviderCapabilities;
+  createClient?: (auth: AuthOptions) => OpenAI;
+  generateLayout(options: GenerateLayoutOptions): Promise<any>;
+} = {
+  id: "openai-compatible",
+  name: "Self-hosted (OpenAI-compatible)",
+  supportsOAuth: false,
+  capabilities: {
+    get models() {
+      return [resolveModel()];
+    },
+    streaming: true,
+  },
+  /**
+   * Tests can set `openaiCompatibleProvider.createClient` to swap the client
+   */
+  createClient: undefined,
+  async generateLayout({
+    beds,
+    seeds,
+    sunOrientation,
+    style,
+    optimizationGoals,
+    auth,
+    model,
+    fixedPlacements,
+    mode,
+    rotationHistory,
+    sun,
+    customPrompt,
+    onProgress,
+    signal,
+    correction,
+    onAttempt,
+  }) {
+    const {
+      system,
+      prompt,
+      schema: customSchema,
+    } = customPrompt ||
+    buildGardenPrompt({
+      beds,
+      seeds,
+      sunOrientation,
+      style,
+      optimizationGoals,
+      fixedPlacements,
+      mode,
+      rotationHistory,
+      sun,
+    });
+
+    return requestLayouts({
+      auth,
+      buildBaseOptions: () => ({
+        model: model || resolveModel(),
+        messages: [
+          { role: "system", content: system },
+          { role: "user", content: prompt },
+        ],
+      }),
+      schema:
+        customSchema || buildOpenAISchema({ succession: hasSuccession(seeds) }),
+      onText: onProgress
+        ? (text) =>
+            onProgress({ type: "token", provider: "openai-compatible", text })
+        : undefined,
+      signal,
+      record: { provider: "openai-compatible", system, prompt },
+      ...selfCorrectionOptions({ correction, beds, onAttempt }),
+    });
+  },
+};
+
+export default openaiCompatibleProvider;
@@ -1,14 +1,27 @@
 import OpenAI from "openai";
 import { buildGardenPrompt } from "./prompt";
-import { buildOpenAISchema } from "./bedSchema";
+import { buildOpenAISchema, type SchemaOptions } from "./bedSchema";
 import {
   runProviderRequest,
   extractJson as utilExtractJson,
   defaultResponseExtractor,
   openaiSchemaInserter,
   detectOpenAIRefusalOrIncomplete,
+  selfCorrectionOptions,
 } from "./providerUtils";
-import type { GardenBed, Vegetable } from "../../shared/types";
+import type {
+  CorrectionSettings,
+  FixedPlacement,
+  GardenBed,
+  OptimizeMode,
+  ProgressListener,
+  ProviderAttempt,
+  RotationSeason,
+  SunSettings,
+  Vegetable,
+} from "../../shared/types";
+import { hasSuccession } from "../../shared/succession";
+import type { ProviderCapabilities } from "./index";
 
 const DEFAULT_MODEL = process.env.OPENAI_MODEL || "gpt-4o";
 
@@ -48,8 +61,10 @@ export let createClient = (auth: AuthOptions = {}): OpenAI => {
 export const extractJson = utilExtractJson;
 
 // Export OpenAI-specific schema builder.
-export function buildOpenAiSchema(): Record<string, any> {
-  return buildOpenAISchema();
+export function buildOpenAiSchema(
+  options: SchemaOptions = {},
+): Record<string, any> {
+  return buildOpenAISchema(options);
 }
 
 interface GenerateLayoutOptions {
@@ -60,25 +75,84 @@ interface GenerateLayoutOptions {
   optimizationGoals?: string[];
   auth?: AuthOptions;
   model?: string;
+  fixedPlacements?: FixedPlacement[];
+  mode?: OptimizeMode;
+  rotationHistory?: RotationSeason[];
+  sun?: SunSettings;
   customPrompt?: {
     system: string;
     prompt: string;
     schema?: Record<string, any>;
   };
+  onProgress?: ProgressListener;
+  signal?: AbortSignal;
+  correction?: CorrectionSettings;
+  onAttempt?: (attempt: ProviderAttempt) => void;
 }
 
 export interface Provider {
   id: string;
   name: string;
   supportsOAuth: boolean;
+  capabilities?: ProviderCapabilities;
   generateLayout: (options: GenerateLayoutOptions) => Promise<any>;
   createClient?: (auth: AuthOptions) => OpenAI;
 }
 
+/**
+ * Stream a chat completion, reporting content deltas, and rebuild the
+ * non-streaming response shape the extractor and refusal check expect.
+ * Shared with the OpenAI-compatible provider.
+ */
+export async function streamChatCompletion(
+  client: OpenAI,
+  opts: Record<string, any>,
+  onText: (text: string) => void,
+  signal?: AbortSignal,
+): Promise<any> {
+  const stream = await client.chat.completions.create(
+    { ...opts, stream: true } as OpenAI.ChatCompletionCreateParamsStreaming,
+    { signal },
+  );
+  let content = "";
+  let refusal = "";
+  let finishReason: string | null = null;
+  for await (const chunk of stream) {
+    const choice = chunk.choices[0];
+    if (!choice) continue;
+    if (choice.delta?.content) {
+      content += choice.delta.content;
+      onText(choice.delta.content);
+    }
+    if (choice.delta?.refusal) refusal += choice.delta.refusal;
+    if (choice.finish_reason) finishReason = choice.finish_reason;
+  }
+  return {
+    choices: [
+      {
+        message: { content, refusal: refusal || null },
+        finish_reason: finishReason,
+      },
+    ],
+  };
+}
+
 export const openaiProvider: Provider = {
   id: "openai",
   name: "OpenAI",
   supportsOAuth: true,
+  capabilities: {
+    models: [
+      ...new Set([
+        DEFAULT_MODEL,
+        "gpt-4o",
+        "gpt-4o-mini",
+        "gpt-4.1",
+        "gpt-4.1-mini",
+      ]),
+    ],
+    streaming: true,
+  },
   async generateLayout({
     beds,
     seeds,
@@ -87,7 +161,15 @@ export const openaiProvider: Provider = {
     optimizationGoals,
     auth,
     model,
+    fixedPlacements,
+    mode,
+    rotationHistory,
+    sun,
     customPrompt,
+    onProgress,
+    signal,
+    correction,
+    onAttempt,
   }: GenerateLayoutOptions): Promise<any> {
     // Maintain test-friendly override semantics: prefer a runtime property on the provider
     // object if present, otherwise fall back to the module-level createClient.
@@ -106,6 +188,10 @@ export const openaiProvider: Provider = {
       sunOrientation,
       style,
       optimizationGoals,
+      fixedPlacements,
+      mode,
+      rotationHistory,
+      sun,
     });
 
     // Use the shared runProviderRequest helper with OpenAI-specific inserter and refusal detection.
@@ -120,12 +206,22 @@ export const openaiProvider: Provider = {
           { role: "user", content: prompt },
         ],
       }),
-      invoke: (client, opts) => client.chat.completions.create(opts as any),
+      invoke: (client, opts, abort) =>
+        client.chat.completions.create(opts as any, { signal: abort }),
+      invokeStream: streamChatCompletion,
+      onText: onProgress
+        ? (text) => onProgress({ type: "token", provider: "openai", text })
+        : undefined,
+      signal,
       extractResponseText: defaultResponseExtractor,
-      schema: customSchema || buildOpenAiSchema(),
+      schema:
+        customSchema ||
+        buildOpenAiSchema({ succession: hasSuccession(seeds) }),
       schemaInserter: openaiSchemaInserter,
       detectRefusalOrIncomplete: detectOpenAIRefusalOrIncomplete,
       useSchema: USE_SCHEMA,
+      record: { provider: "openai", system, prompt },
+      ...selfCorrectionOptions({ correction, beds, onAttempt }),
     });
   },
 };
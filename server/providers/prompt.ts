@@ -1,5 +1,30 @@
 import { VEGGIE_METADATA, VEGGIE_TYPES } from "../veggieMetadata";
-import type { GardenBed, Vegetable, VeggieType } from "../../shared/types";
+import { getPlantableArea, hasPolygonOutline } from "../../shared/bedGeometry";
+import {
+  getPlantingWindow,
+  hasSuccession,
+  planSuccession,
+} from "../../shared/succession";
+import { getRecentFamilies, getRotationWeight } from "../../shared/rotation";
+import {
+  getBearingName,
+  getDaylightHours,
+  getSunAzimuth,
+  getSunPath,
+  DEFAULT_LATITUDE,
+  DEFAULT_SUN_DATE,
+} from "../../shared/sunShade";
+import type {
+  BedObstacle,
+  FixedPlacement,
+  GardenBed,
+  OptimizeMode,
+  PlantingWindow,
+  RotationSeason,
+  SunSettings,
+  Vegetable,
+  VeggieType,
+} from "../../shared/types";
 
 const DEFAULT_SYSTEM = [
   "You are an expert horticultural planner and spatial designer.",
@@ -17,6 +42,7 @@ interface NormalizedVariety {
   habit: string;
   root: string;
   desc: string;
+  window?: PlantingWindow;
 }
 
 function normalizeVariety(veg: Vegetable): NormalizedVariety[] {
@@ -34,6 +60,9 @@ function normalizeVariety(veg: Vegetable): NormalizedVariety[] {
       habit: sv.habit ?? meta.habit,
       root: sv.rootDepth ?? meta.root,
       desc: sv.description ?? "Selected variety.",
+      ...(typeof veg.plantingDay === "number"
+        ? { window: getPlantingWindow(veg.plantingDay, meta, sv) }
+        : {}),
     }));
   }
   return [
@@ -46,6 +75,9 @@ function normalizeVariety(veg: Vegetable): NormalizedVariety[] {
       habit: meta.habit,
       root: meta.root,
       desc: "General variety used as fallback.",
+      ...(typeof veg.plantingDay === "number"
+        ? { window: getPlantingWindow(veg.plantingDay, meta) }
+        : {}),
     },
   ];
 }
@@ -54,6 +86,17 @@ interface BedRecipe {
   bedId: string;
   bedName?: string;
   dimensions: string;
+  shape?: string;
+  outline?: [number, number][];
+  keepOut?: string[];
+  rotateOut?: { family: string; seasonsAgo: number }[];
+  lockedPlants?: {
+    id?: string;
+    veggieType: VeggieType;
+    x: number;
+    y: number;
+    size: number;
+  }[];
   sqft: string;
   targetPlants: string;
   recipe: {
@@ -63,11 +106,18 @@ interface BedRecipe {
     minCount: number;
     maxCount: number;
     priority: number;
+    phaseId?: string;
+    sowDay?: number;
+    transplantDay?: number;
+    harvestDay?: number;
   }[];
 }
 
 interface GuildEntry {
   type: VeggieType;
+  family?: string;
+  height: number;
+  sunHours?: number;
   likes: string[];
   dislikes: string[];
 }
@@ -78,6 +128,10 @@ interface GardenPromptOptions {
   sunOrientation: string;
   style?: Record<string, any>;
   optimizationGoals?: string[];
+  fixedPlacements?: FixedPlacement[];
+  mode?: OptimizeMode;
+  rotationHistory?: RotationSeason[];
+  sun?: SunSettings;
 }
 
 interface GardenPromptResult {
@@ -86,6 +140,46 @@ interface GardenPromptResult {
   schema?: Record<string, any>;
 }
 
+/**
+ * Where the sun's shadows fall for the prompt, from the simulated sun path
+ */
+function describeShade(sun: SunSettings, sunOrientation: string): string {
+  const path = getSunPath(sun, sunOrientation);
+  const noon = path.reduce(
+    (best, sample) => (sample.elevation > best.elevation ? sample : best),
+    path[0],
+  );
+  if (!noon) {
+    return "SHADE MANAGEMENT: The sun stays below the horizon on this date; ignore shade.";
+  }
+  const midMorning = path.find((sample) => sample.hour >= 9) || noon;
+  const bearing = getSunAzimuth(sun, sunOrientation);
+
+  return [
+    `SHADE MANAGEMENT: On ${sun.date ?? DEFAULT_SUN_DATE} at latitude ${sun.latitude ?? DEFAULT_LATITUDE}° the beds get ${getDaylightHours(path)}h of daylight.`,
+    `The midday sun comes from the ${getBearingName(bearing)} side (${Math.round(noon.elevation)}° high), so shadows point ${getBearingName(bearing + 180)}`,
+    `and reach ${(1 / noon.tanElevation).toFixed(1)}× a plant's 'height' at midday, ${(1 / midMorning.tanElevation).toFixed(1)}× by mid-morning and mid-afternoon.`,
+    `Plants with 'sunHours' in GUILD RULES need that many hours of direct sun - keep them out of taller plants' shadows by putting tall plants on their ${getBearingName(bearing + 180)} side.`,
+  ].join(" ");
+}
+
+/**
+ * Human-readable keep-out zone for the prompt (inches from the bed origin)
+ */
+function describeObstacle(obstacle: BedObstacle): string {
+  const label = obstacle.label || obstacle.id || "obstacle";
+  if (obstacle.kind === "circle") {
+    return `${label}: circle centered (${obstacle.x}, ${obstacle.y}) radius ${obstacle.radius}"`;
+  }
+  if (obstacle.kind === "rect") {
+    return `${label}: rectangle from (${obstacle.x}, ${obstacle.y}) size ${obstacle.width}×${obstacle.height}"`;
+  }
+  const points = (obstacle.vertices || [])
+    .map((v) => `(${v.x}, ${v.y})`)
+    .join(" ");
+  return `${label}: polygon ${points}`;
+}
+
 export function buildGardenPrompt({
   beds,
   seeds,
@@ -98,11 +192,18 @@ export function buildGardenPrompt({
     "Respect companion relationships (likes) and separate antagonists (dislikes)",
     "Fill every available space with appropriate plant varieties",
   ],
+  fixedPlacements = [],
+  mode = "full",
+  rotationHistory = [],
+  sun = {},
 }: GardenPromptOptions): GardenPromptResult {
   const varieties = (seeds || []).flatMap(normalizeVariety);
   const guild: GuildEntry[] = Object.entries(VEGGIE_METADATA).map(
     ([type, meta]) => ({
       type: type as VeggieType,
+      ...(meta.family ? { family: meta.family } : {}),
+      height: meta.height,
+      ...(meta.sunHours ? { sunHours: meta.sunHours } : {}),
       likes: meta.companions,
       dislikes: meta.antagonists,
     }),
@@ -110,19 +211,43 @@ export function buildGardenPrompt({
 
   const system = DEFAULT_SYSTEM;
 
-  // Calculate priority-based variety distribution with target counts per bed
-  const totalPriority = varieties.reduce((sum, v) => sum + v.priority, 0);
+  // Succession phases group crops by planting day; without them there is one implicit phase
+  const phases = hasSuccession(seeds)
+    ? planSuccession(seeds, VEGGIE_METADATA)
+    : [];
+  const phaseIdOf = (type: VeggieType) =>
+    phases.find((group) => group.seeds.some((seed) => seed.type === type))
+      ?.phase.id;
+
+  // Calculate priority-based variety distribution with target counts per bed;
+  // each phase gets the whole bed, so ratios are taken within a phase, and
+  // families grown in the bed recently weigh less (crop rotation)
+  const bedPriority = (bedId: string, v: NormalizedVariety) =>
+    v.priority *
+    getRotationWeight(v.veggieType, bedId, rotationHistory, VEGGIE_METADATA);
+  const phasePriority = (bedId: string, phaseId?: string) =>
+    varieties
+      .filter((v) => phaseIdOf(v.veggieType) === phaseId)
+      .reduce((sum, v) => sum + bedPriority(bedId, v), 0);
 
   // Build per-bed density targets and variety recipes
   const bedRecipes: BedRecipe[] = beds.map((bed) => {
-    const sqft = (bed.width * bed.height) / 144; // Convert sq inches to sq feet
+    const locked = fixedPlacements.filter((p) => p.bedId === bed.id);
+    const lockedArea = locked.reduce(
+      (sum, p) => sum + Math.PI * (p.size / 2) ** 2,
+      0,
+    );
+    // Convert sq inches to sq feet, leaving out space already taken by locked plants
+    const sqft = Math.max(0, getPlantableArea(bed) - lockedArea) / 144;
     // Target: 2.5-3 plants per square foot for intensive gardening
     const targetMin = Math.ceil(sqft * 2.5);
     const targetMax = Math.ceil(sqft * 3.5);
 
     // Distribute plants across varieties by priority
     const varietyRecipe = varieties.map((v) => {
-      const priorityRatio = v.priority / totalPriority;
+      const phaseId = phaseIdOf(v.veggieType);
+      const priorityRatio =
+        bedPriority(bed.id, v) / phasePriority(bed.id, phaseId);
       const minCount = Math.max(1, Math.floor(targetMin * priorityRatio));
       const maxCount = Math.ceil(targetMax * priorityRatio);
 
@@ -133,28 +258,81 @@ export function buildGardenPrompt({
         minCount,
         maxCount,
         priority: v.priority,
+        ...(phaseId ? { phaseId } : {}),
+        ...(v.window || {}),
       };
     });
 
+    const recentFamilies = Array.from(
+      getRecentFamilies(rotationHistory, bed.id),
+      ([family, seasonsAgo]) => ({ family, seasonsAgo }),
+    );
+
     return {
       bedId: bed.id,
       bedName: bed.name,
       dimensions: `${bed.width}×${bed.height}"`,
+      ...(bed.shape && bed.shape !== "rectangle" ? { shape: bed.shape } : {}),
+      ...(hasPolygonOutline(bed)
+        ? {
+            outline: bed.vertices!.map(
+              (v) => [v.x, v.y] as [number, number],
+            ),
+          }
+        : {}),
+      ...(bed.obstacles?.length
+        ? { keepOut: bed.obstacles.map(describeObstacle) }
+        : {}),
+      ...(recentFamilies.length ? { rotateOut: recentFamilies } : {}),
+      ...(locked.length
+        ? {
+            lockedPlants: locked.map((p) => ({
+              id: p.id,
+              veggieType: p.veggieType,
+              x: p.x,
+              y: p.y,
+              size: p.size,
+            })),
+          }
+        : {}),
       sqft: sqft.toFixed(1),
       targetPlants: `${targetMin}-${targetMax}`,
       recipe: varietyRecipe,
     };
   });
 
-  // Calculate shade management direction
-  const tallPlantEdge =
-    sunOrientation === "North"
-      ? "South"
-      : sunOrientation === "South"
-        ? "North"
-        : sunOrientation === "East"
-          ? "West"
-          : "East";
+  // Conditional requirements, numbered after the fixed list below
+  const extraRequirements: string[] = [];
+  if (beds.some((bed) => bed.shape && bed.shape !== "rectangle")) {
+    extraRequirements.push(
+      "BED SHAPES: 'dimensions' is the bounding box. Circle and pill beds have rounded ends; polygon beds list their 'outline' as [x, y] vertices in inches. Every plant circle must lie fully inside the outline, not just the bounding box.",
+    );
+  }
+  if (mode === "fill") {
+    extraRequirements.push(
+      "FILL MODE: Beds are already planted - their current plants are listed as 'lockedPlants'. Only add new plants into the free gaps between them and the bed edges. Counts are upper bounds; stop when no gap is large enough.",
+    );
+  }
+  if (fixedPlacements.length > 0) {
+    extraRequirements.push(
+      "LOCKED PLANTS: Each bed's 'lockedPlants' are already in the ground and will be kept exactly where they are. Do NOT include them in your output and do NOT reuse their ids; place new plants around them with normal spacing. Recipe counts are for new plants only.",
+    );
+  }
+  if (phases.length > 0) {
+    extraRequirements.push(
+      "SUCCESSION: Crops go into the beds in phases (see SUCCESSION PHASES); days count from the start of the season. Copy each recipe entry's phaseId, sowDay, transplantDay (null when direct sown) and harvestDay onto its placements. Two plants may share space only if one is harvested (harvestDay) on or before the other goes into the bed (transplantDay, or sowDay when direct sown) - reuse the space freed by early crops for later phases. Recipe counts apply within each phase.",
+    );
+  }
+  if (bedRecipes.some((recipe) => recipe.rotateOut)) {
+    extraRequirements.push(
+      "CROP ROTATION: Each bed's 'rotateOut' lists plant families grown there in recent seasons (seasonsAgo 1 = last season). Do not put plants of those families (see 'family' in GUILD RULES) back in that bed - place them in another bed instead. If no other bed can take them, use the fewest possible and never for a family grown there last season. Recipe counts already account for this.",
+    );
+  }
+  if (beds.some((bed) => (bed.obstacles?.length ?? 0) > 0)) {
+    extraRequirements.push(
+      "KEEP-OUT ZONES: Each bed's 'keepOut' list marks paths, stepping stones, irrigation risers and existing perennials. No part of a plant circle (center ± size/2) may overlap a keep-out zone. 'sqft' already excludes them.",
+    );
+  }
 
   const payload: GardenPromptResult = {
     system,
@@ -164,20 +342,30 @@ export function buildGardenPrompt({
       "PLANTING RECIPES (MANDATORY COUNTS PER BED):",
       JSON.stringify(bedRecipes, null, 2),
       "",
-      "GUILD RULES (Companions & Antagonists):",
+      "GUILD RULES (Companions & Antagonists, heights in inches):",
       JSON.stringify(guild),
       "",
+      ...(phases.length > 0
+        ? [
+            "SUCCESSION PHASES:",
+            JSON.stringify(phases.map(({ phase }) => phase)),
+            "",
+          ]
+        : []),
       "CRITICAL REQUIREMENTS:",
       "1. PLANT COUNTS: You MUST place the number of plants specified in each bed's recipe (minCount to maxCount per variety).",
       '2. INTERCROPPING: Use under-planting - place small plants (Thyme 8", Oregano 12", Basil 10") beneath or between larger plants.',
-      `3. SHADE MANAGEMENT: Place tall plants (Tomato, Pepper) on the ${tallPlantEdge} edge to avoid shading others.`,
+      `3. ${describeShade(sun, sunOrientation)}`,
       "4. COORDINATES: (x, y) are inches from top-left corner of the bed. Center of plant must be at least size/2 inches from all edges.",
       "5. SPACING: Use the 'spacing' value as the plant's 'size' (canopy diameter). Plants can overlap slightly if root depths differ (shallow/medium/deep).",
       "6. COMPANIONS: Cluster 'likes' together (Basil+Tomato, Marigold+Tomato), separate 'dislikes' when provided.",
       "7. DENSITY: Fill the entire bed area - use staggered rows, triangular spacing, and multi-layer planting.",
+      ...extraRequirements.map((text, i) => `${i + 8}. ${text}`),
       "",
       "OUTPUT FORMAT:",
-      "Return JSON array: [{bedId, placements: [{id, veggieType, varietyName, x, y, size, placementReasoning, spacingAnalysis, companionInsights}]}]",
+      phases.length > 0
+        ? "Return JSON array: [{bedId, placements: [{id, veggieType, varietyName, x, y, size, placementReasoning, spacingAnalysis, companionInsights, phaseId, sowDay, transplantDay, harvestDay}]}]"
+        : "Return JSON array: [{bedId, placements: [{id, veggieType, varietyName, x, y, size, placementReasoning, spacingAnalysis, companionInsights}]}]",
       "",
       'EXAMPLE for a 48×48" bed with Tomato(24"), Basil(10"), Thyme(8"):',
       "- 2 Tomatoes at edges for height",
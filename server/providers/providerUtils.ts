@@ -62,6 +62,17 @@
  */
 
 import Ajv, { type Options as AjvOptions, type ValidateFunction } from "ajv";
+import { checkPlacementBounds } from "../../shared/layoutScore";
+import type {
+  CorrectionSettings,
+  GardenBed,
+  ProviderAttempt,
+} from "../../shared/types";
+import {
+  recordingKey,
+  saveRecording,
+  type RecordingSource,
+} from "./recordings";
 
 /**
  * OpenAI models that support Structured Outputs (strict schema mode).
@@ -270,17 +281,32 @@ export type SchemaInserterFn = (
 export type RefusalDetectorFn = (response: any) => void;
 export type InvokeFn<TClient = any> = (
   client: TClient,
-  opts: Record<string, any>
+  opts: Record<string, any>,
+  signal?: AbortSignal
+) => Promise<any>;
+export type StreamInvokeFn<TClient = any> = (
+  client: TClient,
+  opts: Record<string, any>,
+  onText: (text: string) => void,
+  signal?: AbortSignal
 ) => Promise<any>;
 export type CreateClientFn<TAuth = any, TClient = any> = (
   auth: TAuth
 ) => TClient | Promise<TClient>;
+export type CorrectionInserterFn = (
+  opts: Record<string, any>,
+  rawText: string,
+  feedback: string
+) => Record<string, any>;
 
 export interface RunProviderRequestOptions<TAuth = any, TClient = any> {
   createClient?: CreateClientFn<TAuth, TClient>;
   auth?: TAuth;
   buildBaseOptions: () => Record<string, any>;
   invoke: InvokeFn<TClient>;
+  invokeStream?: StreamInvokeFn<TClient>;
+  onText?: (text: string) => void;
+  signal?: AbortSignal;
   extractResponseText?: ResponseExtractorFn;
   schema?: Record<string, any> | null;
   schemaInserter?: SchemaInserterFn;
@@ -289,6 +315,11 @@ export interface RunProviderRequestOptions<TAuth = any, TClient = any> {
   detectRefusalOrIncomplete?: RefusalDetectorFn | null;
   normalizeResponse?: boolean;
   clientInstance?: TClient;
+  record?: RecordingSource;
+  maxRetries?: number;
+  checkLayouts?: (layouts: any) => string[];
+  correctionInserter?: CorrectionInserterFn;
+  onAttempt?: (attempt: ProviderAttempt) => void;
 }
 
 /**
@@ -297,23 +328,40 @@ export interface RunProviderRequestOptions<TAuth = any, TClient = any> {
  * - `createClient(auth)` : factory returning a client instance (or provider can pass a client directly)
  * - `auth` : auth object passed to createClient
  * - `buildBaseOptions()` : function building the SDK call options (system/prompt/messages etc.)
- * - `invoke(client, opts)` : function to invoke the SDK call, returns the SDK response
+ * - `invoke(client, opts, signal)` : function to invoke the SDK call, returns the SDK response
+ * - `invokeStream(client, opts, onText, signal)` : optional streaming variant of `invoke`; it calls
+ *   `onText` with each text delta and resolves to a response `extractResponseText` understands
+ * - `onText(text)` : listener for streamed text; `invokeStream` is only used when this is set
+ * - `signal` : AbortSignal handed to the SDK call; an aborted request is not retried
  * - `extractResponseText(response)` : function to extract raw text out of the SDK response
  * - `schema` : canonical JSON Schema (optional) used for local validation via AJV
  * - `schemaInserter(baseOpts, schema)` : function that takes baseOpts and returns a schema-hinted opts object
  * - `useSchema` : whether to attempt schema-hinting (default true)
  * - `detectRefusalOrIncomplete` : optional function to detect provider-specific refusal/incomplete responses
  * - `normalizeResponse` : whether to normalize object-root responses to arrays (default true)
+ * - `record` : provider id and prompt of this call; with PROVIDER_RECORD_DIR set the raw
+ *   request and response text are saved there for the replay provider (see recordings.ts)
+ * - `maxRetries` : how many times unparseable, invalid or out-of-bounds output is sent back
+ *   to the model with the errors for another answer (default 0)
+ * - `checkLayouts(layouts)` : optional check of the normalized layouts, returning problems
+ *   worth a retry (see `describeBoundsViolations`)
+ * - `correctionInserter(opts, rawText, feedback)` : adds the answer and the feedback to the
+ *   conversation in the SDK options (default `defaultCorrectionInserter`)
+ * - `onAttempt(attempt)` : listener told how each answer fared
  *
  * Returns parsed JSON (the provider's canonical object, normalized to array of bed layouts).
+ * Layouts still failing `checkLayouts` after the last retry are returned as they are.
  *
- * Throws on parse errors or schema validation failures.
+ * Throws on parse errors or schema validation failures once no retries are left.
  */
 export async function runProviderRequest<TAuth = any, TClient = any>({
   createClient,
   auth,
   buildBaseOptions,
   invoke,
+  invokeStream,
+  onText,
+  signal,
   extractResponseText = defaultResponseExtractor,
   schema = null,
   schemaInserter = defaultSchemaInserter,
@@ -322,6 +370,11 @@ export async function runProviderRequest<TAuth = any, TClient = any>({
   detectRefusalOrIncomplete = null,
   normalizeResponse = true,
   clientInstance = undefined,
+  record = undefined,
+  maxRetries = 0,
+  checkLayouts = undefined,
+  correctionInserter = defaultCorrectionInserter,
+  onAttempt = undefined,
 }: RunProviderRequestOptions<TAuth, TClient>): Promise<any> {
   if (!createClient && !clientInstance) {
     throw new Error(
@@ -341,6 +394,18 @@ export async function runProviderRequest<TAuth = any, TClient = any>({
 
   const baseOpts = buildBaseOptions();
 
+  // Options of the call that produced the response, for recording
+  let sentOpts: Record<string, any> = baseOpts;
+
+  // Stream text deltas to the listener when the provider supports it
+  const call = (c: TClient, opts: Record<string, any>) => {
+    signal?.throwIfAborted();
+    sentOpts = opts;
+    return onText && invokeStream
+      ? invokeStream(c, opts, onText, signal)
+      : invoke(c, opts, signal);
+  };
+
   // Prepare AJV validator if schema provided
   let validate: ValidateFunction | null = null;
   let ajv: Ajv | null = null;
@@ -349,60 +414,141 @@ export async function runProviderRequest<TAuth = any, TClient = any>({
     validate = ajv.compile(schema);
   }
 
+  // Schema hinting is dropped for good once the provider rejects it
+  let hintSchema = Boolean(useSchema && schema);
+
   // Try to request schema-aware output if requested; fallback to json_object.
-  let response: any = null;
-  if (useSchema && schema) {
-    try {
-      const optsWithSchema = schemaInserter(baseOpts, schema);
-      response = await invoke(client, optsWithSchema);
-    } catch (err) {
-      // If provider/SDK rejected schema attempt, retry without schema hint.
-      // This is a best-effort schema hint; local validation still applies below.
+  const send = async (conversation: Record<string, any>) => {
+    if (hintSchema) {
       try {
-        const fallbackOpts = schemaInserter(baseOpts, null);
-        response = await invoke(client, fallbackOpts);
-      } catch (err2) {
-        // Re-throw the secondary error to preserve the most relevant failure.
-        throw err2;
+        return await call(client, schemaInserter(conversation, schema));
+      } catch (err) {
+        // A cancelled request stays cancelled
+        if (signal?.aborted) throw err;
+        // If provider/SDK rejected schema attempt, retry without schema hint.
+        // This is a best-effort schema hint; local validation still applies below.
+        hintSchema = false;
       }
     }
-  } else {
-    // Schema not requested or not provided: request generic json object if possible.
-    const fallbackOpts = schemaInserter(baseOpts, null);
-    response = await invoke(client, fallbackOpts);
-  }
+    // Schema not requested or rejected: request generic json object if possible.
+    return call(client, schemaInserter(conversation, null));
+  };
 
-  // Check for refusal or incomplete responses if detector provided
-  if (typeof detectRefusalOrIncomplete === "function") {
-    detectRefusalOrIncomplete(response);
+  let conversation = baseOpts;
+  for (let attempt = 1; ; attempt++) {
+    const response = await send(conversation);
+
+    // Check for refusal or incomplete responses if detector provided
+    if (typeof detectRefusalOrIncomplete === "function") {
+      detectRefusalOrIncomplete(response);
+    }
+
+    // Extract raw text and parse JSON (tolerant extraction)
+    const rawText = String(extractResponseText(response) ?? "");
+
+    // Keep the raw exchange, before parsing, so bad output can be replayed too.
+    // Only the first answer is the model's reply to the prompt itself.
+    const recordDir = process.env.PROVIDER_RECORD_DIR;
+    if (record && recordDir && attempt === 1) {
+      try {
+        await saveRecording(recordDir, {
+          key: recordingKey({
+            system: record.system,
+            prompt: record.prompt,
+            model: sentOpts.model ?? null,
+            schema,
+          }),
+          provider: record.provider,
+          model: sentOpts.model ?? null,
+          system: record.system,
+          prompt: record.prompt,
+          schema,
+          request: sentOpts,
+          rawText,
+          recordedAt: new Date().toISOString(),
+        });
+      } catch (err: any) {
+        console.warn(
+          `Failed to record provider response: ${err?.message || err}`
+        );
+      }
+    }
+
+    const { parsed, failure } = checkResponse(rawText, validate, {
+      normalizeResponse,
+      checkLayouts,
+    });
+    onAttempt?.({
+      attempt,
+      outcome: failure?.outcome ?? "ok",
+      errors: failure?.errors ?? [],
+    });
+    if (!failure) return parsed;
+
+    if (attempt > maxRetries) {
+      // Layouts with stray plants are still layouts; repair can fix them
+      if (failure.outcome === "bounds") return parsed;
+      const tries = attempt > 1 ? ` (after ${attempt} attempts)` : "";
+      throw new Error(`${failure.message}${tries}`);
+    }
+
+    conversation = correctionInserter(
+      conversation,
+      rawText,
+      correctionFeedback(failure, rawText)
+    );
   }
+}
+
+type AttemptFailure = {
+  outcome: Exclude<ProviderAttempt["outcome"], "ok">;
+  errors: string[];
+  message: string; // thrown when no retries are left
+};
 
-  // Extract raw text and parse JSON (tolerant extraction)
-  const rawText = extractResponseText(response) ?? "";
+/**
+ * Parse, validate and normalize one raw answer, then run the layout check
+ */
+function checkResponse(
+  rawText: string,
+  validate: ValidateFunction | null,
+  {
+    normalizeResponse,
+    checkLayouts,
+  }: Pick<RunProviderRequestOptions, "normalizeResponse" | "checkLayouts">
+): { parsed: any; failure: AttemptFailure | null } {
   let parsed: any;
   try {
     parsed = JSON.parse(extractJson(rawText));
   } catch (err: any) {
-    const safeSnippet = String(rawText).slice(0, 1024);
-    throw new Error(
-      `Provider response parse failed: ${err.message} — snippet: ${safeSnippet}`
-    );
+    const safeSnippet = rawText.slice(0, 1024);
+    return {
+      parsed: null,
+      failure: {
+        outcome: "parse",
+        errors: [err.message],
+        message: `Provider response parse failed: ${err.message} — snippet: ${safeSnippet}`,
+      },
+    };
   }
 
   // Validate locally if schema present
-  if (validate) {
-    const valid = validate(parsed);
-    if (!valid) {
-      const errors = validate.errors || [];
-      const msg =
-        errors.length > 0
-          ? errors
-              .slice(0, 5)
-              .map((e) => `${e.instancePath || "/"} ${e.message}`)
-              .join("; ")
-          : "unknown schema validation error";
-      throw new Error(`Provider response schema validation failed: ${msg}`);
-    }
+  if (validate && !validate(parsed)) {
+    const errors = (validate.errors || []).map(
+      (e) => `${e.instancePath || "/"} ${e.message}`
+    );
+    const msg =
+      errors.length > 0
+        ? errors.slice(0, 5).join("; ")
+        : "unknown schema validation error";
+    return {
+      parsed,
+      failure: {
+        outcome: "schema",
+        errors,
+        message: `Provider response schema validation failed: ${msg}`,
+      },
+    };
   }
 
   // Normalize response format if requested (object root → array)
@@ -410,18 +556,171 @@ export async function runProviderRequest<TAuth = any, TClient = any>({
     parsed = normalizeProviderResponse(parsed);
   }
 
-  return parsed;
+  const problems = checkLayouts?.(parsed) ?? [];
+  if (problems.length > 0) {
+    return {
+      parsed,
+      failure: {
+        outcome: "bounds",
+        errors: problems,
+        message: `Provider layouts out of bounds: ${problems.join("; ")}`,
+      },
+    };
+  }
+  return { parsed, failure: null };
+}
+
+// Longest stretch of a bad answer quoted back to the model
+const MAX_FEEDBACK_JSON = 8000;
+
+/**
+ * The follow-up message asking the model to fix its previous answer
+ */
+function correctionFeedback(failure: AttemptFailure, rawText: string): string {
+  const intro = {
+    parse: "Your previous response was not valid JSON:",
+    schema: "Your previous response does not match the required JSON schema:",
+    bounds:
+      "Your previous response places plants outside their bed or on an obstacle:",
+  }[failure.outcome];
+  const quoted =
+    rawText.length > MAX_FEEDBACK_JSON
+      ? `${rawText.slice(0, MAX_FEEDBACK_JSON)}\n[truncated]`
+      : rawText;
+  return [
+    intro,
+    ...failure.errors.slice(0, 20).map((error) => `- ${error}`),
+    "",
+    "The JSON you returned:",
+    quoted,
+    "",
+    failure.outcome === "bounds"
+      ? "Move those plants fully inside their beds and clear of obstacles, keeping the rest of the layout. Reply with the complete corrected JSON only."
+      : "Reply with the complete corrected JSON only, matching the schema exactly.",
+  ].join("\n");
+}
+
+/**
+ * Default correction inserter: continues the conversation in the base
+ * options with the model's answer and the feedback
+ *
+ * Handles `messages` arrays (OpenAI, Anthropic) and Gemini `contents`, given
+ * as a string or a list of turns.
+ */
+export function defaultCorrectionInserter(
+  opts: Record<string, any>,
+  rawText: string,
+  feedback: string
+): Record<string, any> {
+  if (Array.isArray(opts.messages)) {
+    return {
+      ...opts,
+      messages: [
+        ...opts.messages,
+        { role: "assistant", content: rawText },
+        { role: "user", content: feedback },
+      ],
+    };
+  }
+  if (opts.contents !== undefined) {
+    const turns =
+      typeof opts.contents === "string"
+        ? [{ role: "user", parts: [{ text: opts.contents }] }]
+        : opts.contents;
+    return {
+      ...opts,
+      contents: [
+        ...turns,
+        { role: "model", parts: [{ text: rawText }] },
+        { role: "user", parts: [{ text: feedback }] },
+      ],
+    };
+  }
+  throw new Error(
+    "Cannot send correction feedback: request options have no messages or contents"
+  );
+}
+
+/**
+ * Bounds problems in provider layouts, one line per plant, for correction
+ * feedback. Layouts for beds not in `beds` are left alone.
+ */
+export function describeBoundsViolations(
+  beds: GardenBed[],
+  layouts: any
+): string[] {
+  if (!Array.isArray(layouts)) return [];
+  const problems: string[] = [];
+  for (const layout of layouts) {
+    const bed = beds.find((b) => b.id === layout?.bedId);
+    if (!bed || !Array.isArray(layout.placements)) continue;
+    for (const plant of layout.placements) {
+      const issue = checkPlacementBounds(bed, {
+        x: Number(plant?.x),
+        y: Number(plant?.y),
+        size: Number(plant?.size),
+      });
+      if (!issue) continue;
+      const where =
+        issue.reason === "obstacle"
+          ? `overlaps obstacle "${issue.obstacle}"`
+          : `extends outside the ${bed.width}x${bed.height}" bed`;
+      problems.push(
+        `bed ${bed.id}, plant ${plant.id} (${plant.veggieType} at x=${plant.x}, y=${plant.y}, size ${plant.size}) ${where}`
+      );
+    }
+  }
+  return problems;
+}
+
+/**
+ * Retries allowed when a request doesn't say, from PROVIDER_CORRECTION_RETRIES.
+ * Off by default: every retry is another paid model call.
+ */
+export function defaultCorrectionRetries(): number {
+  const configured = Number.parseInt(
+    process.env.PROVIDER_CORRECTION_RETRIES ?? "",
+    10
+  );
+  return Number.isInteger(configured) && configured >= 0 ? configured : 0;
+}
+
+/**
+ * runProviderRequest options for a layout request's self-correction settings
+ */
+export function selfCorrectionOptions({
+  correction,
+  beds,
+  onAttempt,
+}: {
+  correction?: CorrectionSettings;
+  beds?: GardenBed[];
+  onAttempt?: (attempt: ProviderAttempt) => void;
+}): Pick<
+  RunProviderRequestOptions,
+  "maxRetries" | "checkLayouts" | "onAttempt"
+> {
+  const checkBounds = correction?.bounds !== false && beds?.length;
+  return {
+    maxRetries: correction?.maxRetries ?? defaultCorrectionRetries(),
+    checkLayouts: checkBounds
+      ? (layouts) => describeBoundsViolations(beds, layouts)
+      : undefined,
+    onAttempt,
+  };
 }
 
 export interface ProviderAdapterOptions<TAuth = any, TClient = any> {
   createClient?: CreateClientFn<TAuth, TClient>;
   invoke: InvokeFn<TClient>;
+  invokeStream?: StreamInvokeFn<TClient>;
   extractResponseText?: ResponseExtractorFn;
   schemaInserter?: SchemaInserterFn;
   schemaBuilder?: (() => Record<string, any>) | null;
   useSchema?: boolean;
   detectRefusalOrIncomplete?: RefusalDetectorFn | null;
   normalizeResponse?: boolean;
+  correctionInserter?: CorrectionInserterFn;
 }
 
 export interface ProviderAdapterCallOptions<TAuth = any, TClient = any> {
@@ -429,6 +728,13 @@ export interface ProviderAdapterCallOptions<TAuth = any, TClient = any> {
   buildBaseOptions: () => Record<string, any>;
   modelOverride?: string;
   clientInstance?: TClient;
+  record?: RecordingSource;
+  onText?: (text: string) => void;
+  signal?: AbortSignal;
+  schema?: Record<string, any> | null; // this call's schema, in place of schemaBuilder's
+  maxRetries?: number;
+  checkLayouts?: (layouts: any) => string[];
+  onAttempt?: (attempt: ProviderAttempt) => void;
 }
 
 /**
@@ -449,16 +755,23 @@ export interface ProviderAdapterCallOptions<TAuth = any, TClient = any> {
  *
  * Then provider.generateLayout can simply:
  * return adapter({ auth, buildBaseOptions: () => ({ model, messages: [...] }) });
+ *
+ * Pass `invokeStream` here and `onText` per call to stream, and `signal` per
+ * call to make the request cancellable, as with runProviderRequest. A call's
+ * `schema` replaces the schemaBuilder's, e.g. for a custom prompt, and its
+ * `maxRetries`, `checkLayouts` and `onAttempt` turn on self-correction.
  */
 export function createProviderAdapter<TAuth = any, TClient = any>({
   createClient,
   invoke,
+  invokeStream,
   extractResponseText = defaultResponseExtractor,
   schemaInserter = defaultSchemaInserter,
   schemaBuilder = null,
   useSchema = true,
   detectRefusalOrIncomplete = null,
   normalizeResponse = true,
+  correctionInserter = defaultCorrectionInserter,
 }: ProviderAdapterOptions<TAuth, TClient>) {
   if (!invoke) {
     throw new Error(
@@ -470,6 +783,13 @@ export function createProviderAdapter<TAuth = any, TClient = any>({
     buildBaseOptions,
     modelOverride,
     clientInstance,
+    onText,
+    signal,
+    schema: callSchema,
+    record,
+    maxRetries,
+    checkLayouts,
+    onAttempt,
   }: ProviderAdapterCallOptions<TAuth, TClient> = {} as ProviderAdapterCallOptions<TAuth, TClient>): Promise<any> {
     // buildBaseOptions is required here and should produce the SDK-specific base opts.
     if (typeof buildBaseOptions !== "function") {
@@ -477,13 +797,21 @@ export function createProviderAdapter<TAuth = any, TClient = any>({
     }
 
     // If a schemaBuilder is provided, call it to obtain the canonical schema.
-    const schema = typeof schemaBuilder === "function" ? schemaBuilder() : null;
+    const schema =
+      callSchema !== undefined
+        ? callSchema
+        : typeof schemaBuilder === "function"
+          ? schemaBuilder()
+          : null;
 
     return runProviderRequest({
       createClient,
       auth,
       buildBaseOptions,
       invoke,
+      invokeStream,
+      onText,
+      signal,
       extractResponseText,
       schema,
       schemaInserter,
@@ -491,6 +819,11 @@ export function createProviderAdapter<TAuth = any, TClient = any>({
       detectRefusalOrIncomplete,
       normalizeResponse,
       clientInstance,
+      record,
+      maxRetries,
+      checkLayouts,
+      correctionInserter,
+      onAttempt,
     });
   };
 }
@@ -505,4 +838,7 @@ export default {
   normalizeProviderResponse,
   runProviderRequest,
   createProviderAdapter,
+  defaultCorrectionInserter,
+  describeBoundsViolations,
+  selfCorrectionOptions,
 };
@@ -0,0 +1,132 @@
+/**
+ * Recorded provider responses
+ *
+ * With PROVIDER_RECORD_DIR set, runProviderRequest writes every LLM call it
+ * makes to `<dir>/<key>.<provider>.json`: the prompt, the schema, the
+ * request options sent to the SDK and the raw text that came back. The key
+ * hashes the system and user prompt, the model and the response schema, so
+ * each model gets its own recording and a schema change makes old ones
+ * stale. Recording the same call again replaces the file.
+ */
+
+import { createHash } from "node:crypto";
+import { mkdir, readdir, readFile, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+
+export interface ProviderRecording {
+  key: string;
+  provider: string;
+  model: string | null;
+  system: string;
+  prompt: string;
+  schema: Record<string, any> | null;
+  request: Record<string, any>; // options as sent to the SDK
+  rawText: string;
+  recordedAt: string;
+}
+
+// What a provider call is, so its response can be recorded
+export interface RecordingSource {
+  provider: string;
+  system: string;
+  prompt: string;
+}
+
+/**
+ * Recording key for a provider call
+ */
+export function recordingKey({
+  system,
+  prompt,
+  model,
+  schema,
+}: Pick<ProviderRecording, "system" | "prompt" | "model" | "schema">): string {
+  return createHash("sha256")
+    .update(JSON.stringify([system, prompt, model, schema]))
+    .digest("hex")
+    .slice(0, 16);
+}
+
+const fileName = (key: string, provider: string) =>
+  `${key}.${provider.replace(/[^A-Za-z0-9_-]/g, "_")}.json`;
+
+/**
+ * Write a recording into `dir`
+ *
+ * @returns The file written
+ */
+export async function saveRecording(
+  dir: string,
+  recording: ProviderRecording,
+): Promise<string> {
+  await mkdir(dir, { recursive: true });
+  const file = join(dir, fileName(recording.key, recording.provider));
+  await writeFile(file, `${JSON.stringify(recording, null, 2)}\n`);
+  return file;
+}
+
+/**
+ * Parse one recording file; a file that is not a recording is skipped with a
+ * warning so it cannot break every replay
+ */
+async function readRecording(file: string): Promise<ProviderRecording | null> {
+  try {
+    const recording = JSON.parse(await readFile(file, "utf8"));
+    if (
+      typeof recording?.key !== "string" ||
+      typeof recording.recordedAt !== "string"
+    ) {
+      throw new Error("not a provider recording");
+    }
+    return recording;
+  } catch (err: any) {
+    console.warn(`Skipping recording ${file}: ${err?.message || err}`);
+    return null;
+  }
+}
+
+/**
+ * The recording of a request in `dir`, or null when there is none. The key
+ * depends on the model a recording was made with, which the request may not
+ * name, so every recording in `dir` is read and checked.
+ *
+ * @param keyFor - The key a recording must have to answer the request, given
+ * the provider and model it was recorded with
+ * @param select - Provider id or model to pick among recordings of the same
+ * request; without it the newest recording wins
+ */
+export async function findRecording(
+  dir: string,
+  keyFor: (recording: ProviderRecording) => string,
+  select?: string,
+): Promise<ProviderRecording | null> {
+  let files: string[];
+  try {
+    files = (await readdir(dir)).filter((file) => file.endsWith(".json"));
+  } catch (err: any) {
+    if (err?.code === "ENOENT") return null;
+    throw err;
+  }
+
+  const recordings = await Promise.all(
+    files.map((file) => readRecording(join(dir, file))),
+  );
+  return (
+    recordings
+      .filter(
+        (recording): recording is ProviderRecording =>
+          recording !== null &&
+          recording.key === keyFor(recording) &&
+          (!select ||
+            recording.provider === select ||
+            recording.model === select),
+      )
+      .sort((a, b) => b.recordedAt.localeCompare(a.recordedAt))[0] ?? null
+  );
+}
+
+export default {
+  findRecording,
+  recordingKey,
+  saveRecording,
+};
@@ -0,0 +1,98 @@
+import { buildGardenPrompt } from "./prompt";
+import { getSchemaForProvider } from "./bedSchema";
+import { runProviderRequest } from "./providerUtils";
+import {
+  findRecording,
+  recordingKey,
+  type ProviderRecording,
+} from "./recordings";
+import type { GenerateLayoutOptions, Provider } from "./index";
+import { hasSuccession } from "../../shared/succession";
+
+/**
+ * Pseudo-provider answering from recorded responses (see recordings.ts)
+ *
+ * It builds the same prompt and schema the LLM providers would, looks up a
+ * recording of them (made with any model) and runs the recorded raw text
+ * through runProviderRequest's parsing, schema validation and normalization,
+ * so repair and scoring can be regression-tested against real model output
+ * without network access.
+ * The request's `model` picks a provider id or model among recordings of the
+ * same request; without one the newest recording is used.
+ *
+ * @param dir - Directory recordings were written to (PROVIDER_RECORD_DIR)
+ */
+export function createReplayProvider(dir: string): Provider {
+  return {
+    id: "replay",
+    name: "Replay (recorded responses)",
+    supportsOAuth: false,
+    async generateLayout({
+      beds,
+      seeds,
+      sunOrientation,
+      style,
+      optimizationGoals,
+      model,
+      fixedPlacements,
+      mode,
+      rotationHistory,
+      sun,
+      customPrompt,
+      signal,
+    }: GenerateLayoutOptions): Promise<any> {
+      const {
+        system,
+        prompt,
+        schema: customSchema,
+      } = customPrompt ||
+      buildGardenPrompt({
+        beds,
+        seeds,
+        sunOrientation,
+        style,
+        optimizationGoals,
+        fixedPlacements,
+        mode,
+        rotationHistory,
+        sun,
+      });
+
+      // Recordings made with another schema are stale
+      const succession = hasSuccession(seeds);
+      const recording = await findRecording(
+        dir,
+        (recorded) =>
+          recordingKey({
+            system,
+            prompt,
+            model: recorded.model,
+            schema:
+              customSchema ||
+              getSchemaForProvider(recorded.provider, { succession }),
+          }),
+        model,
+      );
+      if (!recording) {
+        throw new Error(
+          `No recorded response for this request${
+            model ? ` from ${model}` : ""
+          } in ${dir}.`,
+        );
+      }
+
+      return runProviderRequest<unknown, ProviderRecording>({
+        clientInstance: recording,
+        buildBaseOptions: () => recording.request,
+        invoke: async (recorded) => recorded.rawText,
+        signal,
+        extractResponseText: (rawText) => rawText,
+        schema: recording.schema,
+        schemaInserter: (opts) => opts,
+        useSchema: false,
+      });
+    },
+  };
+}
+
+export default createReplayProvider;
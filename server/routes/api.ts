@@ -2,22 +2,29 @@ import { Router } from "express";
 import { listProviders } from "../providers/index";
 import { getPlantCatalog } from "../plantCatalogRepo";
 import { createOptimizeHandler } from "./optimize";
-import { validateOptimize } from "../middleware/validation";
-
-interface TokenEntry {
-  accessToken: string;
-  tokenType?: string | null;
-  scopes?: string | null;
-  hasRefreshToken?: boolean;
-  receivedAt?: number;
-  expiresAt?: number | null;
-}
+import { createJobHandlers } from "./jobs";
+import { createProjectHandlers } from "./projects";
+import type { TokenStore } from "../oauth/tokenStore";
+import { MemoryProjectStore, type ProjectStore } from "../projectRepo";
+import { scoreHandler } from "./score";
+import { sunHandler } from "./sun";
+import {
+  validateOptimize,
+  validateProject,
+  validateRevision,
+  validateScore,
+  validateSun,
+} from "../middleware/validation";
 
 interface ApiRoutesOptions {
-  oauthTokenStore: Map<string, TokenEntry>;
+  oauthTokenStore: TokenStore;
+  projectStore?: ProjectStore; // defaults to process memory
 }
 
-export function createApiRoutes({ oauthTokenStore }: ApiRoutesOptions): Router {
+export function createApiRoutes({
+  oauthTokenStore,
+  projectStore = new MemoryProjectStore(),
+}: ApiRoutesOptions): Router {
   const router = Router();
 
   /**
@@ -54,6 +61,130 @@ export function createApiRoutes({ oauthTokenStore }: ApiRoutesOptions): Router {
     createOptimizeHandler(oauthTokenStore),
   );
 
+  const jobs = createJobHandlers(oauthTokenStore);
+
+  /**
+   * POST /api/jobs
+   *
+   * Same body as /api/optimize, run in the background. Responds 202 with the
+   * job ({ id, status: "running" }) to poll.
+   */
+  router.post("/api/jobs", validateOptimize, jobs.createJob);
+
+  /**
+   * GET /api/jobs
+   *
+   * The calling session's jobs (running and finished within the last hour),
+   * newest first.
+   */
+  router.get("/api/jobs", jobs.listJobs);
+
+  /**
+   * GET /api/jobs/:id
+   *
+   * Job status; `result` holds the /api/optimize response once it succeeds.
+   */
+  router.get("/api/jobs/:id", jobs.getJob);
+
+  /**
+   * DELETE /api/jobs/:id
+   *
+   * Cancel a running job: aborts the provider request, or stops the local provider before its next bed.
+   */
+  router.delete("/api/jobs/:id", jobs.cancelJob);
+
+  /**
+   * POST /api/sun
+   *
+   * Simulated hours of direct sun across a bed from plant heights, latitude
+   * and date, plus plants shaded below their sun needs.
+   */
+  router.post("/api/sun", validateSun, sunHandler);
+
+  /**
+   * POST /api/score
+   *
+   * Quality metrics for layouts from any provider: density, overlap, bounds
+   * violations, companion/antagonist neighbours, priority-ratio error and
+   * shade conflicts, per bed and in total.
+   */
+  router.post("/api/score", validateScore, scoreHandler);
+
+  const projects = createProjectHandlers(projectStore);
+
+  /**
+   * GET /api/projects
+   *
+   * The calling session's saved gardens ({ id, name, version, createdAt,
+   * updatedAt }), most recently saved first.
+   */
+  router.get("/api/projects", projects.listProjects);
+
+  /**
+   * POST /api/projects
+   *
+   * Save a new garden (name, beds, seeds, layouts, sunOrientation, sun,
+   * rotationHistory). Responds 201 with the project and its generated id.
+   */
+  router.post("/api/projects", validateProject, projects.createProject);
+
+  /**
+   * GET /api/projects/:id
+   *
+   * The whole saved garden.
+   */
+  router.get("/api/projects/:id", projects.getProject);
+
+  /**
+   * PUT /api/projects/:id
+   *
+   * Create or replace a garden. Send the `version` last loaded to get a 409
+   * (with the current project) instead of overwriting someone else's save.
+   */
+  router.put("/api/projects/:id", validateProject, projects.saveProject);
+
+  /**
+   * DELETE /api/projects/:id
+   */
+  router.delete("/api/projects/:id", projects.deleteProject);
+
+  /**
+   * GET /api/projects/:id/revisions
+   *
+   * Saved revisions ({ revision, savedAt, note, version }), newest first.
+   */
+  router.get("/api/projects/:id/revisions", projects.listRevisions);
+
+  /**
+   * POST /api/projects/:id/revisions
+   *
+   * Snapshot the stored project as an immutable revision, with an optional
+   * `note`. Responds 201 with the revision.
+   */
+  router.post(
+    "/api/projects/:id/revisions",
+    validateRevision,
+    projects.createRevision,
+  );
+
+  /**
+   * GET /api/projects/:id/revisions/:revision
+   *
+   * One revision including its `garden`.
+   */
+  router.get("/api/projects/:id/revisions/:revision", projects.getRevision);
+
+  /**
+   * POST /api/projects/:id/revisions/:revision/restore
+   *
+   * Save the revision's garden as the project's next version (recorded as a
+   * new revision) and return the project.
+   */
+  router.post(
+    "/api/projects/:id/revisions/:revision/restore",
+    projects.restoreRevision,
+  );
+
   return router;
 }
 
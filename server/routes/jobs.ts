@@ -0,0 +1,180 @@
+/**
+ * Asynchronous optimization job handlers
+ *
+ * `POST /api/jobs` starts an optimize request in the background and answers
+ * straight away; clients poll `GET /api/jobs/:id` for the result and can
+ * `DELETE` it to abort the provider call or stop the packer. The job id is
+ * also the progress id for `/mcp/sse?jobId=`.
+ *
+ * Jobs belong to the session that started them: ids are per session, other
+ * sessions get a 404 and `GET /api/jobs` lists only the caller's history.
+ * A session runs at most MAX_RUNNING_JOBS_PER_SESSION jobs at once; more get
+ * a 429 until one finishes or is cancelled.
+ */
+
+import { randomUUID } from "node:crypto";
+import type { Request, Response } from "express";
+import { createJobReporter, jobKey } from "../mcp/jobEvents";
+import type { TokenStore } from "../oauth/tokenStore";
+import { runOptimizeRequest } from "./optimize";
+
+export type JobStatus = "running" | "succeeded" | "failed" | "cancelled";
+
+export interface OptimizeJob {
+  id: string;
+  status: JobStatus;
+  createdAt: number;
+  finishedAt: number | null;
+  result: Record<string, any> | null; // the /api/optimize response body
+  error: string | null;
+}
+
+// Finished jobs stay around this long for polling
+export const JOB_TTL_MS = 60 * 60 * 1000;
+
+export const MAX_RUNNING_JOBS_PER_SESSION = 3;
+
+// Keyed by jobKey(session id, job id)
+const jobs = new Map<string, OptimizeJob>();
+const controllers = new Map<string, AbortController>();
+const owners = new Map<string, string | undefined>(); // job key -> session id
+
+function pruneJobs(now = Date.now()) {
+  for (const [key, job] of jobs) {
+    if (job.finishedAt !== null && now - job.finishedAt > JOB_TTL_MS) {
+      jobs.delete(key);
+      owners.delete(key);
+    }
+  }
+}
+
+function runningJobs(sessionId?: string): number {
+  let running = 0;
+  for (const [key, job] of jobs) {
+    if (job.status === "running" && owners.get(key) === sessionId) running++;
+  }
+  return running;
+}
+
+function finishJob(
+  key: string,
+  job: OptimizeJob,
+  update: Partial<OptimizeJob>,
+) {
+  // A cancelled job keeps its status even if the provider still answers
+  if (job.status !== "running") return;
+  Object.assign(job, update, { finishedAt: Date.now() });
+  controllers.delete(key);
+}
+
+/**
+ * A session's job, or undefined when that session has no job with this id
+ */
+export function getJob(
+  id: string,
+  sessionId?: string,
+): OptimizeJob | undefined {
+  return jobs.get(jobKey(sessionId, id));
+}
+
+export function createJobHandlers(oauthTokenStore: TokenStore) {
+  /**
+   * Start an optimize run; a body `jobId` becomes the job id so clients can
+   * subscribe to progress before the run starts
+   */
+  const createJob = (req: Request, res: Response) => {
+    pruneJobs();
+    const id = req.body?.jobId || randomUUID();
+    const key = jobKey(req.sessionId, id);
+    if (jobs.has(key)) {
+      return res.status(409).json({ error: `Job ${id} already exists.` });
+    }
+    if (runningJobs(req.sessionId) >= MAX_RUNNING_JOBS_PER_SESSION) {
+      return res.status(429).json({
+        error: `A session can run ${MAX_RUNNING_JOBS_PER_SESSION} jobs at once; wait for one to finish or cancel it.`,
+      });
+    }
+
+    const job: OptimizeJob = {
+      id,
+      status: "running",
+      createdAt: Date.now(),
+      finishedAt: null,
+      result: null,
+      error: null,
+    };
+    const controller = new AbortController();
+    jobs.set(key, job);
+    controllers.set(key, controller);
+    owners.set(key, req.sessionId);
+
+    runOptimizeRequest(req.body || {}, oauthTokenStore, {
+      onProgress: createJobReporter(req.sessionId, id),
+      signal: controller.signal,
+      sessionId: req.sessionId,
+    })
+      .then(({ status, body }) =>
+        finishJob(
+          key,
+          job,
+          status < 400
+            ? { status: "succeeded", result: body }
+            : { status: "failed", result: body, error: body.error },
+        ),
+      )
+      .catch((err) => {
+        if (job.status === "running") console.error("Job error:", err);
+        finishJob(key, job, {
+          status: "failed",
+          error: err instanceof Error ? err.message : "Optimization failed.",
+        });
+      });
+
+    res.status(202).json(job);
+  };
+
+  /**
+   * The caller's jobs, newest first
+   */
+  const listJobs = (req: Request, res: Response) => {
+    pruneJobs();
+    const history = [...jobs]
+      .filter(([key]) => owners.get(key) === req.sessionId)
+      .map(([, job]) => job)
+      .sort((a, b) => b.createdAt - a.createdAt);
+    res.json({ jobs: history });
+  };
+
+  /**
+   * Current status, plus the result once the job has finished
+   */
+  const getJobHandler = (req: Request, res: Response) => {
+    const job = getJob(String(req.params.id), req.sessionId);
+    if (!job) return res.status(404).json({ error: "Job not found." });
+    res.json(job);
+  };
+
+  /**
+   * Abort a running job
+   */
+  const cancelJob = (req: Request, res: Response) => {
+    const key = jobKey(req.sessionId, String(req.params.id));
+    const job = jobs.get(key);
+    if (!job) return res.status(404).json({ error: "Job not found." });
+    if (job.status !== "running") {
+      return res.status(409).json({ error: `Job already ${job.status}.`, job });
+    }
+
+    const controller = controllers.get(key);
+    finishJob(key, job, { status: "cancelled", error: "Cancelled by client." });
+    controller?.abort();
+    res.json(job);
+  };
+
+  return { createJob, listJobs, getJob: getJobHandler, cancelJob };
+}
+
+export default {
+  createJobHandlers,
+  getJob,
+};
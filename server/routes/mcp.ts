@@ -1,5 +1,7 @@
 import { Router } from "express";
 import { createMcpSseRouter } from "../mcp/sseRouter";
+import { createMcpServer } from "../mcp/toolServer";
+import type { TokenStore } from "../oauth/tokenStore";
 
 const WELL_KNOWN_PATHS = [
   "/.well-known/openid-configuration",
@@ -15,6 +17,7 @@ interface McpRoutesOptions {
   fallbackBaseUrl: string;
   enableSse: boolean;
   allowDevPush: boolean;
+  oauthTokenStore?: TokenStore;
 }
 
 function buildDiscovery(req: any, baseUrl?: string) {
@@ -30,6 +33,7 @@ function buildDiscovery(req: any, baseUrl?: string) {
     revocation_endpoint: `${hostBase}/oauth/{provider}/disconnect`,
     device_poll_endpoint: `${hostBase}/oauth/{provider}/device/poll`,
     sse: { url: `${hostBase}/mcp/sse` },
+    messages: { url: `${hostBase}/mcp/messages` },
   };
 }
 
@@ -38,6 +42,7 @@ export function createMcpRoutes({
   fallbackBaseUrl,
   enableSse,
   allowDevPush,
+  oauthTokenStore,
 }: McpRoutesOptions): Router {
   const router = Router();
 
@@ -89,10 +94,14 @@ export function createMcpRoutes({
   });
 
   /**
-   * MCP SSE (Server-Sent Events) router
+   * MCP SSE (Server-Sent Events) router, also the JSON-RPC transport for
+   * the garden planning tools
    */
   if (enableSse) {
-    const sseRouter = createMcpSseRouter({ allowDevPush });
+    const sseRouter = createMcpSseRouter({
+      allowDevPush,
+      mcpServer: createMcpServer({ tokenStore: oauthTokenStore }),
+    });
     router.use(sseRouter);
   }
 
@@ -1,21 +1,23 @@
 import { Router } from "express";
-import { createOAuthRouter } from "../oauth/index";
+import {
+  createOAuthRouter,
+  createRefreshingTokenStore,
+  tokenEntryFromResponse,
+  type RefreshingTokenStore,
+} from "../oauth/index";
 import { loadOAuthProviders } from "../oauth/providers";
-
-interface TokenEntry {
-  accessToken: string;
-  tokenType?: string | null;
-  scopes?: string | null;
-  hasRefreshToken?: boolean;
-  receivedAt?: number;
-  expiresAt?: number | null;
-}
+import {
+  createTokenStore,
+  tokenKey,
+  type TokenStore,
+} from "../oauth/tokenStore";
 
 interface OAuthRoutesOptions {
   env?: NodeJS.ProcessEnv;
   baseUrl: string;
   redirectBaseUrl?: string;
   postAuthRedirect?: string;
+  tokenStore?: TokenStore;
 }
 
 export function createOAuthRoutes({
@@ -23,10 +25,9 @@ export function createOAuthRoutes({
   baseUrl,
   redirectBaseUrl,
   postAuthRedirect,
-}: OAuthRoutesOptions): { router: Router; tokenStore: Map<string, TokenEntry> } {
-  // In-memory token store (single-instance, dev-friendly).
-  const tokenStore = new Map<string, TokenEntry>();
-
+  // Memory, or encrypted on disk when OAUTH_TOKEN_KEY is set
+  tokenStore: baseStore = createTokenStore(env),
+}: OAuthRoutesOptions): { router: Router; tokenStore: RefreshingTokenStore } {
   // Load OAuth provider configurations
   const oauthProviders = loadOAuthProviders(env, {
     baseUrl,
@@ -36,27 +37,28 @@ export function createOAuthRoutes({
   });
 
   /**
-   * OAuth router with success/error hooks.
+   * OAuth router with success/error hooks. Tokens belong to the session that
+   * completed the flow (see middleware/session).
    */
   const oauthRouter = createOAuthRouter({
     providers: oauthProviders,
     onSuccess: async (req: any, { providerId, token }: any) => {
-      const receivedAt = Date.now();
-      const expiresInMs =
-        typeof token?.expires_in === "number" ? token.expires_in * 1000 : null;
-
-      tokenStore.set(String(providerId).toLowerCase(), {
-        accessToken: token?.access_token || null,
-        tokenType: token?.token_type || null,
-        scopes: token?.scope || null,
-        hasRefreshToken: typeof token?.refresh_token === "string",
-        receivedAt,
-        expiresAt: expiresInMs ? receivedAt + expiresInMs : null,
-      });
+      tokenStore.set(
+        tokenKey(providerId, req.sessionId),
+        tokenEntryFromResponse(token),
+      );
     },
     onError: async (req: any, err: any) => {
       console.error("OAuth error during provider flow");
     },
+    tokenStatus: (req, providerId) =>
+      tokenStore.status(tokenKey(providerId, req.sessionId)),
+  });
+
+  // Renews stored tokens against the providers' token endpoints
+  const tokenStore = createRefreshingTokenStore({
+    store: baseStore,
+    providers: oauthRouter.providers,
   });
 
   const router = Router();
@@ -78,20 +80,16 @@ export function createOAuthRoutes({
   /**
    * Check if provider is connected
    */
-  router.get("/oauth/:provider/connected", (req, res) => {
+  router.get("/oauth/:provider/connected", async (req, res) => {
     const providerId = String(req.params.provider || "").toLowerCase();
-    const entry = tokenStore.get(providerId);
-    const now = Date.now();
-    const connected = Boolean(
-      entry && (!entry.expiresAt || entry.expiresAt > now),
-    );
-    if (!connected && entry?.expiresAt && entry.expiresAt <= now) {
-      tokenStore.delete(providerId);
-    }
+    const key = tokenKey(providerId, req.sessionId);
+    // Refreshes a token that is about to expire; undefined once it can't be used
+    const entry = await tokenStore.ensureFresh(key);
     res.json({
       provider: providerId,
-      connected,
+      connected: Boolean(entry),
       expiresAt: entry?.expiresAt || null,
+      status: tokenStore.status(key).status,
     });
   });
 
@@ -100,7 +98,8 @@ export function createOAuthRoutes({
    */
   router.get("/oauth/:provider/token", (req, res) => {
     const providerId = String(req.params.provider || "").toLowerCase();
-    const entry = tokenStore.get(providerId);
+    const key = tokenKey(providerId, req.sessionId);
+    const entry = tokenStore.get(key);
     if (!entry) {
       res.status(404).json({ error: "No token stored." });
       return;
@@ -111,6 +110,8 @@ export function createOAuthRoutes({
       expiresAt: entry.expiresAt || null,
       tokenType: entry.tokenType || null,
       hasRefreshToken: Boolean(entry.hasRefreshToken),
+      refreshedAt: entry.refreshedAt || null,
+      status: tokenStore.status(key).status,
     });
   });
 
@@ -119,8 +120,9 @@ export function createOAuthRoutes({
    */
   router.post("/oauth/:provider/disconnect", (req, res) => {
     const providerId = String(req.params.provider || "").toLowerCase();
-    const existed = tokenStore.has(providerId);
-    tokenStore.delete(providerId);
+    const key = tokenKey(providerId, req.sessionId);
+    const existed = tokenStore.has(key);
+    tokenStore.delete(key);
     res.json({ provider: providerId, disconnected: existed });
   });
 
@@ -4,62 +4,45 @@
 
 import type { Request, Response } from "express";
 import { getProvider } from "../providers/index";
-import { resolveAuth } from "../utils/authResolver";
+import type {
+  GenerateLayoutOptions,
+  Provider,
+  ProviderAuth,
+} from "../providers/index";
+import { runWithAuth } from "../utils/authResolver";
+import type { TokenStore } from "../oauth/tokenStore";
+import { createJobReporter } from "../mcp/jobEvents";
 import { VEGGIE_METADATA } from "../veggieMetadata";
-import type { GardenBed, BedLayout, PlantPlacement } from "../../shared/types";
-
-interface TokenEntry {
-  accessToken: string;
-  tokenType?: string | null;
-  scopes?: string | null;
-  hasRefreshToken?: boolean;
-  receivedAt?: number;
-  expiresAt?: number | null;
-}
+import { ForceDirectedGardenPacker } from "../packer/ForceDirectedGardenPacker";
+import { checkPlacementBounds, scoreLayouts } from "../../shared/layoutScore";
+import { withPhases } from "../../shared/succession";
+import { randomPackerSeed } from "../../shared/packerConfig";
+import { MAX_ENSEMBLE_RUNS } from "../middleware/validation";
+import type {
+  GardenBed,
+  BedLayout,
+  EnsembleRun,
+  FixedPlacement,
+  LayoutRepair,
+  OptimizeProgressEvent,
+  PlantPlacement,
+  ProgressListener,
+  ProviderAttempt,
+} from "../../shared/types";
 
-export function createOptimizeHandler(
-  oauthTokenStore: Map<string, TokenEntry>,
-) {
+export function createOptimizeHandler(oauthTokenStore: TokenStore) {
   return async (req: Request, res: Response) => {
     try {
-      const {
-        provider: providerId = "local",
-        beds,
-        seeds,
-        sunOrientation,
-        style,
-        optimizationGoals,
-        auth,
-        model,
-      } = req.body || {};
-
-      const provider = getProvider(providerId);
-      if (!provider) {
-        return res
-          .status(400)
-          .json({ error: `Unknown provider: ${providerId}` });
-      }
-
-      const resolvedAuth = resolveAuth({
-        providerId,
-        auth,
-        tokenStore: oauthTokenStore,
-      });
-
-      const rawLayouts = await provider.generateLayout({
-        beds,
-        seeds,
-        sunOrientation,
-        style,
-        optimizationGoals,
-        auth: resolvedAuth,
-        model,
-      });
-
-      validateBounds(rawLayouts, beds);
-      const layouts = normalizePlacementData(rawLayouts);
-
-      res.json({ provider: provider.id, layouts });
+      const { status, body } = await runOptimizeRequest(
+        req.body || {},
+        oauthTokenStore,
+        {
+          // Progress for `/mcp/sse?jobId=` subscribers; a no-op without a job id
+          onProgress: createJobReporter(req.sessionId, req.body?.jobId),
+          sessionId: req.sessionId,
+        },
+      );
+      res.status(status).json(body);
     } catch (err) {
       console.error("Optimize error:", err);
       res.status(500).json({
@@ -69,32 +52,503 @@ export function createOptimizeHandler(
   };
 }
 
-function validateBounds(layouts: BedLayout[], beds: GardenBed[]): void {
-  if (!Array.isArray(layouts) || !Array.isArray(beds)) return;
+/**
+ * HTTP status and JSON body for an optimize request
+ */
+export interface OptimizeOutcome {
+  status: number;
+  body: Record<string, any>;
+}
+
+/**
+ * Everything `POST /api/optimize` does for a validated body, shared with the
+ * jobs API. Publishes `done`/`error` to `onProgress`; provider failures and
+ * aborts through `signal` are rethrown.
+ */
+export async function runOptimizeRequest(
+  requestBody: any,
+  tokenStore: TokenStore,
+  {
+    onProgress,
+    signal,
+    sessionId,
+  }: {
+    onProgress?: ProgressListener;
+    signal?: AbortSignal;
+    sessionId?: string; // whose stored OAuth tokens to use
+  } = {},
+): Promise<OptimizeOutcome> {
+  try {
+    const {
+      provider: providerId = "local",
+      auth,
+      model,
+      ensemble,
+      packerConfig,
+      jobId: _jobId,
+      ...request
+    } = requestBody;
+
+    if (Array.isArray(ensemble) && ensemble.length > 0) {
+      const unknown = ensemble.find((entry) => !getProvider(entry.provider));
+      if (unknown) {
+        const error = `Unknown provider: ${unknown.provider}`;
+        onProgress?.({ type: "error", error });
+        return { status: 400, body: { error } };
+      }
+      // The schema bounds each entry; the total needs adding up
+      const runs = ensemble.reduce(
+        (sum: number, entry: EnsembleEntry) => sum + (entry.runs ?? 1),
+        0,
+      );
+      if (runs > MAX_ENSEMBLE_RUNS) {
+        const error = `An ensemble can start at most ${MAX_ENSEMBLE_RUNS} runs in total; this one asks for ${runs}.`;
+        onProgress?.({ type: "error", error });
+        return { status: 400, body: { error } };
+      }
+
+      const ranked = await runEnsemble(
+        ensemble,
+        { ...request, config: packerConfig, signal },
+        tokenStore,
+        sessionId,
+      );
+      signal?.throwIfAborted();
+      const best = ranked.find((run) => !run.error);
+      if (!best) {
+        onProgress?.({ type: "error", error: "Every ensemble run failed." });
+        return {
+          status: 502,
+          body: { error: "Every ensemble run failed.", ensemble: ranked },
+        };
+      }
+      onProgress?.({ type: "done", layouts: best.layouts });
+      return {
+        status: 200,
+        body: {
+          provider: best.provider,
+          layouts: best.layouts,
+          ...(best.repairs ? { repairs: best.repairs } : {}),
+          ...(best.attempts ? { attempts: best.attempts } : {}),
+          ensemble: ranked,
+        },
+      };
+    }
+
+    const provider = getProvider(providerId);
+    if (!provider) {
+      const error = `Unknown provider: ${providerId}`;
+      onProgress?.({ type: "error", error });
+      return { status: 400, body: { error } };
+    }
+
+    // Pick a seeded provider's seed here so the response can echo it
+    const seed = provider.capabilities?.seeded
+      ? (packerConfig?.random_seed ?? randomPackerSeed())
+      : undefined;
+    const { layouts, repairs, attempts } = await runWithAuth(
+      { providerId, auth, tokenStore, sessionId },
+      (resolvedAuth) =>
+        runOptimization(provider, {
+          ...request,
+          model,
+          auth: resolvedAuth,
+          config:
+            seed !== undefined
+              ? { ...packerConfig, random_seed: seed }
+              : packerConfig,
+          onProgress,
+          signal,
+        }),
+    );
+
+    onProgress?.({ type: "done", layouts });
+    return {
+      status: 200,
+      body: {
+        provider: provider.id,
+        layouts,
+        ...(repairs ? { repairs } : {}),
+        ...(attempts ? { attempts } : {}),
+        ...(seed !== undefined ? { seed } : {}),
+      },
+    };
+  } catch (err) {
+    onProgress?.({
+      type: "error",
+      error: err instanceof Error ? err.message : "Optimization failed.",
+    });
+    throw err;
+  }
+}
+
+/**
+ * Optimize request fields shared by single and ensemble runs
+ */
+export interface OptimizationInput
+  extends Omit<GenerateLayoutOptions, "fixedPlacements"> {
+  fixedPlacements?: FixedPlacement[];
+  existingLayouts?: BedLayout[];
+  repair?: boolean;
+}
+
+/**
+ * One provider call from request to response layouts: generate, normalize,
+ * optionally repair, then restore pinned and existing plants. Beds the
+ * provider didn't report as finished (LLMs answer all at once) get their
+ * `bed.finish` progress event once the final layouts are ready. LLM
+ * providers also report each answer they needed as `attempts`.
+ */
+export async function runOptimization(
+  provider: Provider,
+  {
+    fixedPlacements,
+    mode = "full",
+    existingLayouts,
+    repair = false,
+    onProgress,
+    ...options
+  }: OptimizationInput,
+): Promise<{
+  layouts: BedLayout[];
+  repairs?: LayoutRepair[];
+  attempts?: ProviderAttempt[];
+}> {
+  const { beds } = options;
+
+  const finishedBeds = new Set<string>();
+  const reportProgress = onProgress
+    ? (event: OptimizeProgressEvent) => {
+        if (event.type === "bed.finish") finishedBeds.add(event.bedId);
+        onProgress(event);
+      }
+    : undefined;
+
+  // Fill mode: the current layout is fixed input and only the gaps get planted
+  const existingPlacements =
+    mode === "fill"
+      ? layoutsToFixedPlacements(existingLayouts, fixedPlacements)
+      : [];
+  const providerFixed = [...(fixedPlacements || []), ...existingPlacements];
+  const attempts: ProviderAttempt[] = [];
+
+  const rawLayouts = await provider.generateLayout({
+    ...options,
+    fixedPlacements: providerFixed.length > 0 ? providerFixed : undefined,
+    mode,
+    onProgress: reportProgress,
+    onAttempt: (attempt) => attempts.push(attempt),
+  });
+
+  let providerLayouts = normalizePlacementData(rawLayouts);
+  let repairs: LayoutRepair[] | undefined;
+  if (repair) {
+    ({ layouts: providerLayouts, repairs } = repairLayouts(
+      providerLayouts,
+      beds,
+      providerFixed,
+    ));
+  }
+
+  validateBounds(providerLayouts, beds);
+  const withExisting = mergeFixedPlacements(
+    providerLayouts,
+    existingPlacements,
+    { markLocked: false },
+  );
+  const layouts = mergeFixedPlacements(withExisting, fixedPlacements).map(
+    withPhases,
+  );
+
+  for (const layout of layouts) {
+    if (finishedBeds.has(layout.bedId)) continue;
+    onProgress?.({ type: "bed.finish", bedId: layout.bedId, layout });
+  }
+
+  return {
+    layouts,
+    repairs,
+    ...(attempts.length > 0 ? { attempts } : {}),
+  };
+}
+
+export interface EnsembleEntry {
+  provider: string;
+  model?: string;
+  auth?: ProviderAuth;
+  runs?: number;
+  randomSeed?: number;
+}
+
+/**
+ * Fan one request out to several providers (and several runs each) in
+ * parallel, score every result and rank them best first. Failed runs are
+ * kept at the end with their error so callers can see what went wrong.
+ * Seeded providers (the local packer) get consecutive random seeds from
+ * `randomSeed` (default: the request's `packerConfig.random_seed`, else 1).
+ */
+export async function runEnsemble(
+  entries: EnsembleEntry[],
+  request: Omit<OptimizationInput, "auth" | "model">,
+  tokenStore?: TokenStore,
+  sessionId?: string,
+): Promise<EnsembleRun[]> {
+  const jobs = entries.flatMap((entry) => {
+    const provider = getProvider(entry.provider)!;
+    return Array.from({ length: Math.max(1, entry.runs ?? 1) }, (_, run) => ({
+      provider,
+      model: entry.model,
+      auth: entry.auth,
+      randomSeed: provider.capabilities?.seeded
+        ? (entry.randomSeed ?? request.config?.random_seed ?? 1) + run
+        : undefined,
+    }));
+  });
+
+  const results = await Promise.allSettled(
+    jobs.map(({ provider, model, auth, randomSeed }) =>
+      runWithAuth(
+        { providerId: provider.id, auth, tokenStore, sessionId },
+        (resolvedAuth) =>
+          runOptimization(provider, {
+            ...request,
+            model,
+            auth: resolvedAuth,
+            config:
+              randomSeed !== undefined
+                ? { ...request.config, random_seed: randomSeed }
+                : request.config,
+          }),
+      ),
+    ),
+  );
+
+  const runs = results.map((result, index): EnsembleRun => {
+    const { provider, model, randomSeed } = jobs[index];
+    const base = {
+      provider: provider.id,
+      ...(model ? { model } : {}),
+      ...(randomSeed !== undefined ? { randomSeed } : {}),
+    };
+    if (result.status === "rejected") {
+      console.warn(
+        `Ensemble run ${index + 1} (${provider.id}) failed:`,
+        result.reason,
+      );
+      return {
+        ...base,
+        rank: 0,
+        layouts: [],
+        error:
+          result.reason instanceof Error
+            ? result.reason.message
+            : String(result.reason),
+      };
+    }
+    return {
+      ...base,
+      rank: 0,
+      layouts: result.value.layouts,
+      ...(result.value.repairs ? { repairs: result.value.repairs } : {}),
+      ...(result.value.attempts ? { attempts: result.value.attempts } : {}),
+      score: scoreLayouts(request.beds, result.value.layouts, {
+        plants: VEGGIE_METADATA,
+        seeds: request.seeds,
+        sunOrientation: request.sunOrientation,
+        sun: request.sun,
+      }).totals,
+    };
+  });
+
+  // Best score first; ties go to fewer bounds violations, then request order
+  return runs
+    .map((run, index) => ({ run, index }))
+    .sort(
+      (a, b) =>
+        Number(Boolean(a.run.error)) - Number(Boolean(b.run.error)) ||
+        (b.run.score?.score ?? 0) - (a.run.score?.score ?? 0) ||
+        (a.run.score?.boundsViolations ?? 0) -
+          (b.run.score?.boundsViolations ?? 0) ||
+        a.index - b.index,
+    )
+    .map(({ run }, index) => ({ ...run, rank: index + 1 }));
+}
+
+export interface BoundsViolation {
+  bedId: string;
+  plantId?: string;
+  veggieType: string;
+  center: string;
+  reason: "outside" | "obstacle";
+  obstacle?: string;
+}
+
+export function validateBounds(
+  layouts: BedLayout[],
+  beds: GardenBed[],
+): BoundsViolation[] {
+  if (!Array.isArray(layouts) || !Array.isArray(beds)) return [];
+  const allViolations: BoundsViolation[] = [];
   layouts.forEach((layout) => {
     const bed = beds.find((b) => b.id === layout.bedId);
     if (!bed || !Array.isArray(layout.placements)) return;
-    const violations = [];
+    const violations: BoundsViolation[] = [];
     layout.placements.forEach((plant) => {
-      const radius = (plant.size || 0) / 2;
-      if (
-        plant.x - radius < 0 ||
-        plant.x + radius > bed.width ||
-        plant.y - radius < 0 ||
-        plant.y + radius > bed.height
-      ) {
+      const issue = checkPlacementBounds(bed, plant);
+      if (issue) {
         violations.push({
+          bedId: bed.id,
+          plantId: plant.id,
           veggieType: plant.veggieType,
           center: `(${plant.x}", ${plant.y}")`,
+          ...issue,
         });
       }
     });
-    if (violations.length > 0) {
+    const outside = violations.filter((v) => v.reason === "outside").length;
+    const onObstacles = violations.length - outside;
+    if (outside > 0) {
+      console.warn(
+        `⚠️  ${outside} bounds violations in bed "${bed.name || bed.id}"`,
+      );
+    }
+    if (onObstacles > 0) {
       console.warn(
-        `⚠️  ${violations.length} bounds violations in bed "${bed.name || bed.id}"`,
+        `⚠️  ${onObstacles} plants on keep-out zones in bed "${bed.name || bed.id}"`,
       );
     }
+    allViolations.push(...violations);
   });
+  return allViolations;
+}
+
+/**
+ * Optional repair pass for provider layouts: plants that overlap, stick out of
+ * the bed or sit on keep-out zones and pinned plants are nudged into valid
+ * spots, and each bed reports what moved and what had to be dropped.
+ * Plants in different succession phases may share space, so each phase is
+ * repaired on its own around the season-long plants.
+ */
+export function repairLayouts(
+  layouts: BedLayout[],
+  beds: GardenBed[],
+  fixedPlacements: FixedPlacement[] = [],
+): { layouts: BedLayout[]; repairs: LayoutRepair[] } {
+  const repairs: LayoutRepair[] = [];
+
+  const repaired = layouts.map((layout) => {
+    const bed = beds.find((b) => b.id === layout.bedId);
+    if (!bed || !Array.isArray(layout.placements)) return layout;
+
+    const report: LayoutRepair = { bedId: bed.id, moved: [], removed: [] };
+    const repairGroup = (
+      placements: PlantPlacement[],
+      fixed: Omit<FixedPlacement, "bedId">[],
+    ) => {
+      if (placements.length === 0) return [];
+      const result = new ForceDirectedGardenPacker(bed, {
+        fixedPlacements: fixed,
+      }).repairPlacements(placements);
+      report.moved.push(...result.moved);
+      report.removed.push(...result.removed);
+      return result.placements;
+    };
+
+    const pinned = fixedPlacements.filter((p) => p.bedId === bed.id);
+    const { placements } = withPhases(layout);
+    const seasonLong = repairGroup(
+      placements.filter((p) => !p.phaseId),
+      pinned,
+    );
+    const phaseIds = new Set(
+      placements.flatMap((p) => (p.phaseId ? [p.phaseId] : [])),
+    );
+    const phased = [...phaseIds].flatMap((phaseId) =>
+      repairGroup(
+        placements.filter((p) => p.phaseId === phaseId),
+        [...pinned, ...seasonLong],
+      ),
+    );
+
+    repairs.push(report);
+    return { ...layout, placements: [...seasonLong, ...phased] };
+  });
+
+  return { layouts: repaired, repairs };
+}
+
+/**
+ * Flatten existing bed layouts into fixed placements for fill mode.
+ * Plants that are also pinned via `fixedPlacements` are left to that list.
+ */
+export function layoutsToFixedPlacements(
+  existingLayouts: BedLayout[] | undefined,
+  fixedPlacements: FixedPlacement[] | undefined = [],
+): FixedPlacement[] {
+  if (!Array.isArray(existingLayouts)) return [];
+  const pinned = new Set(
+    (fixedPlacements || []).map((p) => `${p.bedId}:${p.id}`),
+  );
+  return existingLayouts.flatMap((layout) =>
+    (layout.placements || [])
+      .filter((p) => !pinned.has(`${layout.bedId}:${p.id}`))
+      .map((p) => ({ ...p, bedId: layout.bedId })),
+  );
+}
+
+/**
+ * Put pinned plants back into the response exactly as the client sent them.
+ * Any provider placement reusing a locked id is replaced by the original.
+ * Fill mode passes `markLocked: false` so existing plants keep their own flag.
+ */
+export function mergeFixedPlacements(
+  layouts: BedLayout[],
+  fixedPlacements: FixedPlacement[] | undefined,
+  { markLocked = true }: { markLocked?: boolean } = {},
+): BedLayout[] {
+  if (!Array.isArray(fixedPlacements) || fixedPlacements.length === 0) {
+    return layouts;
+  }
+
+  const merged = layouts.map((layout) => ({
+    ...layout,
+    placements: [...layout.placements],
+  }));
+
+  for (const { bedId, ...placement } of fixedPlacements) {
+    let layout = merged.find((l) => l.bedId === bedId);
+    if (!layout) {
+      layout = { bedId, placements: [] };
+      merged.push(layout);
+    }
+    if (placement.id !== undefined) {
+      layout.placements = layout.placements.filter(
+        (p) => p.id !== placement.id,
+      );
+    }
+    layout.placements.unshift(
+      (markLocked
+        ? { ...placement, locked: true }
+        : placement) as PlantPlacement,
+    );
+  }
+
+  return merged;
+}
+
+/**
+ * Succession data a provider attached to a placement, with numeric days only
+ */
+function pickSuccessionFields(plant: any): Partial<PlantPlacement> {
+  const fields: Partial<PlantPlacement> = {};
+  if (typeof plant.phaseId === "string" && plant.phaseId) {
+    fields.phaseId = plant.phaseId;
+  }
+  for (const key of ["sowDay", "transplantDay", "harvestDay"] as const) {
+    const value = plant[key];
+    if (typeof value === "number" && Number.isFinite(value)) fields[key] = value;
+  }
+  return fields;
 }
 
 function normalizePlacementData(rawLayouts: any[]): BedLayout[] {
@@ -135,6 +589,7 @@ function normalizePlacementData(rawLayouts: any[]): BedLayout[] {
     spacingAnalysis: plant.spacingAnalysis ?? plant.spacingNotes ?? null,
     placementReasoning: plant.placementReasoning ?? plant.reasoning ?? null,
     companionInsights: plant.companionInsights ?? plant.companionNotes ?? null,
+    ...pickSuccessionFields(plant),
   });
 
   return (Array.isArray(rawLayouts) ? rawLayouts : []).map(
@@ -145,4 +600,9 @@ function normalizePlacementData(rawLayouts: any[]): BedLayout[] {
   );
 }
 
-export default { createOptimizeHandler };
+export default {
+  createOptimizeHandler,
+  validateBounds,
+  mergeFixedPlacements,
+  layoutsToFixedPlacements,
+};
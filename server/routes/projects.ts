@@ -0,0 +1,276 @@
+/**
+ * Garden project handlers (`/api/projects`)
+ *
+ * A project is a whole saved garden: beds, seeds, layouts, sun settings and
+ * rotation history. Projects belong to the caller's session, like jobs and
+ * OAuth tokens.
+ *
+ * Every save bumps `version`. A save that sends the version it started from
+ * is rejected with 409 (and the current project) when someone else saved in
+ * between; leaving `version` out overwrites unconditionally.
+ *
+ * Revisions are immutable snapshots of a project, numbered from 1 and taken
+ * on request (the app takes one per explicit save, not per auto-sync).
+ * Restoring one saves its garden as the next version and records that as a
+ * revision too, so history is never rewritten.
+ *
+ * Sessions are free to open, so each is limited to MAX_PROJECTS_PER_SESSION
+ * projects (409 past that) and MAX_REVISIONS_PER_MINUTE snapshots and
+ * restores (429 with Retry-After).
+ */
+
+import { randomUUID } from "node:crypto";
+import type { Request, Response } from "express";
+import type {
+  GardenProject,
+  GardenProjectData,
+  GardenProjectSummary,
+  GardenRevision,
+  GardenRevisionSummary,
+} from "../../shared/types";
+import type { ProjectStore } from "../projectRepo";
+
+const PROJECT_ID = /^[A-Za-z0-9_-]{1,64}$/;
+
+export const MAX_PROJECTS_PER_SESSION = 50;
+export const MAX_REVISIONS_PER_MINUTE = 30;
+const REVISION_WINDOW_MS = 60_000;
+
+function summarize(project: GardenProject): GardenProjectSummary {
+  const { id, name, version, createdAt, updatedAt } = project;
+  return { id, name, version, createdAt, updatedAt };
+}
+
+function summarizeRevision({
+  garden: _garden,
+  ...summary
+}: GardenRevision): GardenRevisionSummary {
+  return summary;
+}
+
+// Validated request body -> stored fields, with defaults for the optional ones
+function projectData(body: Record<string, any>): GardenProjectData {
+  return {
+    name: body.name,
+    beds: body.beds,
+    seeds: body.seeds ?? [],
+    layouts: body.layouts ?? [],
+    sunOrientation: body.sunOrientation ?? "South",
+    ...(body.sun ? { sun: body.sun } : {}),
+    ...(body.rotationHistory ? { rotationHistory: body.rotationHistory } : {}),
+  };
+}
+
+export function createProjectHandlers(store: ProjectStore) {
+  const sessionOf = (req: Request) => req.sessionId ?? "";
+
+  // Answers 409 when the session can't hold another project
+  const refuseNewProject = (sessionId: string, res: Response) => {
+    if (store.list(sessionId).length < MAX_PROJECTS_PER_SESSION) return false;
+    res.status(409).json({
+      error: `A session can keep ${MAX_PROJECTS_PER_SESSION} projects; delete one first.`,
+    });
+    return true;
+  };
+
+  // When each session's recent revisions were taken
+  const revisionTimes = new Map<string, number[]>();
+
+  // Counts a revision against the session's budget, or answers 429
+  const refuseRevision = (sessionId: string, res: Response) => {
+    const now = Date.now();
+    const recent = (revisionTimes.get(sessionId) ?? []).filter(
+      (time) => now - time < REVISION_WINDOW_MS,
+    );
+    if (recent.length >= MAX_REVISIONS_PER_MINUTE) {
+      revisionTimes.set(sessionId, recent);
+      res
+        .status(429)
+        .set(
+          "Retry-After",
+          String(Math.ceil((recent[0] + REVISION_WINDOW_MS - now) / 1000)),
+        )
+        .json({
+          error: `At most ${MAX_REVISIONS_PER_MINUTE} revisions a minute; try again shortly.`,
+        });
+      return true;
+    }
+    revisionTimes.set(sessionId, [...recent, now]);
+    return false;
+  };
+
+  /**
+   * The caller's projects without their contents, most recently saved first
+   */
+  const listProjects = (req: Request, res: Response) => {
+    const projects = store
+      .list(sessionOf(req))
+      .sort((a, b) => b.updatedAt - a.updatedAt)
+      .map(summarize);
+    res.json({ projects });
+  };
+
+  /**
+   * Save a new project under a generated id
+   */
+  const createProject = (req: Request, res: Response) => {
+    if (refuseNewProject(sessionOf(req), res)) return;
+    const now = Date.now();
+    const project: GardenProject = {
+      ...projectData(req.body),
+      id: randomUUID(),
+      version: 1,
+      createdAt: now,
+      updatedAt: now,
+    };
+    store.put(sessionOf(req), project);
+    res.status(201).json(project);
+  };
+
+  const getProject = (req: Request, res: Response) => {
+    const project = store.get(sessionOf(req), String(req.params.id));
+    if (!project) return res.status(404).json({ error: "Project not found." });
+    res.json(project);
+  };
+
+  /**
+   * Create or replace the project with this id
+   */
+  const saveProject = (req: Request, res: Response) => {
+    const id = String(req.params.id);
+    if (!PROJECT_ID.test(id)) {
+      return res.status(400).json({
+        error: "Project id must be 1-64 letters, digits, '-' or '_'.",
+      });
+    }
+
+    const sessionId = sessionOf(req);
+    const current = store.get(sessionId, id);
+    if (!current && refuseNewProject(sessionId, res)) return;
+    const expected = req.body.version;
+    if (expected !== undefined && expected !== (current?.version ?? 0)) {
+      return res.status(409).json({
+        error: current
+          ? `Project was saved elsewhere (now version ${current.version}).`
+          : "Project no longer exists.",
+        project: current ?? null,
+      });
+    }
+
+    const now = Date.now();
+    const project: GardenProject = {
+      ...projectData(req.body),
+      id,
+      version: (current?.version ?? 0) + 1,
+      createdAt: current?.createdAt ?? now,
+      updatedAt: now,
+    };
+    store.put(sessionId, project);
+    res.status(current ? 200 : 201).json(project);
+  };
+
+  const deleteProject = (req: Request, res: Response) => {
+    if (!store.delete(sessionOf(req), String(req.params.id))) {
+      return res.status(404).json({ error: "Project not found." });
+    }
+    res.status(204).end();
+  };
+
+  const snapshot = (
+    sessionId: string,
+    project: GardenProject,
+    note: string,
+  ): GardenRevision => {
+    const { id, version, createdAt, updatedAt, ...garden } = project;
+    const previous = store.listRevisions(sessionId, id).at(-1);
+    const revision: GardenRevision = {
+      revision: (previous?.revision ?? 0) + 1,
+      savedAt: Date.now(),
+      note,
+      version,
+      garden,
+    };
+    store.addRevision(sessionId, id, revision);
+    return revision;
+  };
+
+  /**
+   * The project's revisions without their gardens, newest first
+   */
+  const listRevisions = (req: Request, res: Response) => {
+    const sessionId = sessionOf(req);
+    const id = String(req.params.id);
+    if (!store.get(sessionId, id)) {
+      return res.status(404).json({ error: "Project not found." });
+    }
+    const revisions = store
+      .listRevisions(sessionId, id)
+      .reverse()
+      .map(summarizeRevision);
+    res.json({ revisions });
+  };
+
+  /**
+   * Snapshot the project as it is stored now
+   */
+  const createRevision = (req: Request, res: Response) => {
+    const sessionId = sessionOf(req);
+    const project = store.get(sessionId, String(req.params.id));
+    if (!project) return res.status(404).json({ error: "Project not found." });
+    if (refuseRevision(sessionId, res)) return;
+    res.status(201).json(snapshot(sessionId, project, req.body?.note ?? ""));
+  };
+
+  const findRevision = (req: Request) =>
+    store
+      .listRevisions(sessionOf(req), String(req.params.id))
+      .find((revision) => revision.revision === Number(req.params.revision));
+
+  const getRevision = (req: Request, res: Response) => {
+    const revision = findRevision(req);
+    if (!revision) {
+      return res.status(404).json({ error: "Revision not found." });
+    }
+    res.json(revision);
+  };
+
+  /**
+   * Save a revision's garden as the next version of the project
+   */
+  const restoreRevision = (req: Request, res: Response) => {
+    const sessionId = sessionOf(req);
+    const current = store.get(sessionId, String(req.params.id));
+    const revision = current && findRevision(req);
+    if (!current || !revision) {
+      return res.status(404).json({ error: "Revision not found." });
+    }
+    if (refuseRevision(sessionId, res)) return;
+
+    const project: GardenProject = {
+      ...revision.garden,
+      id: current.id,
+      version: current.version + 1,
+      createdAt: current.createdAt,
+      updatedAt: Date.now(),
+    };
+    store.put(sessionId, project);
+    snapshot(sessionId, project, `Restored revision ${revision.revision}`);
+    res.json(project);
+  };
+
+  return {
+    listProjects,
+    createProject,
+    getProject,
+    saveProject,
+    deleteProject,
+    listRevisions,
+    createRevision,
+    getRevision,
+    restoreRevision,
+  };
+}
+
+export default {
+  createProjectHandlers,
+};
@@ -0,0 +1,34 @@
+/**
+ * Layout scoring route handlers
+ */
+
+import type { Request, Response } from "express";
+import { VEGGIE_METADATA } from "../veggieMetadata";
+import { scoreLayouts } from "../../shared/layoutScore";
+
+/**
+ * Metrics breakdown for a set of bed layouts, whichever provider made them
+ */
+export function scoreHandler(req: Request, res: Response) {
+  try {
+    const { beds, layouts, seeds, sunOrientation, sun } = req.body || {};
+
+    res.json(
+      scoreLayouts(beds, layouts, {
+        plants: VEGGIE_METADATA,
+        seeds,
+        sunOrientation,
+        sun,
+      }),
+    );
+  } catch (err) {
+    console.error("Score error:", err);
+    res.status(500).json({
+      error: err instanceof Error ? err.message : "Scoring failed.",
+    });
+  }
+}
+
+export default {
+  scoreHandler,
+};
@@ -0,0 +1,43 @@
+/**
+ * Sun and shade route handlers
+ */
+
+import type { Request, Response } from "express";
+import { VEGGIE_METADATA } from "../veggieMetadata";
+import { computeSunGrid, findShadeConflicts } from "../../shared/sunShade";
+
+/**
+ * Hours-of-sun heatmap for one bed plus the plants getting less sun than
+ * they need
+ */
+export function sunHandler(req: Request, res: Response) {
+  try {
+    const { bed, placements, sunOrientation, sun, cellSize } = req.body || {};
+
+    const grid = computeSunGrid(
+      bed,
+      placements,
+      VEGGIE_METADATA,
+      sun,
+      sunOrientation,
+      cellSize,
+    );
+    const conflicts = findShadeConflicts(
+      placements,
+      VEGGIE_METADATA,
+      sun,
+      sunOrientation,
+    );
+
+    res.json({ bedId: bed.id, grid, conflicts });
+  } catch (err) {
+    console.error("Sun simulation error:", err);
+    res.status(500).json({
+      error: err instanceof Error ? err.message : "Sun simulation failed.",
+    });
+  }
+}
+
+export default {
+  sunHandler,
+};
@@ -9,6 +9,10 @@ import assert from "node:assert";
  * 2. Copy the response from browser DevTools Network tab
  * 3. Paste it into the `actualResponse` object below
  * 4. Run this test to see detailed validation
+ *
+ * To keep the model's raw output instead, run the server with
+ * PROVIDER_RECORD_DIR set and replay it with the `replay` provider
+ * (PROVIDER_REPLAY_DIR); see the README.
  */
 
 test("analyze actual OpenAI response for bounds violations", () => {
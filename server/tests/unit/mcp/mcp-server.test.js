@@ -0,0 +1,264 @@
+/**
+ * MCP tool server (JSON-RPC over stdio and SSE)
+ *
+ * Tests:
+ * 1. initialize negotiates a protocol version; notifications get no answer
+ * 2. JSON-RPC errors for bad requests, unknown methods and unknown tools
+ * 3. tools/list exposes the garden tools with input schemas
+ * 4. list_plants and get_catalog read the plant catalog
+ * 5. optimize_bed lays out one bed and reports bad arguments as tool errors
+ * 6. score_layout returns the /api/score metrics
+ * 7. stdio transport answers line by line
+ * 8. SSE transport announces its endpoint and answers on the stream
+ * 9. Only the session that opened an SSE stream can post to it
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { PassThrough } from "node:stream";
+import express from "express";
+import { createMcpServer } from "../../../mcp/toolServer";
+import { serveStdio } from "../../../mcp/stdio";
+import { createMcpSseRouter } from "../../../mcp/sseRouter";
+import { sessionMiddleware } from "../../../middleware/session";
+
+const BED = { id: "bed1", width: 48, height: 48, x: 0, y: 0 };
+const SEEDS = [
+  { type: "Tomato", priority: 1, selectedVarieties: [] },
+  { type: "Basil", priority: 1, selectedVarieties: [] },
+];
+
+const server = createMcpServer();
+let nextId = 1;
+const request = (method, params) =>
+  server.handleMessage({ jsonrpc: "2.0", id: nextId++, method, params });
+const callTool = async (name, args) => {
+  const { result } = await request("tools/call", { name, arguments: args });
+  return result;
+};
+
+test("initialize - negotiates the protocol version", async () => {
+  const known = await request("initialize", {
+    protocolVersion: "2024-11-05",
+    capabilities: {},
+    clientInfo: { name: "test", version: "1" },
+  });
+  assert.equal(known.result.protocolVersion, "2024-11-05");
+  assert.ok(known.result.capabilities.tools);
+  assert.equal(known.result.serverInfo.name, "garden-craft");
+
+  const future = await request("initialize", { protocolVersion: "2099-01-01" });
+  assert.equal(future.result.protocolVersion, "2025-06-18");
+
+  assert.equal(
+    await server.handleMessage({
+      jsonrpc: "2.0",
+      method: "notifications/initialized",
+    }),
+    null,
+  );
+  assert.deepEqual((await request("ping")).result, {});
+});
+
+test("JSON-RPC errors - bad requests, methods and tools", async () => {
+  const invalid = await server.handleMessage({ id: 9, method: "ping" });
+  assert.equal(invalid.error.code, -32600);
+  assert.equal(invalid.id, 9);
+
+  const missing = await request("resources/list");
+  assert.equal(missing.error.code, -32601);
+
+  const unknownTool = await request("tools/call", { name: "water_plants" });
+  assert.equal(unknownTool.error.code, -32602);
+});
+
+test("tools/list - garden tools with schemas", async () => {
+  const { result } = await request("tools/list");
+  const names = result.tools.map((tool) => tool.name).sort();
+  assert.deepEqual(names, [
+    "get_catalog",
+    "list_plants",
+    "optimize_bed",
+    "score_layout",
+  ]);
+  for (const tool of result.tools) {
+    assert.equal(tool.inputSchema.type, "object");
+    assert.ok(tool.description);
+  }
+  const optimize = result.tools.find((tool) => tool.name === "optimize_bed");
+  assert.deepEqual(optimize.inputSchema.required, ["bed", "seeds"]);
+});
+
+test("list_plants and get_catalog - read the catalog", async () => {
+  const listed = await callTool("list_plants", { search: "tom" });
+  const plants = JSON.parse(listed.content[0].text);
+  assert.ok(plants.length > 0);
+  assert.ok(plants.every((plant) => plant.type.toLowerCase().includes("tom")));
+  assert.equal(typeof plants[0].spacing, "number");
+
+  const catalog = JSON.parse((await callTool("get_catalog")).content[0].text);
+  assert.ok(catalog.plants.Tomato);
+  assert.ok(Array.isArray(catalog.varieties));
+});
+
+test("optimize_bed - lays out one bed", async () => {
+  const result = await callTool("optimize_bed", {
+    bed: BED,
+    seeds: SEEDS,
+    sunOrientation: "South",
+  });
+  assert.equal(result.isError, undefined);
+  const { provider, layout } = JSON.parse(result.content[0].text);
+  assert.equal(provider, "local");
+  assert.equal(layout.bedId, "bed1");
+  assert.ok(layout.placements.length > 0);
+
+  const bad = await callTool("optimize_bed", { bed: BED, seeds: [] });
+  assert.equal(bad.isError, true);
+  assert.match(bad.content[0].text, /Invalid arguments/);
+});
+
+test("score_layout - metrics for given layouts", async () => {
+  const result = await callTool("score_layout", {
+    beds: [BED],
+    layouts: [
+      {
+        bedId: "bed1",
+        placements: [{ id: "1", veggieType: "Tomato", x: 24, y: 24, size: 18 }],
+      },
+    ],
+  });
+  const score = JSON.parse(result.content[0].text);
+  assert.equal(score.beds[0].plantCount, 1);
+  assert.equal(score.totals.boundsViolations, 0);
+
+  const bad = await callTool("score_layout", { beds: [] });
+  assert.equal(bad.isError, true);
+});
+
+test("stdio transport - one response line per request", async () => {
+  const input = new PassThrough();
+  const output = new PassThrough();
+  const lines = [];
+  output.on("data", (chunk) => lines.push(...String(chunk).split("\n")));
+
+  const done = serveStdio(server, input, output);
+  input.write(`${JSON.stringify({ jsonrpc: "2.0", id: 1, method: "ping" })}\n`);
+  input.write("{not json\n");
+  input.write(
+    `${JSON.stringify({ jsonrpc: "2.0", method: "notifications/initialized" })}\n`,
+  );
+  input.end(
+    `${JSON.stringify({ jsonrpc: "2.0", id: 2, method: "tools/list" })}\n`,
+  );
+  await done;
+
+  const responses = lines.filter(Boolean).map((line) => JSON.parse(line));
+  assert.equal(responses.length, 3);
+  assert.deepEqual(responses.find((r) => r.id === 1).result, {});
+  assert.equal(responses.find((r) => r.id === null).error.code, -32700);
+  assert.equal(responses.find((r) => r.id === 2).result.tools.length, 4);
+});
+
+test("SSE transport - endpoint event, then answers on the stream", async () => {
+  const app = express();
+  app.use(createMcpSseRouter({ allowDevPush: false, mcpServer: server }));
+  const httpServer = app.listen(0);
+  await new Promise((resolve) => httpServer.once("listening", resolve));
+  const base = `http://127.0.0.1:${httpServer.address().port}`;
+  const controller = new AbortController();
+
+  try {
+    const stream = await fetch(`${base}/mcp/sse`, {
+      signal: controller.signal,
+    });
+    const reader = stream.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+    const nextEvent = async (name) => {
+      for (;;) {
+        const match = buffer.match(
+          new RegExp(`event: ${name}\\ndata: (.*)\\n\\n`),
+        );
+        if (match) {
+          buffer = buffer.slice(match.index + match[0].length);
+          return match[1];
+        }
+        const { value, done } = await reader.read();
+        assert.ok(!done, `stream ended before ${name}`);
+        buffer += decoder.decode(value, { stream: true });
+      }
+    };
+
+    const endpoint = await nextEvent("endpoint");
+    assert.match(
+      endpoint,
+      /^\/mcp\/messages\?sessionId=[0-9a-f]{8}-[0-9a-f-]{27}$/,
+    );
+
+    const posted = await fetch(`${base}${endpoint}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ jsonrpc: "2.0", id: 7, method: "ping" }),
+    });
+    assert.equal(posted.status, 202);
+    assert.deepEqual(JSON.parse(await nextEvent("message")), {
+      jsonrpc: "2.0",
+      id: 7,
+      result: {},
+    });
+
+    const lost = await fetch(`${base}/mcp/messages?sessionId=999`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ jsonrpc: "2.0", id: 8, method: "ping" }),
+    });
+    assert.equal(lost.status, 404);
+  } finally {
+    controller.abort();
+    httpServer.closeAllConnections();
+    await new Promise((resolve) => httpServer.close(resolve));
+  }
+});
+
+test("SSE transport - only the stream's session can post to it", async () => {
+  const OWNER = "owner-session-token-0001";
+  const OTHER = "other-session-token-0002";
+  const app = express();
+  app.use(sessionMiddleware);
+  app.use(createMcpSseRouter({ allowDevPush: false, mcpServer: server }));
+  const httpServer = app.listen(0);
+  await new Promise((resolve) => httpServer.once("listening", resolve));
+  const base = `http://127.0.0.1:${httpServer.address().port}`;
+  const controller = new AbortController();
+  const post = (endpoint, bearer) =>
+    fetch(`${base}${endpoint}`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${bearer}`,
+      },
+      body: JSON.stringify({ jsonrpc: "2.0", id: 9, method: "ping" }),
+    });
+
+  try {
+    const stream = await fetch(`${base}/mcp/sse`, {
+      headers: { Authorization: `Bearer ${OWNER}` },
+      signal: controller.signal,
+    });
+    const reader = stream.body.getReader();
+    const decoder = new TextDecoder();
+    let text = "";
+    while (!text.includes("event: endpoint")) {
+      text += decoder.decode((await reader.read()).value, { stream: true });
+    }
+    const endpoint = text.match(/event: endpoint\ndata: (.*)\n/)[1];
+
+    assert.equal((await post(endpoint, OTHER)).status, 404);
+    assert.equal((await post(endpoint, OWNER)).status, 202);
+  } finally {
+    controller.abort();
+    httpServer.closeAllConnections();
+    await new Promise((resolve) => httpServer.close(resolve));
+  }
+});
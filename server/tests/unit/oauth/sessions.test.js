@@ -0,0 +1,262 @@
+/**
+ * Per-session scoping of OAuth tokens and jobs
+ *
+ * Tests:
+ * 1. Sessions come from a bearer token or an issued cookie
+ * 2. OAuth tokens are only visible to the session that stored them
+ * 3. resolveAuth picks the calling session's token
+ * 4. Jobs are listed, read and cancelled only by their session
+ * 5. Job ids are per session, and so is their SSE progress
+ * 6. A cross-origin browser without a cookie keeps one session from its
+ *    first call on
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import { corsMiddleware } from "../../../middleware/cors";
+import { sessionMiddleware, sessionIdFor } from "../../../middleware/session";
+import { createOAuthRoutes } from "../../../routes/oauth";
+import { createApiRoutes } from "../../../routes/api";
+import { createMcpSseRouter } from "../../../mcp/sseRouter";
+import { MemoryTokenStore, tokenKey } from "../../../oauth/tokenStore";
+import { resolveAuth } from "../../../utils/authResolver";
+
+const ALICE = "alice-session-token-0001";
+const BOB = "bob-session-token-00000002";
+
+const { router: oauthRouter, tokenStore } = createOAuthRoutes({
+  env: {},
+  baseUrl: "http://localhost:8787",
+  tokenStore: new MemoryTokenStore(),
+});
+
+let httpServer;
+let base;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use(corsMiddleware);
+  app.use(sessionMiddleware);
+  app.use(createApiRoutes({ oauthTokenStore: tokenStore }));
+  app.use(oauthRouter);
+  app.use(createMcpSseRouter({ allowDevPush: false }));
+  httpServer = app.listen(0);
+  await new Promise((resolve) => httpServer.once("listening", resolve));
+  base = `http://127.0.0.1:${httpServer.address().port}`;
+});
+
+after(async () => {
+  httpServer.closeAllConnections();
+  await new Promise((resolve) => httpServer.close(resolve));
+});
+
+const as = (bearer, path, init = {}) =>
+  fetch(`${base}${path}`, {
+    ...init,
+    headers: {
+      "Content-Type": "application/json",
+      ...(bearer ? { Authorization: `Bearer ${bearer}` } : {}),
+      ...init.headers,
+    },
+  });
+
+const storeToken = (bearer, providerId, accessToken) =>
+  tokenStore.set(tokenKey(providerId, sessionIdFor(`bearer:${bearer}`)), {
+    accessToken,
+    receivedAt: Date.now(),
+    expiresAt: Date.now() + 3_600_000,
+  });
+
+test("session - bearer token or issued cookie", async () => {
+  const first = await as(null, "/oauth/openai/connected");
+  const cookie = first.headers.get("set-cookie");
+  assert.match(cookie, /^gc_session=[\w-]+;.*HttpOnly/i);
+
+  const again = await as(null, "/oauth/openai/connected", {
+    headers: { Cookie: cookie.split(";")[0] },
+  });
+  assert.equal(again.headers.get("set-cookie"), null, "cookie reused");
+
+  const bearer = await as(ALICE, "/oauth/openai/connected");
+  assert.equal(bearer.headers.get("set-cookie"), null);
+
+  const short = await as("short", "/oauth/openai/connected");
+  assert.equal(short.status, 401);
+
+  assert.notEqual(
+    sessionIdFor(`bearer:${ALICE}`),
+    sessionIdFor(`bearer:${BOB}`),
+  );
+  assert.doesNotMatch(sessionIdFor(`bearer:${ALICE}`), /:/);
+});
+
+test("oauth routes - tokens belong to one session", async () => {
+  storeToken(ALICE, "openai", "alice-access");
+
+  const alice = await (await as(ALICE, "/oauth/openai/connected")).json();
+  const bob = await (await as(BOB, "/oauth/openai/connected")).json();
+  assert.equal(alice.connected, true);
+  assert.equal(alice.status, "connected");
+  assert.equal(bob.connected, false);
+  assert.equal(bob.status, "disconnected");
+
+  const bobDisconnect = await (
+    await as(BOB, "/oauth/openai/disconnect", { method: "POST" })
+  ).json();
+  assert.equal(bobDisconnect.disconnected, false);
+  assert.equal((await as(ALICE, "/oauth/openai/token")).status, 200);
+  assert.equal((await as(BOB, "/oauth/openai/token")).status, 404);
+});
+
+test("resolveAuth - the calling session's token", async () => {
+  storeToken(ALICE, "anthropic", "alice-anthropic");
+  storeToken(BOB, "anthropic", "bob-anthropic");
+
+  const forSession = (bearer) =>
+    resolveAuth({
+      providerId: "anthropic",
+      tokenStore,
+      sessionId: sessionIdFor(`bearer:${bearer}`),
+    });
+  assert.deepEqual(await forSession(ALICE), {
+    oauthAccessToken: "alice-anthropic",
+  });
+  assert.deepEqual(await forSession(BOB), {
+    oauthAccessToken: "bob-anthropic",
+  });
+  assert.equal(
+    await resolveAuth({ providerId: "anthropic", tokenStore }),
+    undefined,
+    "no session, shared slot is empty",
+  );
+});
+
+test("jobs - history and access per session", async () => {
+  const started = await as(ALICE, "/api/jobs", {
+    method: "POST",
+    body: JSON.stringify({
+      beds: [{ id: "bed1", width: 24, height: 24, x: 0, y: 0 }],
+      seeds: [{ type: "Basil", priority: 1, selectedVarieties: [] }],
+      sunOrientation: "South",
+    }),
+  });
+  assert.equal(started.status, 202);
+  const { id } = await started.json();
+
+  const aliceJobs = await (await as(ALICE, "/api/jobs")).json();
+  assert.deepEqual(
+    aliceJobs.jobs.map((job) => job.id),
+    [id],
+  );
+  assert.deepEqual((await (await as(BOB, "/api/jobs")).json()).jobs, []);
+
+  assert.equal((await as(BOB, `/api/jobs/${id}`)).status, 404);
+  assert.equal(
+    (await as(BOB, `/api/jobs/${id}`, { method: "DELETE" })).status,
+    404,
+  );
+  assert.equal((await as(ALICE, `/api/jobs/${id}`)).status, 200);
+});
+
+/**
+ * Open `/mcp/sse?jobId=` as a session and collect what it sends
+ */
+async function watchJob(bearer, jobId) {
+  const controller = new AbortController();
+  const response = await as(bearer, `/mcp/sse?jobId=${jobId}`, {
+    signal: controller.signal,
+  });
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  const stream = { text: "" };
+  stream.waitFor = async (marker) => {
+    while (!stream.text.includes(marker)) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      stream.text += decoder.decode(value, { stream: true });
+    }
+  };
+  stream.close = () => controller.abort();
+  await stream.waitFor("mcp.connected");
+  return stream;
+}
+
+test("jobs - ids and progress streams are per session", async () => {
+  const body = JSON.stringify({
+    beds: [{ id: "bed1", width: 24, height: 24, x: 0, y: 0 }],
+    seeds: [{ type: "Basil", priority: 1, selectedVarieties: [] }],
+    sunOrientation: "South",
+    jobId: "shared-job",
+  });
+  const aliceStream = await watchJob(ALICE, "shared-job");
+  const bobStream = await watchJob(BOB, "shared-job");
+  try {
+    const alice = await as(ALICE, "/api/jobs", { method: "POST", body });
+    assert.equal(alice.status, 202);
+    await aliceStream.waitFor("optimize.done");
+    assert.match(aliceStream.text, /optimize\.bed\.finish/);
+
+    // The same id for another session is a new job, not a 409
+    const bob = await as(BOB, "/api/jobs", { method: "POST", body });
+    assert.equal(bob.status, 202);
+    assert.equal((await bob.json()).id, "shared-job");
+
+    // Each stream carries its own session's run only
+    await bobStream.waitFor("optimize.done");
+    for (const { text } of [aliceStream, bobStream]) {
+      assert.equal(text.match(/event: optimize\.bed\.start/g).length, 1);
+    }
+    assert.equal(
+      (await as(ALICE, "/api/jobs", { method: "POST", body })).status,
+      409,
+    );
+  } finally {
+    aliceStream.close();
+    bobStream.close();
+  }
+});
+
+test("session - a cross-origin browser keeps its first session", async () => {
+  const origin = "http://localhost:3000";
+  const preflight = await fetch(`${base}/api/jobs`, {
+    method: "OPTIONS",
+    headers: { Origin: origin, "Access-Control-Request-Method": "POST" },
+  });
+  assert.equal(preflight.status, 204);
+  assert.equal(preflight.headers.get("access-control-allow-origin"), origin);
+  assert.equal(
+    preflight.headers.get("access-control-allow-credentials"),
+    "true",
+  );
+
+  // The first call has no cookie yet and is issued one
+  const started = await fetch(`${base}/api/jobs`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Origin: origin },
+    body: JSON.stringify({
+      beds: [{ id: "bed1", width: 24, height: 24, x: 0, y: 0 }],
+      seeds: [{ type: "Basil", priority: 1, selectedVarieties: [] }],
+      sunOrientation: "South",
+    }),
+  });
+  assert.equal(started.status, 202);
+  assert.equal(started.headers.get("access-control-allow-origin"), origin);
+  assert.equal(started.headers.get("access-control-allow-credentials"), "true");
+  const cookie = started.headers.get("set-cookie").split(";")[0];
+  const { id } = await started.json();
+
+  // credentials: "include" sends it back on the poll
+  const poll = await fetch(`${base}/api/jobs/${id}`, {
+    headers: { Origin: origin, Cookie: cookie },
+  });
+  assert.equal(poll.status, 200);
+  assert.equal((await poll.json()).id, id);
+
+  // Without it the poll is another session's
+  const cookieless = await fetch(`${base}/api/jobs/${id}`, {
+    headers: { Origin: origin },
+  });
+  assert.equal(cookieless.status, 404);
+});
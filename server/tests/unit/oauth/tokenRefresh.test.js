@@ -0,0 +1,262 @@
+/**
+ * Automatic OAuth token refresh
+ *
+ * Tests:
+ * 1. ensureFresh refreshes inside the window and keeps a rotated refresh token
+ * 2. Concurrent callers share one refresh request
+ * 3. Transient failures are retried; a rejected grant drops the refresh token
+ * 4. An entry deleted or replaced during a refresh is left as it is
+ * 5. A 401 from the provider refreshes the stored token and retries the call once
+ * 6. The status route reports the stored token's status
+ */
+
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createOAuthRouter,
+  createRefreshingTokenStore,
+} from "../../../oauth/index";
+import { MemoryTokenStore } from "../../../oauth/tokenStore";
+import { providerRegistry, registerProvider } from "../../../providers/index";
+import { runOptimizeRequest } from "../../../routes/optimize";
+
+const PROVIDER = {
+  id: "test-oauth",
+  name: "Test OAuth",
+  authorizeUrl: "https://auth.example.com/authorize",
+  tokenUrl: "https://auth.example.com/token",
+  clientId: "client",
+  clientSecret: "secret",
+  redirectUri: "http://localhost:8787/oauth/test-oauth/callback",
+  scopes: [],
+};
+const providers = new Map([[PROVIDER.id, PROVIDER]]);
+
+const jsonResponse = (status, body) =>
+  new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+
+// Token endpoint double: answers from `replies` in order, records requests
+function tokenEndpoint(...replies) {
+  const calls = [];
+  const fetchFn = async (url, init) => {
+    calls.push({ url, init, params: new URLSearchParams(init.body) });
+    const reply = replies[Math.min(calls.length, replies.length) - 1];
+    if (reply instanceof Error) throw reply;
+    return jsonResponse(reply.status ?? 200, reply.body);
+  };
+  return { calls, fetchFn };
+}
+
+function seededStore(entry, options) {
+  const store = createRefreshingTokenStore({
+    store: new MemoryTokenStore(),
+    providers,
+    retryDelayMs: 0,
+    ...options,
+  });
+  store.set(PROVIDER.id, {
+    accessToken: "old-access",
+    refreshToken: "old-refresh",
+    hasRefreshToken: true,
+    receivedAt: Date.now(),
+    expiresAt: Date.now() + 10_000,
+    ...entry,
+  });
+  return store;
+}
+
+test("ensureFresh - refreshes inside the window", async () => {
+  const { calls, fetchFn } = tokenEndpoint({
+    body: {
+      access_token: "new-access",
+      refresh_token: "new-refresh",
+      expires_in: 3600,
+    },
+  });
+  const store = seededStore({}, { fetchFn, refreshWindowMs: 60_000 });
+
+  const entry = await store.ensureFresh(PROVIDER.id);
+  assert.equal(entry.accessToken, "new-access");
+  assert.equal(entry.refreshToken, "new-refresh");
+  assert.ok(entry.expiresAt > Date.now() + 3_000_000);
+  assert.ok(entry.refreshedAt);
+  assert.equal(store.status(PROVIDER.id).status, "connected");
+
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].url, PROVIDER.tokenUrl);
+  assert.equal(calls[0].params.get("grant_type"), "refresh_token");
+  assert.equal(calls[0].params.get("refresh_token"), "old-refresh");
+  assert.match(calls[0].init.headers.Authorization, /^Basic /);
+
+  // Outside the window nothing is fetched
+  await store.ensureFresh(PROVIDER.id);
+  assert.equal(calls.length, 1);
+});
+
+test("refresh - concurrent callers share one request", async () => {
+  const { calls, fetchFn } = tokenEndpoint({
+    body: { access_token: "shared", expires_in: 3600 },
+  });
+  const store = seededStore({ expiresAt: Date.now() - 1 }, { fetchFn });
+  assert.equal(store.status(PROVIDER.id).status, "expired");
+
+  const pending = Promise.all([
+    store.ensureFresh(PROVIDER.id),
+    store.ensureFresh(PROVIDER.id),
+    store.refresh(PROVIDER.id),
+  ]);
+  assert.equal(store.status(PROVIDER.id).status, "refreshing");
+  const entries = await pending;
+
+  assert.equal(calls.length, 1);
+  assert.deepEqual(
+    entries.map((entry) => entry.accessToken),
+    ["shared", "shared", "shared"],
+  );
+  // Refresh token carried over when the response leaves it out
+  assert.equal(store.get(PROVIDER.id).refreshToken, "old-refresh");
+});
+
+test("refresh - retries transient failures, gives up on a rejected grant", async (t) => {
+  t.mock.method(console, "warn", () => {});
+
+  const flaky = tokenEndpoint(
+    new TypeError("fetch failed"),
+    { status: 503, body: {} },
+    { body: { access_token: "third-time", expires_in: 60 } },
+  );
+  const retried = seededStore({}, { fetchFn: flaky.fetchFn });
+  assert.equal((await retried.refresh(PROVIDER.id)).accessToken, "third-time");
+  assert.equal(flaky.calls.length, 3);
+
+  const revoked = tokenEndpoint({
+    status: 400,
+    body: { error: "invalid_grant" },
+  });
+  const store = seededStore({}, { fetchFn: revoked.fetchFn });
+  assert.equal(await store.refresh(PROVIDER.id), undefined);
+  assert.equal(revoked.calls.length, 1, "4xx is not retried");
+
+  const status = store.status(PROVIDER.id);
+  assert.equal(status.status, "refresh_failed");
+  assert.match(status.refreshError, /400/);
+  // The current token stays usable until it expires
+  assert.equal(
+    (await store.ensureFresh(PROVIDER.id)).accessToken,
+    "old-access",
+  );
+  assert.equal(store.get(PROVIDER.id).refreshToken, null);
+});
+
+test("refresh - leaves an entry deleted or replaced meanwhile alone", async (t) => {
+  t.mock.method(console, "warn", () => {});
+
+  // Disconnected while the token endpoint answers
+  let store;
+  const disconnect = tokenEndpoint({
+    body: { access_token: "too-late", expires_in: 3600 },
+  });
+  store = seededStore(
+    {},
+    {
+      fetchFn: async (...args) => {
+        store.delete(PROVIDER.id);
+        return disconnect.fetchFn(...args);
+      },
+    },
+  );
+  assert.equal(await store.refresh(PROVIDER.id), undefined);
+  assert.equal(store.get(PROVIDER.id), undefined);
+
+  // Reconnected while a refresh with the old grant fails
+  const reconnected = {
+    accessToken: "reconnected",
+    refreshToken: "new-grant",
+    hasRefreshToken: true,
+    expiresAt: Date.now() + 3_600_000,
+  };
+  const revoked = tokenEndpoint({
+    status: 400,
+    body: { error: "invalid_grant" },
+  });
+  store = seededStore(
+    {},
+    {
+      fetchFn: async (...args) => {
+        store.set(PROVIDER.id, reconnected);
+        return revoked.fetchFn(...args);
+      },
+    },
+  );
+  assert.deepEqual(await store.refresh(PROVIDER.id), reconnected);
+  assert.deepEqual(store.get(PROVIDER.id), reconnected);
+  assert.equal(store.status(PROVIDER.id).status, "connected");
+});
+
+test("runOptimizeRequest - refreshes and retries once after a 401", async () => {
+  const seen = [];
+  registerProvider({
+    id: PROVIDER.id,
+    name: PROVIDER.name,
+    supportsOAuth: true,
+    async generateLayout({ auth, beds }) {
+      seen.push(auth?.oauthAccessToken);
+      if (auth?.oauthAccessToken !== "new-access") {
+        throw Object.assign(new Error("Unauthorized"), { status: 401 });
+      }
+      return beds.map((bed) => ({ bedId: bed.id, placements: [] }));
+    },
+  });
+  after(() => providerRegistry.delete(PROVIDER.id));
+
+  const { calls, fetchFn } = tokenEndpoint({
+    body: { access_token: "new-access", expires_in: 3600 },
+  });
+  const store = seededStore({ expiresAt: Date.now() + 3_600_000 }, { fetchFn });
+  const request = {
+    provider: PROVIDER.id,
+    beds: [{ id: "bed1", width: 24, height: 24, x: 0, y: 0 }],
+    seeds: [{ type: "Basil", priority: 1, selectedVarieties: [] }],
+    sunOrientation: "South",
+  };
+
+  const { status, body } = await runOptimizeRequest(request, store);
+  assert.equal(status, 200);
+  assert.equal(body.provider, PROVIDER.id);
+  assert.deepEqual(seen, ["old-access", "new-access"]);
+  assert.equal(calls.length, 1);
+
+  // Explicit credentials are the caller's: no refresh, no retry
+  await assert.rejects(
+    runOptimizeRequest(
+      { ...request, auth: { oauthAccessToken: "client-token" } },
+      store,
+    ),
+    /Unauthorized/,
+  );
+  assert.equal(calls.length, 1);
+});
+
+test("oauth status route - includes the token status", async () => {
+  const store = seededStore({ expiresAt: Date.now() + 30_000 });
+  const router = createOAuthRouter({
+    providers: [PROVIDER],
+    tokenStatus: (_req, providerId) => store.status(providerId),
+  });
+  let payload;
+  await router.status(
+    { params: { provider: PROVIDER.id } },
+    { json: (body) => (payload = body) },
+  );
+
+  assert.equal(payload.provider, PROVIDER.id);
+  assert.equal(payload.status, "expiring");
+  assert.equal(payload.refreshError, null);
+  assert.ok(payload.expiresAt > Date.now());
+
+  store.delete(PROVIDER.id);
+  assert.equal(store.status(PROVIDER.id).status, "disconnected");
+});
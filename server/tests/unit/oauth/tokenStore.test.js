@@ -0,0 +1,166 @@
+/**
+ * OAuth token stores (memory, encrypted file, encrypted SQLite)
+ *
+ * Tests:
+ * 1. Memory store drops entries once expiresAt has passed
+ * 2. File store survives a restart and keeps tokens encrypted on disk
+ * 3. File store won't open entries with the wrong key or under another provider
+ * 4. SQLite store survives a restart and purges expired rows (needs node:sqlite)
+ * 5. createTokenStore picks the backend from the environment; sqlite names the
+ *    Node.js version it needs where node:sqlite is missing
+ * 6. resolveAuth uses stored tokens but ignores expired ones
+ */
+
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import {
+  createTokenStore,
+  deriveTokenKey,
+  FileTokenStore,
+  MemoryTokenStore,
+  SqliteTokenStore,
+} from "../../../oauth/tokenStore";
+import { resolveAuth } from "../../../utils/authResolver";
+import { getNodeSqlite } from "../../../utils/nodeSqlite";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "token-store-"));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const KEY = deriveTokenKey("test-secret");
+const noSqlite = !getNodeSqlite() && "node:sqlite is not available";
+const entry = (overrides = {}) => ({
+  accessToken: "sk-live-secret",
+  tokenType: "Bearer",
+  scopes: null,
+  hasRefreshToken: false,
+  receivedAt: Date.now(),
+  expiresAt: Date.now() + 60_000,
+  ...overrides,
+});
+
+test("MemoryTokenStore - honours expiresAt", () => {
+  const store = new MemoryTokenStore();
+  store.set("openai", entry());
+  store.set("gemini", entry({ expiresAt: Date.now() - 1 }));
+  store.set("anthropic", entry({ expiresAt: null }));
+
+  assert.equal(store.get("openai").accessToken, "sk-live-secret");
+  assert.equal(store.get("gemini"), undefined);
+  assert.equal(store.has("gemini"), false);
+  assert.equal(store.has("anthropic"), true);
+  assert.equal(store.delete("openai"), true);
+  assert.equal(store.delete("openai"), false);
+});
+
+test("FileTokenStore - persists encrypted entries across restarts", () => {
+  const file = path.join(dir, "nested", "tokens.json");
+  new FileTokenStore(file, KEY).set("openai", entry());
+
+  const raw = fs.readFileSync(file, "utf8");
+  assert.ok(!raw.includes("sk-live-secret"), "token stored in the clear");
+  assert.match(JSON.parse(raw).openai, /^v1\./);
+
+  const reopened = new FileTokenStore(file, KEY);
+  assert.equal(reopened.get("openai").accessToken, "sk-live-secret");
+
+  reopened.set("gemini", entry({ expiresAt: Date.now() - 1 }));
+  assert.equal(reopened.get("gemini"), undefined);
+  assert.deepEqual(Object.keys(JSON.parse(fs.readFileSync(file, "utf8"))), [
+    "openai",
+  ]);
+});
+
+test("FileTokenStore - wrong key or swapped provider reads as missing", (t) => {
+  t.mock.method(console, "warn", () => {});
+  const file = path.join(dir, "swap.json");
+  new FileTokenStore(file, KEY).set("openai", entry());
+
+  assert.equal(
+    new FileTokenStore(file, deriveTokenKey("other")).get("openai"),
+    undefined,
+  );
+
+  const sealed = JSON.parse(fs.readFileSync(file, "utf8")).openai;
+  fs.writeFileSync(file, JSON.stringify({ anthropic: sealed }));
+  assert.equal(new FileTokenStore(file, KEY).get("anthropic"), undefined);
+});
+
+test(
+  "SqliteTokenStore - persists across restarts and purges expired rows",
+  {
+    skip: noSqlite,
+  },
+  () => {
+    const file = path.join(dir, "tokens.sqlite");
+    const first = new SqliteTokenStore(file, KEY);
+    first.set("openai", entry());
+    first.set("gemini", entry({ expiresAt: Date.now() - 1 }));
+    first.set("anthropic", entry({ accessToken: "old" }));
+    first.set("anthropic", entry({ accessToken: "new", expiresAt: null }));
+    first.close();
+
+    const reopened = new SqliteTokenStore(file, KEY);
+    assert.equal(reopened.get("openai").accessToken, "sk-live-secret");
+    assert.equal(reopened.get("anthropic").accessToken, "new");
+    assert.equal(reopened.has("gemini"), false);
+    assert.equal(reopened.delete("gemini"), false, "purged on open");
+    assert.equal(reopened.delete("openai"), true);
+    assert.equal(reopened.get("openai"), undefined);
+    reopened.close();
+  },
+);
+
+test("createTokenStore - backend from the environment", (t) => {
+  t.mock.method(console, "warn", () => {});
+  assert.ok(createTokenStore({}) instanceof MemoryTokenStore);
+  assert.ok(
+    createTokenStore({ OAUTH_TOKEN_STORE: "file" }) instanceof MemoryTokenStore,
+    "no key, no persistence",
+  );
+  assert.ok(
+    createTokenStore({
+      OAUTH_TOKEN_KEY: "k",
+      OAUTH_TOKEN_STORE_PATH: path.join(dir, "env.json"),
+    }) instanceof FileTokenStore,
+  );
+  const sqliteEnv = {
+    OAUTH_TOKEN_STORE: "sqlite",
+    OAUTH_TOKEN_KEY: "k",
+    OAUTH_TOKEN_STORE_PATH: path.join(dir, "env.sqlite"),
+  };
+  if (noSqlite) {
+    assert.throws(
+      () => createTokenStore(sqliteEnv),
+      /OAUTH_TOKEN_STORE=sqlite needs node:sqlite, built into Node\.js 22\.13/,
+    );
+  } else {
+    const sqlite = createTokenStore(sqliteEnv);
+    assert.ok(sqlite instanceof SqliteTokenStore);
+    sqlite.close();
+  }
+  assert.throws(
+    () => createTokenStore({ OAUTH_TOKEN_STORE: "redis" }),
+    /redis/,
+  );
+});
+
+test("resolveAuth - stored tokens, but not expired ones", async () => {
+  const store = new MemoryTokenStore();
+  store.set("openai", entry());
+  assert.deepEqual(
+    await resolveAuth({ providerId: "OpenAI", tokenStore: store }),
+    {
+      oauthAccessToken: "sk-live-secret",
+    },
+  );
+
+  // A plain Map doesn't expire entries itself
+  const map = new Map([["openai", entry({ expiresAt: Date.now() - 1 })]]);
+  assert.equal(
+    await resolveAuth({ providerId: "openai", tokenStore: map }),
+    undefined,
+  );
+});
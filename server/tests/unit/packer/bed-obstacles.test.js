@@ -0,0 +1,125 @@
+/**
+ * Keep-out zones inside a bed
+ *
+ * Tests:
+ * 1. Shared obstacle geometry (circle, rect, polygon overlap checks)
+ * 2. HierarchicalCirclePacker never leaves plants on an obstacle
+ * 3. Clamping pushes plants off obstacles while staying inside the bed
+ * 4. validateBounds flags provider placements on top of obstacles
+ */
+
+import { test } from "node:test";
+import assert from "node:assert";
+import { HierarchicalCirclePacker } from "../../../packer/HierarchicalCirclePacker";
+import { ForceDirectedGardenPacker } from "../../../packer/ForceDirectedGardenPacker";
+import {
+  circleOverlapsObstacle,
+  getPlantableArea,
+} from "../../../../shared/bedGeometry";
+import { validateBounds } from "../../../routes/optimize";
+
+const PATH = { id: "path", label: "Stepping path", kind: "rect", x: 20, y: 0, width: 8, height: 48 };
+const RISER = { id: "riser", kind: "circle", x: 10, y: 10, radius: 3 };
+const PERENNIAL = {
+  id: "rhubarb",
+  kind: "polygon",
+  vertices: [
+    { x: 34, y: 30 },
+    { x: 44, y: 30 },
+    { x: 44, y: 42 },
+    { x: 34, y: 42 },
+  ],
+};
+const OBSTACLES = [PATH, RISER, PERENNIAL];
+
+const makeGroup = (type, count, radius) => ({
+  type,
+  plants: Array.from({ length: count }, (_, i) => ({
+    id: `${type}_${i}`,
+    veggieType: type,
+    varietyName: type,
+    radius,
+    priority: 3,
+  })),
+  companions: [],
+  antagonists: [],
+});
+
+test("bedGeometry - obstacle overlap checks", () => {
+  assert.ok(circleOverlapsObstacle(PATH, 24, 24, 1), "center inside rect");
+  assert.ok(circleOverlapsObstacle(PATH, 17, 24, 4), "circle edge crosses rect");
+  assert.ok(!circleOverlapsObstacle(PATH, 14, 24, 4));
+  assert.ok(circleOverlapsObstacle(RISER, 14, 10, 2));
+  assert.ok(!circleOverlapsObstacle(RISER, 16, 10, 2));
+  assert.ok(circleOverlapsObstacle(PERENNIAL, 39, 36, 1));
+  assert.ok(!circleOverlapsObstacle(PERENNIAL, 39, 20, 4));
+
+  const bed = { id: "b", width: 48, height: 48, x: 0, y: 0, obstacles: [PATH] };
+  assert.strictEqual(getPlantableArea(bed), 48 * 48 - 8 * 48);
+});
+
+test("HierarchicalCirclePacker - plants avoid keep-out zones", () => {
+  const packer = new HierarchicalCirclePacker(48, 48, {
+    obstacles: OBSTACLES,
+    random_seed: 99,
+    max_iterations: 200,
+  });
+
+  const result = packer.pack([
+    makeGroup("Pepper", 4, 5),
+    makeGroup("Thyme", 8, 3),
+  ]);
+
+  assert.ok(result.placements.length > 0, "should place some plants");
+  for (const circle of packer.circles) {
+    for (const obstacle of OBSTACLES) {
+      assert.ok(
+        !circleOverlapsObstacle(obstacle, circle.x, circle.y, circle.radius - 0.1),
+        `${circle.id} at (${circle.x.toFixed(1)}, ${circle.y.toFixed(1)}) overlaps ${obstacle.id}`,
+      );
+    }
+  }
+  assert.strictEqual(result.violations.obstacles.length, 0);
+});
+
+test("HierarchicalCirclePacker - clamp pushes plants off obstacles", () => {
+  const packer = new HierarchicalCirclePacker(48, 48, { obstacles: OBSTACLES });
+
+  for (const [x, y] of [[24, 24], [10, 10], [39, 36], [21, 2]]) {
+    const clamped = packer.clampPositionToBed(x, y, 3);
+    assert.ok(
+      packer.isWithinBounds(clamped.x, clamped.y, 3),
+      `clamp of (${x}, ${y}) landed at (${clamped.x.toFixed(1)}, ${clamped.y.toFixed(1)})`,
+    );
+  }
+});
+
+test("ForceDirectedGardenPacker - bed obstacles reach the packer", () => {
+  const bed = { id: "b", width: 48, height: 48, x: 0, y: 0, obstacles: OBSTACLES };
+  const packer = new ForceDirectedGardenPacker(bed, { random_seed: 3 });
+  assert.strictEqual(packer.packer.obstacles.length, 3);
+});
+
+test("validateBounds - flags plants placed on obstacles", () => {
+  const beds = [{ id: "b", width: 48, height: 48, x: 0, y: 0, obstacles: OBSTACLES }];
+  const layouts = [
+    {
+      bedId: "b",
+      placements: [
+        { id: "ok", veggieType: "Basil", x: 8, y: 30, size: 8 },
+        { id: "on-path", veggieType: "Tomato", x: 24, y: 24, size: 12 },
+        { id: "outside", veggieType: "Thyme", x: 47, y: 2, size: 8 },
+      ],
+    },
+  ];
+
+  const violations = validateBounds(layouts, beds);
+  assert.deepStrictEqual(
+    violations.map((v) => [v.plantId, v.reason]),
+    [
+      ["on-path", "obstacle"],
+      ["outside", "outside"],
+    ],
+  );
+  assert.strictEqual(violations[0].obstacle, "Stepping path");
+});
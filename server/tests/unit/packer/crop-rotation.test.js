@@ -0,0 +1,116 @@
+/**
+ * Crop rotation
+ *
+ * Tests:
+ * 1. recordSeason snapshots the families planted in each bed
+ * 2. Rotation weight falls off with seasons since the family grew in the bed
+ * 3. localProvider plants fewer of a family grown in the bed last season
+ * 4. buildGardenPrompt lists families to rotate out of each bed
+ */
+
+import { test } from "node:test";
+import assert from "node:assert";
+import {
+  getRecentFamilies,
+  getRotationWeight,
+  recordSeason,
+} from "../../../../shared/rotation";
+import { PLANT_CATALOG } from "../../../../shared/plantCatalog";
+import { localProvider } from "../../../providers/localProvider";
+import { buildGardenPrompt } from "../../../providers/prompt";
+
+const PLANTS = PLANT_CATALOG.plants;
+
+const HISTORY = [
+  { season: "2023", beds: { bed1: ["Fabaceae"] } },
+  { season: "2024", beds: { bed1: ["Lamiaceae"], bed2: ["Solanaceae"] } },
+  { season: "2025", beds: { bed1: ["Solanaceae", "Lamiaceae"] } },
+];
+
+test("recordSeason - snapshots families per bed", () => {
+  const record = recordSeason(
+    "2025",
+    [
+      {
+        bedId: "bed1",
+        placements: [
+          { id: "1", veggieType: "Tomato", x: 12, y: 12, size: 24 },
+          { id: "2", veggieType: "Pepper", x: 36, y: 12, size: 18 },
+          { id: "3", veggieType: "Basil", x: 24, y: 30, size: 10 },
+        ],
+      },
+      { bedId: "bed2", placements: [] },
+    ],
+    PLANTS,
+  );
+
+  assert.strictEqual(record.season, "2025");
+  assert.deepStrictEqual(record.beds, {
+    bed1: ["Solanaceae", "Lamiaceae"],
+    bed2: [],
+  });
+});
+
+test("getRotationWeight - penalty fades over three seasons", () => {
+  assert.deepStrictEqual(
+    Array.from(getRecentFamilies(HISTORY, "bed1")),
+    [
+      ["Solanaceae", 1],
+      ["Lamiaceae", 1],
+      ["Fabaceae", 3],
+    ],
+  );
+  assert.strictEqual(getRotationWeight("Tomato", "bed1", HISTORY, PLANTS), 0.25);
+  assert.strictEqual(getRotationWeight("Tomato", "bed2", HISTORY, PLANTS), 0.5);
+  assert.strictEqual(getRotationWeight("Bean", "bed1", HISTORY, PLANTS), 0.75);
+  assert.strictEqual(getRotationWeight("Marigold", "bed1", HISTORY, PLANTS), 1);
+  assert.strictEqual(getRotationWeight("Tomato", "bed1", [], PLANTS), 1);
+});
+
+test("localProvider - rotates a family out of last season's bed", async () => {
+  const run = (rotationHistory) =>
+    localProvider.generateLayout({
+      beds: [{ id: "bed1", name: "Test", width: 48, height: 48, x: 0, y: 0 }],
+      seeds: [
+        { type: "Pepper", priority: 3, selectedVarieties: [] },
+        { type: "Marigold", priority: 3, selectedVarieties: [] },
+      ],
+      sunOrientation: "South",
+      rotationHistory,
+      config: { random_seed: 23, max_iterations: 200 },
+    });
+
+  const count = (layouts, type) =>
+    layouts[0].placements.filter((p) => p.veggieType === type).length;
+
+  const baseline = await run([]);
+  const rotated = await run([
+    { season: "2025", beds: { bed1: ["Solanaceae"] } },
+  ]);
+
+  assert.ok(
+    count(rotated, "Pepper") < count(baseline, "Pepper"),
+    `peppers ${count(rotated, "Pepper")} should be fewer than ${count(baseline, "Pepper")}`,
+  );
+});
+
+test("buildGardenPrompt - lists families to rotate out", () => {
+  const { prompt } = buildGardenPrompt({
+    beds: [
+      { id: "bed1", width: 48, height: 48, x: 0, y: 0 },
+      { id: "bed3", width: 48, height: 48, x: 0, y: 0 },
+    ],
+    seeds: [{ type: "Tomato", priority: 3, selectedVarieties: [] }],
+    sunOrientation: "South",
+    rotationHistory: HISTORY,
+  });
+
+  assert.match(prompt, /CROP ROTATION/);
+  assert.match(prompt, /"rotateOut"/);
+  assert.match(prompt, /"family":"Solanaceae"/);
+  assert.strictEqual(
+    prompt.match(/"rotateOut"/g).length,
+    1,
+    "only bed1 has history",
+  );
+});
@@ -0,0 +1,103 @@
+/**
+ * "Fill the gaps" optimize mode
+ *
+ * Tests:
+ * 1. HierarchicalCirclePacker.fill adds plants only into free space
+ * 2. localProvider fill mode keeps the existing layout and adds around it
+ * 3. layoutsToFixedPlacements leaves explicitly pinned plants to fixedPlacements
+ * 4. mergeFixedPlacements can restore existing plants without locking them
+ */
+
+import { test } from "node:test";
+import assert from "node:assert";
+import { HierarchicalCirclePacker } from "../../../packer/HierarchicalCirclePacker";
+import { localProvider } from "../../../providers/localProvider";
+import {
+  layoutsToFixedPlacements,
+  mergeFixedPlacements,
+} from "../../../routes/optimize";
+
+// Left half of a 48x48 bed already planted with tomatoes
+const EXISTING = [
+  { id: "1", veggieType: "Tomato", varietyName: "Better Boy", x: 12, y: 12, size: 18 },
+  { id: "2", veggieType: "Tomato", varietyName: "Better Boy", x: 12, y: 36, size: 18 },
+];
+
+test("HierarchicalCirclePacker.fill - only plants free space", () => {
+  const packer = new HierarchicalCirclePacker(48, 48, {
+    fixedCircles: EXISTING.map((p) => ({ ...p, radius: p.size / 2 })),
+    random_seed: 8,
+  });
+
+  const result = packer.fill([
+    {
+      type: "Basil",
+      plants: [{ id: "t", veggieType: "Basil", varietyName: "Genovese", radius: 5, priority: 3 }],
+    },
+  ]);
+
+  assert.ok(result.placements.length > 1, "fills more than one template's worth");
+  for (const circle of packer.circles) {
+    assert.ok(packer.isWithinBounds(circle.x, circle.y, circle.radius));
+    for (const existing of EXISTING) {
+      const distance = Math.hypot(circle.x - existing.x, circle.y - existing.y);
+      assert.ok(
+        distance >= circle.radius + existing.size / 2 - 0.1,
+        `${circle.id} overlaps existing plant ${existing.id}`,
+      );
+    }
+  }
+  assert.ok(
+    result.placements.every((p) => !["1", "2"].includes(p.id)),
+    "new ids do not collide with existing ids",
+  );
+});
+
+test("localProvider - fill mode keeps existing plants", async () => {
+  const layouts = await localProvider.generateLayout({
+    beds: [{ id: "bed1", name: "Test", width: 48, height: 48, x: 0, y: 0 }],
+    seeds: [{ type: "Basil", priority: 3, selectedVarieties: [] }],
+    sunOrientation: "South",
+    mode: "fill",
+    fixedPlacements: EXISTING.map((p) => ({ ...p, bedId: "bed1" })),
+    config: { random_seed: 11 },
+  });
+
+  const placements = layouts[0].placements;
+  for (const existing of EXISTING) {
+    const kept = placements.find((p) => p.id === existing.id);
+    assert.ok(kept, `existing plant ${existing.id} is returned`);
+    assert.strictEqual(kept.x, existing.x);
+    assert.strictEqual(kept.y, existing.y);
+  }
+  assert.ok(
+    placements.some((p) => p.veggieType === "Basil"),
+    "new plants are added into the gaps",
+  );
+});
+
+test("layoutsToFixedPlacements - skips plants already pinned", () => {
+  const existingLayouts = [{ bedId: "bed1", placements: EXISTING }];
+  const fixed = layoutsToFixedPlacements(existingLayouts, [
+    { ...EXISTING[0], bedId: "bed1" },
+  ]);
+
+  assert.deepStrictEqual(
+    fixed.map((p) => [p.bedId, p.id]),
+    [["bed1", "2"]],
+  );
+  assert.deepStrictEqual(layoutsToFixedPlacements(undefined), []);
+});
+
+test("mergeFixedPlacements - markLocked false keeps existing plants unlocked", () => {
+  const merged = mergeFixedPlacements(
+    [{ bedId: "bed1", placements: [{ ...EXISTING[0], x: 40, locked: true }] }],
+    EXISTING.map((p) => ({ ...p, bedId: "bed1" })),
+    { markLocked: false },
+  );
+
+  const placements = merged[0].placements;
+  assert.strictEqual(placements.length, 2);
+  assert.ok(placements.every((p) => p.locked === undefined));
+  assert.strictEqual(placements.find((p) => p.id === "1").x, 12);
+});
@@ -0,0 +1,126 @@
+/**
+ * Locked (pinned) plant placements
+ *
+ * Tests:
+ * 1. HierarchicalCirclePacker packs around fixed circles without moving them
+ * 2. localProvider returns locked plants untouched alongside new ones
+ * 3. mergeFixedPlacements restores locked plants over provider output
+ * 4. buildGardenPrompt tells LLM providers about locked plants
+ */
+
+import { test } from "node:test";
+import assert from "node:assert";
+import { HierarchicalCirclePacker } from "../../../packer/HierarchicalCirclePacker";
+import { localProvider } from "../../../providers/localProvider";
+import { buildGardenPrompt } from "../../../providers/prompt";
+import { mergeFixedPlacements } from "../../../routes/optimize";
+
+const RHUBARB = {
+  bedId: "bed1",
+  id: "rhubarb-1",
+  veggieType: "Rhubarb",
+  varietyName: "Victoria",
+  x: 12,
+  y: 12,
+  size: 20,
+  placementReasoning: "Planted in 2021",
+  spacingAnalysis: "Hand placed",
+  companionInsights: "Perennial",
+};
+
+test("HierarchicalCirclePacker - packs around fixed circles", () => {
+  const fixed = { id: "rhubarb-1", x: 12, y: 12, radius: 10, veggieType: "Rhubarb" };
+  const packer = new HierarchicalCirclePacker(48, 48, {
+    fixedCircles: [fixed],
+    random_seed: 21,
+    max_iterations: 200,
+  });
+
+  const result = packer.pack([
+    {
+      type: "Basil",
+      plants: Array.from({ length: 8 }, (_, i) => ({
+        id: String(i + 2),
+        veggieType: "Basil",
+        radius: 4,
+        priority: 3,
+      })),
+    },
+  ]);
+
+  assert.ok(result.placements.length > 0, "should place new plants");
+  assert.ok(
+    result.placements.every((p) => p.id !== "rhubarb-1"),
+    "fixed circles are not returned as packed placements",
+  );
+  for (const circle of packer.circles) {
+    const distance = Math.hypot(circle.x - fixed.x, circle.y - fixed.y);
+    assert.ok(
+      distance >= circle.radius + fixed.radius - 0.1,
+      `${circle.id} overlaps the locked plant (distance ${distance.toFixed(1)})`,
+    );
+  }
+  assert.strictEqual(result.stats.fixed, 1);
+});
+
+test("localProvider - locked plants are returned untouched", async () => {
+  const layouts = await localProvider.generateLayout({
+    beds: [{ id: "bed1", name: "Test", width: 48, height: 48, x: 0, y: 0 }],
+    seeds: [{ type: "Basil", priority: 3, selectedVarieties: [] }],
+    sunOrientation: "South",
+    fixedPlacements: [RHUBARB],
+    config: { random_seed: 5, max_iterations: 150 },
+  });
+
+  const placements = layouts[0].placements;
+  const { bedId: _bedId, ...expected } = RHUBARB;
+  assert.deepStrictEqual(placements[0], { ...expected, locked: true });
+  assert.ok(placements.length > 1, "new plants are added around the locked one");
+  assert.strictEqual(
+    placements.filter((p) => p.id === "rhubarb-1").length,
+    1,
+    "no new plant reuses the locked id",
+  );
+});
+
+test("mergeFixedPlacements - restores locked plants over provider output", () => {
+  const providerLayouts = [
+    {
+      bedId: "bed1",
+      placements: [
+        // Provider echoed the locked plant but moved it
+        { ...RHUBARB, bedId: undefined, x: 30, y: 30 },
+        { id: "n1", veggieType: "Basil", varietyName: "Genovese", x: 36, y: 36, size: 10 },
+      ],
+    },
+  ];
+
+  const merged = mergeFixedPlacements(providerLayouts, [
+    RHUBARB,
+    { bedId: "bed2", id: "sage-1", veggieType: "Sage", x: 10, y: 10, size: 18 },
+  ]);
+
+  const bed1 = merged.find((l) => l.bedId === "bed1");
+  assert.strictEqual(bed1.placements.length, 2);
+  assert.strictEqual(bed1.placements[0].x, 12, "locked plant keeps its position");
+  assert.strictEqual(bed1.placements[0].locked, true);
+  assert.strictEqual("bedId" in bed1.placements[0], false);
+
+  const bed2 = merged.find((l) => l.bedId === "bed2");
+  assert.ok(bed2, "beds without provider output still get their locked plants");
+  assert.strictEqual(bed2.placements[0].id, "sage-1");
+  assert.strictEqual(providerLayouts[0].placements.length, 2, "input is not mutated");
+});
+
+test("buildGardenPrompt - describes locked plants", () => {
+  const { prompt } = buildGardenPrompt({
+    beds: [{ id: "bed1", width: 48, height: 48, x: 0, y: 0 }],
+    seeds: [{ type: "Basil", priority: 3, selectedVarieties: [] }],
+    sunOrientation: "South",
+    fixedPlacements: [RHUBARB],
+  });
+
+  assert.match(prompt, /"lockedPlants"/);
+  assert.match(prompt, /rhubarb-1/);
+  assert.match(prompt, /LOCKED PLANTS/);
+});
@@ -0,0 +1,153 @@
+/**
+ * Repair pass for provider (LLM) layouts
+ *
+ * Tests:
+ * 1. HierarchicalCirclePacker.repair separates overlaps from their own positions
+ * 2. repairPlacements pulls plants off the bed edge and keep-out zones
+ * 3. repairPlacements leaves valid plants exactly where they were
+ * 4. repairLayouts avoids pinned plants and repairs succession phases separately
+ */
+
+import { test } from "node:test";
+import assert from "node:assert";
+import { HierarchicalCirclePacker } from "../../../packer/HierarchicalCirclePacker";
+import { ForceDirectedGardenPacker } from "../../../packer/ForceDirectedGardenPacker";
+import { repairLayouts } from "../../../routes/optimize";
+import { checkPlacementBounds } from "../../../../shared/layoutScore";
+
+const BED = { id: "bed1", width: 48, height: 48, x: 0, y: 0 };
+
+const plant = (id, veggieType, x, y, size, extra = {}) => ({
+  id,
+  veggieType,
+  varietyName: `Standard ${veggieType}`,
+  x,
+  y,
+  size,
+  placementReasoning: `${veggieType} reasoning`,
+  spacingAnalysis: "",
+  companionInsights: "",
+  ...extra,
+});
+
+function assertValid(bed, placements, fixed = []) {
+  for (const p of placements) {
+    assert.strictEqual(checkPlacementBounds(bed, p), null, `${p.id} in bounds`);
+  }
+  const all = [...placements, ...fixed];
+  for (let i = 0; i < all.length; i++) {
+    for (let j = i + 1; j < all.length; j++) {
+      const a = all[i];
+      const b = all[j];
+      const gap = Math.hypot(a.x - b.x, a.y - b.y) - a.size / 2 - b.size / 2;
+      assert.ok(gap > -0.2, `${a.id} and ${b.id} overlap by ${-gap}"`);
+    }
+  }
+}
+
+test("HierarchicalCirclePacker.repair - separates overlaps in place", () => {
+  const packer = new HierarchicalCirclePacker(48, 48);
+  const result = packer.repair([
+    { id: "a", veggieType: "Basil", x: 20, y: 24, radius: 5 },
+    { id: "b", veggieType: "Basil", x: 24, y: 24, radius: 5 },
+  ]);
+
+  const [a, b] = result.placements;
+  assert.strictEqual(result.placements.length, 2);
+  assert.ok(b.x - a.x >= 10, `centers ${b.x - a.x}" apart`);
+  assert.ok(
+    Math.abs(a.y - 24) < 1 && Math.abs(b.y - 24) < 1,
+    "pushed apart, not relocated",
+  );
+  assert.ok(a.x > 10 && b.x < 34, "stays near the original spot");
+  assert.strictEqual(result.stats.requested, 2);
+});
+
+test("repairPlacements - pulls plants back into the bed", () => {
+  const bed = {
+    ...BED,
+    obstacles: [
+      { id: "path", kind: "rect", x: 20, y: 0, width: 8, height: 48 },
+    ],
+  };
+  const placements = [
+    plant("1", "Tomato", 46, 10, 18), // off the right edge
+    plant("2", "Basil", 24, 30, 10), // on the path
+    plant("3", "Basil", 8, 40, 10),
+  ];
+
+  const result = new ForceDirectedGardenPacker(bed).repairPlacements(
+    placements,
+  );
+
+  assert.strictEqual(result.placements.length, 3);
+  assertValid(bed, result.placements);
+  assert.deepStrictEqual(result.moved.map((m) => m.id).sort(), ["1", "2"]);
+  const tomato = result.moved.find((m) => m.id === "1");
+  assert.deepStrictEqual(tomato.from, { x: 46, y: 10 });
+  assert.ok(tomato.to.x <= 39.1 && tomato.distance >= 6.9);
+  assert.strictEqual(result.removed.length, 0);
+  assert.strictEqual(
+    result.placements.find((p) => p.id === "2").placementReasoning,
+    "Basil reasoning",
+    "provider text survives",
+  );
+});
+
+test("repairPlacements - valid plants are untouched", () => {
+  const placements = [
+    plant("1", "Tomato", 12.345, 12.345, 18),
+    plant("2", "Basil", 36, 36, 10),
+  ];
+  const result = new ForceDirectedGardenPacker(BED).repairPlacements(
+    placements,
+  );
+
+  assert.deepStrictEqual(result.placements, placements);
+  assert.deepStrictEqual(result.moved, []);
+  assert.deepStrictEqual(result.removed, []);
+});
+
+test("repairLayouts - pinned plants and succession phases", () => {
+  const pinned = { bedId: "bed1", ...plant("p", "Tomato", 12, 12, 18) };
+  const layouts = [
+    {
+      bedId: "bed1",
+      placements: [
+        plant("1", "Basil", 16, 16, 10), // on top of the pinned tomato
+        plant("2", "Lettuce", 36, 36, 10, { sowDay: 0, harvestDay: 50 }),
+        plant("3", "Bean", 36, 36, 10, { sowDay: 60, harvestDay: 120 }),
+      ],
+    },
+    { bedId: "missing", placements: [plant("4", "Basil", 100, 100, 10)] },
+  ];
+
+  const { layouts: repaired, repairs } = repairLayouts(
+    layouts,
+    [BED],
+    [pinned],
+  );
+
+  const bed = repaired[0].placements;
+  assertValid(
+    BED,
+    bed.filter((p) => p.id === "1"),
+    [pinned],
+  );
+  assert.strictEqual(repairs.length, 1, "unknown beds are left alone");
+  assert.strictEqual(repairs[0].bedId, "bed1");
+  assert.deepStrictEqual(repairs[0].removed, []);
+  assert.deepStrictEqual(
+    repairs[0].moved.map((m) => m.id),
+    ["1"],
+    "lettuce and beans share space in different phases",
+  );
+  assert.deepStrictEqual(
+    bed.filter((p) => p.id !== "1").map((p) => [p.id, p.x, p.y]),
+    [
+      ["2", 36, 36],
+      ["3", 36, 36],
+    ],
+  );
+  assert.strictEqual(repaired[1], layouts[1]);
+});
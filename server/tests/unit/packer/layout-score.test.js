@@ -0,0 +1,148 @@
+/**
+ * Layout scoring
+ *
+ * Tests:
+ * 1. getCircleOverlapArea matches the disjoint, contained and lens cases
+ * 2. getPriorityRatioError compares type shares with seed priorities
+ * 3. scoreBed reports density, overlap, bounds and neighbour metrics
+ * 4. scoreLayouts totals beds and ranks a clean layout above a messy one
+ */
+
+import { test } from "node:test";
+import assert from "node:assert";
+import { getCircleOverlapArea } from "../../../../shared/bedGeometry";
+import {
+  getPriorityRatioError,
+  scoreBed,
+  scoreLayouts,
+} from "../../../../shared/layoutScore";
+import { PLANT_CATALOG } from "../../../../shared/plantCatalog";
+
+const PLANTS = {
+  ...PLANT_CATALOG.plants,
+  Bean: { ...PLANT_CATALOG.plants.Bean, antagonists: ["Basil"] },
+};
+const BED = {
+  id: "bed1",
+  width: 48,
+  height: 48,
+  x: 0,
+  y: 0,
+  obstacles: [{ id: "rock", kind: "rect", x: 0, y: 36, width: 12, height: 12 }],
+};
+
+test("getCircleOverlapArea - disjoint, contained and lens", () => {
+  assert.strictEqual(getCircleOverlapArea(5, 5, 10), 0);
+  assert.strictEqual(getCircleOverlapArea(5, 5, 12), 0);
+  assert.strictEqual(getCircleOverlapArea(10, 2, 3), Math.PI * 4);
+  assert.ok(Math.abs(getCircleOverlapArea(5, 5, 0) - Math.PI * 25) < 1e-9);
+
+  // Two unit circles one radius apart share 2π/3 - √3/2
+  const lens = getCircleOverlapArea(1, 1, 1);
+  assert.ok(Math.abs(lens - ((2 * Math.PI) / 3 - Math.sqrt(3) / 2)) < 1e-9);
+});
+
+test("getPriorityRatioError - type shares vs seed priorities", () => {
+  const seeds = [
+    { type: "Tomato", priority: 3, selectedVarieties: [] },
+    { type: "Basil", priority: 1, selectedVarieties: [] },
+  ];
+  const plant = (veggieType) => ({ veggieType });
+
+  assert.strictEqual(
+    getPriorityRatioError(
+      [plant("Tomato"), plant("Tomato"), plant("Tomato"), plant("Basil")],
+      seeds,
+    ),
+    0,
+  );
+  assert.strictEqual(
+    getPriorityRatioError([plant("Tomato"), plant("Basil")], seeds),
+    0.25,
+  );
+  assert.strictEqual(getPriorityRatioError([plant("Lettuce")], seeds), 1);
+  assert.strictEqual(getPriorityRatioError([], seeds), 0);
+});
+
+test("scoreBed - density, overlap, bounds and neighbours", () => {
+  const placements = [
+    { id: "1", veggieType: "Tomato", x: 12, y: 12, size: 12 },
+    { id: "2", veggieType: "Basil", x: 12, y: 24, size: 12 }, // touches 1
+    { id: "3", veggieType: "Bean", x: 22, y: 24, size: 12 }, // overlaps 2
+    { id: "4", veggieType: "Lettuce", x: 46, y: 12, size: 12 }, // off the edge
+    { id: "5", veggieType: "Lettuce", x: 6, y: 42, size: 6 }, // on the rock
+  ];
+  const score = scoreBed(BED, placements, {
+    plants: PLANTS,
+    sunOrientation: "South",
+  });
+
+  assert.strictEqual(score.bedId, "bed1");
+  assert.strictEqual(score.plantCount, 5);
+  const canopy = Math.PI * (4 * 36 + 9);
+  assert.strictEqual(score.density, Math.round((canopy / 2160) * 1000) / 1000);
+  assert.strictEqual(
+    score.overlapArea,
+    Math.round(getCircleOverlapArea(6, 6, 10) * 10) / 10,
+  );
+  assert.deepStrictEqual(
+    score.boundsViolations.map((v) => [v.plantId, v.reason, v.obstacle]),
+    [
+      ["4", "outside", undefined],
+      ["5", "obstacle", "rock"],
+    ],
+  );
+  assert.strictEqual(score.companionPairs, 1, "tomato and basil");
+  assert.strictEqual(score.antagonistPairs, 1, "basil and bean");
+  assert.strictEqual(score.priorityRatioError, null, "no seeds given");
+  assert.ok(score.score >= 0 && score.score <= 100);
+});
+
+test("scoreLayouts - totals and ranking", () => {
+  const seeds = [
+    { type: "Tomato", priority: 1, selectedVarieties: [] },
+    { type: "Basil", priority: 1, selectedVarieties: [] },
+  ];
+  const clean = [
+    {
+      bedId: "bed1",
+      placements: [
+        { id: "1", veggieType: "Tomato", x: 12, y: 12, size: 18 },
+        { id: "2", veggieType: "Basil", x: 30, y: 12, size: 12 },
+        { id: "3", veggieType: "Tomato", x: 30, y: 32, size: 18 },
+        { id: "4", veggieType: "Basil", x: 12, y: 28, size: 12 },
+      ],
+    },
+  ];
+  const messy = [
+    {
+      bedId: "bed1",
+      placements: [
+        { id: "1", veggieType: "Tomato", x: 12, y: 12, size: 18 },
+        { id: "2", veggieType: "Tomato", x: 16, y: 14, size: 18 },
+        { id: "3", veggieType: "Tomato", x: 50, y: 30, size: 18 },
+      ],
+    },
+  ];
+  const beds = [BED, { id: "bed2", width: 24, height: 24, x: 60, y: 0 }];
+  const options = { plants: PLANTS, seeds, sunOrientation: "South" };
+
+  const good = scoreLayouts(beds, clean, options);
+  const bad = scoreLayouts(beds, messy, options);
+
+  assert.strictEqual(good.beds.length, 2);
+  assert.strictEqual(good.beds[1].plantCount, 0, "bed without a layout");
+  assert.strictEqual(good.totals.plantCount, 4);
+  assert.strictEqual(good.totals.overlapArea, 0);
+  assert.strictEqual(good.totals.boundsViolations, 0);
+  assert.strictEqual(good.totals.priorityRatioError, 0);
+  assert.ok(good.totals.companionPairs >= 2);
+
+  assert.ok(bad.totals.overlapArea > 0);
+  assert.strictEqual(bad.totals.boundsViolations, 1);
+  assert.strictEqual(bad.totals.priorityRatioError, 0.5);
+  assert.ok(
+    good.totals.score > bad.totals.score,
+    `clean ${good.totals.score} vs messy ${bad.totals.score}`,
+  );
+});
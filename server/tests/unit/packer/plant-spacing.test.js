@@ -0,0 +1,139 @@
+/**
+ * Spacing checks for hand-placed plants
+ *
+ * Tests:
+ * 1. checkPlantPlacement flags neighbours closer than radii + min_spacing
+ * 2. checkPlantPlacement reports plants outside the bed or on a keep-out zone
+ * 3. A packed layout passes the same check plant by plant
+ */
+
+import { test } from "node:test";
+import assert from "node:assert";
+import { checkPlantPlacement } from "../../../../shared/plantSpacing";
+import { PACKER_DEFAULTS } from "../../../../shared/packerConfig";
+import { HierarchicalCirclePacker } from "../../../packer/HierarchicalCirclePacker";
+
+const BED = {
+  id: "bed1",
+  width: 48,
+  height: 48,
+  x: 0,
+  y: 0,
+  obstacles: [
+    {
+      id: "rock",
+      label: "Rock",
+      kind: "rect",
+      x: 0,
+      y: 36,
+      width: 12,
+      height: 12,
+    },
+  ],
+};
+
+const plant = (id, x, y, size = 12, veggieType = "Basil") => ({
+  id,
+  veggieType,
+  x,
+  y,
+  size,
+});
+
+test("checkPlantPlacement - crowding uses radii plus the packer's spacing", () => {
+  const tomato = plant("1", 12, 12, 12, "Tomato");
+  const clearGap = 12 + PACKER_DEFAULTS.min_spacing;
+
+  const clear = checkPlantPlacement(
+    BED,
+    [tomato],
+    plant("2", 12 + clearGap, 12),
+  );
+  assert.strictEqual(clear.ok, true);
+  assert.deepStrictEqual(clear.crowding, []);
+
+  const close = checkPlantPlacement(BED, [tomato], plant("2", 24, 12));
+  assert.strictEqual(close.ok, false);
+  assert.strictEqual(close.bounds, null);
+  assert.deepStrictEqual(
+    close.crowding.map(({ plantId, veggieType, minDistance }) => ({
+      plantId,
+      veggieType,
+      minDistance,
+    })),
+    [{ plantId: "1", veggieType: "Tomato", minDistance: clearGap }],
+  );
+
+  // A plant being moved is not crowded by where it used to be
+  assert.strictEqual(
+    checkPlantPlacement(BED, [tomato], { ...tomato, x: 13 }).ok,
+    true,
+  );
+  // ...but a new plant without an id is
+  assert.strictEqual(
+    checkPlantPlacement(BED, [tomato], { x: 13, y: 12, size: 12 }).ok,
+    false,
+  );
+  // Custom spacing widens the gap
+  assert.strictEqual(
+    checkPlantPlacement(BED, [tomato], plant("2", 12 + clearGap, 12), 4).ok,
+    false,
+  );
+});
+
+test("checkPlantPlacement - outside the bed and on keep-out zones", () => {
+  const outside = checkPlantPlacement(BED, [], plant("1", 3, 24));
+  assert.deepStrictEqual(outside.bounds, { reason: "outside" });
+  assert.strictEqual(outside.ok, false);
+
+  const onRock = checkPlantPlacement(BED, [], plant("1", 8, 40, 6));
+  assert.deepStrictEqual(onRock.bounds, {
+    reason: "obstacle",
+    obstacle: "Rock",
+  });
+
+  const circleBed = { ...BED, shape: "circle", obstacles: [] };
+  assert.strictEqual(
+    checkPlantPlacement(circleBed, [], plant("1", 7, 7)).bounds?.reason,
+    "outside",
+  );
+  assert.strictEqual(
+    checkPlantPlacement(circleBed, [], plant("1", 24, 24)).ok,
+    true,
+  );
+});
+
+test("checkPlantPlacement - packed plants pass the same rules", () => {
+  // Packed with the spacing the local provider uses
+  const packer = new HierarchicalCirclePacker(48, 48, {
+    random_seed: 8,
+    min_spacing: PACKER_DEFAULTS.min_spacing,
+  });
+  const group = (type, count, radius) => ({
+    type,
+    plants: Array.from({ length: count }, (_, i) => ({
+      id: `${type}-${i}`,
+      veggieType: type,
+      varietyName: type,
+      radius,
+      priority: 1,
+    })),
+    companions: [],
+    antagonists: [],
+  });
+  const { placements } = packer.pack([
+    group("Basil", 4, 4),
+    group("Lettuce", 3, 5),
+  ]);
+
+  assert.ok(placements.length > 0);
+  assert.deepStrictEqual(packer.validatePlacements().collisions, []);
+  for (const placement of placements) {
+    const check = checkPlantPlacement(
+      { ...BED, obstacles: [] },
+      placements,
+      placement,
+    );
+    assert.strictEqual(check.ok, true, `${placement.id} fits`);
+  }
+});
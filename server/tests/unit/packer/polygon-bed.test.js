@@ -0,0 +1,114 @@
+/**
+ * Polygon bed support
+ *
+ * Tests:
+ * 1. Shared geometry helpers (point-in-polygon, area, containment)
+ * 2. HierarchicalCirclePacker keeps plants inside an L-shaped outline
+ * 3. Clamping pulls plants out of the L-shape's missing corner
+ * 4. ForceDirectedGardenPacker passes polygon vertices through from the bed
+ * 5. Polygon shape without vertices falls back to the bounding rectangle
+ */
+
+import { test } from "node:test";
+import assert from "node:assert";
+import { HierarchicalCirclePacker } from "../../../packer/HierarchicalCirclePacker";
+import { ForceDirectedGardenPacker } from "../../../packer/ForceDirectedGardenPacker";
+import {
+  createPolygonPreset,
+  getBedArea,
+  isCircleInsideBed,
+  isPointInPolygon,
+  polygonArea,
+} from "../../../../shared/bedGeometry";
+
+// 48" x 48" bounding box with the top-right quadrant removed
+const L_SHAPE = [
+  { x: 0, y: 0 },
+  { x: 24, y: 0 },
+  { x: 24, y: 24 },
+  { x: 48, y: 24 },
+  { x: 48, y: 48 },
+  { x: 0, y: 48 },
+];
+
+const makeGroup = (type, count, radius) => ({
+  type,
+  plants: Array.from({ length: count }, (_, i) => ({
+    id: `${type}_${i}`,
+    veggieType: type,
+    varietyName: type,
+    radius,
+    priority: 3,
+  })),
+  companions: [],
+  antagonists: [],
+});
+
+test("bedGeometry - polygon helpers", () => {
+  assert.strictEqual(polygonArea(L_SHAPE), 48 * 48 - 24 * 24);
+  assert.ok(isPointInPolygon(12, 12, L_SHAPE));
+  assert.ok(!isPointInPolygon(36, 12, L_SHAPE), "missing corner is outside");
+
+  const bed = { id: "l", width: 48, height: 48, x: 0, y: 0, shape: "polygon", vertices: L_SHAPE };
+  assert.strictEqual(getBedArea(bed), 1728);
+  assert.ok(isCircleInsideBed(bed, 12, 36, 6));
+  assert.ok(!isCircleInsideBed(bed, 20, 20, 6), "circle crossing the inner corner is rejected");
+  assert.ok(!isCircleInsideBed(bed, 36, 12, 2));
+
+  const preset = createPolygonPreset("l-shape", 48, 48);
+  assert.deepStrictEqual(preset, L_SHAPE);
+});
+
+test("HierarchicalCirclePacker - plants stay inside L-shaped polygon", () => {
+  const packer = new HierarchicalCirclePacker(48, 48, {
+    shape: "polygon",
+    vertices: L_SHAPE,
+    random_seed: 4242,
+    max_iterations: 200,
+  });
+
+  const result = packer.pack([
+    makeGroup("Tomato", 3, 6),
+    makeGroup("Basil", 6, 3),
+  ]);
+
+  assert.ok(result.placements.length > 0, "should place some plants");
+  for (const circle of packer.circles) {
+    assert.ok(
+      packer.isCircleInsideBed(circle.x, circle.y, circle.radius),
+      `${circle.id} at (${circle.x.toFixed(1)}, ${circle.y.toFixed(1)}) is outside the outline`,
+    );
+  }
+  assert.strictEqual(result.violations.bounds.length, 0);
+  assert.strictEqual(result.stats.totalArea, "1728.0");
+});
+
+test("HierarchicalCirclePacker - clamp moves plants out of the missing corner", () => {
+  const packer = new HierarchicalCirclePacker(48, 48, {
+    shape: "polygon",
+    vertices: L_SHAPE,
+    random_seed: 1,
+  });
+
+  for (const [x, y] of [[40, 8], [30, 20], [60, -10]]) {
+    const clamped = packer.clampPositionToBed(x, y, 4);
+    assert.ok(
+      packer.isCircleInsideBed(clamped.x, clamped.y, 4),
+      `clamp of (${x}, ${y}) landed at (${clamped.x.toFixed(1)}, ${clamped.y.toFixed(1)})`,
+    );
+  }
+});
+
+test("ForceDirectedGardenPacker - polygon bed vertices reach the packer", () => {
+  const bed = { id: "l", width: 48, height: 48, x: 0, y: 0, shape: "polygon", vertices: L_SHAPE };
+  const packer = new ForceDirectedGardenPacker(bed, { random_seed: 7 });
+
+  assert.strictEqual(packer.packer.shape, "polygon");
+  assert.deepStrictEqual(packer.packer.vertices, L_SHAPE);
+});
+
+test("HierarchicalCirclePacker - polygon without vertices falls back to rectangle", () => {
+  const packer = new HierarchicalCirclePacker(48, 48, { shape: "polygon" });
+  assert.strictEqual(packer.shape, "rectangle");
+  assert.ok(packer.isCircleInsideBed(40, 8, 4));
+});
@@ -0,0 +1,156 @@
+/**
+ * Succession planting phases
+ *
+ * Tests:
+ * 1. Planting windows for transplanted and direct-sown crops
+ * 2. planSuccession groups seeds into phases by planting day
+ * 3. localProvider reuses harvested space in later phases
+ * 4. withPhases derives phases for provider placements without phase ids
+ * 5. Prompt and schema ask LLM providers for succession fields
+ */
+
+import { test } from "node:test";
+import assert from "node:assert";
+import {
+  getPlantingWindow,
+  isInGroundOnDay,
+  planSuccession,
+  withPhases,
+  SEASON_LENGTH_DAYS,
+} from "../../../../shared/succession";
+import { PLANT_CATALOG } from "../../../../shared/plantCatalog";
+import { localProvider } from "../../../providers/localProvider";
+import { buildGardenPrompt } from "../../../providers/prompt";
+import { buildOpenAISchema } from "../../../providers/bedSchema";
+
+const PLANTS = PLANT_CATALOG.plants;
+
+test("getPlantingWindow - transplanted and direct-sown crops", () => {
+  assert.deepStrictEqual(getPlantingWindow(14, PLANTS.Tomato), {
+    sowDay: -28,
+    transplantDay: 14,
+    harvestDay: 89,
+  });
+  assert.deepStrictEqual(getPlantingWindow(0, PLANTS.Lettuce), {
+    sowDay: 0,
+    harvestDay: 45,
+  });
+  assert.strictEqual(
+    getPlantingWindow(0, PLANTS.Lettuce, { daysToMaturity: 55 }).harvestDay,
+    55,
+    "variety days to maturity override the catalog",
+  );
+
+  const lettuce = getPlantingWindow(0, PLANTS.Lettuce);
+  assert.ok(isInGroundOnDay(lettuce, 44));
+  assert.ok(!isInGroundOnDay(lettuce, 45), "space is free on harvest day");
+  assert.ok(isInGroundOnDay({}, SEASON_LENGTH_DAYS), "no window holds all season");
+});
+
+test("planSuccession - groups seeds by planting day", () => {
+  const groups = planSuccession(
+    [
+      { type: "Bean", priority: 3, selectedVarieties: [], plantingDay: 50 },
+      { type: "Lettuce", priority: 3, selectedVarieties: [], plantingDay: 0 },
+      { type: "Marigold", priority: 2, selectedVarieties: [] },
+    ],
+    PLANTS,
+  );
+
+  assert.deepStrictEqual(
+    groups.map(({ phase, seeds }) => [
+      phase.id,
+      phase.startDay,
+      phase.endDay,
+      seeds.map((s) => s.type),
+    ]),
+    [
+      ["phase-1", 0, SEASON_LENGTH_DAYS, ["Lettuce", "Marigold"]],
+      ["phase-2", 50, 105, ["Bean"]],
+    ],
+  );
+});
+
+test("localProvider - later phases reuse harvested space", async () => {
+  const layouts = await localProvider.generateLayout({
+    beds: [{ id: "bed1", name: "Test", width: 36, height: 36, x: 0, y: 0 }],
+    seeds: [
+      { type: "Lettuce", priority: 3, selectedVarieties: [], plantingDay: 0 },
+      { type: "Bean", priority: 3, selectedVarieties: [], plantingDay: 50 },
+    ],
+    sunOrientation: "South",
+    config: { random_seed: 17, max_iterations: 200 },
+  });
+
+  const { placements, phases } = layouts[0];
+  assert.deepStrictEqual(
+    phases.map((phase) => [phase.id, phase.startDay]),
+    [
+      ["phase-1", 0],
+      ["phase-2", 50],
+    ],
+  );
+
+  const lettuce = placements.filter((p) => p.veggieType === "Lettuce");
+  const beans = placements.filter((p) => p.veggieType === "Bean");
+  assert.ok(lettuce.length > 0 && beans.length > 0);
+  assert.ok(lettuce.every((p) => p.phaseId === "phase-1" && p.harvestDay === 45));
+  assert.ok(beans.every((p) => p.phaseId === "phase-2" && p.sowDay === 50));
+  assert.strictEqual(
+    new Set(placements.map((p) => p.id)).size,
+    placements.length,
+    "ids are unique across phases",
+  );
+
+  // Beans fill the whole bed again once the lettuce is harvested
+  const area = (plants) =>
+    plants.reduce((sum, p) => sum + Math.PI * (p.size / 2) ** 2, 0);
+  assert.ok(
+    area(beans) > 36 * 36 * 0.3,
+    `beans cover ${area(beans).toFixed(0)} sq in`,
+  );
+});
+
+test("withPhases - derives phases from provider windows", () => {
+  const layout = withPhases({
+    bedId: "bed1",
+    placements: [
+      { id: "1", veggieType: "Lettuce", x: 6, y: 6, size: 8, sowDay: 0, harvestDay: 45 },
+      { id: "2", veggieType: "Bean", x: 6, y: 6, size: 6, sowDay: 50, harvestDay: 105 },
+      { id: "3", veggieType: "Tomato", x: 24, y: 24, size: 24 },
+    ],
+  });
+
+  assert.deepStrictEqual(
+    layout.phases.map((p) => [p.id, p.label, p.startDay, p.endDay]),
+    [
+      ["day-0", "Lettuce", 0, 45],
+      ["day-50", "Bean", 50, 105],
+    ],
+  );
+  assert.strictEqual(layout.placements[1].phaseId, "day-50");
+  assert.strictEqual(layout.placements[2].phaseId, undefined);
+
+  const plain = { bedId: "bed2", placements: [layout.placements[2]] };
+  assert.strictEqual(withPhases(plain), plain, "layouts without windows are unchanged");
+});
+
+test("buildGardenPrompt - succession phases reach LLM providers", () => {
+  const { prompt } = buildGardenPrompt({
+    beds: [{ id: "bed1", width: 48, height: 48, x: 0, y: 0 }],
+    seeds: [
+      { type: "Lettuce", priority: 3, selectedVarieties: [], plantingDay: 0 },
+      { type: "Bean", priority: 3, selectedVarieties: [], plantingDay: 50 },
+    ],
+    sunOrientation: "South",
+  });
+
+  assert.match(prompt, /SUCCESSION PHASES/);
+  assert.match(prompt, /"harvestDay": 105/);
+  assert.match(prompt, /"phaseId": "phase-2"/);
+
+  const requiredFields = (schema) =>
+    schema.properties.layouts.items.properties.placements.items.required;
+  assert.ok(requiredFields(buildOpenAISchema({ succession: true })).includes("harvestDay"));
+  assert.ok(!requiredFields(buildOpenAISchema()).includes("harvestDay"));
+});
@@ -0,0 +1,164 @@
+/**
+ * Sun and shade model
+ *
+ * Tests:
+ * 1. Solar position at noon on the equinox
+ * 2. Sun path length and rotation by the garden's sun orientation
+ * 3. Sun grid is shaded on the far side of a tall plant
+ * 4. findShadeConflicts flags sun-lovers in a taller plant's shadow
+ * 5. Packer keeps sun-loving clusters out of taller clusters' shade
+ * 6. buildGardenPrompt describes shadows instead of a fixed tall-plant edge
+ */
+
+import { test } from "node:test";
+import assert from "node:assert";
+import {
+  computeSunGrid,
+  findShadeConflicts,
+  getDaylightHours,
+  getSolarPosition,
+  getSunPath,
+} from "../../../../shared/sunShade";
+import { PLANT_CATALOG } from "../../../../shared/plantCatalog";
+import { ForceDirectedGardenPacker } from "../../../packer/ForceDirectedGardenPacker";
+import { buildGardenPrompt } from "../../../providers/prompt";
+
+const PLANTS = PLANT_CATALOG.plants;
+const AUTUMN = { latitude: 50, date: "2025-09-22" };
+
+test("getSolarPosition - noon sun on the equinox", () => {
+  const { elevation, azimuth } = getSolarPosition(40, 80, 12);
+  assert.ok(Math.abs(elevation - 50) < 1, `elevation ${elevation}`);
+  assert.strictEqual(azimuth, 180);
+
+  const south = getSolarPosition(-35, 80, 12);
+  assert.strictEqual(south.azimuth, 0, "southern hemisphere sun is north");
+});
+
+test("getSunPath - daylight and garden rotation", () => {
+  const summer = getSunPath({ latitude: 40, date: "2025-06-21" }, "South");
+  const winter = getSunPath({ latitude: 40, date: "2025-12-21" }, "South");
+  assert.strictEqual(getDaylightHours(summer), 15);
+  assert.ok(getDaylightHours(winter) < 10);
+
+  const noon = (path) =>
+    path.reduce((best, s) => (s.elevation > best.elevation ? s : best));
+  assert.ok(Math.abs(noon(summer).bearing - 180) < 10);
+  assert.ok(Math.abs(noon(getSunPath({}, "East")).bearing - 90) < 10);
+  assert.ok(
+    Math.abs(noon(getSunPath({ azimuth: 300 }, "East")).bearing - 300) < 10,
+  );
+});
+
+test("computeSunGrid - shade falls on the far side of a tall plant", () => {
+  const bed = { id: "bed1", width: 48, height: 96, x: 0, y: 0 };
+  const grid = computeSunGrid(
+    bed,
+    [{ id: "1", veggieType: "Tomato", x: 24, y: 48, size: 24 }],
+    PLANTS,
+    AUTUMN,
+    "South",
+    6,
+  );
+
+  assert.strictEqual(grid.columns, 8);
+  assert.strictEqual(grid.rows, 16);
+  const north = grid.hours[4][4]; // 15" north of the tomato's canopy
+  const south = grid.hours[11][4]; // 15" south of it
+  assert.strictEqual(south, grid.daylightHours, "sun side is never shaded");
+  assert.ok(north < south - 3, `north ${north}h vs south ${south}h`);
+
+  const round = computeSunGrid(
+    { ...bed, shape: "circle", height: 48 },
+    [],
+    PLANTS,
+    AUTUMN,
+    "South",
+    6,
+  );
+  assert.strictEqual(
+    round.hours[0][0],
+    null,
+    "corners are outside a round bed",
+  );
+});
+
+test("findShadeConflicts - sun-lovers in a taller plant's shadow", () => {
+  const placements = [
+    { id: "1", veggieType: "Tomato", x: 24, y: 48, size: 24 },
+    { id: "2", veggieType: "Basil", x: 24, y: 34, size: 10 },
+    { id: "3", veggieType: "Basil", x: 24, y: 66, size: 10 },
+    { id: "4", veggieType: "Basil", x: 24, y: 34, size: 10, height: 80 },
+  ];
+
+  const conflicts = findShadeConflicts(
+    placements.slice(0, 3),
+    PLANTS,
+    AUTUMN,
+    "South",
+  );
+  assert.deepStrictEqual(
+    conflicts.map((c) => [c.id, c.needed]),
+    [["2", 6]],
+  );
+  assert.ok(conflicts[0].sunHours < 6);
+
+  assert.deepStrictEqual(
+    findShadeConflicts([placements[0], placements[3]], PLANTS, AUTUMN, "South"),
+    [],
+    "a placement's own height overrides the catalog",
+  );
+});
+
+test("ForceDirectedGardenPacker - sun-lovers avoid taller plants' shade", () => {
+  const pack = (seed, sun_strength, shade_penalty) =>
+    new ForceDirectedGardenPacker(
+      { id: "bed1", width: 48, height: 72, x: 0, y: 0 },
+      {
+        sunOrientation: "South",
+        sun: AUTUMN,
+        random_seed: seed,
+        max_iterations: 200,
+        sun_strength,
+        shade_penalty,
+      },
+    ).packPlants([
+      { veggieType: "Tomato", size: 24, count: 3, priority: 3 },
+      { veggieType: "Basil", size: 10, count: 12, priority: 3 },
+    ]);
+
+  let shaded = 0;
+  let unshaded = 0;
+  for (const seed of [2, 3, 5]) {
+    const result = pack(seed);
+    const [tomato, basil] = result.clusters;
+    assert.ok(
+      tomato.y < basil.y,
+      `seed ${seed}: tomatoes (y ${tomato.y}) should sit north of basil (y ${basil.y})`,
+    );
+    shaded += result.stats.shadeConflicts;
+    unshaded += pack(seed, 0, 0).stats.shadeConflicts;
+  }
+  assert.ok(
+    shaded < unshaded,
+    `${shaded} conflicts vs ${unshaded} without sun`,
+  );
+});
+
+test("buildGardenPrompt - shade comes from the sun path", () => {
+  const { prompt } = buildGardenPrompt({
+    beds: [{ id: "bed1", width: 48, height: 48, x: 0, y: 0 }],
+    seeds: [{ type: "Tomato", priority: 3, selectedVarieties: [] }],
+    sunOrientation: "South",
+    sun: AUTUMN,
+  });
+
+  assert.match(prompt, /SHADE MANAGEMENT: On 2025-09-22 at latitude 50°/);
+  assert.match(prompt, /midday sun comes from the South side/);
+  assert.match(prompt, /shadows point North/);
+  assert.match(
+    prompt,
+    /"type":"Tomato","family":"Solanaceae","height":72,"sunHours":8/,
+  );
+  assert.doesNotMatch(prompt, /on the North edge/);
+});
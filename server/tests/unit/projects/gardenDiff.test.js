@@ -0,0 +1,135 @@
+/**
+ * Garden revision diffs
+ *
+ * Tests:
+ * 1. Beds added, removed, moved and resized
+ * 2. Plants added and removed per bed, including moves between beds
+ * 3. Identical gardens are unchanged
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { countPlants, diffGardens } from "../../../../shared/gardenDiff";
+
+const bed = (id, overrides = {}) => ({
+  id,
+  name: `Bed ${id}`,
+  width: 48,
+  height: 96,
+  x: 0,
+  y: 0,
+  ...overrides,
+});
+
+const plant = (id, veggieType) => ({ id, veggieType, x: 10, y: 10, size: 12 });
+
+test("diffGardens - bed changes", () => {
+  const before = {
+    beds: [bed("a"), bed("b"), bed("c", { x: 100 })],
+    layouts: [],
+  };
+  const after = {
+    beds: [
+      bed("a", { x: 24, y: 12 }),
+      bed("c", { x: 100, width: 36 }),
+      bed("d"),
+    ],
+    layouts: [],
+  };
+
+  const diff = diffGardens(before, after);
+  assert.deepEqual(
+    diff.bedsAdded.map((entry) => entry.id),
+    ["d"],
+  );
+  assert.deepEqual(
+    diff.bedsRemoved.map((entry) => entry.id),
+    ["b"],
+  );
+  assert.deepEqual(diff.bedsMoved, [
+    {
+      bedId: "a",
+      name: "Bed a",
+      from: { x: 0, y: 0, width: 48, height: 96 },
+      to: { x: 24, y: 12, width: 48, height: 96 },
+    },
+  ]);
+  assert.deepEqual(
+    diff.bedsResized.map(({ bedId, from, to }) => [
+      bedId,
+      from.width,
+      to.width,
+    ]),
+    [["c", 48, 36]],
+  );
+  assert.deepEqual(diff.plants, []);
+  assert.equal(diff.unchanged, false);
+});
+
+test("diffGardens - plants per bed", () => {
+  const beds = [bed("a"), bed("b")];
+  const before = {
+    beds,
+    layouts: [
+      {
+        bedId: "a",
+        placements: [plant("t1", "Tomato"), plant("b1", "Basil")],
+      },
+      { bedId: "b", placements: [plant("c1", "Carrot")] },
+    ],
+  };
+  const after = {
+    beds,
+    layouts: [
+      {
+        bedId: "a",
+        placements: [
+          plant("t1", "Tomato"),
+          plant("t2", "Tomato"),
+          plant("t3", "Tomato"),
+        ],
+      },
+      {
+        bedId: "b",
+        placements: [plant("c1", "Carrot"), plant("b1", "Basil")],
+      },
+    ],
+  };
+
+  const diff = diffGardens(before, after);
+  assert.deepEqual(
+    diff.plants.map(({ bedId, added, removed }) => [
+      bedId,
+      countPlants(added),
+      countPlants(removed),
+    ]),
+    [
+      ["a", "2 Tomato", "1 Basil"],
+      ["b", "1 Basil", ""],
+    ],
+  );
+
+  // A bed removed with its plants lists them as removed
+  const cleared = diffGardens(before, { beds: [bed("a")], layouts: [] });
+  assert.deepEqual(
+    cleared.plants.map(({ bedId, name, removed }) => [
+      bedId,
+      name,
+      removed.length,
+    ]),
+    [
+      ["a", "Bed a", 2],
+      ["b", "Bed b", 1],
+    ],
+  );
+});
+
+test("diffGardens - identical gardens", () => {
+  const garden = {
+    beds: [bed("a")],
+    layouts: [{ bedId: "a", placements: [plant("t1", "Tomato")] }],
+  };
+  const diff = diffGardens(garden, structuredClone(garden));
+  assert.equal(diff.unchanged, true);
+  assert.equal(countPlants([]), "");
+});
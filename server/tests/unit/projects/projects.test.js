@@ -0,0 +1,452 @@
+/**
+ * Garden project persistence (/api/projects)
+ *
+ * Tests:
+ * 1. Create, list, load, replace and delete a project over HTTP
+ * 2. A save with a stale version is rejected with 409 and the current project
+ * 3. Invalid bodies and ids are rejected
+ * 4. Projects are only visible to the session that saved them
+ * 5. Revisions are immutable snapshots that can be listed, read and restored
+ * 6. File and SQLite stores keep projects and revisions across reopening
+ *    (SQLite only where node:sqlite exists; elsewhere it names the Node.js version)
+ * 7. Every store keeps only the newest MAX_PROJECT_REVISIONS revisions
+ * 8. Sessions are limited in projects (409) and revisions a minute (429)
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import express from "express";
+import { sessionMiddleware } from "../../../middleware/session";
+import { createApiRoutes } from "../../../routes/api";
+import { MemoryTokenStore } from "../../../oauth/tokenStore";
+import {
+  createProjectStore,
+  FileProjectStore,
+  MAX_PROJECT_REVISIONS,
+  MemoryProjectStore,
+  SqliteProjectStore,
+} from "../../../projectRepo";
+import {
+  MAX_PROJECTS_PER_SESSION,
+  MAX_REVISIONS_PER_MINUTE,
+} from "../../../routes/projects";
+import { getNodeSqlite } from "../../../utils/nodeSqlite";
+
+const ALICE = "alice-session-token-0001";
+const BOB = "bob-session-token-00000002";
+
+const GARDEN = {
+  name: "Back yard",
+  beds: [{ id: "bed1", name: "Bed 1", width: 48, height: 96, x: 0, y: 0 }],
+  seeds: [{ type: "Tomato", priority: 3, selectedVarieties: [] }],
+  layouts: [
+    {
+      bedId: "bed1",
+      placements: [{ id: "p1", veggieType: "Tomato", x: 12, y: 12, size: 18 }],
+    },
+  ],
+  sunOrientation: "South",
+  sun: { latitude: 45, date: "2026-05-01" },
+};
+
+let httpServer;
+let base;
+let tmpDir;
+
+before(async () => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "projects-"));
+  const app = express();
+  app.use(express.json());
+  app.use(sessionMiddleware);
+  app.use(
+    createApiRoutes({
+      oauthTokenStore: new MemoryTokenStore(),
+      projectStore: createProjectStore({ PROJECT_STORE: "memory" }),
+    }),
+  );
+  httpServer = app.listen(0);
+  await new Promise((resolve) => httpServer.once("listening", resolve));
+  base = `http://127.0.0.1:${httpServer.address().port}`;
+});
+
+after(async () => {
+  httpServer.closeAllConnections();
+  await new Promise((resolve) => httpServer.close(resolve));
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+const as = (bearer, path, init = {}) =>
+  fetch(`${base}${path}`, {
+    ...init,
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${bearer}`,
+      ...init.headers,
+    },
+  });
+
+const send = (bearer, method, path, body) =>
+  as(bearer, path, { method, body: JSON.stringify(body) });
+
+test("projects - create, list, load, replace, delete", async () => {
+  const created = await send(ALICE, "POST", "/api/projects", GARDEN);
+  assert.equal(created.status, 201);
+  const project = await created.json();
+  assert.equal(project.version, 1);
+  assert.equal(project.name, "Back yard");
+  assert.deepEqual(project.sun, GARDEN.sun);
+  assert.deepEqual(project.layouts, GARDEN.layouts);
+
+  const list = await (await as(ALICE, "/api/projects")).json();
+  assert.deepEqual(list.projects, [
+    {
+      id: project.id,
+      name: "Back yard",
+      version: 1,
+      createdAt: project.createdAt,
+      updatedAt: project.updatedAt,
+    },
+  ]);
+
+  const loaded = await (await as(ALICE, `/api/projects/${project.id}`)).json();
+  assert.deepEqual(loaded, project);
+
+  const replaced = await send(ALICE, "PUT", `/api/projects/${project.id}`, {
+    ...GARDEN,
+    sunOrientation: "East",
+    version: 1,
+  });
+  assert.equal(replaced.status, 200);
+  const saved = await replaced.json();
+  assert.equal(saved.version, 2);
+  assert.equal(saved.sunOrientation, "East");
+  assert.equal(saved.createdAt, project.createdAt);
+
+  // PUT to a new id creates it, and optional fields get defaults
+  const named = await send(ALICE, "PUT", "/api/projects/allotment", {
+    name: "Allotment",
+    beds: [],
+  });
+  assert.equal(named.status, 201);
+  assert.deepEqual(
+    { ...(await named.json()), createdAt: 0, updatedAt: 0 },
+    {
+      id: "allotment",
+      name: "Allotment",
+      beds: [],
+      seeds: [],
+      layouts: [],
+      sunOrientation: "South",
+      version: 1,
+      createdAt: 0,
+      updatedAt: 0,
+    },
+  );
+
+  const deleted = await as(ALICE, `/api/projects/${project.id}`, {
+    method: "DELETE",
+  });
+  assert.equal(deleted.status, 204);
+  assert.equal((await as(ALICE, `/api/projects/${project.id}`)).status, 404);
+  assert.equal(
+    (await as(ALICE, `/api/projects/${project.id}`, { method: "DELETE" }))
+      .status,
+    404,
+  );
+});
+
+test("projects - stale version is a 409 with the current project", async () => {
+  const project = await (
+    await send(ALICE, "POST", "/api/projects", GARDEN)
+  ).json();
+  const path = `/api/projects/${project.id}`;
+
+  // Two machines load version 1; the first save wins
+  const first = await send(ALICE, "PUT", path, { ...GARDEN, version: 1 });
+  assert.equal(first.status, 200);
+  const second = await send(ALICE, "PUT", path, {
+    ...GARDEN,
+    name: "Other machine",
+    version: 1,
+  });
+  assert.equal(second.status, 409);
+  const conflict = await second.json();
+  assert.match(conflict.error, /version 2/);
+  assert.equal(conflict.project.version, 2);
+  assert.equal(conflict.project.name, "Back yard");
+
+  // Without a version the save overwrites
+  const forced = await send(ALICE, "PUT", path, {
+    ...GARDEN,
+    name: "Other machine",
+  });
+  assert.equal((await forced.json()).version, 3);
+
+  const gone = await send(ALICE, "PUT", "/api/projects/missing", {
+    ...GARDEN,
+    version: 4,
+  });
+  assert.equal(gone.status, 409);
+  assert.equal((await gone.json()).project, null);
+});
+
+test("projects - invalid bodies and ids", async () => {
+  const noName = await send(ALICE, "POST", "/api/projects", {
+    beds: GARDEN.beds,
+  });
+  assert.equal(noName.status, 400);
+  assert.equal((await noName.json()).error, "Validation failed");
+
+  const extra = await send(ALICE, "POST", "/api/projects", {
+    ...GARDEN,
+    owner: "someone",
+  });
+  assert.equal(extra.status, 400);
+
+  const badBed = await send(ALICE, "POST", "/api/projects", {
+    ...GARDEN,
+    beds: [{ id: "bed1", width: 0, height: 10 }],
+  });
+  assert.equal(badBed.status, 400);
+
+  const badId = await send(ALICE, "PUT", "/api/projects/a.b", GARDEN);
+  assert.equal(badId.status, 400);
+});
+
+test("projects - scoped to the saving session", async () => {
+  const project = await (
+    await send(ALICE, "POST", "/api/projects", { ...GARDEN, name: "Alice's" })
+  ).json();
+
+  const bobList = await (await as(BOB, "/api/projects")).json();
+  assert.ok(bobList.projects.every((summary) => summary.id !== project.id));
+  assert.equal((await as(BOB, `/api/projects/${project.id}`)).status, 404);
+  assert.equal(
+    (await as(BOB, `/api/projects/${project.id}`, { method: "DELETE" })).status,
+    404,
+  );
+
+  // The same id in another session is a separate project
+  const bobs = await send(BOB, "PUT", `/api/projects/${project.id}`, GARDEN);
+  assert.equal(bobs.status, 201);
+  const alices = await (await as(ALICE, `/api/projects/${project.id}`)).json();
+  assert.equal(alices.name, "Alice's");
+});
+
+test("revisions - snapshot, list, read and restore", async () => {
+  const project = await (
+    await send(ALICE, "POST", "/api/projects", GARDEN)
+  ).json();
+  const path = `/api/projects/${project.id}`;
+
+  const first = await send(ALICE, "POST", `${path}/revisions`, {
+    note: "Spring plan",
+  });
+  assert.equal(first.status, 201);
+  assert.deepEqual(
+    { ...(await first.json()), savedAt: 0 },
+    {
+      revision: 1,
+      savedAt: 0,
+      note: "Spring plan",
+      version: 1,
+      garden: GARDEN,
+    },
+  );
+
+  await send(ALICE, "PUT", path, { ...GARDEN, beds: [], layouts: [] });
+  await send(ALICE, "POST", `${path}/revisions`, {});
+
+  const { revisions } = await (await as(ALICE, `${path}/revisions`)).json();
+  assert.deepEqual(
+    revisions.map(({ revision, note, version }) => [revision, note, version]),
+    [
+      [2, "", 2],
+      [1, "Spring plan", 1],
+    ],
+  );
+  assert.equal(revisions[0].garden, undefined, "list leaves gardens out");
+
+  const second = await (await as(ALICE, `${path}/revisions/2`)).json();
+  assert.deepEqual(second.garden.beds, []);
+  assert.equal((await as(ALICE, `${path}/revisions/9`)).status, 404);
+  assert.equal((await as(BOB, `${path}/revisions/1`)).status, 404);
+  assert.equal((await as(BOB, `${path}/revisions`)).status, 404);
+
+  const restored = await as(ALICE, `${path}/revisions/1/restore`, {
+    method: "POST",
+  });
+  assert.equal(restored.status, 200);
+  const current = await restored.json();
+  assert.equal(current.version, 3);
+  assert.deepEqual(current.beds, GARDEN.beds);
+  assert.deepEqual(current.layouts, GARDEN.layouts);
+
+  // The restore is recorded; earlier revisions are untouched
+  const after = (await (await as(ALICE, `${path}/revisions`)).json()).revisions;
+  assert.deepEqual(
+    after.map(({ revision, note }) => [revision, note]),
+    [
+      [3, "Restored revision 1"],
+      [2, ""],
+      [1, "Spring plan"],
+    ],
+  );
+  assert.deepEqual(
+    (await (await as(ALICE, `${path}/revisions/2`)).json()).garden.beds,
+    [],
+  );
+
+  const tooLong = await send(ALICE, "POST", `${path}/revisions`, {
+    note: "x".repeat(501),
+  });
+  assert.equal(tooLong.status, 400);
+});
+
+test("project stores - file and sqlite persist across reopening", (t) => {
+  const project = {
+    ...GARDEN,
+    id: "p1",
+    version: 1,
+    createdAt: 1,
+    updatedAt: 2,
+  };
+
+  const stores = [[FileProjectStore, "projects"]];
+  if (getNodeSqlite()) {
+    stores.push([SqliteProjectStore, "projects.sqlite"]);
+  } else {
+    t.diagnostic("node:sqlite is not available, skipping SqliteProjectStore");
+    assert.throws(
+      () =>
+        createProjectStore({
+          PROJECT_STORE: "sqlite",
+          PROJECT_STORE_PATH: path.join(tmpDir, "unavailable.sqlite"),
+        }),
+      /PROJECT_STORE=sqlite needs node:sqlite, built into Node\.js 22\.13/,
+    );
+  }
+
+  for (const [Store, file] of stores) {
+    const filePath = path.join(tmpDir, file);
+    const store = new Store(filePath);
+    store.put("session-a", project);
+    store.put("session-a", { ...project, version: 2 });
+    store.put("session-b", { ...project, id: "p2" });
+    store.addRevision("session-a", "p1", {
+      revision: 1,
+      savedAt: 3,
+      note: "first",
+      garden: GARDEN,
+    });
+    store.close?.();
+    if (Store === FileProjectStore) {
+      // A file per project and per revision history, not one for everything
+      assert.deepEqual(
+        fs.readdirSync(path.join(filePath, "session-a")).sort(),
+        ["p1.json", "p1.revisions.json"],
+      );
+      assert.deepEqual(fs.readdirSync(path.join(filePath, "session-b")), [
+        "p2.json",
+      ]);
+    }
+
+    const reopened = new Store(filePath);
+    assert.deepEqual(reopened.list("session-a"), [{ ...project, version: 2 }]);
+    assert.equal(reopened.get("session-a", "p2"), undefined, Store.name);
+    assert.equal(reopened.get("session-b", "p2").id, "p2");
+    assert.deepEqual(
+      reopened.listRevisions("session-a", "p1").map((entry) => entry.note),
+      ["first"],
+    );
+    assert.deepEqual(reopened.listRevisions("session-b", "p1"), []);
+    assert.equal(reopened.delete("session-a", "p1"), true);
+    assert.deepEqual(reopened.listRevisions("session-a", "p1"), []);
+    assert.equal(reopened.delete("session-a", "p1"), false);
+    assert.deepEqual(reopened.list("session-a"), []);
+    reopened.close?.();
+  }
+
+  assert.throws(
+    () => createProjectStore({ PROJECT_STORE: "redis" }),
+    /Unknown PROJECT_STORE/,
+  );
+});
+
+test("project stores - only the newest revisions are kept", (t) => {
+  const stores = [
+    ["memory", () => new MemoryProjectStore()],
+    ["file", () => new FileProjectStore(path.join(tmpDir, "pruned"))],
+  ];
+  if (getNodeSqlite()) {
+    stores.push([
+      "sqlite",
+      () => new SqliteProjectStore(path.join(tmpDir, "pruned.sqlite")),
+    ]);
+  } else {
+    t.diagnostic("node:sqlite is not available, skipping SqliteProjectStore");
+  }
+
+  for (const [kind, open] of stores) {
+    const store = open();
+    for (let revision = 1; revision <= MAX_PROJECT_REVISIONS + 2; revision++) {
+      store.addRevision("session-a", "p1", {
+        revision,
+        savedAt: revision,
+        note: "",
+        garden: GARDEN,
+      });
+    }
+    const kept = store.listRevisions("session-a", "p1");
+    assert.equal(kept.length, MAX_PROJECT_REVISIONS, kind);
+    assert.equal(kept[0].revision, 3, kind);
+    assert.equal(kept.at(-1).revision, MAX_PROJECT_REVISIONS + 2, kind);
+    store.close?.();
+  }
+});
+
+test("projects - per-session limits", async () => {
+  const CAROL = "carol-session-token-00003";
+  let first;
+  for (let i = 0; i < MAX_PROJECTS_PER_SESSION; i++) {
+    const created = await send(CAROL, "POST", "/api/projects", GARDEN);
+    assert.equal(created.status, 201);
+    first ??= await created.json();
+  }
+
+  const over = await send(CAROL, "POST", "/api/projects", GARDEN);
+  assert.equal(over.status, 409);
+  assert.match((await over.json()).error, /delete one first/);
+  assert.equal(
+    (await send(CAROL, "PUT", "/api/projects/one-more", GARDEN)).status,
+    409,
+  );
+  // Saving an existing project is fine, and other sessions are unaffected
+  assert.equal(
+    (await send(CAROL, "PUT", `/api/projects/${first.id}`, GARDEN)).status,
+    200,
+  );
+  assert.equal((await send(BOB, "POST", "/api/projects", GARDEN)).status, 201);
+
+  const revisions = `/api/projects/${first.id}/revisions`;
+  for (let i = 0; i < MAX_REVISIONS_PER_MINUTE; i++) {
+    assert.equal((await send(CAROL, "POST", revisions, {})).status, 201);
+  }
+  const tooMany = await send(CAROL, "POST", revisions, {});
+  assert.equal(tooMany.status, 429);
+  assert.ok(Number(tooMany.headers.get("retry-after")) > 0);
+  assert.equal(
+    (
+      await send(
+        CAROL,
+        "POST",
+        `${revisions}/${MAX_REVISIONS_PER_MINUTE}/restore`,
+        {},
+      )
+    ).status,
+    429,
+  );
+});
@@ -0,0 +1,160 @@
+/**
+ * Best-of-N ensemble optimization
+ *
+ * Tests:
+ * 1. runEnsemble runs every entry, ranks by score and puts failures last
+ * 2. Local runs get consecutive random seeds
+ * 3. createOptimizeHandler returns the best layout plus ranked alternatives,
+ *    and rejects ensembles over MAX_ENSEMBLE_RUNS in total
+ */
+
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { providerRegistry, registerProvider } from "../../../providers/index";
+import { createOptimizeHandler, runEnsemble } from "../../../routes/optimize";
+import { MAX_ENSEMBLE_RUNS } from "../../../middleware/validation";
+
+const BEDS = [{ id: "bed1", width: 48, height: 48, x: 0, y: 0 }];
+const SEEDS = [
+  { type: "Tomato", priority: 1, selectedVarieties: [] },
+  { type: "Basil", priority: 1, selectedVarieties: [] },
+];
+const REQUEST = { beds: BEDS, seeds: SEEDS, sunOrientation: "South" };
+
+const plant = (id, veggieType, x, y, size) => ({
+  id,
+  veggieType,
+  varietyName: `Standard ${veggieType}`,
+  x,
+  y,
+  size,
+});
+
+// Four plants stacked on one spot, half of them hanging off the bed
+registerProvider({
+  id: "test-messy",
+  name: "Messy",
+  supportsOAuth: false,
+  async generateLayout() {
+    return [
+      {
+        bedId: "bed1",
+        placements: [
+          plant("1", "Tomato", 46, 46, 18),
+          plant("2", "Tomato", 44, 44, 18),
+          plant("3", "Tomato", 40, 46, 18),
+          plant("4", "Tomato", 46, 40, 18),
+        ],
+      },
+    ];
+  },
+});
+
+registerProvider({
+  id: "test-broken",
+  name: "Broken",
+  supportsOAuth: false,
+  async generateLayout() {
+    throw new Error("model overloaded");
+  },
+});
+
+after(() => {
+  providerRegistry.delete("test-messy");
+  providerRegistry.delete("test-broken");
+});
+
+test("runEnsemble - ranks runs by score with failures last", async () => {
+  const ranked = await runEnsemble(
+    [
+      { provider: "test-broken" },
+      { provider: "test-messy" },
+      { provider: "local", runs: 2, randomSeed: 7 },
+    ],
+    REQUEST,
+  );
+
+  assert.deepEqual(
+    ranked.map((run) => run.rank),
+    [1, 2, 3, 4],
+  );
+  assert.equal(ranked[0].provider, "local");
+  assert.equal(ranked[2].provider, "test-messy");
+  assert.ok(ranked[2].score.boundsViolations > 0);
+  assert.ok(ranked[0].score.score >= ranked[1].score.score);
+  assert.ok(ranked[1].score.score > ranked[2].score.score);
+
+  const failed = ranked[3];
+  assert.equal(failed.provider, "test-broken");
+  assert.equal(failed.error, "model overloaded");
+  assert.deepEqual(failed.layouts, []);
+  assert.equal(failed.score, undefined);
+});
+
+test("runEnsemble - local runs use consecutive seeds", async () => {
+  const ranked = await runEnsemble(
+    [{ provider: "local", runs: 3, randomSeed: 40 }],
+    REQUEST,
+  );
+
+  assert.deepEqual(ranked.map((run) => run.randomSeed).sort(), [40, 41, 42]);
+  for (const run of ranked) {
+    assert.ok(run.layouts[0].placements.length > 0);
+  }
+});
+
+test("createOptimizeHandler - best of an ensemble", async () => {
+  const handler = createOptimizeHandler(new Map());
+  let status = 200;
+  let body;
+  const res = {
+    status(code) {
+      status = code;
+      return this;
+    },
+    json(payload) {
+      body = payload;
+      return this;
+    },
+  };
+
+  await handler(
+    {
+      body: {
+        ...REQUEST,
+        repair: true,
+        ensemble: [{ provider: "test-messy" }, { provider: "test-broken" }],
+      },
+    },
+    res,
+  );
+
+  assert.equal(status, 200);
+  assert.equal(body.provider, "test-messy");
+  assert.deepEqual(body.layouts, body.ensemble[0].layouts);
+  assert.ok(body.repairs[0].moved.length > 0, "ensemble runs are repaired too");
+  assert.equal(body.ensemble[0].score.boundsViolations, 0);
+  assert.equal(body.ensemble[1].error, "model overloaded");
+
+  await handler(
+    { body: { ...REQUEST, ensemble: [{ provider: "nope" }] } },
+    res,
+  );
+  assert.equal(status, 400);
+
+  // Every entry is within bounds, but not the sum
+  await handler(
+    {
+      body: {
+        ...REQUEST,
+        ensemble: [
+          { provider: "local", runs: MAX_ENSEMBLE_RUNS },
+          { provider: "test-messy" },
+        ],
+      },
+    },
+    res,
+  );
+  assert.equal(status, 400);
+  assert.match(body.error, /at most 8 runs in total; this one asks for 9/);
+});
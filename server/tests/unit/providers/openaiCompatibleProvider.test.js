@@ -0,0 +1,206 @@
+/**
+ * OpenAI-compatible provider against a mock chat completions server
+ *
+ * Tests:
+ * 1. Requests strict structured outputs from the configured base URL
+ * 2. Falls back to JSON mode when the server rejects json_schema
+ * 3. Streams tokens to onProgress when listening
+ * 4. Schema violations from the model are rejected
+ * 5. OPENAI_COMPATIBLE_MODEL is read per request
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { openaiCompatibleProvider } from "../../../providers/openaiCompatibleProvider";
+import { getProvider } from "../../../providers/index";
+
+const LAYOUTS = [
+  {
+    bedId: "bed-1",
+    placements: [
+      {
+        id: "p1",
+        veggieType: "Tomato",
+        varietyName: "Standard Tomato",
+        x: 12,
+        y: 12,
+        size: 18,
+        placementReasoning: "Full sun at the back",
+        spacingAnalysis: "Room to sprawl",
+        companionInsights: "Basil nearby",
+      },
+    ],
+  },
+];
+
+const OPTIONS = {
+  beds: [{ id: "bed-1", width: 48, height: 24, x: 0, y: 0 }],
+  seeds: [{ type: "Tomato", priority: 1, selectedVarieties: [] }],
+  sunOrientation: "South",
+};
+
+// What the mock server does with the next requests
+let requests = [];
+let rejectJsonSchema = false;
+let content = JSON.stringify({ layouts: LAYOUTS });
+
+const server = createServer((req, res) => {
+  let raw = "";
+  req.on("data", (chunk) => (raw += chunk));
+  req.on("end", () => {
+    const body = JSON.parse(raw);
+    requests.push({ url: req.url, body });
+
+    if (rejectJsonSchema && body.response_format?.type === "json_schema") {
+      res.writeHead(400, { "Content-Type": "application/json" });
+      res.end(
+        JSON.stringify({
+          error: { message: "response_format json_schema not supported" },
+        }),
+      );
+      return;
+    }
+
+    if (body.stream) {
+      res.writeHead(200, { "Content-Type": "text/event-stream" });
+      const half = Math.ceil(content.length / 2);
+      for (const [delta, finish] of [
+        [content.slice(0, half), null],
+        [content.slice(half), "stop"],
+      ]) {
+        const chunk = {
+          id: "chunk",
+          object: "chat.completion.chunk",
+          created: 0,
+          model: body.model,
+          choices: [
+            { index: 0, delta: { content: delta }, finish_reason: finish },
+          ],
+        };
+        res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+      }
+      res.end("data: [DONE]\n\n");
+      return;
+    }
+
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(
+      JSON.stringify({
+        id: "completion",
+        object: "chat.completion",
+        created: 0,
+        model: body.model,
+        choices: [
+          {
+            index: 0,
+            message: { role: "assistant", content },
+            finish_reason: "stop",
+          },
+        ],
+      }),
+    );
+  });
+});
+
+const originalBaseUrl = process.env.OPENAI_COMPATIBLE_BASE_URL;
+
+before(async () => {
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  process.env.OPENAI_COMPATIBLE_BASE_URL = `http://127.0.0.1:${server.address().port}/v1/`;
+});
+
+after(() => {
+  if (originalBaseUrl === undefined) {
+    delete process.env.OPENAI_COMPATIBLE_BASE_URL;
+  } else {
+    process.env.OPENAI_COMPATIBLE_BASE_URL = originalBaseUrl;
+  }
+  server.close();
+});
+
+const reset = () => {
+  requests = [];
+  rejectJsonSchema = false;
+  content = JSON.stringify({ layouts: LAYOUTS });
+};
+
+test("openai-compatible - strict structured outputs from the base URL", async () => {
+  reset();
+  assert.equal(getProvider("openai-compatible"), openaiCompatibleProvider);
+
+  const layouts = await openaiCompatibleProvider.generateLayout({
+    ...OPTIONS,
+    model: "qwen2.5:7b",
+  });
+  assert.deepEqual(layouts, LAYOUTS);
+
+  assert.equal(requests.length, 1);
+  const [{ url, body }] = requests;
+  assert.equal(url, "/v1/chat/completions");
+  assert.equal(body.model, "qwen2.5:7b");
+  assert.deepEqual(
+    body.messages.map((message) => message.role),
+    ["system", "user"],
+  );
+  assert.equal(body.response_format.type, "json_schema");
+  assert.equal(body.response_format.json_schema.strict, true);
+  assert.ok(body.response_format.json_schema.schema.properties.layouts);
+});
+
+test("openai-compatible - JSON mode when json_schema is rejected", async () => {
+  reset();
+  rejectJsonSchema = true;
+
+  const layouts = await openaiCompatibleProvider.generateLayout(OPTIONS);
+  assert.deepEqual(layouts, LAYOUTS);
+  assert.deepEqual(
+    requests.map(({ body }) => body.response_format.type),
+    ["json_schema", "json_object"],
+  );
+});
+
+test("openai-compatible - streams tokens to onProgress", async () => {
+  reset();
+  const events = [];
+
+  const layouts = await openaiCompatibleProvider.generateLayout({
+    ...OPTIONS,
+    onProgress: (event) => events.push(event),
+  });
+  assert.deepEqual(layouts, LAYOUTS);
+  assert.equal(requests[0].body.stream, true);
+  assert.equal(events.length, 2);
+  assert.ok(events.every((event) => event.type === "token"));
+  assert.ok(events.every((event) => event.provider === "openai-compatible"));
+  assert.equal(events.map((event) => event.text).join(""), content);
+});
+
+test("openai-compatible - rejects layouts that break the schema", async () => {
+  reset();
+  content = JSON.stringify({ layouts: [{ bedId: "bed-1" }] });
+
+  await assert.rejects(
+    openaiCompatibleProvider.generateLayout(OPTIONS),
+    /schema validation failed/,
+  );
+});
+
+test("openai-compatible - OPENAI_COMPATIBLE_MODEL is read per request", async () => {
+  reset();
+  const originalModel = process.env.OPENAI_COMPATIBLE_MODEL;
+  process.env.OPENAI_COMPATIBLE_MODEL = "mistral:7b";
+  try {
+    await openaiCompatibleProvider.generateLayout(OPTIONS);
+    assert.equal(requests[0].body.model, "mistral:7b");
+    assert.deepEqual(openaiCompatibleProvider.capabilities.models, [
+      "mistral:7b",
+    ]);
+  } finally {
+    if (originalModel === undefined) {
+      delete process.env.OPENAI_COMPATIBLE_MODEL;
+    } else {
+      process.env.OPENAI_COMPATIBLE_MODEL = originalModel;
+    }
+  }
+});
@@ -0,0 +1,201 @@
+/**
+ * Asynchronous optimization jobs and cancellation
+ *
+ * Tests:
+ * 1. A job runs in the background and its result can be polled
+ * 2. Deleting a running job aborts the provider call
+ * 3. runProviderRequest hands the signal to the SDK call and doesn't retry once aborted
+ * 4. Aborting stops the local provider before its next bed
+ * 5. A session can't run more than MAX_RUNNING_JOBS_PER_SESSION jobs at once
+ */
+
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { providerRegistry, registerProvider } from "../../../providers/index";
+import {
+  createJobHandlers,
+  MAX_RUNNING_JOBS_PER_SESSION,
+} from "../../../routes/jobs";
+import { runProviderRequest } from "../../../providers/providerUtils";
+import { localProvider } from "../../../providers/localProvider";
+
+const BEDS = [{ id: "bed1", width: 48, height: 48, x: 0, y: 0 }];
+const SEEDS = [
+  { type: "Tomato", priority: 1, selectedVarieties: [] },
+  { type: "Basil", priority: 1, selectedVarieties: [] },
+];
+const REQUEST = { beds: BEDS, seeds: SEEDS, sunOrientation: "South" };
+
+let hangingSignal = null;
+
+// Never answers on its own, like a long model call
+registerProvider({
+  id: "test-hanging",
+  name: "Hanging",
+  supportsOAuth: false,
+  generateLayout({ signal }) {
+    hangingSignal = signal;
+    return new Promise((_resolve, reject) => {
+      signal.addEventListener("abort", () => reject(signal.reason));
+    });
+  },
+});
+
+after(() => {
+  providerRegistry.delete("test-hanging");
+});
+
+function call(handler, req) {
+  const res = {
+    statusCode: 200,
+    body: undefined,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      this.body = payload;
+      return this;
+    },
+  };
+  handler(req, res);
+  return res;
+}
+
+async function waitFor(check) {
+  for (let i = 0; i < 200 && !check(); i++) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  assert.ok(check(), "condition never became true");
+}
+
+test("jobs - run in the background and report their result", async () => {
+  const jobs = createJobHandlers(new Map());
+  const started = call(jobs.createJob, { body: REQUEST });
+
+  assert.equal(started.statusCode, 202);
+  assert.equal(started.body.status, "running");
+  const id = started.body.id;
+  assert.ok(id);
+
+  await waitFor(
+    () => call(jobs.getJob, { params: { id } }).body.status !== "running",
+  );
+  const done = call(jobs.getJob, { params: { id } }).body;
+  assert.equal(done.status, "succeeded");
+  assert.equal(done.result.provider, "local");
+  assert.ok(done.result.layouts[0].placements.length > 0);
+  assert.ok(done.finishedAt >= done.createdAt);
+
+  assert.equal(call(jobs.getJob, { params: { id: "nope" } }).statusCode, 404);
+  assert.equal(
+    call(jobs.createJob, { body: { ...REQUEST, jobId: id } }).statusCode,
+    409,
+  );
+});
+
+test("jobs - delete aborts the running provider call", async () => {
+  const jobs = createJobHandlers(new Map());
+  const { id } = call(jobs.createJob, {
+    body: { ...REQUEST, provider: "test-hanging", jobId: "hang-1" },
+  }).body;
+  assert.equal(id, "hang-1");
+  await waitFor(() => hangingSignal !== null);
+
+  const cancelled = call(jobs.cancelJob, { params: { id } });
+  assert.equal(cancelled.statusCode, 200);
+  assert.equal(cancelled.body.status, "cancelled");
+  assert.equal(hangingSignal.aborted, true);
+
+  // The provider's rejection doesn't overwrite the cancellation
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.equal(call(jobs.getJob, { params: { id } }).body.status, "cancelled");
+  assert.equal(call(jobs.cancelJob, { params: { id } }).statusCode, 409);
+});
+
+test("runProviderRequest - passes the signal and skips the retry once aborted", async () => {
+  const controller = new AbortController();
+  const seen = [];
+  const request = runProviderRequest({
+    clientInstance: {},
+    buildBaseOptions: () => ({ model: "m" }),
+    invoke: async (_client, _opts, signal) => {
+      seen.push(signal);
+      controller.abort();
+      throw new Error("socket closed");
+    },
+    schema: { type: "array" },
+    signal: controller.signal,
+  });
+
+  await assert.rejects(request, /socket closed/);
+  assert.deepEqual(seen, [controller.signal], "no schema-less retry");
+});
+
+test("localProvider - aborting stops before the next bed", async () => {
+  const controller = new AbortController();
+  const events = [];
+
+  await assert.rejects(
+    localProvider.generateLayout({
+      ...REQUEST,
+      beds: ["bed1", "bed2", "bed3"].map((id, i) => ({
+        id,
+        width: 48,
+        height: 48,
+        x: i * 60,
+        y: 0,
+      })),
+      config: { random_seed: 3 },
+      signal: controller.signal,
+      onProgress: (event) => {
+        if (!event.type.startsWith("bed.")) return;
+        events.push(`${event.type}:${event.bedId}`);
+        // Cancel from outside the packer, as DELETE /api/jobs/:id does
+        if (event.type === "bed.start" && event.bedId === "bed1") {
+          setTimeout(() => controller.abort(), 0);
+        }
+      },
+    }),
+    { name: "AbortError" },
+  );
+
+  // The bed being packed is finished, the rest never start
+  assert.ok(events.includes("bed.finish:bed1"));
+  assert.ok(!events.includes("bed.start:bed3"));
+  assert.ok(!events.includes("bed.finish:bed3"));
+});
+
+test("jobs - a session runs a limited number at once", async () => {
+  const jobs = createJobHandlers(new Map());
+  const start = (sessionId, jobId) =>
+    call(jobs.createJob, {
+      sessionId,
+      body: { ...REQUEST, provider: "test-hanging", jobId },
+    });
+
+  for (let i = 1; i <= MAX_RUNNING_JOBS_PER_SESSION; i++) {
+    assert.equal(start("busy", `busy-${i}`).statusCode, 202);
+  }
+  const refused = start("busy", "busy-extra");
+  assert.equal(refused.statusCode, 429);
+  assert.match(refused.body.error, /jobs at once/);
+  assert.equal(
+    call(jobs.getJob, { sessionId: "busy", params: { id: "busy-extra" } })
+      .statusCode,
+    404,
+  );
+
+  // Other sessions have their own allowance
+  assert.equal(start("idle", "idle-1").statusCode, 202);
+
+  // A cancelled job makes room
+  call(jobs.cancelJob, { sessionId: "busy", params: { id: "busy-1" } });
+  assert.equal(start("busy", "busy-extra").statusCode, 202);
+
+  for (let i = 2; i <= MAX_RUNNING_JOBS_PER_SESSION; i++) {
+    call(jobs.cancelJob, { sessionId: "busy", params: { id: `busy-${i}` } });
+  }
+  call(jobs.cancelJob, { sessionId: "busy", params: { id: "busy-extra" } });
+  call(jobs.cancelJob, { sessionId: "idle", params: { id: "idle-1" } });
+});
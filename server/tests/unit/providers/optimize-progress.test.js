@@ -0,0 +1,243 @@
+/**
+ * Optimize progress events published under a job id
+ *
+ * Tests:
+ * 1. A local optimize job reports bed start, packer energy and bed finish per bed, then done
+ * 2. Beds an LLM returns all at once are reported finished; failures publish an error
+ * 3. Job ids that are special EventEmitter event names are ordinary jobs
+ * 4. runProviderRequest streams text through invokeStream only when onText is set
+ * 5. The Anthropic provider turns streamed text into token events
+ */
+
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { providerRegistry, registerProvider } from "../../../providers/index";
+import {
+  createOptimizeHandler,
+  runOptimizeRequest,
+} from "../../../routes/optimize";
+import { createJobReporter, subscribeJob } from "../../../mcp/jobEvents";
+import { runProviderRequest } from "../../../providers/providerUtils";
+import { anthropicProvider } from "../../../providers/anthropicProvider";
+
+const BEDS = [
+  { id: "bed1", width: 48, height: 48, x: 0, y: 0 },
+  { id: "bed2", width: 36, height: 24, x: 60, y: 0 },
+];
+const SEEDS = [
+  { type: "Tomato", priority: 1, selectedVarieties: [] },
+  { type: "Basil", priority: 1, selectedVarieties: [] },
+];
+const REQUEST = { beds: BEDS, seeds: SEEDS, sunOrientation: "South" };
+
+registerProvider({
+  id: "test-oneshot",
+  name: "One shot",
+  supportsOAuth: false,
+  async generateLayout({ onProgress }) {
+    onProgress?.({ type: "token", provider: "test-oneshot", text: "[" });
+    return [
+      {
+        bedId: "bed1",
+        placements: [
+          {
+            id: "1",
+            veggieType: "Basil",
+            varietyName: "Genovese",
+            x: 12,
+            y: 12,
+            size: 8,
+          },
+        ],
+      },
+    ];
+  },
+});
+
+registerProvider({
+  id: "test-failing",
+  name: "Failing",
+  supportsOAuth: false,
+  async generateLayout() {
+    throw new Error("rate limited");
+  },
+});
+
+after(() => {
+  providerRegistry.delete("test-oneshot");
+  providerRegistry.delete("test-failing");
+});
+
+async function optimize(body) {
+  const handler = createOptimizeHandler(new Map());
+  const events = [];
+  const unsubscribe = subscribeJob(undefined, body.jobId, (event) =>
+    events.push(event),
+  );
+  let status = 200;
+  let response;
+  const res = {
+    status(code) {
+      status = code;
+      return this;
+    },
+    json(payload) {
+      response = payload;
+      return this;
+    },
+  };
+  try {
+    await handler({ body }, res);
+  } finally {
+    unsubscribe();
+  }
+  return { status, response, events };
+}
+
+test("optimize job - local provider streams per-bed progress", async () => {
+  const { status, response, events } = await optimize({
+    ...REQUEST,
+    jobId: "local-job",
+  });
+
+  assert.equal(status, 200);
+  const bedEvents = events.filter((e) => e.type.startsWith("bed."));
+  assert.deepEqual(
+    bedEvents.map((e) => `${e.type}:${e.bedId}`),
+    ["bed.start:bed1", "bed.finish:bed1", "bed.start:bed2", "bed.finish:bed2"],
+  );
+
+  const packer = events.filter((e) => e.type === "packer");
+  assert.ok(packer.length > 0, "packer iterations are reported");
+  for (const event of packer) {
+    assert.ok(["bed1", "bed2"].includes(event.bedId));
+    assert.equal(typeof event.iteration, "number");
+    assert.ok(Number.isFinite(event.energy));
+  }
+  const firstFinish = events.findIndex((e) => e.type === "bed.finish");
+  assert.equal(events[firstFinish - 1].bedId, "bed1");
+
+  const finished = bedEvents.find((e) => e.type === "bed.finish");
+  assert.ok(finished.layout.placements.length > 0);
+
+  const done = events.at(-1);
+  assert.equal(done.type, "done");
+  assert.deepEqual(done.layouts, response.layouts);
+});
+
+test("optimize job - one-shot providers finish beds at the end", async () => {
+  const { events } = await optimize({
+    ...REQUEST,
+    provider: "test-oneshot",
+    jobId: "oneshot-job",
+  });
+
+  assert.deepEqual(
+    events.map((e) => e.type),
+    ["token", "bed.finish", "done"],
+  );
+  assert.equal(events[1].bedId, "bed1");
+  assert.equal(events[1].layout.placements[0].veggieType, "Basil");
+
+  const failed = await optimize({
+    ...REQUEST,
+    provider: "test-failing",
+    jobId: "failing-job",
+  });
+  assert.equal(failed.status, 500);
+  assert.deepEqual(failed.events, [{ type: "error", error: "rate limited" }]);
+});
+
+test("optimize job - ids like error or newListener are ordinary jobs", async () => {
+  for (const jobId of ["error", "newListener", "removeListener"]) {
+    // Nobody watching: publishing must not throw
+    const { status } = await runOptimizeRequest(
+      { ...REQUEST, provider: "test-oneshot", jobId },
+      new Map(),
+      { onProgress: createJobReporter(undefined, jobId) },
+    );
+    assert.equal(status, 200);
+
+    const { events } = await optimize({
+      ...REQUEST,
+      provider: "test-oneshot",
+      jobId,
+    });
+    assert.deepEqual(
+      events.map((e) => e.type),
+      ["token", "bed.finish", "done"],
+    );
+  }
+});
+
+test("runProviderRequest - streams only when a text listener is given", async () => {
+  const calls = [];
+  const options = {
+    clientInstance: {},
+    buildBaseOptions: () => ({ model: "m" }),
+    invoke: async () => {
+      calls.push("invoke");
+      return { text: "[]" };
+    },
+    invokeStream: async (_client, _opts, onText) => {
+      calls.push("stream");
+      onText("[");
+      onText("]");
+      return { text: "[]" };
+    },
+    useSchema: false,
+  };
+
+  assert.deepEqual(await runProviderRequest(options), []);
+  assert.deepEqual(calls, ["invoke"]);
+
+  const chunks = [];
+  await runProviderRequest({ ...options, onText: (text) => chunks.push(text) });
+  assert.deepEqual(calls, ["invoke", "stream"]);
+  assert.deepEqual(chunks, ["[", "]"]);
+});
+
+test("anthropicProvider - streamed text becomes token events", async () => {
+  const layouts = [{ bedId: "bed1", placements: [] }];
+  const text = JSON.stringify(layouts);
+  const mockClient = {
+    messages: {
+      create: async () => {
+        throw new Error("should stream instead");
+      },
+      stream: () => {
+        const handlers = [];
+        return {
+          on(event, handler) {
+            if (event === "text") handlers.push(handler);
+            return this;
+          },
+          async finalMessage() {
+            for (const chunk of [text.slice(0, 5), text.slice(5)]) {
+              handlers.forEach((handler) => handler(chunk));
+            }
+            return { content: [{ type: "text", text }] };
+          },
+        };
+      },
+    },
+  };
+
+  const originalFactory = anthropicProvider.createClient;
+  anthropicProvider.createClient = () => mockClient;
+  try {
+    const events = [];
+    const result = await anthropicProvider.generateLayout({
+      ...REQUEST,
+      onProgress: (event) => events.push(event),
+    });
+
+    assert.deepEqual(result, layouts);
+    assert.equal(events.map((e) => e.text).join(""), text);
+    assert.ok(
+      events.every((e) => e.type === "token" && e.provider === "anthropic"),
+    );
+  } finally {
+    anthropicProvider.createClient = originalFactory;
+  }
+});
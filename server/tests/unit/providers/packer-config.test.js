@@ -0,0 +1,92 @@
+/**
+ * Packer tuning and seeds through the optimize API
+ *
+ * Tests:
+ * 1. A local run echoes the seed it packed with, and that seed reproduces it
+ * 2. packerConfig parameters reach the packer
+ * 3. Only the local provider gets a seed; ensembles start from packerConfig's
+ */
+
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { providerRegistry, registerProvider } from "../../../providers/index";
+import { runEnsemble, runOptimizeRequest } from "../../../routes/optimize";
+import { MemoryTokenStore } from "../../../oauth/tokenStore";
+
+const REQUEST = {
+  provider: "local",
+  beds: [{ id: "bed1", width: 48, height: 48, x: 0, y: 0 }],
+  seeds: [
+    { type: "Tomato", priority: 1, selectedVarieties: [] },
+    { type: "Basil", priority: 2, selectedVarieties: [] },
+  ],
+  sunOrientation: "South",
+};
+
+let lastConfig;
+registerProvider({
+  id: "test-config",
+  name: "Config echo",
+  supportsOAuth: false,
+  async generateLayout({ config }) {
+    lastConfig = config;
+    return [{ bedId: "bed1", placements: [] }];
+  },
+});
+
+after(() => {
+  providerRegistry.delete("test-config");
+});
+
+const store = new MemoryTokenStore();
+const positions = (body) =>
+  body.layouts[0].placements.map(({ veggieType, x, y }) => [veggieType, x, y]);
+
+test("optimize - local runs echo a reproducible seed", async () => {
+  const first = await runOptimizeRequest(REQUEST, store);
+  assert.equal(first.status, 200);
+  assert.ok(Number.isInteger(first.body.seed), "a seed is picked and echoed");
+  assert.ok(first.body.layouts[0].placements.length > 0);
+
+  const replay = await runOptimizeRequest(
+    { ...REQUEST, packerConfig: { random_seed: first.body.seed } },
+    store,
+  );
+  assert.equal(replay.body.seed, first.body.seed);
+  assert.deepEqual(positions(replay.body), positions(first.body));
+});
+
+test("optimize - packerConfig tuning reaches the packer", async () => {
+  const loose = await runOptimizeRequest(
+    { ...REQUEST, packerConfig: { random_seed: 3, min_spacing: 8 } },
+    store,
+  );
+  const tight = await runOptimizeRequest(
+    { ...REQUEST, packerConfig: { random_seed: 3, min_spacing: 0 } },
+    store,
+  );
+  assert.ok(
+    loose.body.layouts[0].placements.length <
+      tight.body.layouts[0].placements.length,
+    "a wider plant gap fits fewer plants",
+  );
+});
+
+test("optimize - seeds only for the local packer", async () => {
+  const { body } = await runOptimizeRequest(
+    {
+      ...REQUEST,
+      provider: "test-config",
+      packerConfig: { damping: 0.5 },
+    },
+    store,
+  );
+  assert.equal(body.seed, undefined);
+  assert.deepEqual(lastConfig, { damping: 0.5 });
+
+  const ranked = await runEnsemble([{ provider: "local", runs: 2 }], {
+    ...REQUEST,
+    config: { random_seed: 90 },
+  });
+  assert.deepEqual(ranked.map((run) => run.randomSeed).sort(), [90, 91]);
+});
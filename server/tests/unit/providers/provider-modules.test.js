@@ -0,0 +1,183 @@
+/**
+ * Provider modules loaded at startup
+ *
+ * Tests:
+ * 1. loadProviderModules registers providers from PROVIDER_DIRS and
+ *    PROVIDER_MODULES, and listProviders reports their capabilities
+ * 2. Optimize validation accepts registered providers and rejects others
+ * 3. A module that exports no provider fails with its name
+ * 4. A provider id is lowercased once at registration and used everywhere
+ */
+
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, mkdirSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import {
+  getProvider,
+  listProviders,
+  providerRegistry,
+  registerProvider,
+} from "../../../providers/index";
+import {
+  loadProviderModule,
+  loadProviderModules,
+} from "../../../providers/loader";
+import { validateOptimizeRequest } from "../../../middleware/validation";
+
+const root = mkdtempSync(join(tmpdir(), "provider-modules-"));
+mkdirSync(join(root, "providers"));
+
+const providerSource = (id, extra = "") => `{
+  id: "${id}",
+  name: "${id} provider",
+  supportsOAuth: false,${extra}
+  async generateLayout() {
+    return [];
+  },
+}`;
+
+writeFileSync(
+  join(root, "providers", "alpha.mjs"),
+  `export default ${providerSource(
+    "test-alpha",
+    `
+  capabilities: { models: ["alpha-large", "alpha-small"], streaming: true },`,
+  )};`,
+);
+writeFileSync(join(root, "providers", "notes.txt"), "not a provider module");
+writeFileSync(
+  join(root, "pair.mjs"),
+  `export const providers = [${providerSource("test-beta")}, ${providerSource(
+    "test-gamma",
+  )}];`,
+);
+writeFileSync(join(root, "empty.mjs"), "export const answer = 42;");
+
+after(() => {
+  for (const id of [
+    "test-alpha",
+    "test-beta",
+    "test-gamma",
+    "test-late",
+    "test-mixed",
+  ]) {
+    providerRegistry.delete(id);
+  }
+  rmSync(root, { recursive: true, force: true });
+});
+
+const REQUEST = {
+  beds: [{ id: "bed1", width: 48, height: 48, x: 0, y: 0 }],
+  seeds: [{ type: "Tomato", priority: 1, selectedVarieties: [] }],
+  sunOrientation: "South",
+};
+
+test("loadProviderModules - registers providers from dirs and modules", async () => {
+  const loaded = await loadProviderModules(
+    { PROVIDER_DIRS: "providers", PROVIDER_MODULES: " ./pair.mjs , " },
+    root,
+  );
+  assert.deepEqual(
+    loaded.map((provider) => provider.id),
+    ["test-alpha", "test-beta", "test-gamma"],
+  );
+
+  const listed = listProviders();
+  assert.deepEqual(
+    listed.find((provider) => provider.id === "test-alpha"),
+    {
+      id: "test-alpha",
+      name: "test-alpha provider",
+      supportsOAuth: false,
+      models: ["alpha-large", "alpha-small"],
+      streaming: true,
+      seeded: false,
+    },
+  );
+  assert.equal(listed.find((provider) => provider.id === "local").seeded, true);
+  assert.ok(listed.some((provider) => provider.id === "test-gamma"));
+
+  assert.deepEqual(await loadProviderModules({}, root), []);
+});
+
+test("validateOptimizeRequest - provider enum follows the registry", () => {
+  assert.equal(
+    validateOptimizeRequest({ ...REQUEST, provider: "test-late" }),
+    false,
+  );
+  assert.ok(
+    validateOptimizeRequest.errors.some(
+      (err) => err.instancePath === "/provider",
+    ),
+  );
+
+  registerProvider({
+    id: "test-late",
+    name: "Registered after startup",
+    supportsOAuth: false,
+    async generateLayout() {
+      return [];
+    },
+  });
+  assert.equal(
+    validateOptimizeRequest({ ...REQUEST, provider: "test-late" }),
+    true,
+  );
+  assert.equal(
+    validateOptimizeRequest({
+      ...REQUEST,
+      ensemble: [{ provider: "test-late" }, { provider: "local" }],
+    }),
+    true,
+  );
+
+  providerRegistry.delete("test-late");
+  assert.equal(
+    validateOptimizeRequest({ ...REQUEST, provider: "test-late" }),
+    false,
+  );
+});
+
+test("loadProviderModule - modules without a provider fail by name", async () => {
+  await assert.rejects(
+    loadProviderModule("./empty.mjs", root),
+    /provider module \.\/empty\.mjs: no provider exported/,
+  );
+  await assert.rejects(
+    loadProviderModule("garden-craft-no-such-provider", root),
+    /provider module garden-craft-no-such-provider/,
+  );
+  assert.throws(
+    () => registerProvider({ id: "test-broken", name: "Broken" }),
+    /must implement generateLayout/,
+  );
+});
+
+test("registerProvider - lowercases the id once for every use", () => {
+  const provider = {
+    id: "Test-Mixed",
+    name: "Mixed case",
+    supportsOAuth: false,
+    async generateLayout() {
+      return [];
+    },
+  };
+  registerProvider(provider);
+
+  assert.equal(provider.id, "test-mixed");
+  assert.equal(providerRegistry.get("test-mixed"), provider);
+  assert.equal(getProvider("TEST-MIXED"), provider);
+  const listed = listProviders().filter((entry) =>
+    /^test-mixed$/i.test(entry.id),
+  );
+  assert.deepEqual(
+    listed.map((entry) => entry.id),
+    ["test-mixed"],
+  );
+  assert.equal(
+    validateOptimizeRequest({ ...REQUEST, provider: "test-mixed" }),
+    true,
+  );
+});
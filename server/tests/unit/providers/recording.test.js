@@ -0,0 +1,244 @@
+/**
+ * Recording provider responses and replaying them offline
+ *
+ * Tests:
+ * 1. runProviderRequest records prompt, schema, model and raw text, keyed by
+ *    all but the text
+ * 2. The replay provider answers from a recording, picked by provider, and
+ *    skips recordings made with another schema
+ * 3. Replayed output goes through validation, repair and scoring
+ * 4. A corrupt file next to valid recordings is skipped with a warning
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import {
+  mkdtempSync,
+  readdirSync,
+  readFileSync,
+  rmSync,
+  writeFileSync,
+} from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { openaiProvider } from "../../../providers/openaiProvider";
+import { anthropicProvider } from "../../../providers/anthropicProvider";
+import { providerRegistry } from "../../../providers/index";
+import { loadProviderModules } from "../../../providers/loader";
+import { buildGardenPrompt } from "../../../providers/prompt";
+import {
+  buildAnthropicSchema,
+  buildOpenAISchema,
+} from "../../../providers/bedSchema";
+import { recordingKey, saveRecording } from "../../../providers/recordings";
+import { runOptimizeRequest } from "../../../routes/optimize";
+import { scoreLayouts } from "../../../../shared/layoutScore";
+import { VEGGIE_METADATA } from "../../../veggieMetadata";
+
+const dir = mkdtempSync(join(tmpdir(), "provider-recordings-"));
+const originalRecordDir = process.env.PROVIDER_RECORD_DIR;
+
+const REQUEST = {
+  beds: [{ id: "bed-1", width: 48, height: 24, x: 0, y: 0 }],
+  seeds: [
+    { type: "Tomato", priority: 1, selectedVarieties: [] },
+    { type: "Basil", priority: 1, selectedVarieties: [] },
+  ],
+  sunOrientation: "South",
+};
+
+const placement = (id, veggieType, x, y, size) => ({
+  id,
+  veggieType,
+  varietyName: `Standard ${veggieType}`,
+  x,
+  y,
+  size,
+  placementReasoning: "Recorded",
+  spacingAnalysis: "Recorded",
+  companionInsights: "Recorded",
+});
+
+// Basil planted inside the tomato's canopy
+const OPENAI_LAYOUTS = [
+  {
+    bedId: "bed-1",
+    placements: [
+      placement("1", "Tomato", 12, 12, 18),
+      placement("2", "Basil", 16, 13, 8),
+    ],
+  },
+];
+const ANTHROPIC_LAYOUTS = [
+  { bedId: "bed-1", placements: [placement("1", "Basil", 30, 12, 8)] },
+];
+
+const useMockClient = (provider, respond) => {
+  const original = provider.createClient;
+  provider.createClient = () => respond;
+  return () => (provider.createClient = original);
+};
+
+before(async () => {
+  process.env.PROVIDER_RECORD_DIR = dir;
+  const restoreOpenai = useMockClient(openaiProvider, {
+    chat: {
+      completions: {
+        create: async () => ({
+          choices: [
+            {
+              message: {
+                content: JSON.stringify({ layouts: OPENAI_LAYOUTS }),
+              },
+            },
+          ],
+        }),
+      },
+    },
+  });
+  const restoreAnthropic = useMockClient(anthropicProvider, {
+    messages: {
+      create: async () => ({
+        content: [{ type: "text", text: JSON.stringify(ANTHROPIC_LAYOUTS) }],
+      }),
+    },
+  });
+  try {
+    await openaiProvider.generateLayout({ ...REQUEST, model: "gpt-4o" });
+    await anthropicProvider.generateLayout(REQUEST);
+  } finally {
+    restoreOpenai();
+    restoreAnthropic();
+  }
+  await loadProviderModules({ PROVIDER_REPLAY_DIR: dir });
+});
+
+after(() => {
+  if (originalRecordDir === undefined) {
+    delete process.env.PROVIDER_RECORD_DIR;
+  } else {
+    process.env.PROVIDER_RECORD_DIR = originalRecordDir;
+  }
+  providerRegistry.delete("replay");
+  rmSync(dir, { recursive: true, force: true });
+});
+
+test("runProviderRequest - records the raw exchange", () => {
+  const { system, prompt } = buildGardenPrompt(REQUEST);
+  const call = { system, prompt, model: "gpt-4o", schema: buildOpenAISchema() };
+  const key = recordingKey(call);
+  const files = readdirSync(dir);
+  assert.equal(files.length, 2);
+  assert.ok(files.includes(`${key}.openai.json`));
+  assert.ok(files.some((file) => file.endsWith(".anthropic.json")));
+
+  // Another model or schema is another recording
+  assert.notEqual(recordingKey({ ...call, model: "gpt-4o-mini" }), key);
+  assert.notEqual(
+    recordingKey({ ...call, schema: buildAnthropicSchema() }),
+    key,
+  );
+
+  const recording = JSON.parse(
+    readFileSync(join(dir, `${key}.openai.json`), "utf8"),
+  );
+  assert.equal(recording.key, key);
+  assert.equal(recording.provider, "openai");
+  assert.equal(recording.model, "gpt-4o");
+  assert.equal(recording.system, system);
+  assert.equal(recording.prompt, prompt);
+  assert.ok(recording.schema.properties.layouts);
+  assert.equal(recording.request.response_format.type, "json_schema");
+  assert.deepEqual(JSON.parse(recording.rawText), { layouts: OPENAI_LAYOUTS });
+  assert.ok(!Number.isNaN(Date.parse(recording.recordedAt)));
+});
+
+test("replay provider - answers from recordings without a network", async () => {
+  const replay = providerRegistry.get("replay");
+  assert.deepEqual(
+    await replay.generateLayout({ ...REQUEST, model: "openai" }),
+    OPENAI_LAYOUTS,
+  );
+  assert.deepEqual(
+    await replay.generateLayout({ ...REQUEST, model: "anthropic" }),
+    ANTHROPIC_LAYOUTS,
+  );
+  assert.deepEqual(
+    await replay.generateLayout({ ...REQUEST, model: "gpt-4o" }),
+    OPENAI_LAYOUTS,
+  );
+
+  await assert.rejects(
+    replay.generateLayout({ ...REQUEST, sunOrientation: "North" }),
+    /No recorded response for this request/,
+  );
+  await assert.rejects(
+    replay.generateLayout({ ...REQUEST, model: "gemini" }),
+    /from gemini/,
+  );
+
+  // A recording made before the schema changed is not replayed
+  const { system, prompt } = buildGardenPrompt(REQUEST);
+  const stale = {
+    system,
+    prompt,
+    model: "gpt-4o-2024-05-13",
+    schema: { ...buildOpenAISchema(), description: "An older schema" },
+  };
+  await saveRecording(dir, {
+    ...stale,
+    key: recordingKey(stale),
+    provider: "openai",
+    request: { model: stale.model },
+    rawText: JSON.stringify({ layouts: OPENAI_LAYOUTS }),
+    recordedAt: new Date().toISOString(),
+  });
+  await assert.rejects(
+    replay.generateLayout({ ...REQUEST, model: stale.model }),
+    /No recorded response for this request from gpt-4o-2024-05-13/,
+  );
+});
+
+test("replay provider - recorded output is repaired and scored", async () => {
+  const score = (layouts) =>
+    scoreLayouts(REQUEST.beds, layouts, {
+      plants: VEGGIE_METADATA,
+      seeds: REQUEST.seeds,
+    }).totals;
+  assert.ok(score(OPENAI_LAYOUTS).overlapArea > 0);
+
+  const { status, body } = await runOptimizeRequest({
+    ...REQUEST,
+    provider: "replay",
+    model: "openai",
+    repair: true,
+  });
+  assert.equal(status, 200);
+  assert.equal(body.provider, "replay");
+  assert.ok(body.repairs[0].moved.length > 0, "the basil is moved out");
+  assert.equal(score(body.layouts).overlapArea, 0);
+});
+
+test("replay provider - skips a corrupt recording with a warning", async (t) => {
+  const warn = t.mock.method(console, "warn", () => {});
+  const corrupt = join(dir, "0000000000000000.openai.json");
+  writeFileSync(corrupt, '{ "key": "0000000000000000", "rawText": ');
+  writeFileSync(join(dir, "notes.json"), JSON.stringify({ note: "hi" }));
+  try {
+    const replay = providerRegistry.get("replay");
+    assert.deepEqual(
+      await replay.generateLayout({ ...REQUEST, model: "openai" }),
+      OPENAI_LAYOUTS,
+    );
+    const warnings = warn.mock.calls.map((call) => call.arguments[0]);
+    assert.ok(warnings.some((message) => message.includes(corrupt)));
+    assert.ok(
+      warnings.some((message) =>
+        /notes\.json: not a provider recording/.test(message),
+      ),
+    );
+  } finally {
+    rmSync(corrupt);
+    rmSync(join(dir, "notes.json"));
+  }
+});
@@ -0,0 +1,171 @@
+/**
+ * Self-correction of invalid LLM output
+ *
+ * Tests:
+ * 1. Schema errors and the offending JSON go back to the model for a retry
+ * 2. Plants outside their bed get a retry too, unless bounds is off
+ * 3. Retries are bounded and the last error is thrown; none by default
+ * 4. Correction feedback continues Gemini `contents` conversations
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { openaiProvider } from "../../../providers/openaiProvider";
+import { defaultCorrectionInserter } from "../../../providers/providerUtils";
+import { runOptimizeRequest } from "../../../routes/optimize";
+
+const REQUEST = {
+  provider: "openai",
+  beds: [{ id: "bed-1", width: 48, height: 24, x: 0, y: 0 }],
+  seeds: [{ type: "Basil", priority: 1, selectedVarieties: [] }],
+  sunOrientation: "South",
+  correction: { maxRetries: 1 },
+};
+
+const placement = (x, y) => ({
+  id: "1",
+  veggieType: "Basil",
+  varietyName: "Genovese",
+  x,
+  y,
+  size: 8,
+  placementReasoning: "Test",
+  spacingAnalysis: "Test",
+  companionInsights: "Test",
+});
+
+const answer = (layouts) => JSON.stringify({ layouts });
+const GOOD = answer([{ bedId: "bed-1", placements: [placement(12, 12)] }]);
+const MISSING_PLACEMENTS = answer([{ bedId: "bed-1" }]);
+const OUT_OF_BOUNDS = answer([
+  { bedId: "bed-1", placements: [placement(60, 12)] },
+]);
+
+/**
+ * Point openaiProvider at a client answering with `answers` in turn, and
+ * collect the messages of every request
+ */
+async function withAnswers(answers, run) {
+  const requests = [];
+  const original = openaiProvider.createClient;
+  openaiProvider.createClient = () => ({
+    chat: {
+      completions: {
+        create: async (opts) => {
+          requests.push(opts.messages);
+          const content =
+            answers[Math.min(requests.length, answers.length) - 1];
+          return { choices: [{ message: { content } }] };
+        },
+      },
+    },
+  });
+  try {
+    return { result: await run(), requests };
+  } finally {
+    openaiProvider.createClient = original;
+  }
+}
+
+test("self-correction - schema errors are sent back for another answer", async () => {
+  const { result, requests } = await withAnswers(
+    [MISSING_PLACEMENTS, GOOD],
+    () => runOptimizeRequest(REQUEST),
+  );
+  assert.equal(result.status, 200);
+  assert.equal(result.body.layouts[0].placements[0].x, 12);
+
+  assert.equal(requests.length, 2);
+  const [first, retry] = requests;
+  assert.deepEqual(retry.slice(0, 2), first);
+  assert.deepEqual(retry[2], {
+    role: "assistant",
+    content: MISSING_PLACEMENTS,
+  });
+  assert.equal(retry[3].role, "user");
+  assert.match(retry[3].content, /does not match the required JSON schema/);
+  assert.match(retry[3].content, /must have required property 'placements'/);
+  assert.ok(retry[3].content.includes(MISSING_PLACEMENTS));
+
+  const [failed, ok] = result.body.attempts;
+  assert.equal(failed.attempt, 1);
+  assert.equal(failed.outcome, "schema");
+  assert.ok(failed.errors.some((error) => /placements/.test(error)));
+  assert.deepEqual(ok, { attempt: 2, outcome: "ok", errors: [] });
+});
+
+test("self-correction - out-of-bounds plants are sent back unless bounds is off", async () => {
+  const { result, requests } = await withAnswers([OUT_OF_BOUNDS, GOOD], () =>
+    runOptimizeRequest(REQUEST),
+  );
+  assert.equal(requests.length, 2);
+  assert.match(requests[1][3].content, /outside their bed/);
+  assert.match(requests[1][3].content, /plant 1 \(Basil at x=60, y=12/);
+  assert.deepEqual(
+    result.body.attempts.map((attempt) => attempt.outcome),
+    ["bounds", "ok"],
+  );
+  assert.equal(result.body.layouts[0].placements[0].x, 12);
+
+  const unchecked = await withAnswers([OUT_OF_BOUNDS, GOOD], () =>
+    runOptimizeRequest({
+      ...REQUEST,
+      correction: { maxRetries: 1, bounds: false },
+    }),
+  );
+  assert.equal(unchecked.requests.length, 1);
+  assert.equal(unchecked.result.body.layouts[0].placements[0].x, 60);
+  assert.deepEqual(unchecked.result.body.attempts, [
+    { attempt: 1, outcome: "ok", errors: [] },
+  ]);
+});
+
+test("self-correction - retries stop at maxRetries", async () => {
+  const exhausted = withAnswers([MISSING_PLACEMENTS], () =>
+    runOptimizeRequest({ ...REQUEST, correction: { maxRetries: 2 } }),
+  );
+  await assert.rejects(
+    exhausted,
+    /schema validation failed: .*placements.* \(after 3 attempts\)$/,
+  );
+
+  // Without `correction` or PROVIDER_CORRECTION_RETRIES there is no retry
+  const { requests } = await withAnswers([MISSING_PLACEMENTS, GOOD], () =>
+    assert.rejects(
+      runOptimizeRequest({ ...REQUEST, correction: undefined }),
+      /schema validation failed/,
+    ),
+  );
+  assert.equal(requests.length, 1);
+
+  // Out-of-bounds layouts are still returned when retries run out
+  const { result } = await withAnswers([OUT_OF_BOUNDS], () =>
+    runOptimizeRequest({ ...REQUEST, correction: { maxRetries: 1 } }),
+  );
+  assert.equal(result.status, 200);
+  assert.deepEqual(
+    result.body.attempts.map((attempt) => attempt.outcome),
+    ["bounds", "bounds"],
+  );
+});
+
+test("defaultCorrectionInserter - continues Gemini contents", () => {
+  const opts = defaultCorrectionInserter(
+    { model: "gemini-2.5-flash", contents: "Plan my garden" },
+    "{}",
+    "Fix it",
+  );
+  assert.equal(opts.model, "gemini-2.5-flash");
+  assert.deepEqual(opts.contents, [
+    { role: "user", parts: [{ text: "Plan my garden" }] },
+    { role: "model", parts: [{ text: "{}" }] },
+    { role: "user", parts: [{ text: "Fix it" }] },
+  ]);
+
+  const again = defaultCorrectionInserter(opts, "[]", "Still wrong");
+  assert.equal(again.contents.length, 5);
+  assert.throws(
+    () => defaultCorrectionInserter({ prompt: "x" }, "{}", "Fix it"),
+    /no messages or contents/,
+  );
+});
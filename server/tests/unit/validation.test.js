@@ -4,7 +4,11 @@
 
 import { describe, it, before } from "node:test";
 import assert from "node:assert/strict";
-import { validateOptimizeRequest } from "../../middleware/validation";
+import {
+  validateOptimizeRequest,
+  validateScoreRequest,
+  validateSunRequest,
+} from "../../middleware/validation";
 
 describe("Validation Middleware", () => {
   describe("validateOptimizeRequest", () => {
@@ -208,5 +212,351 @@ describe("Validation Middleware", () => {
         "Seeds with extra properties should be allowed",
       );
     });
+
+    it("should accept polygon beds with vertices", () => {
+      const validRequest = {
+        provider: "local",
+        beds: [
+          {
+            id: "bed1",
+            width: 48,
+            height: 48,
+            shape: "polygon",
+            vertices: [
+              { x: 0, y: 0 },
+              { x: 24, y: 0 },
+              { x: 24, y: 24 },
+              { x: 48, y: 24 },
+              { x: 48, y: 48 },
+              { x: 0, y: 48 },
+            ],
+          },
+        ],
+        seeds: [{ id: "seed1", type: "Tomato", quantity: 1 }],
+        sunOrientation: "South",
+      };
+
+      const valid = validateOptimizeRequest(validRequest);
+      assert.equal(valid, true, "Polygon bed with outline should pass");
+    });
+
+    it("should reject polygon beds without enough vertices", () => {
+      const base = {
+        provider: "local",
+        seeds: [{ id: "seed1", type: "Tomato", quantity: 1 }],
+        sunOrientation: "South",
+      };
+
+      assert.equal(
+        validateOptimizeRequest({
+          ...base,
+          beds: [{ id: "bed1", width: 48, height: 48, shape: "polygon" }],
+        }),
+        false,
+        "Polygon bed without vertices should fail",
+      );
+      assert.equal(
+        validateOptimizeRequest({
+          ...base,
+          beds: [
+            {
+              id: "bed1",
+              width: 48,
+              height: 48,
+              shape: "polygon",
+              vertices: [
+                { x: 0, y: 0 },
+                { x: 48, y: 0 },
+              ],
+            },
+          ],
+        }),
+        false,
+        "Polygon bed with fewer than 3 vertices should fail",
+      );
+    });
+
+    it("should validate bed obstacles by kind", () => {
+      const withObstacles = (obstacles) => ({
+        provider: "local",
+        beds: [{ id: "bed1", width: 48, height: 96, obstacles }],
+        seeds: [{ id: "seed1", type: "Tomato", quantity: 1 }],
+        sunOrientation: "South",
+      });
+
+      assert.equal(
+        validateOptimizeRequest(
+          withObstacles([
+            { kind: "circle", x: 10, y: 10, radius: 3, label: "Riser" },
+            { kind: "rect", x: 20, y: 0, width: 8, height: 96 },
+            {
+              kind: "polygon",
+              vertices: [
+                { x: 30, y: 30 },
+                { x: 40, y: 30 },
+                { x: 35, y: 40 },
+              ],
+            },
+          ]),
+        ),
+        true,
+        "Well-formed obstacles should pass",
+      );
+      assert.equal(
+        validateOptimizeRequest(withObstacles([{ kind: "circle", x: 10, y: 10 }])),
+        false,
+        "Circle obstacle without radius should fail",
+      );
+      assert.equal(
+        validateOptimizeRequest(withObstacles([{ kind: "hexagon", x: 1, y: 1 }])),
+        false,
+        "Unknown obstacle kind should fail",
+      );
+    });
+
+    it("should require existingLayouts in fill mode", () => {
+      const base = {
+        provider: "local",
+        beds: [{ id: "bed1", width: 48, height: 48 }],
+        seeds: [{ id: "seed1", type: "Basil", quantity: 4 }],
+        sunOrientation: "South",
+        mode: "fill",
+      };
+
+      assert.equal(
+        validateOptimizeRequest(base),
+        false,
+        "Fill mode without existing layouts should fail",
+      );
+      assert.equal(
+        validateOptimizeRequest({
+          ...base,
+          existingLayouts: [
+            {
+              bedId: "bed1",
+              placements: [
+                { id: "1", veggieType: "Tomato", x: 12, y: 12, size: 18 },
+              ],
+            },
+          ],
+        }),
+        true,
+        "Fill mode with existing layouts should pass",
+      );
+      assert.equal(
+        validateOptimizeRequest({ ...base, mode: "patch" }),
+        false,
+        "Unknown mode should fail",
+      );
+    });
+
+    it("should validate crop rotation history", () => {
+      const base = {
+        provider: "local",
+        beds: [{ id: "bed1", width: 48, height: 48 }],
+        seeds: [{ id: "seed1", type: "Tomato", quantity: 2 }],
+        sunOrientation: "South",
+      };
+
+      assert.equal(
+        validateOptimizeRequest({
+          ...base,
+          rotationHistory: [
+            { season: "2025", beds: { bed1: ["Solanaceae", "Lamiaceae"] } },
+          ],
+        }),
+        true,
+        "Families per bed should pass",
+      );
+      assert.equal(
+        validateOptimizeRequest({
+          ...base,
+          rotationHistory: [{ season: "2025", beds: { bed1: "Solanaceae" } }],
+        }),
+        false,
+        "Families must be a list",
+      );
+    });
+
+    it("should validate sun settings", () => {
+      const base = {
+        provider: "local",
+        beds: [{ id: "bed1", width: 48, height: 48 }],
+        seeds: [{ id: "seed1", type: "Tomato", quantity: 2 }],
+        sunOrientation: "South",
+      };
+
+      assert.equal(
+        validateOptimizeRequest({
+          ...base,
+          sun: { latitude: 51.5, date: "2025-05-01", azimuth: 170 },
+        }),
+        true,
+        "Latitude, date and azimuth should pass",
+      );
+      assert.equal(
+        validateOptimizeRequest({ ...base, sun: { latitude: 120 } }),
+        false,
+        "Latitude beyond the pole should fail",
+      );
+      assert.equal(
+        validateOptimizeRequest({ ...base, sun: { date: "May 1st" } }),
+        false,
+        "Dates must be YYYY-MM-DD",
+      );
+    });
+
+    it("should accept the repair flag", () => {
+      const base = {
+        provider: "openai",
+        beds: [{ id: "bed1", width: 48, height: 48 }],
+        seeds: [{ id: "seed1", type: "Tomato", quantity: 2 }],
+        sunOrientation: "South",
+      };
+
+      assert.equal(validateOptimizeRequest({ ...base, repair: true }), true);
+      assert.equal(
+        validateOptimizeRequest({ ...base, repair: "yes" }),
+        false,
+        "Repair must be a boolean",
+      );
+    });
+
+    it("should accept a progress job id", () => {
+      const base = {
+        provider: "local",
+        beds: [{ id: "bed1", width: 48, height: 48 }],
+        seeds: [{ id: "seed1", type: "Tomato", quantity: 2 }],
+        sunOrientation: "South",
+      };
+
+      assert.equal(
+        validateOptimizeRequest({ ...base, jobId: "job-lw3k2a-x8f1q0" }),
+        true,
+      );
+      assert.equal(
+        validateOptimizeRequest({ ...base, jobId: "../other job" }),
+        false,
+        "Job ids are limited to URL-safe characters",
+      );
+    });
+
+    it("should validate packer config ranges", () => {
+      const base = {
+        provider: "local",
+        beds: [{ id: "bed1", width: 48, height: 48 }],
+        seeds: [{ id: "seed1", type: "Tomato", quantity: 2 }],
+        sunOrientation: "South",
+      };
+
+      assert.equal(
+        validateOptimizeRequest({
+          ...base,
+          packerConfig: { damping: 0.7, max_iterations: 200, random_seed: 42 },
+        }),
+        true,
+      );
+      assert.equal(
+        validateOptimizeRequest({ ...base, packerConfig: { damping: 1.5 } }),
+        false,
+        "Damping is at most 1",
+      );
+      assert.equal(
+        validateOptimizeRequest({
+          ...base,
+          packerConfig: { max_iterations: 10.5 },
+        }),
+        false,
+        "Iterations are whole numbers",
+      );
+      assert.equal(
+        validateOptimizeRequest({ ...base, packerConfig: { random_seed: -1 } }),
+        false,
+        "Seeds are non-negative integers",
+      );
+      assert.equal(
+        validateOptimizeRequest({ ...base, packerConfig: { gravity: 1 } }),
+        false,
+        "Unknown parameters are rejected",
+      );
+      assert.equal(
+        validateOptimizeRequest({ ...base, config: { damping: 0.7 } }),
+        false,
+        "Tuning goes in packerConfig",
+      );
+    });
+  });
+
+  describe("validateSunRequest", () => {
+    it("should require a bed and its placements", () => {
+      const placements = [
+        { id: "1", veggieType: "Tomato", x: 24, y: 24, size: 24 },
+      ];
+
+      assert.equal(
+        validateSunRequest({
+          bed: { id: "bed1", width: 48, height: 48 },
+          placements,
+          sun: { latitude: 40 },
+          cellSize: 3,
+        }),
+        true,
+        "Bed with placements should pass",
+      );
+      assert.equal(
+        validateSunRequest({ placements }),
+        false,
+        "Missing bed should fail",
+      );
+      assert.equal(
+        validateSunRequest({
+          bed: { id: "bed1", width: 48, height: 48 },
+          placements,
+          cellSize: 0,
+        }),
+        false,
+        "Cell size must be positive",
+      );
+    });
+  });
+
+  describe("validateScoreRequest", () => {
+    it("should require beds and layouts", () => {
+      const beds = [{ id: "bed1", width: 48, height: 48 }];
+      const layouts = [
+        {
+          bedId: "bed1",
+          placements: [
+            { id: "1", veggieType: "Tomato", x: 24, y: 24, size: 24 },
+          ],
+        },
+      ];
+
+      assert.equal(
+        validateScoreRequest({
+          beds,
+          layouts,
+          seeds: [{ type: "Tomato", priority: 3 }],
+          sunOrientation: "South",
+        }),
+        true,
+        "Beds with layouts should pass",
+      );
+      assert.equal(
+        validateScoreRequest({ beds }),
+        false,
+        "Missing layouts should fail",
+      );
+      assert.equal(
+        validateScoreRequest({ beds: [], layouts }),
+        false,
+        "At least one bed is needed",
+      );
+      assert.equal(
+        validateScoreRequest({ beds, layouts, provider: "local" }),
+        false,
+        "Unknown fields should fail",
+      );
+    });
   });
 });
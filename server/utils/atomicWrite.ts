@@ -0,0 +1,21 @@
+import fs from "node:fs";
+import path from "node:path";
+
+/**
+ * Write JSON through a temp file and rename it into place, so a crash never
+ * leaves a half-written file behind
+ */
+export function writeJsonAtomic(
+  filePath: string,
+  value: unknown,
+  mode = 0o600,
+): void {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmp = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(value, null, 2), { mode });
+  fs.renameSync(tmp, filePath);
+}
+
+export default {
+  writeJsonAtomic,
+};
@@ -3,30 +3,26 @@
  *
  * Resolves authentication credentials from multiple sources in priority order:
  * 1. Explicit auth object passed in request (apiKey or oauthAccessToken)
- * 2. OAuth token store (server-side session tokens)
+ * 2. OAuth token store (tokens the calling session connected)
  * 3. Environment variables (provider-specific API keys)
  *
  * This ensures consistent auth behavior across all endpoints and providers.
+ * Stored tokens are refreshed shortly before they expire, and once more if
+ * the provider still rejects them (see runWithAuth).
  */
 
+import { isTokenExpired, tokenKey, type TokenStore } from "../oauth/tokenStore";
+
 interface AuthObject {
   apiKey?: string;
   oauthAccessToken?: string;
 }
 
-interface TokenEntry {
-  accessToken: string;
-  tokenType?: string | null;
-  scopes?: string | null;
-  hasRefreshToken?: boolean;
-  receivedAt?: number;
-  expiresAt?: number | null;
-}
-
 interface ResolveAuthOptions {
   providerId: string;
   auth?: AuthObject;
-  tokenStore?: Map<string, TokenEntry>;
+  tokenStore?: TokenStore;
+  sessionId?: string;
 }
 
 interface HasAuthOptions {
@@ -41,14 +37,16 @@ interface HasAuthOptions {
  * @param options - Resolution options
  * @param options.providerId - Provider identifier ('openai', 'anthropic', 'gemini', 'local')
  * @param options.auth - Explicit auth from request { apiKey?, oauthAccessToken? }
- * @param options.tokenStore - OAuth token store (Map<providerId, tokenEntry>)
+ * @param options.tokenStore - OAuth token store (entries keyed by tokenKey)
+ * @param options.sessionId - Calling session; without one the shared slot is used
  * @returns Resolved auth object or undefined if no auth available
  */
-export function resolveAuth({
+export async function resolveAuth({
   providerId,
   auth,
   tokenStore,
-}: ResolveAuthOptions): AuthObject | undefined {
+  sessionId,
+}: ResolveAuthOptions): Promise<AuthObject | undefined> {
   // Priority 1: Explicit auth from request
   if (auth) {
     if (auth.apiKey || auth.oauthAccessToken) {
@@ -58,8 +56,12 @@ export function resolveAuth({
 
   // Priority 2: OAuth token store (server-side session)
   if (tokenStore) {
-    const tokenEntry = tokenStore.get(String(providerId).toLowerCase());
-    if (tokenEntry?.accessToken) {
+    const key = tokenKey(providerId, sessionId);
+    const tokenEntry = tokenStore.ensureFresh
+      ? await tokenStore.ensureFresh(key)
+      : tokenStore.get(key);
+    // A plain Map hands back expired entries too
+    if (tokenEntry?.accessToken && !isTokenExpired(tokenEntry)) {
       return {
         oauthAccessToken: tokenEntry.accessToken,
       };
@@ -70,6 +72,47 @@ export function resolveAuth({
   return undefined;
 }
 
+/**
+ * True for a provider SDK error caused by a rejected credential
+ */
+export function isUnauthorizedError(err: any): boolean {
+  return err?.status === 401 || err?.response?.status === 401;
+}
+
+/**
+ * Resolve auth and run a provider call with it. When the call fails with a
+ * 401 and the token came from the store, the token is refreshed and the call
+ * retried once; explicit credentials are never retried.
+ *
+ * @param options - Same as resolveAuth
+ * @param run - Provider call taking the resolved auth
+ * @returns Whatever `run` returns
+ */
+export async function runWithAuth<T>(
+  options: ResolveAuthOptions,
+  run: (auth: AuthObject | undefined) => Promise<T>,
+): Promise<T> {
+  const resolved = await resolveAuth(options);
+  try {
+    return await run(resolved);
+  } catch (err) {
+    const fromStore =
+      Boolean(resolved?.oauthAccessToken) && resolved !== options.auth;
+    if (
+      !fromStore ||
+      !isUnauthorizedError(err) ||
+      !options.tokenStore?.refresh
+    ) {
+      throw err;
+    }
+    const refreshed = await options.tokenStore.refresh(
+      tokenKey(options.providerId, options.sessionId),
+    );
+    if (!refreshed?.accessToken) throw err;
+    return run({ oauthAccessToken: refreshed.accessToken });
+  }
+}
+
 /**
  * Validate that authentication is available for a provider
  *
@@ -105,5 +148,7 @@ export function hasAuth({
 
 export default {
   resolveAuth,
+  runWithAuth,
+  isUnauthorizedError,
   hasAuth,
 };
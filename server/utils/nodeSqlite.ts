@@ -0,0 +1,40 @@
+/**
+ * The built-in `node:sqlite` module, for the sqlite stores
+ *
+ * It ships without a flag from Node.js 22.13 (22.5 with
+ * `--experimental-sqlite`); older versions get a clear error instead of a
+ * failed destructure.
+ */
+
+type NodeSqlite = typeof import("node:sqlite");
+
+export const NODE_SQLITE_VERSION = "22.13";
+
+/**
+ * `node:sqlite`, or null when this Node.js doesn't have it
+ */
+export function getNodeSqlite(): NodeSqlite | null {
+  // Loaded on demand: node:sqlite warns as experimental when imported
+  return (
+    (process.getBuiltinModule?.("node:sqlite") as NodeSqlite | undefined) ??
+    null
+  );
+}
+
+/**
+ * `node:sqlite`, or an error naming the Node.js version `feature` needs
+ */
+export function requireNodeSqlite(feature: string): NodeSqlite {
+  const sqlite = getNodeSqlite();
+  if (!sqlite) {
+    throw new Error(
+      `${feature} needs node:sqlite, built into Node.js ${NODE_SQLITE_VERSION} and later; this is Node.js ${process.versions.node}.`,
+    );
+  }
+  return sqlite;
+}
+
+export default {
+  getNodeSqlite,
+  requireNodeSqlite,
+};
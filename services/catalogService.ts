@@ -1,10 +1,10 @@
 import { PlantCatalog } from "../shared/types";
-import { getServerUrl, withServerUrl } from "./serverUrl";
+import { getServerUrl, serverFetch, withServerUrl } from "./serverUrl";
 
 export async function fetchPlantCatalog(
   serverUrl: string = getServerUrl(),
 ): Promise<PlantCatalog> {
-  const response = await fetch(withServerUrl("/api/catalog", serverUrl));
+  const response = await serverFetch(withServerUrl("/api/catalog", serverUrl));
   if (!response.ok) {
     const text = await response.text();
     throw new Error(
@@ -1,12 +1,31 @@
 import {
+  AIProviderId,
   BedLayout,
+  CorrectionSettings,
+  EnsembleRun,
+  FixedPlacement,
   GardenBed,
+  LayoutRepair,
+  OptimizeMode,
+  PackerConfig,
+  ProviderAttempt,
+  RotationSeason,
   SunOrientation,
+  SunSettings,
   Vegetable,
 } from "../shared/types";
-import { getServerUrl, withServerUrl } from "./serverUrl";
+import { getServerUrl, serverFetch, withServerUrl } from "./serverUrl";
 
-type AIProviderId = "gemini" | "openai" | "anthropic" | "local";
+/**
+ * One provider in a best-of-N request; local runs use `randomSeed`, +1 per run.
+ */
+interface EnsembleEntry {
+  provider: AIProviderId;
+  model?: string;
+  auth?: { apiKey?: string; oauthAccessToken?: string };
+  runs?: number;
+  randomSeed?: number;
+}
 
 interface OptimizationRequest {
   provider?: AIProviderId;
@@ -20,36 +39,117 @@ interface OptimizationRequest {
     oauthAccessToken?: string;
   };
   model?: string;
+  fixedPlacements?: FixedPlacement[];
+  mode?: OptimizeMode;
+  existingLayouts?: BedLayout[];
+  rotationHistory?: RotationSeason[];
+  sun?: SunSettings;
+  repair?: boolean;
+  correction?: CorrectionSettings;
+  packerConfig?: PackerConfig;
+  ensemble?: EnsembleEntry[];
+  jobId?: string;
 }
 
 interface OptimizationResponse {
   provider: AIProviderId;
   layouts: BedLayout[];
+  repairs?: LayoutRepair[];
+  attempts?: ProviderAttempt[]; // LLM answers needed, with their errors
+  ensemble?: EnsembleRun[];
+  seed?: number; // local packer seed, to reproduce the run
 }
 
+/**
+ * How a generated layout came about, for the result panel
+ */
+export type OptimizationReport = Pick<
+  OptimizationResponse,
+  "provider" | "repairs" | "attempts" | "ensemble"
+>;
+
 async function postOptimize(
   serverUrl: string,
   payload: OptimizationRequest,
 ): Promise<OptimizationResponse> {
-  const response = await fetch(withServerUrl("/api/optimize", serverUrl), {
+  const response = await serverFetch(
+    withServerUrl("/api/optimize", serverUrl),
+    {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(payload),
+    },
+  );
+
+  if (!response.ok) {
+    const text = await response.text();
+    throw new Error(
+      `Optimization request failed (${response.status}): ${text || "Unknown error"}`,
+    );
+  }
+
+  return response.json();
+}
+
+// How often a running optimize job is polled
+const JOB_POLL_MS = 1000;
+
+/**
+ * Run an optimize request as a server job so it can be cancelled: aborting
+ * `signal` deletes the job, which stops the provider call or the packer.
+ */
+async function runOptimizeJob(
+  serverUrl: string,
+  payload: OptimizationRequest,
+  signal: AbortSignal,
+): Promise<OptimizationResponse> {
+  const response = await serverFetch(withServerUrl("/api/jobs", serverUrl), {
     method: "POST",
     headers: { "Content-Type": "application/json" },
     body: JSON.stringify(payload),
+    signal,
   });
-
   if (!response.ok) {
     const text = await response.text();
     throw new Error(
-      `Optimization request failed (${response.status}): ${text || "Unknown error"}`,
+      `Optimization job failed to start (${response.status}): ${text || "Unknown error"}`,
     );
   }
 
-  return response.json();
+  const { id } = await response.json();
+  const jobUrl = withServerUrl(
+    `/api/jobs/${encodeURIComponent(id)}`,
+    serverUrl,
+  );
+  const cancel = () => {
+    serverFetch(jobUrl, { method: "DELETE" }).catch((err) =>
+      console.warn("Failed to cancel optimization job", err),
+    );
+  };
+  signal.addEventListener("abort", cancel, { once: true });
+
+  try {
+    for (;;) {
+      await new Promise((resolve) => setTimeout(resolve, JOB_POLL_MS));
+      signal.throwIfAborted();
+      const poll = await serverFetch(jobUrl, { signal });
+      if (!poll.ok) {
+        throw new Error(`Optimization job lookup failed (${poll.status})`);
+      }
+      const job = await poll.json();
+      if (job.status === "running") continue;
+      if (job.status === "succeeded") return job.result;
+      throw new Error(job.error || `Optimization job ${job.status}`);
+    }
+  } finally {
+    signal.removeEventListener("abort", cancel);
+  }
 }
 
 /**
  * Server-backed AI layout generator.
  * This client never instantiates provider SDKs in the browser.
+ * With a `signal` the request runs as a cancellable server job.
  */
 export async function generateGardenLayout(
   beds: GardenBed[],
@@ -61,12 +161,24 @@ export async function generateGardenLayout(
     optimizationGoals?: string[];
     auth?: { apiKey?: string; oauthAccessToken?: string };
     model?: string;
+    fixedPlacements?: FixedPlacement[];
+    mode?: OptimizeMode;
+    existingLayouts?: BedLayout[];
+    rotationHistory?: RotationSeason[];
+    sun?: SunSettings;
+    repair?: boolean;
+    packerConfig?: PackerConfig;
+    ensemble?: EnsembleEntry[];
+    jobId?: string;
+    signal?: AbortSignal;
+    onSeed?: (seed: number) => void; // the seed a local run packed with
+    onReport?: (report: OptimizationReport) => void;
     serverUrl?: string;
   } = {},
 ): Promise<BedLayout[]> {
   const serverUrl = options.serverUrl || getServerUrl();
 
-  const result = await postOptimize(serverUrl, {
+  const payload: OptimizationRequest = {
     provider: options.provider || "local",
     beds,
     seeds,
@@ -75,6 +187,34 @@ export async function generateGardenLayout(
     optimizationGoals: options.optimizationGoals,
     auth: options.auth,
     model: options.model,
+    fixedPlacements: options.fixedPlacements?.length
+      ? options.fixedPlacements
+      : undefined,
+    mode: options.mode,
+    existingLayouts: options.existingLayouts,
+    rotationHistory: options.rotationHistory?.length
+      ? options.rotationHistory
+      : undefined,
+    sun: options.sun,
+    repair: options.repair || undefined,
+    packerConfig:
+      options.packerConfig && Object.keys(options.packerConfig).length > 0
+        ? options.packerConfig
+        : undefined,
+    ensemble: options.ensemble?.length ? options.ensemble : undefined,
+    jobId: options.jobId,
+  };
+  const result = options.signal
+    ? await runOptimizeJob(serverUrl, payload, options.signal)
+    : await postOptimize(serverUrl, payload);
+
+  if (result.seed !== undefined) options.onSeed?.(result.seed);
+
+  options.onReport?.({
+    provider: result.provider,
+    repairs: result.repairs,
+    attempts: result.attempts,
+    ensemble: result.ensemble,
   });
 
   return result.layouts || [];
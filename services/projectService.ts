@@ -0,0 +1,171 @@
+import type {
+  GardenProject,
+  GardenProjectData,
+  GardenProjectSummary,
+  GardenRevision,
+  GardenRevisionSummary,
+} from "../shared/types";
+import { getServerUrl, serverFetch, withServerUrl } from "./serverUrl";
+
+export type GardenStorageMode = "local" | "server";
+
+const readSetting = (key: string, envKey: string): string | undefined =>
+  (typeof window !== "undefined" && window.localStorage?.getItem(key)) ||
+  (import.meta as any).env?.[envKey] ||
+  undefined;
+
+/**
+ * "server" keeps gardens in /api/projects; anything else stays in localStorage
+ */
+export function getGardenStorageMode(): GardenStorageMode {
+  return readSetting("GARDENCRAFT_GARDEN_STORAGE", "VITE_GARDEN_STORAGE") ===
+    "server"
+    ? "server"
+    : "local";
+}
+
+// A shared session token lets a team open the same gardens from any machine;
+// without one the server scopes projects to this browser's session cookie
+function sessionHeaders(): Record<string, string> {
+  const token = readSetting(
+    "GARDENCRAFT_SESSION_TOKEN",
+    "VITE_GARDENCRAFT_SESSION_TOKEN",
+  );
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+async function projectRequest<T>(
+  path: string,
+  init: RequestInit = {},
+  serverUrl: string = getServerUrl(),
+): Promise<T> {
+  const response = await serverFetch(withServerUrl(path, serverUrl), {
+    ...init,
+    headers: {
+      "Content-Type": "application/json",
+      ...sessionHeaders(),
+      ...init.headers,
+    },
+  });
+  if (response.status === 204) return undefined as T;
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    // 409 carries the project as saved elsewhere
+    throw Object.assign(
+      new Error(body.error || `Project request failed (${response.status})`),
+      { status: response.status, project: body.project ?? null },
+    );
+  }
+  return body as T;
+}
+
+export async function listProjects(
+  serverUrl?: string,
+): Promise<GardenProjectSummary[]> {
+  const { projects } = await projectRequest<{
+    projects: GardenProjectSummary[];
+  }>("/api/projects", {}, serverUrl);
+  return projects;
+}
+
+export function fetchProject(
+  id: string,
+  serverUrl?: string,
+): Promise<GardenProject> {
+  return projectRequest(
+    `/api/projects/${encodeURIComponent(id)}`,
+    {},
+    serverUrl,
+  );
+}
+
+export function createProject(
+  data: GardenProjectData,
+  serverUrl?: string,
+): Promise<GardenProject> {
+  return projectRequest(
+    "/api/projects",
+    { method: "POST", body: JSON.stringify(data) },
+    serverUrl,
+  );
+}
+
+/**
+ * Replace a project; pass the version last seen to fail with a 409 error
+ * instead of overwriting a newer save
+ */
+export function saveProject(
+  id: string,
+  data: GardenProjectData,
+  version?: number,
+  serverUrl?: string,
+): Promise<GardenProject> {
+  return projectRequest(
+    `/api/projects/${encodeURIComponent(id)}`,
+    { method: "PUT", body: JSON.stringify({ ...data, version }) },
+    serverUrl,
+  );
+}
+
+export function deleteProject(id: string, serverUrl?: string): Promise<void> {
+  return projectRequest(
+    `/api/projects/${encodeURIComponent(id)}`,
+    { method: "DELETE" },
+    serverUrl,
+  );
+}
+
+/**
+ * Revisions of a project, newest first
+ */
+export async function listRevisions(
+  id: string,
+  serverUrl?: string,
+): Promise<GardenRevisionSummary[]> {
+  const { revisions } = await projectRequest<{
+    revisions: GardenRevisionSummary[];
+  }>(`/api/projects/${encodeURIComponent(id)}/revisions`, {}, serverUrl);
+  return revisions;
+}
+
+export function fetchRevision(
+  id: string,
+  revision: number,
+  serverUrl?: string,
+): Promise<GardenRevision> {
+  return projectRequest(
+    `/api/projects/${encodeURIComponent(id)}/revisions/${revision}`,
+    {},
+    serverUrl,
+  );
+}
+
+/**
+ * Snapshot the project as last saved
+ */
+export function createRevision(
+  id: string,
+  note: string,
+  serverUrl?: string,
+): Promise<GardenRevision> {
+  return projectRequest(
+    `/api/projects/${encodeURIComponent(id)}/revisions`,
+    { method: "POST", body: JSON.stringify({ note }) },
+    serverUrl,
+  );
+}
+
+/**
+ * Save a revision's garden as the project's next version
+ */
+export function restoreRevision(
+  id: string,
+  revision: number,
+  serverUrl?: string,
+): Promise<GardenProject> {
+  return projectRequest(
+    `/api/projects/${encodeURIComponent(id)}/revisions/${revision}/restore`,
+    { method: "POST" },
+    serverUrl,
+  );
+}
@@ -19,3 +19,15 @@ export function withServerUrl(path: string, base?: string): string {
   const cleanPath = path.startsWith("/") ? path : `/${path}`;
   return `${normalizeServerUrl(base || getServerUrl())}${cleanPath}`;
 }
+
+/**
+ * fetch() for the AI server. The session cookie goes along even when the
+ * server is on another origin, so every call (and the OAuth tokens and jobs
+ * it reaches) belongs to this browser's one session.
+ */
+export function serverFetch(
+  input: string,
+  init: RequestInit = {},
+): Promise<Response> {
+  return fetch(input, { credentials: "include", ...init });
+}
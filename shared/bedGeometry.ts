@@ -0,0 +1,439 @@
+/**
+ * Bed geometry helpers shared by the packer, the optimize route and the canvas.
+ *
+ * All coordinates are inches relative to the bed origin (top-left corner of the
+ * bed's bounding box). Polygon beds describe their outline with `vertices`; the
+ * bed's `width`/`height` remain the bounding box so grid placement and the
+ * rectangle-based UI keep working unchanged.
+ */
+
+import type { BedObstacle, BedVertex, GardenBed } from "./types";
+
+export type PolygonPreset = "l-shape" | "u-shape" | "keyhole";
+
+/**
+ * Polygon area via the shoelace formula (orientation independent).
+ */
+export function polygonArea(vertices: BedVertex[]): number {
+  if (!Array.isArray(vertices) || vertices.length < 3) return 0;
+  let sum = 0;
+  for (let i = 0; i < vertices.length; i++) {
+    const a = vertices[i];
+    const b = vertices[(i + 1) % vertices.length];
+    sum += a.x * b.y - b.x * a.y;
+  }
+  return Math.abs(sum) / 2;
+}
+
+/**
+ * Area-weighted centroid. Falls back to the vertex average for degenerate outlines.
+ */
+export function polygonCentroid(vertices: BedVertex[]): BedVertex {
+  if (!Array.isArray(vertices) || vertices.length === 0) return { x: 0, y: 0 };
+  let signedArea = 0;
+  let cx = 0;
+  let cy = 0;
+  for (let i = 0; i < vertices.length; i++) {
+    const a = vertices[i];
+    const b = vertices[(i + 1) % vertices.length];
+    const cross = a.x * b.y - b.x * a.y;
+    signedArea += cross;
+    cx += (a.x + b.x) * cross;
+    cy += (a.y + b.y) * cross;
+  }
+  if (Math.abs(signedArea) < 1e-9) {
+    const sx = vertices.reduce((sum, v) => sum + v.x, 0);
+    const sy = vertices.reduce((sum, v) => sum + v.y, 0);
+    return { x: sx / vertices.length, y: sy / vertices.length };
+  }
+  signedArea *= 0.5;
+  return { x: cx / (6 * signedArea), y: cy / (6 * signedArea) };
+}
+
+/**
+ * Even-odd ray casting point-in-polygon test.
+ */
+export function isPointInPolygon(
+  x: number,
+  y: number,
+  vertices: BedVertex[],
+): boolean {
+  if (!Array.isArray(vertices) || vertices.length < 3) return false;
+  let inside = false;
+  for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+    const a = vertices[i];
+    const b = vertices[j];
+    const intersects =
+      a.y > y !== b.y > y &&
+      x < ((b.x - a.x) * (y - a.y)) / (b.y - a.y) + a.x;
+    if (intersects) inside = !inside;
+  }
+  return inside;
+}
+
+/**
+ * Closest point on the polygon outline to (x, y), plus its distance.
+ */
+export function closestPointOnPolygon(
+  x: number,
+  y: number,
+  vertices: BedVertex[],
+): { x: number; y: number; distance: number } {
+  let best = { x, y, distance: Infinity };
+  for (let i = 0; i < vertices.length; i++) {
+    const a = vertices[i];
+    const b = vertices[(i + 1) % vertices.length];
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSq = dx * dx + dy * dy;
+    const t =
+      lengthSq > 0
+        ? Math.max(0, Math.min(1, ((x - a.x) * dx + (y - a.y) * dy) / lengthSq))
+        : 0;
+    const px = a.x + t * dx;
+    const py = a.y + t * dy;
+    const distance = Math.hypot(x - px, y - py);
+    if (distance < best.distance) {
+      best = { x: px, y: py, distance };
+    }
+  }
+  return best;
+}
+
+/**
+ * True when a circle is fully contained in the polygon (center inside and at
+ * least `radius` away from every edge).
+ */
+export function isCircleInsidePolygon(
+  x: number,
+  y: number,
+  radius: number,
+  vertices: BedVertex[],
+): boolean {
+  if (!isPointInPolygon(x, y, vertices)) return false;
+  return closestPointOnPolygon(x, y, vertices).distance >= radius;
+}
+
+/**
+ * Polygon beds need at least three vertices; anything less is treated as the
+ * bed's bounding rectangle.
+ */
+export function hasPolygonOutline(bed: Partial<GardenBed>): boolean {
+  return (
+    bed.shape === "polygon" &&
+    Array.isArray(bed.vertices) &&
+    bed.vertices.length >= 3
+  );
+}
+
+/**
+ * Plantable area of a bed in square inches (shape-aware).
+ */
+export function getBedArea(bed: GardenBed): number {
+  if (hasPolygonOutline(bed)) return polygonArea(bed.vertices!);
+  if (bed.shape === "circle") {
+    const r = Math.min(bed.width, bed.height) / 2;
+    return Math.PI * r * r;
+  }
+  if (bed.shape === "pill") {
+    const r = Math.min(bed.width, bed.height) / 2;
+    const straight = Math.max(bed.width, bed.height) - 2 * r;
+    return Math.PI * r * r + straight * 2 * r;
+  }
+  return bed.width * bed.height;
+}
+
+/**
+ * Shape-aware containment check for a circular plant footprint.
+ */
+export function isCircleInsideBed(
+  bed: GardenBed,
+  x: number,
+  y: number,
+  radius: number,
+): boolean {
+  if (hasPolygonOutline(bed)) {
+    return isCircleInsidePolygon(x, y, radius, bed.vertices!);
+  }
+  if (bed.shape === "circle") {
+    const r = Math.min(bed.width, bed.height) / 2;
+    return Math.hypot(x - bed.width / 2, y - bed.height / 2) + radius <= r;
+  }
+  if (bed.shape === "pill") {
+    // Stadium: distance from the pill's center segment must leave room for the plant
+    const r = Math.min(bed.width, bed.height) / 2;
+    const horizontal = bed.width >= bed.height;
+    const axisPos = horizontal ? x : y;
+    const axisMax = horizontal ? bed.width : bed.height;
+    const clampedAxis = Math.max(r, Math.min(axisMax - r, axisPos));
+    const cx = horizontal ? clampedAxis : bed.width / 2;
+    const cy = horizontal ? bed.height / 2 : clampedAxis;
+    return Math.hypot(x - cx, y - cy) + radius <= r;
+  }
+  return (
+    x - radius >= 0 &&
+    x + radius <= bed.width &&
+    y - radius >= 0 &&
+    y + radius <= bed.height
+  );
+}
+
+/**
+ * Nearest point on an obstacle's boundary, its distance, and whether (x, y)
+ * lies inside the obstacle. Returns null for malformed obstacles.
+ */
+export function closestPointOnObstacle(
+  obstacle: BedObstacle,
+  x: number,
+  y: number,
+): { x: number; y: number; distance: number; inside: boolean } | null {
+  if (obstacle.kind === "circle") {
+    const r = obstacle.radius ?? 0;
+    const ox = obstacle.x ?? 0;
+    const oy = obstacle.y ?? 0;
+    const d = Math.hypot(x - ox, y - oy);
+    if (r <= 0) return null;
+    if (d < 1e-9) return { x: ox + r, y: oy, distance: r, inside: true };
+    return {
+      x: ox + ((x - ox) / d) * r,
+      y: oy + ((y - oy) / d) * r,
+      distance: Math.abs(d - r),
+      inside: d < r,
+    };
+  }
+  if (obstacle.kind === "rect") {
+    const left = obstacle.x ?? 0;
+    const top = obstacle.y ?? 0;
+    const right = left + (obstacle.width ?? 0);
+    const bottom = top + (obstacle.height ?? 0);
+    if (right <= left || bottom <= top) return null;
+    const inside = x > left && x < right && y > top && y < bottom;
+    if (!inside) {
+      const cx = Math.max(left, Math.min(right, x));
+      const cy = Math.max(top, Math.min(bottom, y));
+      return { x: cx, y: cy, distance: Math.hypot(x - cx, y - cy), inside };
+    }
+    // Inside: exit through the nearest side
+    const exits = [
+      { x: left, y, distance: x - left },
+      { x: right, y, distance: right - x },
+      { x, y: top, distance: y - top },
+      { x, y: bottom, distance: bottom - y },
+    ];
+    const best = exits.reduce((a, b) => (b.distance < a.distance ? b : a));
+    return { ...best, inside };
+  }
+  if (obstacle.kind === "polygon") {
+    if (!Array.isArray(obstacle.vertices) || obstacle.vertices.length < 3) {
+      return null;
+    }
+    const edge = closestPointOnPolygon(x, y, obstacle.vertices);
+    return { ...edge, inside: isPointInPolygon(x, y, obstacle.vertices) };
+  }
+  return null;
+}
+
+/**
+ * True when a circular plant footprint overlaps the obstacle.
+ */
+export function circleOverlapsObstacle(
+  obstacle: BedObstacle,
+  x: number,
+  y: number,
+  radius: number,
+): boolean {
+  const nearest = closestPointOnObstacle(obstacle, x, y);
+  if (!nearest) return false;
+  return nearest.inside || nearest.distance < radius;
+}
+
+/**
+ * First obstacle in the bed that the circle overlaps, if any.
+ */
+export function findObstacleCollision(
+  bed: GardenBed,
+  x: number,
+  y: number,
+  radius: number,
+): BedObstacle | null {
+  for (const obstacle of bed.obstacles ?? []) {
+    if (circleOverlapsObstacle(obstacle, x, y, radius)) return obstacle;
+  }
+  return null;
+}
+
+/**
+ * Footprint of an obstacle in square inches.
+ */
+export function getObstacleArea(obstacle: BedObstacle): number {
+  if (obstacle.kind === "circle") {
+    const r = obstacle.radius ?? 0;
+    return Math.PI * r * r;
+  }
+  if (obstacle.kind === "rect") {
+    return Math.max(0, obstacle.width ?? 0) * Math.max(0, obstacle.height ?? 0);
+  }
+  return polygonArea(obstacle.vertices ?? []);
+}
+
+/**
+ * Bed area left for planting once keep-out zones are removed.
+ */
+export function getPlantableArea(bed: GardenBed): number {
+  const blocked = (bed.obstacles ?? []).reduce(
+    (sum, obstacle) => sum + getObstacleArea(obstacle),
+    0,
+  );
+  return Math.max(0, getBedArea(bed) - blocked);
+}
+
+/**
+ * Area shared by two circles whose centers are `distance` apart.
+ */
+export function getCircleOverlapArea(
+  r1: number,
+  r2: number,
+  distance: number,
+): number {
+  if (r1 <= 0 || r2 <= 0 || distance >= r1 + r2) return 0;
+  if (distance <= Math.abs(r1 - r2)) {
+    const r = Math.min(r1, r2);
+    return Math.PI * r * r;
+  }
+  const a = Math.acos(
+    (distance ** 2 + r1 ** 2 - r2 ** 2) / (2 * distance * r1),
+  );
+  const b = Math.acos(
+    (distance ** 2 + r2 ** 2 - r1 ** 2) / (2 * distance * r2),
+  );
+  return (
+    r1 * r1 * (a - Math.sin(2 * a) / 2) + r2 * r2 * (b - Math.sin(2 * b) / 2)
+  );
+}
+
+/**
+ * Outline of any bed shape as a vertex list (inches). Curved shapes are
+ * approximated with `steps` segments per curve.
+ */
+export function getBedOutline(bed: GardenBed, steps = 36): BedVertex[] {
+  const w = bed.width;
+  const h = bed.height;
+  if (hasPolygonOutline(bed)) return bed.vertices!.map((v) => ({ ...v }));
+  if (bed.shape === "circle") {
+    const r = Math.min(w, h) / 2;
+    const pts: BedVertex[] = [];
+    for (let i = 0; i < steps; i++) {
+      const t = (i / steps) * Math.PI * 2;
+      pts.push({ x: w / 2 + Math.cos(t) * r, y: h / 2 + Math.sin(t) * r });
+    }
+    return pts;
+  }
+  if (bed.shape === "pill") {
+    const r = Math.min(w, h) / 2;
+    const half = Math.max(2, Math.round(steps / 2));
+    const pts: BedVertex[] = [];
+    if (w >= h) {
+      for (let i = 0; i <= half; i++) {
+        const t = Math.PI / 2 + (i / half) * Math.PI;
+        pts.push({ x: r + Math.cos(t) * r, y: h / 2 + Math.sin(t) * r });
+      }
+      for (let i = 0; i <= half; i++) {
+        const t = (i / half) * Math.PI - Math.PI / 2;
+        pts.push({ x: w - r + Math.cos(t) * r, y: h / 2 + Math.sin(t) * r });
+      }
+    } else {
+      for (let i = 0; i <= half; i++) {
+        const t = Math.PI + (i / half) * Math.PI;
+        pts.push({ x: w / 2 + Math.cos(t) * r, y: r + Math.sin(t) * r });
+      }
+      for (let i = 0; i <= half; i++) {
+        const t = (i / half) * Math.PI;
+        pts.push({ x: w / 2 + Math.cos(t) * r, y: h - r + Math.sin(t) * r });
+      }
+    }
+    return pts;
+  }
+  return [
+    { x: 0, y: 0 },
+    { x: w, y: 0 },
+    { x: w, y: h },
+    { x: 0, y: h },
+  ];
+}
+
+/**
+ * Starter outlines for common non-rectangular beds, sized to the bed's bounding box.
+ */
+export function createPolygonPreset(
+  preset: PolygonPreset,
+  width: number,
+  height: number,
+): BedVertex[] {
+  const round = (v: number) => Math.round(v * 10) / 10;
+  switch (preset) {
+    case "u-shape": {
+      const arm = width / 3;
+      const depth = height * 0.6;
+      return [
+        { x: 0, y: 0 },
+        { x: round(arm), y: 0 },
+        { x: round(arm), y: round(depth) },
+        { x: round(width - arm), y: round(depth) },
+        { x: round(width - arm), y: 0 },
+        { x: width, y: 0 },
+        { x: width, y: height },
+        { x: 0, y: height },
+      ];
+    }
+    case "keyhole": {
+      // Circular bed with an access path cut in from the bottom edge
+      const r = Math.min(width, height) / 2;
+      const cx = width / 2;
+      const cy = height / 2;
+      const pathHalf = Math.max(6, r * 0.18);
+      const notchDepth = r * 0.45;
+      const startAngle = Math.PI / 2 + Math.asin(Math.min(1, pathHalf / r));
+      const endAngle = Math.PI / 2 - Math.asin(Math.min(1, pathHalf / r)) + Math.PI * 2;
+      const steps = 28;
+      const pts: BedVertex[] = [];
+      for (let i = 0; i <= steps; i++) {
+        const t = startAngle + ((endAngle - startAngle) * i) / steps;
+        pts.push({ x: round(cx + Math.cos(t) * r), y: round(cy + Math.sin(t) * r) });
+      }
+      pts.push({ x: round(cx + pathHalf), y: round(cy + notchDepth) });
+      pts.push({ x: round(cx - pathHalf), y: round(cy + notchDepth) });
+      return pts;
+    }
+    case "l-shape":
+    default: {
+      const armW = width / 2;
+      const armH = height / 2;
+      return [
+        { x: 0, y: 0 },
+        { x: round(armW), y: 0 },
+        { x: round(armW), y: round(armH) },
+        { x: width, y: round(armH) },
+        { x: width, y: height },
+        { x: 0, y: height },
+      ];
+    }
+  }
+}
+
+/**
+ * Rescale a vertex list when the bed's bounding box is resized.
+ */
+export function scaleVertices(
+  vertices: BedVertex[],
+  fromWidth: number,
+  fromHeight: number,
+  toWidth: number,
+  toHeight: number,
+): BedVertex[] {
+  const sx = fromWidth > 0 ? toWidth / fromWidth : 1;
+  const sy = fromHeight > 0 ? toHeight / fromHeight : 1;
+  return vertices.map((v) => ({
+    x: Math.round(v.x * sx * 10) / 10,
+    y: Math.round(v.y * sy * 10) / 10,
+  }));
+}
@@ -0,0 +1,126 @@
+/**
+ * What changed between two saved states of a garden, for the vault's
+ * revision history.
+ *
+ * Beds are matched by id and reported as added, removed, moved (x/y) or
+ * resized (width/height). Plants are matched by placement id within each bed,
+ * so a plant that moved to another bed shows up as removed from one and added
+ * to the other.
+ */
+
+import type {
+  BedLayout,
+  GardenBed,
+  GardenProjectData,
+  PlantPlacement,
+} from "./types";
+
+export interface BedChange {
+  bedId: string;
+  name?: string;
+  from: { x: number; y: number; width: number; height: number };
+  to: { x: number; y: number; width: number; height: number };
+}
+
+export interface BedPlantChanges {
+  bedId: string;
+  name?: string;
+  added: PlantPlacement[];
+  removed: PlantPlacement[];
+}
+
+export interface GardenDiff {
+  bedsAdded: GardenBed[];
+  bedsRemoved: GardenBed[];
+  bedsMoved: BedChange[];
+  bedsResized: BedChange[];
+  plants: BedPlantChanges[]; // only beds whose plants changed
+  unchanged: boolean;
+}
+
+type GardenContents = Pick<GardenProjectData, "beds" | "layouts">;
+
+const bounds = ({ x, y, width, height }: GardenBed) => ({
+  x,
+  y,
+  width,
+  height,
+});
+
+const placementsByBed = (layouts: BedLayout[] = []) =>
+  new Map(
+    layouts.map((layout) => [
+      layout.bedId,
+      new Map(layout.placements.map((plant) => [plant.id, plant])),
+    ]),
+  );
+
+/**
+ * Changes that turn `before` into `after`
+ */
+export function diffGardens(
+  before: GardenContents,
+  after: GardenContents,
+): GardenDiff {
+  const beforeBeds = new Map(before.beds.map((bed) => [bed.id, bed]));
+  const afterBeds = new Map(after.beds.map((bed) => [bed.id, bed]));
+
+  const diff: GardenDiff = {
+    bedsAdded: after.beds.filter((bed) => !beforeBeds.has(bed.id)),
+    bedsRemoved: before.beds.filter((bed) => !afterBeds.has(bed.id)),
+    bedsMoved: [],
+    bedsResized: [],
+    plants: [],
+    unchanged: false,
+  };
+
+  for (const bed of after.beds) {
+    const previous = beforeBeds.get(bed.id);
+    if (!previous) continue;
+    const change: BedChange = {
+      bedId: bed.id,
+      name: bed.name,
+      from: bounds(previous),
+      to: bounds(bed),
+    };
+    if (previous.x !== bed.x || previous.y !== bed.y) {
+      diff.bedsMoved.push(change);
+    }
+    if (previous.width !== bed.width || previous.height !== bed.height) {
+      diff.bedsResized.push(change);
+    }
+  }
+
+  const beforePlants = placementsByBed(before.layouts);
+  const afterPlants = placementsByBed(after.layouts);
+  const bedIds = new Set([...beforePlants.keys(), ...afterPlants.keys()]);
+  for (const bedId of bedIds) {
+    const was = beforePlants.get(bedId) ?? new Map();
+    const now = afterPlants.get(bedId) ?? new Map();
+    const added = [...now.values()].filter((plant) => !was.has(plant.id));
+    const removed = [...was.values()].filter((plant) => !now.has(plant.id));
+    if (added.length > 0 || removed.length > 0) {
+      const bed = afterBeds.get(bedId) ?? beforeBeds.get(bedId);
+      diff.plants.push({ bedId, name: bed?.name, added, removed });
+    }
+  }
+
+  diff.unchanged =
+    diff.bedsAdded.length === 0 &&
+    diff.bedsRemoved.length === 0 &&
+    diff.bedsMoved.length === 0 &&
+    diff.bedsResized.length === 0 &&
+    diff.plants.length === 0;
+  return diff;
+}
+
+/**
+ * Plant counts per type, e.g. "2 Tomato, 1 Basil"
+ */
+export function countPlants(plants: PlantPlacement[]): string {
+  const counts = new Map<string, number>();
+  for (const plant of plants) {
+    counts.set(plant.veggieType, (counts.get(plant.veggieType) ?? 0) + 1);
+  }
+  return [...counts].map(([type, count]) => `${count} ${type}`).join(", ");
+}
@@ -0,0 +1,288 @@
+/**
+ * Layout scoring shared by the score API and anything that ranks layouts.
+ *
+ * Works on any provider's output: it only needs beds, their placements and
+ * (optionally) the seeds that were requested. Metrics per bed:
+ * - density: plant canopy area / plantable area (overlaps counted twice)
+ * - overlapArea: square inches where two plant canopies overlap
+ * - boundsViolations: plants outside the bed outline or on keep-out zones
+ * - companionPairs / antagonistPairs: neighbouring plants (canopies within
+ *   ADJACENCY_GAP inches) that like or dislike each other
+ * - priorityRatioError: 0 when plant counts match the requested priority
+ *   ratios, 1 when none of the plants are what was asked for
+ * - shadeConflicts: plants getting less direct sun than they need
+ * The overall `score` (0-100) combines them with SCORE_WEIGHTS.
+ */
+
+import {
+  findObstacleCollision,
+  getCircleOverlapArea,
+  getPlantableArea,
+  isCircleInsideBed,
+} from "./bedGeometry";
+import { findShadeConflicts } from "./sunShade";
+import type { ShadeConflict } from "./sunShade";
+import type {
+  BedLayout,
+  GardenBed,
+  PlantMeta,
+  PlantPlacement,
+  SunSettings,
+  Vegetable,
+} from "./types";
+
+export const ADJACENCY_GAP = 6; // inches between canopies
+
+/**
+ * Points gained or lost per unit of each metric, before clamping to 0-100.
+ */
+export const SCORE_WEIGHTS = {
+  density: 100, // per 100% canopy cover, capped at full cover
+  overlap: -100, // per 100% of plantable area overlapped
+  boundsViolation: -10, // per plant
+  companionPair: 1, // per pair
+  antagonistPair: -5, // per pair
+  priorityRatioError: -50, // at total mismatch
+  shadeConflict: -5, // per plant
+};
+
+export interface BoundsIssue {
+  reason: "outside" | "obstacle";
+  obstacle?: string;
+}
+
+export interface ScoreOptions {
+  plants: Record<string, PlantMeta>;
+  seeds?: Vegetable[];
+  sunOrientation?: string;
+  sun?: SunSettings;
+}
+
+export interface BedScore {
+  bedId: string;
+  plantCount: number;
+  density: number;
+  overlapArea: number;
+  boundsViolations: ({ plantId: string; veggieType: string } & BoundsIssue)[];
+  companionPairs: number;
+  antagonistPairs: number;
+  priorityRatioError: number | null; // null when no seeds were given
+  shadeConflicts: ShadeConflict[];
+  score: number;
+}
+
+export interface LayoutScoreTotals {
+  plantCount: number;
+  density: number;
+  overlapArea: number;
+  boundsViolations: number;
+  companionPairs: number;
+  antagonistPairs: number;
+  priorityRatioError: number | null;
+  shadeConflicts: number;
+  score: number;
+}
+
+export interface LayoutScore {
+  beds: BedScore[];
+  totals: LayoutScoreTotals;
+}
+
+/**
+ * Why a plant is out of bounds, or null when it sits cleanly in the bed.
+ */
+export function checkPlacementBounds(
+  bed: GardenBed,
+  plant: Pick<PlantPlacement, "x" | "y" | "size">,
+): BoundsIssue | null {
+  const radius = (plant.size || 0) / 2;
+  if (!isCircleInsideBed(bed, plant.x, plant.y, radius)) {
+    return { reason: "outside" };
+  }
+  const obstacle = findObstacleCollision(bed, plant.x, plant.y, radius);
+  if (obstacle) {
+    return {
+      reason: "obstacle",
+      obstacle: obstacle.label || obstacle.id || obstacle.kind,
+    };
+  }
+  return null;
+}
+
+function likes(a: string, b: string, plants: Record<string, PlantMeta>) {
+  return (
+    (plants[a]?.companions || []).includes(b) ||
+    (plants[b]?.companions || []).includes(a)
+  );
+}
+
+function dislikes(a: string, b: string, plants: Record<string, PlantMeta>) {
+  return (
+    (plants[a]?.antagonists || []).includes(b) ||
+    (plants[b]?.antagonists || []).includes(a)
+  );
+}
+
+/**
+ * Half the summed difference between requested and actual type shares
+ * (total variation distance). Seeds without a priority count as 1.
+ */
+export function getPriorityRatioError(
+  placements: Pick<PlantPlacement, "veggieType">[],
+  seeds: Vegetable[],
+): number {
+  const weights = new Map<string, number>();
+  for (const seed of seeds) {
+    const priority = seed.priority ?? 1;
+    if (priority <= 0) continue;
+    weights.set(seed.type, (weights.get(seed.type) || 0) + priority);
+  }
+  const totalPriority = [...weights.values()].reduce((sum, w) => sum + w, 0);
+  if (placements.length === 0 || totalPriority === 0) return 0;
+
+  const counts = new Map<string, number>();
+  for (const plant of placements) {
+    counts.set(plant.veggieType, (counts.get(plant.veggieType) || 0) + 1);
+  }
+  const types = new Set([...counts.keys(), ...weights.keys()]);
+
+  let error = 0;
+  for (const type of types) {
+    const target = (weights.get(type) || 0) / totalPriority;
+    error += Math.abs((counts.get(type) || 0) / placements.length - target);
+  }
+  return error / 2;
+}
+
+function combineScore(
+  metrics: Omit<BedScore, "bedId" | "plantCount" | "score">,
+  plantableArea: number,
+): number {
+  const area = Math.max(1, plantableArea);
+  const raw =
+    SCORE_WEIGHTS.density * Math.min(1, metrics.density) +
+    SCORE_WEIGHTS.overlap * (metrics.overlapArea / area) +
+    SCORE_WEIGHTS.boundsViolation * metrics.boundsViolations.length +
+    SCORE_WEIGHTS.companionPair * metrics.companionPairs +
+    SCORE_WEIGHTS.antagonistPair * metrics.antagonistPairs +
+    SCORE_WEIGHTS.priorityRatioError * (metrics.priorityRatioError ?? 0) +
+    SCORE_WEIGHTS.shadeConflict * metrics.shadeConflicts.length;
+  return Math.round(Math.max(0, Math.min(100, raw)) * 10) / 10;
+}
+
+/**
+ * Metrics for one bed's placements.
+ */
+export function scoreBed(
+  bed: GardenBed,
+  placements: PlantPlacement[],
+  { plants, seeds, sunOrientation, sun }: ScoreOptions,
+): BedScore {
+  const plantableArea = getPlantableArea(bed);
+  const canopyArea = placements.reduce(
+    (sum, p) => sum + Math.PI * ((p.size || 0) / 2) ** 2,
+    0,
+  );
+
+  let overlapArea = 0;
+  let companionPairs = 0;
+  let antagonistPairs = 0;
+  for (let i = 0; i < placements.length; i++) {
+    for (let j = i + 1; j < placements.length; j++) {
+      const a = placements[i];
+      const b = placements[j];
+      const distance = Math.hypot(a.x - b.x, a.y - b.y);
+      const gap = distance - (a.size || 0) / 2 - (b.size || 0) / 2;
+      overlapArea += getCircleOverlapArea(
+        (a.size || 0) / 2,
+        (b.size || 0) / 2,
+        distance,
+      );
+      if (gap > ADJACENCY_GAP) continue;
+      if (likes(a.veggieType, b.veggieType, plants)) companionPairs++;
+      if (dislikes(a.veggieType, b.veggieType, plants)) antagonistPairs++;
+    }
+  }
+
+  const boundsViolations = placements.flatMap((plant) => {
+    const issue = checkPlacementBounds(bed, plant);
+    return issue
+      ? [{ plantId: plant.id, veggieType: plant.veggieType, ...issue }]
+      : [];
+  });
+
+  const metrics = {
+    density:
+      plantableArea > 0
+        ? Math.round((canopyArea / plantableArea) * 1000) / 1000
+        : 0,
+    overlapArea: Math.round(overlapArea * 10) / 10,
+    boundsViolations,
+    companionPairs,
+    antagonistPairs,
+    priorityRatioError: seeds
+      ? Math.round(getPriorityRatioError(placements, seeds) * 1000) / 1000
+      : null,
+    shadeConflicts: findShadeConflicts(placements, plants, sun, sunOrientation),
+  };
+
+  return {
+    bedId: bed.id,
+    plantCount: placements.length,
+    ...metrics,
+    score: combineScore(metrics, plantableArea),
+  };
+}
+
+/**
+ * Metrics for every bed plus garden-wide totals. Beds without a layout
+ * score as empty; layouts for unknown beds are ignored.
+ */
+export function scoreLayouts(
+  beds: GardenBed[],
+  layouts: BedLayout[],
+  options: ScoreOptions,
+): LayoutScore {
+  const bedScores = beds.map((bed) =>
+    scoreBed(
+      bed,
+      layouts.find((layout) => layout.bedId === bed.id)?.placements || [],
+      options,
+    ),
+  );
+
+  const plantCount = bedScores.reduce((sum, s) => sum + s.plantCount, 0);
+  const totalArea = beds.reduce((sum, bed) => sum + getPlantableArea(bed), 0);
+  const sum = (pick: (s: BedScore) => number) =>
+    bedScores.reduce((total, s) => total + pick(s), 0);
+  // Area-weighted averages so a big bed counts for more than a small one
+  const byArea = (pick: (s: BedScore) => number) =>
+    totalArea > 0
+      ? sum(
+          (s) =>
+            pick(s) * getPlantableArea(beds.find((b) => b.id === s.bedId)!),
+        ) / totalArea
+      : 0;
+
+  return {
+    beds: bedScores,
+    totals: {
+      plantCount,
+      density: Math.round(byArea((s) => s.density) * 1000) / 1000,
+      overlapArea: Math.round(sum((s) => s.overlapArea) * 10) / 10,
+      boundsViolations: sum((s) => s.boundsViolations.length),
+      companionPairs: sum((s) => s.companionPairs),
+      antagonistPairs: sum((s) => s.antagonistPairs),
+      priorityRatioError: options.seeds
+        ? Math.round(
+            getPriorityRatioError(
+              layouts.flatMap((layout) => layout.placements || []),
+              options.seeds,
+            ) * 1000,
+          ) / 1000
+        : null,
+      shadeConflicts: sum((s) => s.shadeConflicts.length),
+      score: Math.round(byArea((s) => s.score) * 10) / 10,
+    },
+  };
+}
@@ -0,0 +1,93 @@
+/**
+ * Packer tuning shared by the local provider, the optimize API schema and
+ * the advanced settings panel: the defaults the local provider packs with
+ * and the range the API accepts for each parameter.
+ */
+
+import type { PackerConfig } from "./types";
+
+export type PackerParameterKey = Exclude<keyof PackerConfig, "random_seed">;
+
+export interface PackerParameter {
+  key: PackerParameterKey;
+  label: string;
+  min: number;
+  max: number;
+  step: number;
+  integer?: boolean;
+}
+
+export const PACKER_DEFAULTS: Required<Pick<PackerConfig, PackerParameterKey>> =
+  {
+    intra_group_attraction: 0.3,
+    inter_group_repulsion: 0.2,
+    collision_strength: 0.95,
+    boundary_force: 0.6,
+    cluster_padding: 2.5,
+    min_spacing: 1.0,
+    max_iterations: 600,
+    convergence_threshold: 0.01,
+    damping: 0.85,
+    sun_strength: 1,
+    shade_penalty: 12,
+  };
+
+export const PACKER_PARAMETERS: PackerParameter[] = [
+  {
+    key: "intra_group_attraction",
+    label: "Same-type attraction",
+    min: 0,
+    max: 2,
+    step: 0.05,
+  },
+  {
+    key: "inter_group_repulsion",
+    label: "Cross-type repulsion",
+    min: 0,
+    max: 2,
+    step: 0.05,
+  },
+  {
+    key: "collision_strength",
+    label: "Collision strength",
+    min: 0,
+    max: 1,
+    step: 0.05,
+  },
+  { key: "boundary_force", label: "Edge force", min: 0, max: 2, step: 0.05 },
+  {
+    key: "cluster_padding",
+    label: "Cluster padding (in)",
+    min: 0,
+    max: 24,
+    step: 0.5,
+  },
+  { key: "min_spacing", label: "Plant gap (in)", min: 0, max: 12, step: 0.5 },
+  {
+    key: "max_iterations",
+    label: "Max iterations",
+    min: 10,
+    max: 5000,
+    step: 10,
+    integer: true,
+  },
+  {
+    key: "convergence_threshold",
+    label: "Convergence threshold",
+    min: 0.0001,
+    max: 1,
+    step: 0.001,
+  },
+  { key: "damping", label: "Damping", min: 0, max: 1, step: 0.05 },
+  { key: "sun_strength", label: "Sun strength", min: 0, max: 5, step: 0.1 },
+  { key: "shade_penalty", label: "Shade penalty", min: 0, max: 100, step: 1 },
+];
+
+export const MAX_PACKER_SEED = 2 ** 32 - 1;
+
+/**
+ * A fresh seed for a run that did not ask for one
+ */
+export function randomPackerSeed(): number {
+  return Math.floor(Math.random() * MAX_PACKER_SEED);
+}
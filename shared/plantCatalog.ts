@@ -19,6 +19,10 @@ export const PLANT_CATALOG: PlantCatalog = {
       antagonists: [],
       habit: "Tall & Vertical",
       root: 'Deep (> 12")',
+      family: "Solanaceae",
+      daysToMaturity: 75,
+      sunHours: 8,
+      daysToTransplant: 42,
     },
     Basil: {
       id: "plant_basil",
@@ -32,6 +36,10 @@ export const PLANT_CATALOG: PlantCatalog = {
       antagonists: [],
       habit: "Bushy & Medium",
       root: 'Shallow (< 6")',
+      family: "Lamiaceae",
+      daysToMaturity: 60,
+      sunHours: 6,
+      daysToTransplant: 35,
     },
     Marigold: {
       id: "plant_marigold",
@@ -45,6 +53,9 @@ export const PLANT_CATALOG: PlantCatalog = {
       antagonists: [],
       habit: "Bushy & Medium",
       root: 'Shallow (< 6")',
+      family: "Asteraceae",
+      daysToMaturity: 50,
+      sunHours: 6,
     },
     Pepper: {
       id: "plant_pepper",
@@ -58,6 +69,10 @@ export const PLANT_CATALOG: PlantCatalog = {
       antagonists: [],
       habit: "Bushy & Medium",
       root: 'Medium (6-12")',
+      family: "Solanaceae",
+      daysToMaturity: 75,
+      sunHours: 8,
+      daysToTransplant: 56,
     },
     Oregano: {
       id: "plant_oregano",
@@ -71,6 +86,10 @@ export const PLANT_CATALOG: PlantCatalog = {
       antagonists: [],
       habit: "Ground Cover",
       root: 'Shallow (< 6")',
+      family: "Lamiaceae",
+      daysToMaturity: 90,
+      sunHours: 6,
+      daysToTransplant: 42,
     },
     Thyme: {
       id: "plant_thyme",
@@ -84,6 +103,10 @@ export const PLANT_CATALOG: PlantCatalog = {
       antagonists: [],
       habit: "Ground Cover",
       root: 'Shallow (< 6")',
+      family: "Lamiaceae",
+      daysToMaturity: 85,
+      sunHours: 6,
+      daysToTransplant: 56,
     },
     Sage: {
       id: "plant_sage",
@@ -97,6 +120,42 @@ export const PLANT_CATALOG: PlantCatalog = {
       antagonists: [],
       habit: "Bushy & Medium",
       root: 'Medium (6-12")',
+      family: "Lamiaceae",
+      daysToMaturity: 75,
+      sunHours: 6,
+      daysToTransplant: 42,
+    },
+    Lettuce: {
+      id: "plant_lettuce",
+      spacing: 8,
+      height: 8,
+      width: 10,
+      rootWidth: 6,
+      color: "#a3e635",
+      icon: "🥬",
+      companions: ["Marigold", "Thyme"],
+      antagonists: [],
+      habit: "Compact Rosette",
+      root: 'Shallow (< 6")',
+      family: "Asteraceae",
+      daysToMaturity: 45,
+      sunHours: 4,
+    },
+    Bean: {
+      id: "plant_bean",
+      spacing: 6,
+      height: 20,
+      width: 12,
+      rootWidth: 8,
+      color: "#65a30d",
+      icon: "🫘",
+      companions: ["Marigold", "Oregano"],
+      antagonists: [],
+      habit: "Bushy & Medium",
+      root: 'Medium (6-12")',
+      family: "Fabaceae",
+      daysToMaturity: 55,
+      sunHours: 6,
     },
   },
   varieties: [
@@ -212,6 +271,36 @@ export const PLANT_CATALOG: PlantCatalog = {
       habit: "Bushy",
       description: "Classic culinary sage with woody stems.",
     },
+    {
+      id: "l1",
+      stableId: "var_lettuce_buttercrunch",
+      plantId: "plant_lettuce",
+      type: "Lettuce",
+      name: "Buttercrunch",
+      spacing: 8,
+      height: 8,
+      width: 10,
+      rootDepth: "Shallow",
+      rootWidth: 6,
+      habit: "Compact Rosette",
+      description: "Heat-tolerant butterhead for spring and fall sowings.",
+      daysToMaturity: 55,
+    },
+    {
+      id: "bn1",
+      stableId: "var_bean_provider",
+      plantId: "plant_bean",
+      type: "Bean",
+      name: "Provider",
+      spacing: 6,
+      height: 20,
+      width: 12,
+      rootDepth: "Medium",
+      rootWidth: 8,
+      habit: "Bush",
+      description: "Reliable bush bean that follows early greens in summer.",
+      daysToMaturity: 50,
+    },
   ],
 };
 
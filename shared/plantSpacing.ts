@@ -0,0 +1,60 @@
+/**
+ * Spacing rules for a single plant, shared by the packers and the canvas.
+ *
+ * Two plants may sit no closer than their canopy radii plus the packer's
+ * `min_spacing` (centre to centre), and a plant's canopy must stay inside the
+ * bed and off its keep-out zones. The packers pack to these rules; the canvas
+ * checks a hand-placed plant against them while it is being dragged.
+ */
+
+import { checkPlacementBounds } from "./layoutScore";
+import type { BoundsIssue } from "./layoutScore";
+import { PACKER_DEFAULTS } from "./packerConfig";
+import type { GardenBed, PlantPlacement } from "./types";
+
+export const SPACING_TOLERANCE = 0.1; // inches of crowding that still count as clear
+
+export interface SpacingConflict {
+  plantId: string;
+  veggieType: string;
+  distance: number; // centre to centre
+  minDistance: number;
+}
+
+export interface PlacementCheck {
+  bounds: BoundsIssue | null;
+  crowding: SpacingConflict[];
+  ok: boolean;
+}
+
+type Footprint = Pick<PlantPlacement, "x" | "y" | "size"> & { id?: string };
+
+/**
+ * How `plant` would sit in the bed among `placements`, `minSpacing` inches
+ * apart as the local provider packs by default. The plant itself is skipped
+ * by id, so a plant being moved can be checked against its own bed.
+ */
+export function checkPlantPlacement(
+  bed: GardenBed,
+  placements: PlantPlacement[],
+  plant: Footprint,
+  minSpacing = PACKER_DEFAULTS.min_spacing,
+): PlacementCheck {
+  const radius = (plant.size || 0) / 2;
+  const crowding: SpacingConflict[] = [];
+  for (const other of placements) {
+    if (plant.id !== undefined && other.id === plant.id) continue;
+    const distance = Math.hypot(other.x - plant.x, other.y - plant.y);
+    const minDistance = radius + (other.size || 0) / 2 + minSpacing;
+    if (distance < minDistance - SPACING_TOLERANCE) {
+      crowding.push({
+        plantId: other.id,
+        veggieType: other.veggieType,
+        distance,
+        minDistance,
+      });
+    }
+  }
+  const bounds = checkPlacementBounds(bed, plant);
+  return { bounds, crowding, ok: !bounds && crowding.length === 0 };
+}
@@ -0,0 +1,87 @@
+/**
+ * Crop rotation helpers shared by the local provider, the prompt builder and
+ * the garden vault.
+ *
+ * Rotation works on botanical families (`PlantMeta.family`): growing the same
+ * family in a bed season after season builds up its soil pests and diseases.
+ * A family that grew in a bed within the last `ROTATION_SEASONS` seasons gets
+ * a priority weight below 1 there, strongest for last season.
+ */
+
+import type { BedLayout, PlantMeta, RotationSeason } from "./types";
+
+export const ROTATION_SEASONS = 3;
+const ROTATION_PENALTY = 0.75; // weight lost by a family grown in the bed last season
+
+export function getPlantFamily(
+  type: string,
+  plants: Record<string, PlantMeta>,
+): string | undefined {
+  return plants[type]?.family;
+}
+
+/**
+ * Snapshot the families currently planted in each bed as a finished season.
+ */
+export function recordSeason(
+  season: string,
+  layouts: BedLayout[],
+  plants: Record<string, PlantMeta>,
+): RotationSeason {
+  return {
+    season,
+    recordedAt: Date.now(),
+    beds: Object.fromEntries(
+      layouts.map((layout) => [
+        layout.bedId,
+        Array.from(
+          new Set(
+            layout.placements
+              .map((plant) => getPlantFamily(plant.veggieType, plants))
+              .filter((family): family is string => Boolean(family)),
+          ),
+        ),
+      ]),
+    ),
+  };
+}
+
+/**
+ * Families grown in a bed recently, mapped to how many seasons ago they last
+ * grew there (1 = last season). History is oldest first.
+ */
+export function getRecentFamilies(
+  history: RotationSeason[] = [],
+  bedId: string,
+): Map<string, number> {
+  const recent = new Map<string, number>();
+  history
+    .slice(-ROTATION_SEASONS)
+    .reverse()
+    .forEach((season, index) => {
+      for (const family of season.beds?.[bedId] || []) {
+        if (!recent.has(family)) recent.set(family, index + 1);
+      }
+    });
+  return recent;
+}
+
+/**
+ * Priority multiplier for planting `type` in a bed: 1 when its family has not
+ * grown there recently, down to 1 - ROTATION_PENALTY for last season.
+ */
+export function getRotationWeight(
+  type: string,
+  bedId: string,
+  history: RotationSeason[] = [],
+  plants: Record<string, PlantMeta>,
+): number {
+  const family = getPlantFamily(type, plants);
+  if (!family) return 1;
+  const seasonsAgo = getRecentFamilies(history, bedId).get(family);
+  if (!seasonsAgo) return 1;
+  return (
+    1 -
+    (ROTATION_PENALTY * (ROTATION_SEASONS - seasonsAgo + 1)) / ROTATION_SEASONS
+  );
+}
@@ -0,0 +1,190 @@
+/**
+ * Succession planting helpers shared by the local packer, the optimize route
+ * and the canvas timeline.
+ *
+ * Days count from the start of the growing season. A crop holds its bed space
+ * from the day it goes into the ground (transplant day, or sow day for
+ * direct-sown crops) until its harvest day, after which a later phase may reuse
+ * the space. Crops without a planting day hold their space all season.
+ */
+
+import type {
+  BedLayout,
+  LayoutPhase,
+  PlantMeta,
+  PlantPlacement,
+  PlantingWindow,
+  SeedVariety,
+  Vegetable,
+} from "./types";
+
+export const SEASON_LENGTH_DAYS = 180;
+export const DEFAULT_DAYS_TO_MATURITY = 60;
+
+/**
+ * Sow/transplant/harvest days for a crop that goes into the bed on `plantingDay`.
+ * Transplanted crops are sown indoors `daysToTransplant` days earlier.
+ */
+export function getPlantingWindow(
+  plantingDay: number,
+  meta?: Partial<PlantMeta>,
+  variety?: Partial<SeedVariety>,
+): PlantingWindow {
+  const daysToMaturity =
+    variety?.daysToMaturity ?? meta?.daysToMaturity ?? DEFAULT_DAYS_TO_MATURITY;
+  const harvestDay = plantingDay + daysToMaturity;
+  if (meta?.daysToTransplant) {
+    return {
+      sowDay: plantingDay - meta.daysToTransplant,
+      transplantDay: plantingDay,
+      harvestDay,
+    };
+  }
+  return { sowDay: plantingDay, harvestDay };
+}
+
+/**
+ * Days during which a plant occupies bed space: [start, end).
+ */
+export function getBedOccupancy(plant: Partial<PlantingWindow>): {
+  start: number;
+  end: number;
+} {
+  return {
+    start: plant.transplantDay ?? plant.sowDay ?? 0,
+    end: plant.harvestDay ?? Infinity,
+  };
+}
+
+export function isInGroundOnDay(
+  plant: Partial<PlantingWindow>,
+  day: number,
+): boolean {
+  const { start, end } = getBedOccupancy(plant);
+  return start <= day && day < end;
+}
+
+function hasWindow(plant: Partial<PlantPlacement>): boolean {
+  return typeof plant.sowDay === "number" || typeof plant.harvestDay === "number";
+}
+
+/**
+ * True when any seed asks for a specific planting day, i.e. the bed should be
+ * planned as a sequence of phases rather than one season-long layout.
+ */
+export function hasSuccession(seeds: Vegetable[] = []): boolean {
+  return seeds.some(
+    (seed) => (seed.priority ?? 1) > 0 && typeof seed.plantingDay === "number",
+  );
+}
+
+export interface SuccessionGroup {
+  phase: LayoutPhase;
+  seeds: Vegetable[];
+}
+
+function phaseLabel(types: string[]): string {
+  const unique = Array.from(new Set(types));
+  return unique.length > 3
+    ? `${unique.slice(0, 3).join(", ")} +${unique.length - 3}`
+    : unique.join(", ");
+}
+
+/**
+ * Group seeds into phases by the day they go into the bed, earliest first.
+ * Seeds without a planting day join the day-0 phase and last all season.
+ */
+export function planSuccession(
+  seeds: Vegetable[],
+  plants: Record<string, PlantMeta>,
+): SuccessionGroup[] {
+  const byDay = new Map<number, Vegetable[]>();
+  for (const seed of seeds) {
+    const day = seed.plantingDay ?? 0;
+    byDay.set(day, [...(byDay.get(day) || []), seed]);
+  }
+
+  return Array.from(byDay.keys())
+    .sort((a, b) => a - b)
+    .map((startDay, index) => {
+      const group = byDay.get(startDay)!;
+      const endDay = Math.max(
+        ...group.map((seed) =>
+          typeof seed.plantingDay === "number"
+            ? getPlantingWindow(
+                seed.plantingDay,
+                plants[seed.type],
+                seed.selectedVarieties?.[0],
+              ).harvestDay
+            : SEASON_LENGTH_DAYS,
+        ),
+      );
+      return {
+        phase: {
+          id: `phase-${index + 1}`,
+          label: phaseLabel(group.map((seed) => seed.type)),
+          startDay,
+          endDay,
+        },
+        seeds: group,
+      };
+    });
+}
+
+/**
+ * Rebuild a bed's phase list from its placements. Placements with a window
+ * but no `phaseId` are grouped by the day they go into the bed.
+ */
+export function derivePhases(placements: PlantPlacement[]): LayoutPhase[] {
+  const groups = new Map<string, PlantPlacement[]>();
+  for (const plant of placements) {
+    if (!plant.phaseId && !hasWindow(plant)) continue;
+    const id = plant.phaseId || `day-${getBedOccupancy(plant).start}`;
+    groups.set(id, [...(groups.get(id) || []), plant]);
+  }
+
+  return Array.from(groups.entries())
+    .map(([id, group]) => {
+      const spans = group.map(getBedOccupancy);
+      const end = Math.max(...spans.map((span) => span.end));
+      return {
+        id,
+        label: phaseLabel(group.map((plant) => plant.veggieType)),
+        startDay: Math.min(...spans.map((span) => span.start)),
+        endDay: Number.isFinite(end) ? end : SEASON_LENGTH_DAYS,
+      };
+    })
+    .sort((a, b) => a.startDay - b.startDay || a.endDay - b.endDay);
+}
+
+/**
+ * Attach `phases` to a layout whose placements carry planting windows.
+ * Layouts without any succession data are returned unchanged.
+ */
+export function withPhases<T extends BedLayout>(layout: T): T {
+  const phases = derivePhases(layout.placements || []);
+  if (phases.length === 0) return layout;
+  return {
+    ...layout,
+    placements: layout.placements.map((plant) =>
+      plant.phaseId || !hasWindow(plant)
+        ? plant
+        : { ...plant, phaseId: `day-${getBedOccupancy(plant).start}` },
+    ),
+    phases,
+  };
+}
+
+/**
+ * Last day shown on the timeline: the season, stretched to fit late harvests.
+ */
+export function getSeasonEnd(layouts: BedLayout[]): number {
+  return layouts.reduce(
+    (max, layout) =>
+      (layout.phases || []).reduce(
+        (innerMax, phase) => Math.max(innerMax, phase.endDay),
+        max,
+      ),
+    SEASON_LENGTH_DAYS,
+  );
+}
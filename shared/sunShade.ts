@@ -0,0 +1,333 @@
+/**
+ * Sun and shade model shared by the packer, the prompt builder, the sun API
+ * and the canvas heatmap.
+ *
+ * The sun's path for a day comes from latitude and date. Plants are vertical
+ * cylinders (canopy `size` as diameter, `height` in inches) that block direct
+ * sun. Bed coordinates are inches from the top-left corner with the canvas
+ * "North" edge at the top; `azimuth` turns the garden so the midday sun comes
+ * from that canvas bearing (App's sun angle: 0 = top, 90 = right, clockwise).
+ */
+
+import { isCircleInsideBed } from "./bedGeometry";
+import type {
+  GardenBed,
+  PlantMeta,
+  PlantPlacement,
+  SunOrientation,
+  SunSettings,
+} from "./types";
+
+export const DEFAULT_LATITUDE = 40;
+export const DEFAULT_SUN_DATE = "2025-06-21";
+const TIME_STEP_HOURS = 0.5;
+const DEG = Math.PI / 180;
+
+export const SUN_ORIENTATION_AZIMUTH: Record<SunOrientation, number> = {
+  North: 0,
+  East: 90,
+  South: 180,
+  West: 270,
+};
+
+/**
+ * One daylight sample of the sun's path. `bearing` is on the canvas (degrees
+ * clockwise from the top edge); `dx`/`dy` point toward the sun.
+ */
+export interface SunSample {
+  hour: number; // solar time, 12 = noon
+  elevation: number; // degrees above the horizon
+  bearing: number;
+  dx: number;
+  dy: number;
+  tanElevation: number;
+}
+
+/**
+ * A plant (or anything upright) that casts shade.
+ */
+export interface ShadeCaster {
+  id?: string;
+  x: number;
+  y: number;
+  radius: number;
+  height: number;
+}
+
+export interface SunGrid {
+  cellSize: number; // inches
+  columns: number;
+  rows: number;
+  daylightHours: number;
+  hours: (number | null)[][]; // [row][column]; null outside the bed
+}
+
+export interface ShadeConflict {
+  id: string;
+  veggieType: string;
+  sunHours: number;
+  needed: number;
+}
+
+export function getDayOfYear(date: string = DEFAULT_SUN_DATE): number {
+  const parsed = new Date(`${date}T12:00:00Z`);
+  if (Number.isNaN(parsed.getTime())) return getDayOfYear(DEFAULT_SUN_DATE);
+  const start = Date.UTC(parsed.getUTCFullYear(), 0, 0);
+  return Math.round((parsed.getTime() - start) / 86400000);
+}
+
+function getDeclination(dayOfYear: number): number {
+  return -23.44 * Math.cos(((2 * Math.PI) / 365) * (dayOfYear + 10));
+}
+
+/**
+ * Solar elevation and compass azimuth (degrees clockwise from true north).
+ */
+export function getSolarPosition(
+  latitude: number,
+  dayOfYear: number,
+  solarHour: number,
+): { elevation: number; azimuth: number } {
+  const phi = latitude * DEG;
+  const delta = getDeclination(dayOfYear) * DEG;
+  const hourAngle = (solarHour - 12) * 15 * DEG;
+
+  const elevation = Math.asin(
+    Math.sin(phi) * Math.sin(delta) +
+      Math.cos(phi) * Math.cos(delta) * Math.cos(hourAngle),
+  );
+  const azimuth =
+    Math.atan2(
+      Math.sin(hourAngle),
+      Math.cos(hourAngle) * Math.sin(phi) - Math.tan(delta) * Math.cos(phi),
+    ) + Math.PI;
+
+  return {
+    elevation: elevation / DEG,
+    azimuth: (((azimuth / DEG) % 360) + 360) % 360,
+  };
+}
+
+/**
+ * Canvas bearing of the midday sun for a request: an explicit azimuth wins,
+ * otherwise the garden's sun orientation.
+ */
+export function getSunAzimuth(
+  settings: SunSettings = {},
+  sunOrientation?: string,
+): number {
+  if (typeof settings.azimuth === "number") return settings.azimuth;
+  return (
+    SUN_ORIENTATION_AZIMUTH[sunOrientation as SunOrientation] ??
+    SUN_ORIENTATION_AZIMUTH.South
+  );
+}
+
+const BEARING_NAMES = [
+  "North",
+  "North-East",
+  "East",
+  "South-East",
+  "South",
+  "South-West",
+  "West",
+  "North-West",
+];
+
+/**
+ * Compass name of a canvas bearing, with the top edge as North.
+ */
+export function getBearingName(bearing: number): string {
+  const index = Math.round((((bearing % 360) + 360) % 360) / 45) % 8;
+  return BEARING_NAMES[index];
+}
+
+/**
+ * Daylight samples of the sun's path across the bed, every half hour.
+ */
+export function getSunPath(
+  settings: SunSettings = {},
+  sunOrientation?: string,
+): SunSample[] {
+  const latitude = settings.latitude ?? DEFAULT_LATITUDE;
+  const dayOfYear = getDayOfYear(settings.date);
+  const delta = getDeclination(dayOfYear) * DEG;
+  const cosSunrise = Math.max(
+    -1,
+    Math.min(1, -Math.tan(latitude * DEG) * Math.tan(delta)),
+  );
+  const halfDay = Math.acos(cosSunrise) / DEG / 15;
+  const noonAzimuth = getSolarPosition(latitude, dayOfYear, 12).azimuth;
+  const rotation = getSunAzimuth(settings, sunOrientation) - noonAzimuth;
+
+  const samples: SunSample[] = [];
+  for (
+    let hour = 12 - halfDay + TIME_STEP_HOURS / 2;
+    hour < 12 + halfDay;
+    hour += TIME_STEP_HOURS
+  ) {
+    const { elevation, azimuth } = getSolarPosition(latitude, dayOfYear, hour);
+    if (elevation <= 0) continue;
+    const bearing = (((azimuth + rotation) % 360) + 360) % 360;
+    samples.push({
+      hour,
+      elevation,
+      bearing,
+      dx: Math.sin(bearing * DEG),
+      dy: -Math.cos(bearing * DEG),
+      tanElevation: Math.tan(elevation * DEG),
+    });
+  }
+  return samples;
+}
+
+export function getDaylightHours(path: SunSample[]): number {
+  return path.length * TIME_STEP_HOURS;
+}
+
+/**
+ * True when the sun at `sample` is blocked for a point at (x, y) raised
+ * `height` inches above the soil. Casters covering the point are its own
+ * canopy and never shade it.
+ */
+export function isShaded(
+  x: number,
+  y: number,
+  casters: ShadeCaster[],
+  sample: SunSample,
+  height = 0,
+): boolean {
+  return casters.some((caster) => shadesPoint(caster, x, y, sample, height));
+}
+
+function shadesPoint(
+  caster: ShadeCaster,
+  x: number,
+  y: number,
+  sample: SunSample,
+  height: number,
+): boolean {
+  if (caster.height <= height) return false;
+  const vx = caster.x - x;
+  const vy = caster.y - y;
+  const distanceSq = vx * vx + vy * vy;
+  const radiusSq = caster.radius * caster.radius;
+  if (distanceSq <= radiusSq) return false;
+
+  // Ray from the point toward the sun; find where it enters the caster
+  const along = vx * sample.dx + vy * sample.dy;
+  if (along <= 0) return false;
+  const perpendicularSq = distanceSq - along * along;
+  if (perpendicularSq >= radiusSq) return false;
+  const entry = along - Math.sqrt(radiusSq - perpendicularSq);
+  return height + entry * sample.tanElevation < caster.height;
+}
+
+/**
+ * Hours of direct sun at a point over the day.
+ */
+export function getSunHours(
+  x: number,
+  y: number,
+  casters: ShadeCaster[],
+  path: SunSample[],
+  height = 0,
+): number {
+  const lit = path.filter((sample) => !isShaded(x, y, casters, sample, height));
+  return lit.length * TIME_STEP_HOURS;
+}
+
+/**
+ * Shade casters for placements; a placement's own `height` wins over the
+ * catalog height for its type.
+ */
+export function getPlacementCasters(
+  placements: Partial<PlantPlacement>[],
+  plants: Record<string, PlantMeta>,
+): ShadeCaster[] {
+  return placements.map((plant) => ({
+    id: plant.id,
+    x: plant.x ?? 0,
+    y: plant.y ?? 0,
+    radius: (plant.size ?? 0) / 2,
+    height: plant.height ?? plants[plant.veggieType ?? ""]?.height ?? 0,
+  }));
+}
+
+/**
+ * Hours of direct sun across a bed, sampled at the center of each cell.
+ */
+export function computeSunGrid(
+  bed: GardenBed,
+  placements: Partial<PlantPlacement>[],
+  plants: Record<string, PlantMeta>,
+  settings: SunSettings = {},
+  sunOrientation?: string,
+  cellSize = 3,
+): SunGrid {
+  const path = getSunPath(settings, sunOrientation);
+  const casters = getPlacementCasters(placements, plants);
+  const columns = Math.max(1, Math.ceil(bed.width / cellSize));
+  const rows = Math.max(1, Math.ceil(bed.height / cellSize));
+
+  const hours: (number | null)[][] = [];
+  for (let row = 0; row < rows; row++) {
+    const line: (number | null)[] = [];
+    for (let column = 0; column < columns; column++) {
+      const x = Math.min(bed.width, (column + 0.5) * cellSize);
+      const y = Math.min(bed.height, (row + 0.5) * cellSize);
+      line.push(
+        isCircleInsideBed(bed, x, y, 0)
+          ? getSunHours(x, y, casters, path)
+          : null,
+      );
+    }
+    hours.push(line);
+  }
+
+  return {
+    cellSize,
+    columns,
+    rows,
+    daylightHours: getDaylightHours(path),
+    hours,
+  };
+}
+
+/**
+ * Plants that get fewer hours of direct sun at their canopy top than their
+ * catalog `sunHours` asks for.
+ */
+export function findShadeConflicts(
+  placements: Partial<PlantPlacement>[],
+  plants: Record<string, PlantMeta>,
+  settings: SunSettings = {},
+  sunOrientation?: string,
+): ShadeConflict[] {
+  const path = getSunPath(settings, sunOrientation);
+  // Plants can't need more sun than the day has
+  const daylight = getDaylightHours(path);
+  const casters = getPlacementCasters(placements, plants);
+
+  return placements.flatMap((plant, index) => {
+    const needed = plants[plant.veggieType ?? ""]?.sunHours;
+    if (!needed) return [];
+    const others = casters.filter((_, i) => i !== index);
+    const sunHours = getSunHours(
+      casters[index].x,
+      casters[index].y,
+      others,
+      path,
+      casters[index].height,
+    );
+    if (sunHours >= Math.min(needed, daylight)) return [];
+    return [
+      {
+        id: String(plant.id ?? index),
+        veggieType: plant.veggieType ?? "",
+        sunHours,
+        needed,
+      },
+    ];
+  });
+}
@@ -1,3 +1,5 @@
+import type { LayoutScoreTotals } from "./layoutScore";
+
 export type VeggieType = string;
 
 export type PlantId = string;
@@ -15,6 +17,10 @@ export interface PlantMeta {
   antagonists: VeggieType[];
   habit: string;
   root: string;
+  daysToMaturity?: number; // from going into the bed to first harvest
+  daysToTransplant?: number; // indoor start lead time; absent for direct-sown crops
+  family?: string; // botanical family used for crop rotation, e.g. "Solanaceae"
+  sunHours?: number; // hours of direct sun the crop needs per day
 }
 
 export interface PlantCatalog {
@@ -22,7 +28,30 @@ export interface PlantCatalog {
   varieties: SeedVariety[];
 }
 
-export type BedShape = "rectangle" | "pill" | "circle";
+export type BedShape = "rectangle" | "pill" | "circle" | "polygon";
+
+export interface BedVertex {
+  x: number; // inches from bed origin
+  y: number; // inches from bed origin
+}
+
+export type BedObstacleKind = "circle" | "rect" | "polygon";
+
+/**
+ * Keep-out zone inside a bed (path, stepping stone, irrigation riser, existing perennial).
+ * Coordinates are inches from the bed origin.
+ */
+export interface BedObstacle {
+  id?: string;
+  label?: string;
+  kind: BedObstacleKind;
+  x?: number; // circle center / rect top-left
+  y?: number;
+  radius?: number; // circle
+  width?: number; // rect
+  height?: number; // rect
+  vertices?: BedVertex[]; // polygon
+}
 
 export interface SeedVariety {
   id: VarietyId;
@@ -38,12 +67,24 @@ export interface SeedVariety {
   habit: string;
   description: string;
   isCustom?: boolean;
+  daysToMaturity?: number; // overrides the plant's catalog value
 }
 
 export interface Vegetable {
   type: VeggieType;
   priority: number;
   selectedVarieties: SeedVariety[];
+  plantingDay?: number; // day of the season the crop goes into the bed; unset = whole season
+}
+
+/**
+ * Days from the start of the season. `sowDay` may be negative for crops
+ * started indoors before the season opens.
+ */
+export interface PlantingWindow {
+  sowDay: number;
+  transplantDay?: number;
+  harvestDay: number;
 }
 
 export interface GardenBed {
@@ -54,6 +95,8 @@ export interface GardenBed {
   x: number; // grid units
   y: number; // grid units
   shape?: BedShape;
+  vertices?: BedVertex[]; // polygon outline, inside the width x height bounding box
+  obstacles?: BedObstacle[]; // immovable keep-out zones
 }
 
 export interface PlantPlacement {
@@ -63,25 +106,217 @@ export interface PlantPlacement {
   x: number; // inches from bed origin
   y: number; // inches from bed origin
   size: number; // visual diameter in inches
+  height?: number; // canopy height in inches; defaults to the catalog height
   placementReasoning: string;
   spacingAnalysis: string;
   companionInsights: string;
+  locked?: boolean; // pinned by the user; optimize returns it untouched
+  phaseId?: string; // succession phase this plant belongs to
+  sowDay?: number;
+  transplantDay?: number;
+  harvestDay?: number; // space is free for the next phase after this day
+}
+
+/**
+ * A pinned plant sent with an optimize request. Providers build around it and
+ * the response returns it exactly as sent (minus `bedId`, plus `locked: true`).
+ */
+export interface FixedPlacement extends Partial<PlantPlacement> {
+  bedId: string;
+  veggieType: VeggieType;
+  x: number;
+  y: number;
+  size: number;
+}
+
+/**
+ * "full" regenerates each bed; "fill" keeps the existing layout and only adds
+ * plants into free space.
+ */
+export type OptimizeMode = "full" | "fill";
+
+/**
+ * Tuning for the local provider's force-directed packer. Unset fields use
+ * PACKER_DEFAULTS; the same `random_seed` reproduces the same layout.
+ */
+export interface PackerConfig {
+  intra_group_attraction?: number;
+  inter_group_repulsion?: number;
+  collision_strength?: number;
+  boundary_force?: number;
+  cluster_padding?: number;
+  min_spacing?: number;
+  max_iterations?: number;
+  convergence_threshold?: number;
+  damping?: number;
+  random_seed?: number;
+  sun_strength?: number;
+  shade_penalty?: number;
+}
+
+/**
+ * One step of a bed's succession plan, e.g. spring lettuce followed by summer
+ * beans in the same space. Placements reference it through `phaseId`.
+ */
+export interface LayoutPhase {
+  id: string;
+  label: string;
+  startDay: number;
+  endDay: number;
 }
 
 export interface BedLayout {
   bedId: string;
   placements: PlantPlacement[];
+  phases?: LayoutPhase[];
+}
+
+/**
+ * What the optimize repair pass changed in one bed: plants nudged to a new
+ * center and plants that could not be fitted at all.
+ */
+export interface LayoutRepair {
+  bedId: string;
+  moved: {
+    id: string;
+    veggieType: VeggieType;
+    from: { x: number; y: number };
+    to: { x: number; y: number };
+    distance: number; // inches
+  }[];
+  removed: { id: string; veggieType: VeggieType; x: number; y: number }[];
+}
+
+/**
+ * Self-correction for LLM providers: output that fails the layout schema, or
+ * (with `bounds`) places plants outside their bed, is sent back to the model
+ * with the errors for up to `maxRetries` more answers.
+ */
+export interface CorrectionSettings {
+  maxRetries?: number; // default PROVIDER_CORRECTION_RETRIES, else 0
+  bounds?: boolean; // default true
+}
+
+/**
+ * One answer in a self-correcting provider request and what was wrong with it
+ */
+export interface ProviderAttempt {
+  attempt: number; // 1 for the first answer
+  outcome: "ok" | "parse" | "schema" | "bounds";
+  errors: string[]; // empty when ok
+}
+
+/**
+ * One scored run of a best-of-N ensemble optimize request, ranked best first.
+ * Failed runs come last with an `error` and no layouts.
+ */
+export interface EnsembleRun {
+  rank: number;
+  provider: string;
+  model?: string;
+  randomSeed?: number; // local runs only
+  layouts: BedLayout[];
+  repairs?: LayoutRepair[];
+  attempts?: ProviderAttempt[]; // LLM providers only
+  score?: LayoutScoreTotals;
+  error?: string;
+}
+
+/**
+ * Progress of one optimize request, published to SSE subscribers of its job
+ * id while it runs. `bed.finish` carries the bed's layout as soon as it lands.
+ */
+export type OptimizeProgressEvent =
+  | { type: "bed.start"; bedId: string }
+  | { type: "bed.finish"; bedId: string; layout: BedLayout }
+  | { type: "packer"; bedId: string; iteration: number; energy: number }
+  | { type: "token"; provider: string; text: string }
+  | { type: "done"; layouts: BedLayout[] }
+  | { type: "error"; error: string };
+
+export type ProgressListener = (event: OptimizeProgressEvent) => void;
+
+/**
+ * Plant families grown in each bed during one past season. A garden's rotation
+ * history is a list of these, oldest first.
+ */
+export interface RotationSeason {
+  season: string; // label, e.g. "2025" or "Spring 2025"
+  recordedAt?: number;
+  beds: Record<string, string[]>; // bedId -> families
 }
 
 export type SunOrientation = "North" | "South" | "East" | "West";
 
+/**
+ * Where and when to simulate sun and shade. Unset fields fall back to a
+ * midsummer day at 40°N with the midday sun from the garden's sun orientation.
+ */
+export interface SunSettings {
+  latitude?: number; // degrees, negative south of the equator
+  date?: string; // YYYY-MM-DD
+  azimuth?: number; // canvas bearing of the midday sun, degrees clockwise from the top edge
+}
+
 export interface GardenState {
   beds: GardenBed[];
   seeds: Vegetable[];
   sunOrientation: SunOrientation;
 }
 
-export type AIProviderId = "gemini" | "openai" | "anthropic" | "local";
+/**
+ * Everything saved for one garden on the server (`/api/projects`)
+ */
+export interface GardenProjectData {
+  name: string;
+  beds: GardenBed[];
+  seeds: Vegetable[];
+  layouts: BedLayout[];
+  sunOrientation: SunOrientation;
+  sun?: SunSettings;
+  rotationHistory?: RotationSeason[];
+}
+
+export interface GardenProject extends GardenProjectData {
+  id: string;
+  version: number; // bumped on every save
+  createdAt: number;
+  updatedAt: number;
+}
+
+export type GardenProjectSummary = Pick<
+  GardenProject,
+  "id" | "name" | "version" | "createdAt" | "updatedAt"
+>;
+
+/**
+ * Immutable snapshot taken each time a garden is saved
+ */
+export interface GardenRevision {
+  revision: number; // 1, 2, ... per garden
+  savedAt: number;
+  note: string;
+  version?: number; // project version it was taken from (server gardens)
+  garden: GardenProjectData;
+}
+
+export type GardenRevisionSummary = Omit<GardenRevision, "garden">;
+
+// Built-in providers; modules loaded by the server at startup add their own
+export type AIProviderId =
+  "gemini" | "openai" | "anthropic" | "local" | (string & {});
+
+/**
+ * A provider as listed by GET /api/providers
+ */
+export interface AIProviderInfo {
+  id: AIProviderId;
+  name: string;
+  supportsOAuth: boolean;
+  models: string[]; // suggested model names, default first
+  streaming: boolean; // streams generated text while it runs
+  seeded: boolean; // takes packerConfig and echoes the seed it packed with
+}
 
 export interface ProviderAuth {
   apiKey?: string;
@@ -18,6 +18,11 @@ export default defineConfig(({ mode }) => {
           target: "http://localhost:8787",
           changeOrigin: true,
         },
+        // Optimize progress streams (EventSource) and MCP
+        "/mcp": {
+          target: "http://localhost:8787",
+          changeOrigin: true,
+        },
       },
     },
     plugins: [react(), tailwindcss()],